@@ -0,0 +1,45 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - AUCTION BIDDING SCHEMA
+-- Bid history and leading bidder tracking for auctions
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. AUCTIONS TABLE UPDATES
+-- =====================================================
+ALTER TABLE auctions
+    ADD COLUMN IF NOT EXISTS highest_bidder_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_auctions_highest_bidder ON auctions(highest_bidder_id);
+
+-- =====================================================
+-- 2. AUCTION BIDS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS auction_bids (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+    bidder_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Bid details
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    previous_bid DECIMAL(15,2),
+
+    -- Request metadata
+    ip_address VARCHAR(45),
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auction_bids_auction ON auction_bids(auction_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auction_bids_amount ON auction_bids(auction_id, amount DESC);
+CREATE INDEX IF NOT EXISTS idx_auction_bids_bidder ON auction_bids(bidder_id, created_at DESC);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE auction_bids IS 'Persisted bid history for auctions, one row per accepted bid';
+COMMENT ON COLUMN auctions.highest_bidder_id IS 'Bidder currently holding current_bid';
@@ -0,0 +1,45 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - AUCTION FORMATS SCHEMA
+-- English (open ascending), sealed-bid and Dutch (descending) auctions
+-- =====================================================
+
+-- =====================================================
+-- 1. AUCTION TYPE
+-- =====================================================
+ALTER TABLE auctions
+    ADD COLUMN IF NOT EXISTS type VARCHAR(20) DEFAULT 'english'
+        CHECK (type IN ('english', 'sealed', 'dutch'));
+
+UPDATE auctions SET type = 'english' WHERE type IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_auctions_type ON auctions(type, status);
+
+-- =====================================================
+-- 2. DUTCH AUCTION PRICE SCHEDULE
+-- =====================================================
+-- Price starts at starting_bid and drops by price_drop_amount every
+-- price_drop_interval_minutes until it reaches floor_price. The first
+-- bidder to accept the current price wins immediately.
+ALTER TABLE auctions
+    ADD COLUMN IF NOT EXISTS floor_price DECIMAL(15,2) CHECK (floor_price IS NULL OR floor_price > 0),
+    ADD COLUMN IF NOT EXISTS price_drop_amount DECIMAL(15,2) CHECK (price_drop_amount IS NULL OR price_drop_amount > 0),
+    ADD COLUMN IF NOT EXISTS price_drop_interval_minutes INTEGER CHECK (price_drop_interval_minutes IS NULL OR price_drop_interval_minutes > 0);
+
+ALTER TABLE auctions DROP CONSTRAINT IF EXISTS chk_auctions_dutch_schedule;
+ALTER TABLE auctions ADD CONSTRAINT chk_auctions_dutch_schedule CHECK (
+    type <> 'dutch' OR (
+        floor_price IS NOT NULL
+        AND price_drop_amount IS NOT NULL
+        AND price_drop_interval_minutes IS NOT NULL
+        AND floor_price <= starting_bid
+    )
+);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN auctions.type IS 'english: open ascending bids; sealed: bids hidden until close; dutch: descending price, first acceptance wins';
+COMMENT ON COLUMN auctions.floor_price IS 'Dutch auctions: lowest price the schedule drops to';
+COMMENT ON COLUMN auctions.price_drop_amount IS 'Dutch auctions: amount the price drops each interval';
+COMMENT ON COLUMN auctions.price_drop_interval_minutes IS 'Dutch auctions: minutes between price drops';
@@ -0,0 +1,38 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - AUCTION LIFECYCLE SCHEMA
+-- Scheduler settlement and anti-sniping extensions
+-- =====================================================
+
+-- =====================================================
+-- 1. ANTI-SNIPING CONFIGURATION
+-- =====================================================
+-- A bid placed within extension_window_minutes of end_time pushes end_time
+-- out to extension_minutes from the bid. Set extension_window_minutes to 0 to disable.
+ALTER TABLE auctions
+    ADD COLUMN IF NOT EXISTS extension_window_minutes INTEGER DEFAULT 2 CHECK (extension_window_minutes >= 0),
+    ADD COLUMN IF NOT EXISTS extension_minutes INTEGER DEFAULT 2 CHECK (extension_minutes >= 0),
+    ADD COLUMN IF NOT EXISTS max_extensions INTEGER CHECK (max_extensions IS NULL OR max_extensions >= 0),
+    ADD COLUMN IF NOT EXISTS extension_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS original_end_time TIMESTAMP WITH TIME ZONE;
+
+-- =====================================================
+-- 2. SETTLEMENT
+-- =====================================================
+ALTER TABLE auctions
+    ADD COLUMN IF NOT EXISTS winning_bid DECIMAL(15,2),
+    ADD COLUMN IF NOT EXISTS reserve_met BOOLEAN,
+    ADD COLUMN IF NOT EXISTS order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS settled_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_auctions_upcoming_start ON auctions(start_time) WHERE status = 'upcoming';
+CREATE INDEX IF NOT EXISTS idx_auctions_winner ON auctions(winner_id);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN auctions.extension_window_minutes IS 'Bids in the last N minutes extend the auction (0 disables anti-sniping)';
+COMMENT ON COLUMN auctions.extension_minutes IS 'Minutes remaining after an extending bid';
+COMMENT ON COLUMN auctions.max_extensions IS 'Maximum number of extensions (NULL for unlimited)';
+COMMENT ON COLUMN auctions.original_end_time IS 'End time before any anti-sniping extension';
+COMMENT ON COLUMN auctions.order_id IS 'Pending order created for the winner on settlement';
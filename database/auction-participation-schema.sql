@@ -0,0 +1,57 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - AUCTION PARTICIPATION SCHEMA
+-- Earnest-money deposits and bidder eligibility rules
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. AUCTION ELIGIBILITY RULES
+-- =====================================================
+ALTER TABLE auctions
+    ADD COLUMN IF NOT EXISTS deposit_amount DECIMAL(15,2) CHECK (deposit_amount IS NULL OR deposit_amount > 0),
+    ADD COLUMN IF NOT EXISTS require_gst BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS min_account_age_days INTEGER DEFAULT 0 CHECK (min_account_age_days >= 0);
+
+-- =====================================================
+-- 2. AUCTION DEPOSITS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS auction_deposits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+    bidder_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Deposit details
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'held'
+        CHECK (status IN ('held', 'released', 'applied', 'forfeited')),
+
+    -- Payment
+    payment_method VARCHAR(50),
+    payment_transaction_id VARCHAR(255),
+
+    -- Settlement
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    settlement_reason TEXT,
+    settled_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(auction_id, bidder_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auction_deposits_auction ON auction_deposits(auction_id, status);
+CREATE INDEX IF NOT EXISTS idx_auction_deposits_bidder ON auction_deposits(bidder_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auction_deposits_order ON auction_deposits(order_id);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE auction_deposits IS 'Earnest-money deposits: held while bidding, released to losers, applied to the winner''s order or forfeited';
+COMMENT ON COLUMN auctions.deposit_amount IS 'Earnest-money deposit required before bidding (NULL for none)';
+COMMENT ON COLUMN auctions.require_gst IS 'Bidders must have a GST number on their account';
+COMMENT ON COLUMN auctions.min_account_age_days IS 'Minimum bidder account age in days';
@@ -0,0 +1,45 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - AUCTION PROXY BIDDING SCHEMA
+-- Hidden maximum bids resolved automatically in bid_increment steps
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. AUCTION MAX BIDS TABLE
+-- =====================================================
+-- One ceiling per bidder per auction. Never exposed to other bidders or the seller.
+CREATE TABLE IF NOT EXISTS auction_max_bids (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+    bidder_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Ceiling
+    max_amount DECIMAL(15,2) NOT NULL CHECK (max_amount > 0),
+    is_active BOOLEAN DEFAULT true,
+    exceeded_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(auction_id, bidder_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auction_max_bids_active ON auction_max_bids(auction_id, max_amount DESC) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_auction_max_bids_bidder ON auction_max_bids(bidder_id);
+
+-- =====================================================
+-- 2. AUCTION BIDS UPDATES
+-- =====================================================
+ALTER TABLE auction_bids
+    ADD COLUMN IF NOT EXISTS is_proxy BOOLEAN DEFAULT false;
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE auction_max_bids IS 'Hidden maximum (proxy) bids; the system bids for the user up to max_amount';
+COMMENT ON COLUMN auction_max_bids.exceeded_at IS 'When another bidder went past this ceiling';
+COMMENT ON COLUMN auction_bids.is_proxy IS 'Bid placed automatically from a maximum bid';
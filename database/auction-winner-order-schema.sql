@@ -0,0 +1,27 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - AUCTION WINNER ORDER SCHEMA
+-- Guards against creating two orders for one won auction
+-- when settlement, Dutch acceptance and the scheduler retry
+-- race, or when linking the order to the auction fails
+-- =====================================================
+
+-- =====================================================
+-- 1. ORDER CREATION CLAIM
+-- =====================================================
+ALTER TABLE auctions
+    ADD COLUMN IF NOT EXISTS order_claimed_at TIMESTAMP WITH TIME ZONE;
+
+-- =====================================================
+-- 2. ONE ORDER PER AUCTION
+-- =====================================================
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS auction_id UUID REFERENCES auctions(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_auction_id ON orders(auction_id) WHERE auction_id IS NOT NULL;
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN auctions.order_claimed_at IS 'When a settler started creating the winner order; a claim left this long is taken over by the retry';
+COMMENT ON COLUMN orders.auction_id IS 'Auction this order was created for; unique so a won auction never gets two orders';
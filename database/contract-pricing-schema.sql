@@ -0,0 +1,96 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - CONTRACT PRICING SCHEMA
+-- Supplier price lists negotiated with named buyer accounts:
+-- a fixed price or a percentage off per product or category
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. CONTRACT PRICE LISTS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS contract_price_lists (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    supplier_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    notes TEXT,
+
+    -- Validity window; valid_until NULL = open-ended
+    valid_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    valid_until TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (buyer_id <> supplier_id),
+    CONSTRAINT chk_contract_price_list_validity CHECK (valid_until IS NULL OR valid_until > valid_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contract_price_lists_supplier ON contract_price_lists(supplier_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_contract_price_lists_buyer ON contract_price_lists(buyer_id, supplier_id) WHERE is_active = true;
+
+-- =====================================================
+-- 2. CONTRACT PRICE LIST ITEMS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS contract_price_list_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    price_list_id UUID NOT NULL REFERENCES contract_price_lists(id) ON DELETE CASCADE,
+
+    -- Exactly one of product or category
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    category_id UUID REFERENCES categories(id) ON DELETE CASCADE,
+
+    -- Exactly one of fixed price or percentage off price_after
+    fixed_price DECIMAL(15,2) CHECK (fixed_price > 0),
+    discount_percent NUMERIC(5,2) CHECK (discount_percent > 0 AND discount_percent < 100),
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT chk_contract_item_target CHECK ((product_id IS NULL) <> (category_id IS NULL)),
+    CONSTRAINT chk_contract_item_price CHECK ((fixed_price IS NULL) <> (discount_percent IS NULL)),
+    -- A category spans many prices, so it can only take a percentage
+    CONSTRAINT chk_contract_item_category_percent CHECK (category_id IS NULL OR fixed_price IS NULL),
+    UNIQUE (price_list_id, product_id),
+    UNIQUE (price_list_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contract_price_list_items_list ON contract_price_list_items(price_list_id);
+CREATE INDEX IF NOT EXISTS idx_contract_price_list_items_product ON contract_price_list_items(product_id);
+
+-- =====================================================
+-- 3. ORDER ITEMS TABLE UPDATES
+-- =====================================================
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS contract_price_list_id UUID REFERENCES contract_price_lists(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION update_contract_price_lists_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS contract_price_lists_updated_at_trigger ON contract_price_lists;
+CREATE TRIGGER contract_price_lists_updated_at_trigger
+    BEFORE UPDATE ON contract_price_lists
+    FOR EACH ROW
+    EXECUTE FUNCTION update_contract_price_lists_updated_at();
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE contract_price_lists IS 'Rates a supplier negotiated with one buyer account; applied to that buyer''s listings, product pages and cart';
+COMMENT ON TABLE contract_price_list_items IS 'Per-product or per-category contract rates; a product rate wins over its category rate';
+COMMENT ON COLUMN contract_price_list_items.fixed_price IS 'Net unit price for the buyer, replacing price_after and the listing discount';
+COMMENT ON COLUMN contract_price_list_items.discount_percent IS 'Percentage off price_after for the buyer';
+COMMENT ON COLUMN order_items.contract_price_list_id IS 'Contract price list this line was priced from, if any';
@@ -0,0 +1,94 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - COUPON ENGINE SCHEMA
+-- Supplier-funded coupons, buy-X-get-Y, tiered spend,
+-- free shipping, first-order and segment targeting,
+-- stacking, and per-coupon redemption details
+-- =====================================================
+
+-- =====================================================
+-- 1. COUPONS TABLE UPDATES
+-- =====================================================
+ALTER TABLE coupons DROP CONSTRAINT IF EXISTS coupons_discount_type_check;
+ALTER TABLE coupons DROP CONSTRAINT IF EXISTS chk_coupon_discount_type;
+ALTER TABLE coupons
+    ADD CONSTRAINT chk_coupon_discount_type CHECK (discount_type IN (
+        'percentage', 'flat', 'buy_x_get_y', 'tiered', 'free_shipping'
+    ));
+
+-- Tiered and free-shipping coupons have no single discount value
+ALTER TABLE coupons ALTER COLUMN discount_value SET DEFAULT 0;
+
+ALTER TABLE coupons
+    -- Who pays for the discount; supplier coupons only apply to that supplier's items
+    ADD COLUMN IF NOT EXISTS funded_by VARCHAR(20) NOT NULL DEFAULT 'platform'
+        CHECK (funded_by IN ('platform', 'supplier')),
+    ADD COLUMN IF NOT EXISTS supplier_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+    -- buy_x_get_y: for every buy_quantity + get_quantity units of a product,
+    -- get_quantity units are discounted by discount_value percent
+    ADD COLUMN IF NOT EXISTS buy_quantity INTEGER CHECK (buy_quantity > 0),
+    ADD COLUMN IF NOT EXISTS get_quantity INTEGER CHECK (get_quantity > 0),
+
+    -- tiered: [{"minSpend": 50000, "discountType": "percentage", "discountValue": 5, "maxDiscount": 5000}]
+    ADD COLUMN IF NOT EXISTS spend_tiers JSONB DEFAULT '[]',
+
+    -- Stacking and targeting
+    ADD COLUMN IF NOT EXISTS is_stackable BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS first_order_only BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS requires_verified_gst BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE coupons DROP CONSTRAINT IF EXISTS chk_coupon_funding;
+ALTER TABLE coupons
+    ADD CONSTRAINT chk_coupon_funding CHECK ((funded_by = 'supplier') = (supplier_id IS NOT NULL));
+
+CREATE INDEX IF NOT EXISTS idx_coupons_supplier ON coupons(supplier_id) WHERE supplier_id IS NOT NULL;
+
+-- =====================================================
+-- 2. CARTS - SEVERAL COUPONS PER CART
+-- coupon_code keeps the first code for older readers
+-- =====================================================
+ALTER TABLE carts
+    ADD COLUMN IF NOT EXISTS coupon_codes JSONB DEFAULT '[]';
+
+ALTER TABLE cart_sessions
+    ADD COLUMN IF NOT EXISTS coupon_codes JSONB DEFAULT '[]';
+
+UPDATE carts SET coupon_codes = jsonb_build_array(coupon_code)
+WHERE coupon_code IS NOT NULL AND coupon_codes = '[]'::jsonb;
+
+UPDATE cart_sessions SET coupon_codes = jsonb_build_array(coupon_code)
+WHERE coupon_code IS NOT NULL AND coupon_codes = '[]'::jsonb;
+
+-- =====================================================
+-- 3. ORDERS AND SUB-ORDERS
+-- =====================================================
+ALTER TABLE orders
+    -- [{"couponId", "code", "discountType", "fundedBy", "supplierId", "discountAmount", "shippingDiscount"}]
+    ADD COLUMN IF NOT EXISTS applied_coupons JSONB DEFAULT '[]';
+
+ALTER TABLE sub_orders
+    ADD COLUMN IF NOT EXISTS platform_funded_discount DECIMAL(15,2) DEFAULT 0;
+
+-- =====================================================
+-- 4. COUPON USAGE UPDATES
+-- =====================================================
+ALTER TABLE coupon_usage
+    ADD COLUMN IF NOT EXISTS shipping_discount DECIMAL(15,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS funded_by VARCHAR(20) DEFAULT 'platform',
+    ADD COLUMN IF NOT EXISTS supplier_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_coupon_usage_used_at ON coupon_usage(coupon_id, used_at DESC);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN coupons.funded_by IS 'platform = Zeerostock bears the discount; supplier = deducted from that supplier''s payout';
+COMMENT ON COLUMN coupons.spend_tiers IS 'Spend thresholds for tiered coupons; the highest tier the eligible value reaches applies';
+COMMENT ON COLUMN coupons.is_stackable IS 'Stackable coupons combine with other stackable coupons; others must be used alone';
+COMMENT ON COLUMN coupons.first_order_only IS 'Only for buyers with no earlier orders that weren''t cancelled';
+COMMENT ON COLUMN coupons.requires_verified_gst IS 'Only for buyers who have added a GST number (the same rule as auction GST requirements)';
+COMMENT ON COLUMN carts.coupon_codes IS 'Coupons applied to the cart, in the order they were applied';
+COMMENT ON COLUMN orders.applied_coupons IS 'Every coupon applied at checkout with the discount it gave';
+COMMENT ON COLUMN sub_orders.platform_funded_discount IS 'Platform-funded coupon and shipping discounts on this sub-order, added back to the supplier payout';
+COMMENT ON COLUMN coupon_usage.discount_applied IS 'Total discount from this coupon on the order, including shipping_discount';
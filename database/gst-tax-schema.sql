@@ -0,0 +1,44 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - GST TAX SCHEMA
+-- HSN/SAC codes and GST rates per product and category,
+-- per-line CGST/SGST/IGST on order items
+-- =====================================================
+
+-- =====================================================
+-- 1. CATEGORIES TABLE UPDATES
+-- Category rates apply to products without their own
+-- =====================================================
+ALTER TABLE categories
+    ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(8),
+    ADD COLUMN IF NOT EXISTS gst_percent NUMERIC(5,2) CHECK (gst_percent >= 0 AND gst_percent <= 28);
+
+-- =====================================================
+-- 2. PRODUCTS TABLE UPDATES
+-- =====================================================
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(8),
+    ADD COLUMN IF NOT EXISTS gst_percent NUMERIC(5,2) CHECK (gst_percent >= 0 AND gst_percent <= 28);
+
+-- =====================================================
+-- 3. ORDER ITEMS TABLE UPDATES
+-- =====================================================
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(8),
+    ADD COLUMN IF NOT EXISTS taxable_value DECIMAL(15,2),
+    ADD COLUMN IF NOT EXISTS cgst_amount DECIMAL(15,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS sgst_amount DECIMAL(15,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS igst_amount DECIMAL(15,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS supplier_state VARCHAR(100);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN categories.hsn_code IS 'Default HSN (goods) or SAC (services) code for products in this category';
+COMMENT ON COLUMN categories.gst_percent IS 'Default GST rate for products in this category; 18% when unset';
+COMMENT ON COLUMN products.hsn_code IS 'HSN/SAC code printed on tax invoices; falls back to the category code';
+COMMENT ON COLUMN products.gst_percent IS 'GST rate for this product; falls back to the category rate';
+COMMENT ON COLUMN order_items.taxable_value IS 'Line value after item and coupon discounts that GST was charged on';
+COMMENT ON COLUMN order_items.cgst_amount IS 'Central GST, charged with SGST when supplier and shipping state match';
+COMMENT ON COLUMN order_items.igst_amount IS 'Integrated GST, charged alone on inter-state supplies';
+COMMENT ON COLUMN order_items.supplier_state IS 'State the goods ship from, used to decide intra- or inter-state supply';
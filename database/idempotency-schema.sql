@@ -0,0 +1,47 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - IDEMPOTENCY KEYS SCHEMA
+-- Responses to order, checkout, quote acceptance and payment
+-- requests, stored per Idempotency-Key so a retried request
+-- is answered from here on any instance
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. IDEMPOTENCY KEYS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+
+    -- What the key was first used for
+    request_method VARCHAR(10) NOT NULL,
+    request_path TEXT NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+
+    -- processing = first request still running; completed = response stored
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+
+    -- Timestamps
+    locked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW() + INTERVAL '24 hours',
+
+    UNIQUE (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE idempotency_keys IS 'One row per Idempotency-Key a user sent; later requests with the key replay response_body';
+COMMENT ON COLUMN idempotency_keys.request_hash IS 'SHA-256 of method, path and body; a different hash under the same key is rejected';
+COMMENT ON COLUMN idempotency_keys.locked_at IS 'When the running request claimed the key; a processing row left 15 minutes is taken over by a retry';
@@ -0,0 +1,26 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - VOLUME PRICING SCHEMA
+-- Quantity price breaks on listings
+-- =====================================================
+
+-- =====================================================
+-- 1. PRODUCTS TABLE UPDATES
+-- =====================================================
+ALTER TABLE products
+    -- [{"minQuantity": 1, "maxQuantity": 99, "unitPrice": 500},
+    --  {"minQuantity": 100, "maxQuantity": 499, "unitPrice": 450},
+    --  {"minQuantity": 500, "maxQuantity": null, "unitPrice": 400}]
+    ADD COLUMN IF NOT EXISTS price_tiers JSONB DEFAULT '[]';
+
+-- =====================================================
+-- 2. ORDER ITEMS TABLE UPDATES
+-- =====================================================
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS price_tier JSONB;
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN products.price_tiers IS 'Quantity price breaks, sorted and non-overlapping; quantities outside every tier pay price_after';
+COMMENT ON COLUMN order_items.price_tier IS 'Price break applied to this line at checkout, if any';
@@ -0,0 +1,18 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - QUOTE COMPARISON SCHEMA
+-- Tax and freight terms on quotes for landed-cost comparison
+-- =====================================================
+
+-- =====================================================
+-- 1. QUOTES TABLE UPDATES
+-- =====================================================
+ALTER TABLE quotes
+    ADD COLUMN IF NOT EXISTS gst_percent NUMERIC(5,2) DEFAULT 18.00 CHECK (gst_percent >= 0 AND gst_percent <= 28),
+    ADD COLUMN IF NOT EXISTS shipping_charges NUMERIC(15,2) CHECK (shipping_charges >= 0);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN quotes.gst_percent IS 'GST rate the supplier will charge on the quoted goods';
+COMMENT ON COLUMN quotes.shipping_charges IS 'Freight quoted by the supplier; NULL means not quoted and is estimated for comparison';
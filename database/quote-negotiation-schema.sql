@@ -0,0 +1,73 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - QUOTE NEGOTIATION SCHEMA
+-- Versioned counter-offer rounds between buyer and supplier
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. QUOTE REVISIONS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS quote_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL CHECK (revision_number > 0),
+
+    -- Who proposed these terms
+    proposed_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    proposer_role VARCHAR(20) NOT NULL CHECK (proposer_role IN ('buyer', 'supplier')),
+
+    -- Proposed terms
+    quote_price NUMERIC(15,2) NOT NULL CHECK (quote_price >= 0),
+    quantity NUMERIC(15,2) NOT NULL CHECK (quantity > 0),
+    delivery_days INTEGER CHECK (delivery_days > 0),
+    payment_terms TEXT,
+    shipping_terms TEXT,
+    notes TEXT,
+    valid_until DATE NOT NULL,
+
+    -- Outcome
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'agreed', 'declined', 'superseded')),
+    responded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    response_notes TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (quote_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_revisions_quote ON quote_revisions(quote_id, revision_number DESC);
+CREATE INDEX IF NOT EXISTS idx_quote_revisions_open ON quote_revisions(quote_id) WHERE status = 'open';
+
+-- =====================================================
+-- 2. QUOTES TABLE UPDATES
+-- =====================================================
+ALTER TABLE quotes
+    ADD COLUMN IF NOT EXISTS negotiation_status VARCHAR(20) DEFAULT 'none'
+        CHECK (negotiation_status IN ('none', 'open', 'agreed', 'declined')),
+    ADD COLUMN IF NOT EXISTS revision_count INTEGER DEFAULT 0;
+
+-- =====================================================
+-- 3. NOTIFICATION TYPES
+-- =====================================================
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS chk_notification_type;
+ALTER TABLE notifications ADD CONSTRAINT chk_notification_type CHECK (type IN (
+    'order_confirmed', 'order_shipped', 'order_delivered', 'order_cancelled',
+    'payment_success', 'payment_failed', 'payment_refund',
+    'auction_won', 'auction_lost', 'auction_outbid', 'auction_ending',
+    'price_drop', 'back_in_stock', 'watchlist_update',
+    'review_response', 'message_received',
+    'rfq_invitation', 'quote_accepted', 'quote_counter_offer',
+    'system', 'promotion', 'account'
+));
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE quote_revisions IS 'Every counter-offer round on a quote; revision 1 is the supplier''s original terms';
+COMMENT ON COLUMN quote_revisions.status IS 'open = awaiting the other party, superseded = countered, agreed/declined = answered';
+COMMENT ON COLUMN quotes.negotiation_status IS 'none until the first counter-offer; a quote with revisions is only acceptable once the latest is agreed';
+COMMENT ON COLUMN quotes.revision_count IS 'Number of revisions recorded in quote_revisions';
@@ -0,0 +1,40 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - RFQ EXPIRY SCHEMA
+-- Expiring RFQs and quotes on time, with closing reminders
+-- =====================================================
+
+-- =====================================================
+-- 1. REMINDER TRACKING ON RFQS
+-- =====================================================
+ALTER TABLE rfqs
+    ADD COLUMN IF NOT EXISTS expiry_reminder_sent_at TIMESTAMP;
+
+-- Expiry job: active RFQs by deadline
+CREATE INDEX IF NOT EXISTS idx_rfqs_active_expiry ON rfqs(expires_at)
+    WHERE status = 'active';
+
+-- Expiry job: pending quotes by validity
+CREATE INDEX IF NOT EXISTS idx_quotes_pending_validity ON quotes(valid_until)
+    WHERE status = 'pending';
+
+-- =====================================================
+-- 2. NOTIFICATION TYPES
+-- =====================================================
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS chk_notification_type;
+ALTER TABLE notifications ADD CONSTRAINT chk_notification_type CHECK (type IN (
+    'order_confirmed', 'order_shipped', 'order_delivered', 'order_cancelled',
+    'payment_success', 'payment_failed', 'payment_refund',
+    'auction_won', 'auction_lost', 'auction_outbid', 'auction_ending',
+    'price_drop', 'back_in_stock', 'watchlist_update',
+    'review_response', 'message_received',
+    'rfq_invitation', 'quote_accepted', 'quote_counter_offer',
+    'rfq_auction_undercut', 'rfq_auction_closed',
+    'rfq_closing_soon', 'rfq_expired', 'quote_expired',
+    'system', 'promotion', 'account'
+));
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN rfqs.expiry_reminder_sent_at IS 'When the closing reminder went to the buyer and invited suppliers who had not quoted';
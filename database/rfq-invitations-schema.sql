@@ -0,0 +1,64 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - RFQ INVITATIONS SCHEMA
+-- Supplier matching and auto-invitation for new RFQs
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. RFQ INVITATIONS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rfq_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rfq_id UUID NOT NULL REFERENCES rfqs(id) ON DELETE CASCADE,
+    supplier_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Matching details
+    match_score DECIMAL(6,2) NOT NULL DEFAULT 0,
+    match_reasons JSONB DEFAULT '[]'::jsonb,
+
+    -- Delivery tracking
+    notified_at TIMESTAMP WITH TIME ZONE,
+    email_sent BOOLEAN DEFAULT false,
+    email_sent_at TIMESTAMP WITH TIME ZONE,
+    viewed_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (rfq_id, supplier_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rfq_invitations_rfq ON rfq_invitations(rfq_id, match_score DESC);
+CREATE INDEX IF NOT EXISTS idx_rfq_invitations_supplier ON rfq_invitations(supplier_id, created_at DESC);
+
+-- =====================================================
+-- 2. RFQS TABLE UPDATES
+-- =====================================================
+ALTER TABLE rfqs
+    ADD COLUMN IF NOT EXISTS invited_count INTEGER DEFAULT 0;
+
+-- =====================================================
+-- 3. NOTIFICATION TYPES
+-- =====================================================
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS chk_notification_type;
+ALTER TABLE notifications ADD CONSTRAINT chk_notification_type CHECK (type IN (
+    'order_confirmed', 'order_shipped', 'order_delivered', 'order_cancelled',
+    'payment_success', 'payment_failed', 'payment_refund',
+    'auction_won', 'auction_lost', 'auction_outbid', 'auction_ending',
+    'price_drop', 'back_in_stock', 'watchlist_update',
+    'review_response', 'message_received',
+    'rfq_invitation',
+    'system', 'promotion', 'account'
+));
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE rfq_invitations IS 'Suppliers matched and invited to quote on an RFQ, one row per supplier';
+COMMENT ON COLUMN rfq_invitations.match_score IS 'Ranking score from category, industry, location and listing history';
+COMMENT ON COLUMN rfq_invitations.match_reasons IS 'Human-readable reasons the supplier was matched';
+COMMENT ON COLUMN rfq_invitations.viewed_at IS 'First time the invited supplier opened the RFQ';
+COMMENT ON COLUMN rfqs.invited_count IS 'Number of suppliers auto-invited to quote';
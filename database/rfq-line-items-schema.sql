@@ -0,0 +1,73 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - RFQ LINE ITEMS SCHEMA
+-- Multi-line RFQs, per-line quoting and partial awards
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. RFQ LINE ITEMS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rfq_line_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rfq_id UUID NOT NULL REFERENCES rfqs(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL CHECK (line_number > 0),
+
+    -- Requested item
+    item_name VARCHAR(255) NOT NULL,
+    specification TEXT,
+    quantity NUMERIC(15,2) NOT NULL CHECK (quantity > 0),
+    unit VARCHAR(50) NOT NULL,
+    target_price NUMERIC(15,2) CHECK (target_price >= 0),
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (rfq_id, line_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rfq_line_items_rfq ON rfq_line_items(rfq_id, line_number);
+
+-- =====================================================
+-- 2. QUOTE LINE ITEMS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS quote_line_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    rfq_line_item_id UUID NOT NULL REFERENCES rfq_line_items(id) ON DELETE CASCADE,
+
+    -- Offer for this line
+    unit_price NUMERIC(15,2) NOT NULL CHECK (unit_price >= 0),
+    quantity NUMERIC(15,2) NOT NULL CHECK (quantity > 0),
+    delivery_days INTEGER CHECK (delivery_days > 0),
+    notes TEXT,
+
+    -- Award
+    award_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (award_status IN ('pending', 'awarded', 'not_awarded')),
+    awarded_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (quote_id, rfq_line_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_line_items_quote ON quote_line_items(quote_id);
+CREATE INDEX IF NOT EXISTS idx_quote_line_items_rfq_line ON quote_line_items(rfq_line_item_id, award_status);
+
+-- =====================================================
+-- 3. RFQS AND QUOTES TABLE UPDATES
+-- =====================================================
+ALTER TABLE rfqs
+    ADD COLUMN IF NOT EXISTS line_item_count INTEGER DEFAULT 0;
+
+ALTER TABLE quotes
+    ADD COLUMN IF NOT EXISTS awarded_amount NUMERIC(15,2) CHECK (awarded_amount >= 0);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE rfq_line_items IS 'Individual items requested on a multi-line RFQ';
+COMMENT ON TABLE quote_line_items IS 'Supplier pricing per RFQ line; suppliers may quote a subset of lines';
+COMMENT ON COLUMN rfqs.line_item_count IS 'Number of line items; 0 for single-item RFQs using quantity/unit';
+COMMENT ON COLUMN quotes.awarded_amount IS 'Value of the lines awarded when a line-item quote is accepted (partial awards)';
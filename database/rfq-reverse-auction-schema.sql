@@ -0,0 +1,91 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - RFQ REVERSE AUCTION SCHEMA
+-- Timed reverse auctions where suppliers undercut the lowest quote
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. REVERSE AUCTION SETTINGS ON RFQS
+-- =====================================================
+ALTER TABLE rfqs
+    ADD COLUMN IF NOT EXISTS award_mode VARCHAR(20) DEFAULT 'quote',
+    ADD COLUMN IF NOT EXISTS auction_start_price NUMERIC(15,2) CHECK (auction_start_price > 0),
+    ADD COLUMN IF NOT EXISTS min_decrement_type VARCHAR(10) DEFAULT 'amount',
+    ADD COLUMN IF NOT EXISTS min_decrement_value NUMERIC(15,2) DEFAULT 0 CHECK (min_decrement_value >= 0),
+    ADD COLUMN IF NOT EXISTS extension_window_minutes INTEGER DEFAULT 0 CHECK (extension_window_minutes >= 0),
+    ADD COLUMN IF NOT EXISTS extension_minutes INTEGER DEFAULT 0 CHECK (extension_minutes >= 0),
+    ADD COLUMN IF NOT EXISTS max_extensions INTEGER CHECK (max_extensions >= 0),
+    ADD COLUMN IF NOT EXISTS extension_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS original_expires_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS auction_bid_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS auction_closed_at TIMESTAMP;
+
+ALTER TABLE rfqs DROP CONSTRAINT IF EXISTS chk_rfq_award_mode;
+ALTER TABLE rfqs ADD CONSTRAINT chk_rfq_award_mode
+    CHECK (award_mode IN ('quote', 'reverse_auction'));
+
+ALTER TABLE rfqs DROP CONSTRAINT IF EXISTS chk_rfq_min_decrement_type;
+ALTER TABLE rfqs ADD CONSTRAINT chk_rfq_min_decrement_type
+    CHECK (min_decrement_type IN ('amount', 'percent'));
+
+-- Lifecycle job: live reverse auctions past their deadline
+CREATE INDEX IF NOT EXISTS idx_rfqs_reverse_auction_due ON rfqs(expires_at)
+    WHERE award_mode = 'reverse_auction' AND auction_closed_at IS NULL;
+
+-- =====================================================
+-- 2. BID TRACKING ON QUOTES
+-- =====================================================
+-- In a reverse auction a supplier's quote is their standing bid;
+-- quote_price always holds their latest (lowest) bid.
+ALTER TABLE quotes
+    ADD COLUMN IF NOT EXISTS bid_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_bid_at TIMESTAMP;
+
+-- =====================================================
+-- 3. RFQ AUCTION BIDS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rfq_auction_bids (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rfq_id UUID NOT NULL REFERENCES rfqs(id) ON DELETE CASCADE,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    supplier_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    amount NUMERIC(15,2) NOT NULL CHECK (amount > 0),
+    previous_amount NUMERIC(15,2),
+    rank_after INTEGER NOT NULL,
+    extended BOOLEAN DEFAULT false,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rfq_auction_bids_rfq ON rfq_auction_bids(rfq_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rfq_auction_bids_quote ON rfq_auction_bids(quote_id, created_at);
+
+-- =====================================================
+-- 4. NOTIFICATION TYPES
+-- =====================================================
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS chk_notification_type;
+ALTER TABLE notifications ADD CONSTRAINT chk_notification_type CHECK (type IN (
+    'order_confirmed', 'order_shipped', 'order_delivered', 'order_cancelled',
+    'payment_success', 'payment_failed', 'payment_refund',
+    'auction_won', 'auction_lost', 'auction_outbid', 'auction_ending',
+    'price_drop', 'back_in_stock', 'watchlist_update',
+    'review_response', 'message_received',
+    'rfq_invitation', 'quote_accepted', 'quote_counter_offer',
+    'rfq_auction_undercut', 'rfq_auction_closed',
+    'system', 'promotion', 'account'
+));
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE rfq_auction_bids IS 'Every price a supplier bid in an RFQ reverse auction, lowest bid wins';
+COMMENT ON COLUMN rfqs.award_mode IS 'quote = buyer compares quotes; reverse_auction = timed auction that closes at expires_at';
+COMMENT ON COLUMN rfqs.auction_start_price IS 'Opening ceiling: no bid may be above this unit price';
+COMMENT ON COLUMN rfqs.min_decrement_value IS 'Minimum step (amount or percent) a bid must undercut the supplier''s own bid and the lowest bid by';
+COMMENT ON COLUMN rfqs.extension_window_minutes IS 'Bids placed this close to the deadline push it out by extension_minutes';
+COMMENT ON COLUMN rfqs.original_expires_at IS 'Deadline before the first auto-extension';
+COMMENT ON COLUMN rfqs.auction_closed_at IS 'When bidding closed; quotes stay pending for the buyer to award';
@@ -0,0 +1,64 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - RFQ SPLIT AWARDS SCHEMA
+-- Award an RFQ's quantity across several suppliers
+-- =====================================================
+
+-- =====================================================
+-- 1. ALLOCATED QUANTITY ON QUOTES AND QUOTE LINES
+-- =====================================================
+ALTER TABLE quotes
+    ADD COLUMN IF NOT EXISTS allocated_quantity NUMERIC(15,2) CHECK (allocated_quantity > 0);
+
+ALTER TABLE quote_line_items
+    ADD COLUMN IF NOT EXISTS allocated_quantity NUMERIC(15,2) CHECK (allocated_quantity > 0);
+
+-- Quote lines may now be partially allocated, and one RFQ line may be
+-- awarded to several quotes, so quoted quantity bounds the allocation.
+ALTER TABLE quote_line_items
+    DROP CONSTRAINT IF EXISTS chk_quote_line_allocation;
+
+ALTER TABLE quote_line_items
+    ADD CONSTRAINT chk_quote_line_allocation
+    CHECK (allocated_quantity IS NULL OR allocated_quantity <= quantity);
+
+-- Backfill awards made before split awards existed
+UPDATE quote_line_items
+SET allocated_quantity = quantity
+WHERE award_status = 'awarded' AND allocated_quantity IS NULL;
+
+UPDATE quotes
+SET allocated_quantity = quantity
+WHERE status IN ('accepted', 'converted') AND allocated_quantity IS NULL;
+
+-- =====================================================
+-- 2. RFQ COVERAGE
+-- =====================================================
+ALTER TABLE rfqs
+    ADD COLUMN IF NOT EXISTS allocated_quantity NUMERIC(15,2) DEFAULT 0 CHECK (allocated_quantity >= 0);
+
+UPDATE rfqs r
+SET allocated_quantity = COALESCE((
+    SELECT SUM(q.allocated_quantity)
+    FROM quotes q
+    WHERE q.rfq_id = r.id AND q.status IN ('accepted', 'converted')
+), 0)
+WHERE r.line_item_count = 0;
+
+UPDATE rfqs r
+SET allocated_quantity = COALESCE((
+    SELECT SUM(qli.allocated_quantity)
+    FROM quote_line_items qli
+    JOIN rfq_line_items rli ON rli.id = qli.rfq_line_item_id
+    WHERE rli.rfq_id = r.id AND qli.award_status = 'awarded'
+), 0)
+WHERE r.line_item_count > 0;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_rfq_allocation ON quotes(rfq_id, status) WHERE allocated_quantity IS NOT NULL;
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN quotes.allocated_quantity IS 'Quantity awarded to this quote; may be less than the quoted quantity on a split award';
+COMMENT ON COLUMN quote_line_items.allocated_quantity IS 'Quantity of the RFQ line awarded to this quote line';
+COMMENT ON COLUMN rfqs.allocated_quantity IS 'Total quantity awarded across suppliers; the RFQ is fulfilled once every line (or the whole quantity) is covered';
@@ -0,0 +1,71 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - RFQ TEMPLATES SCHEMA
+-- Reusable RFQ templates and recurring (monthly/quarterly) RFQs
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. RFQ TEMPLATES TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rfq_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_rfq_id UUID REFERENCES rfqs(id) ON DELETE SET NULL,
+
+    name VARCHAR(100) NOT NULL,
+
+    -- RFQ fields in the shape POST /api/rfq accepts (line items, attachments, invitees included)
+    rfq_data JSONB NOT NULL,
+    -- requiredByDate on each new RFQ = publish date + this many days
+    required_by_offset_days INTEGER CHECK (required_by_offset_days > 0),
+
+    -- Recurrence (NULL frequency = template only)
+    recurrence_frequency VARCHAR(20),
+    recurrence_day SMALLINT CHECK (recurrence_day BETWEEN 1 AND 31),
+    next_run_at TIMESTAMP,
+    recurrence_ends_at TIMESTAMP,
+    last_run_at TIMESTAMP,
+    last_run_error TEXT,
+    last_rfq_id UUID REFERENCES rfqs(id) ON DELETE SET NULL,
+    run_count INTEGER DEFAULT 0,
+    use_count INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_rfq_template_frequency
+        CHECK (recurrence_frequency IS NULL OR recurrence_frequency IN ('monthly', 'quarterly'))
+);
+
+-- Tables created before recurrence_day
+ALTER TABLE rfq_templates
+    ADD COLUMN IF NOT EXISTS recurrence_day SMALLINT CHECK (recurrence_day BETWEEN 1 AND 31);
+
+CREATE INDEX IF NOT EXISTS idx_rfq_templates_buyer ON rfq_templates(buyer_id, created_at DESC);
+
+-- Recurrence job: active schedules by next run
+CREATE INDEX IF NOT EXISTS idx_rfq_templates_due ON rfq_templates(next_run_at)
+    WHERE is_active = true AND recurrence_frequency IS NOT NULL;
+
+-- =====================================================
+-- 2. RFQS TABLE UPDATES
+-- =====================================================
+ALTER TABLE rfqs
+    ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES rfq_templates(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_rfqs_template ON rfqs(template_id) WHERE template_id IS NOT NULL;
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE rfq_templates IS 'Saved RFQs a buyer can re-raise on demand or on a monthly/quarterly schedule';
+COMMENT ON COLUMN rfq_templates.rfq_data IS 'RFQ fields copied from the source RFQ, including line items, attachments and named invitees';
+COMMENT ON COLUMN rfq_templates.recurrence_day IS 'Day of the month runs fall on; the last day in shorter months'
+COMMENT ON COLUMN rfq_templates.next_run_at IS 'When the recurrence job next publishes an RFQ from this template';
+COMMENT ON COLUMN rfq_templates.last_run_error IS 'Why the last scheduled publish failed, if it did';
+COMMENT ON COLUMN rfqs.template_id IS 'Template this RFQ was created from, if any';
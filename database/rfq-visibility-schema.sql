@@ -0,0 +1,54 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - RFQ VISIBILITY SCHEMA
+-- Public, invite-only and approved-vendor-only RFQs
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. VISIBILITY ON RFQS
+-- =====================================================
+ALTER TABLE rfqs
+    ADD COLUMN IF NOT EXISTS visibility VARCHAR(20) NOT NULL DEFAULT 'public';
+
+ALTER TABLE rfqs DROP CONSTRAINT IF EXISTS chk_rfq_visibility;
+ALTER TABLE rfqs ADD CONSTRAINT chk_rfq_visibility
+    CHECK (visibility IN ('public', 'invite_only', 'approved_vendors'));
+
+CREATE INDEX IF NOT EXISTS idx_rfqs_visibility ON rfqs(visibility, status);
+
+-- =====================================================
+-- 2. INVITATION SOURCE
+-- =====================================================
+ALTER TABLE rfq_invitations
+    ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'matched';
+
+ALTER TABLE rfq_invitations DROP CONSTRAINT IF EXISTS chk_rfq_invitation_source;
+ALTER TABLE rfq_invitations ADD CONSTRAINT chk_rfq_invitation_source
+    CHECK (source IN ('matched', 'buyer', 'approved_vendor'));
+
+-- =====================================================
+-- 3. BUYER APPROVED VENDORS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS buyer_approved_vendors (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    supplier_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    notes TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (buyer_id, supplier_id),
+    CHECK (buyer_id <> supplier_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_buyer_approved_vendors_supplier ON buyer_approved_vendors(supplier_id);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE buyer_approved_vendors IS 'Suppliers a buyer has approved; approved_vendors RFQs are visible only to them';
+COMMENT ON COLUMN rfqs.visibility IS 'public = any supplier; invite_only = invited suppliers only; approved_vendors = the buyer''s approved vendor list';
+COMMENT ON COLUMN rfq_invitations.source IS 'matched = auto-matched; buyer = named by the buyer; approved_vendor = from the buyer''s approved vendor list';
@@ -0,0 +1,43 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - WEIGHT-BASED SHIPPING SCHEMA
+-- Package dimensions on listings, per-kg slabs, volumetric
+-- weight and cross-zone surcharges on shipping zones
+-- =====================================================
+
+-- =====================================================
+-- 1. PRODUCTS TABLE UPDATES
+-- Packed size of one unit; weight comes from weight_per_unit/weight_unit
+-- =====================================================
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS package_length_cm NUMERIC(10,2) CHECK (package_length_cm > 0),
+    ADD COLUMN IF NOT EXISTS package_width_cm NUMERIC(10,2) CHECK (package_width_cm > 0),
+    ADD COLUMN IF NOT EXISTS package_height_cm NUMERIC(10,2) CHECK (package_height_cm > 0);
+
+-- =====================================================
+-- 2. SHIPPING ZONES TABLE UPDATES
+-- =====================================================
+ALTER TABLE shipping_zones
+    -- [{"upToKg": 100, "perKgCharge": 10}, {"upToKg": null, "perKgCharge": 6}]
+    ADD COLUMN IF NOT EXISTS weight_slabs JSONB DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS volumetric_divisor INTEGER DEFAULT 5000 CHECK (volumetric_divisor > 0),
+    ADD COLUMN IF NOT EXISTS cross_zone_surcharge_percent NUMERIC(5,2) DEFAULT 0
+        CHECK (cross_zone_surcharge_percent >= 0);
+
+-- Heavier freight gets cheaper per kg
+UPDATE shipping_zones
+SET weight_slabs = jsonb_build_array(
+        jsonb_build_object('upToKg', 100, 'perKgCharge', per_kg_charge),
+        jsonb_build_object('upToKg', 1000, 'perKgCharge', ROUND(per_kg_charge * 0.8, 2)),
+        jsonb_build_object('upToKg', NULL, 'perKgCharge', ROUND(per_kg_charge * 0.6, 2))
+    ),
+    cross_zone_surcharge_percent = 15
+WHERE weight_slabs = '[]'::jsonb AND per_kg_charge > 0;
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON COLUMN products.package_length_cm IS 'Packed length of one unit, for volumetric weight';
+COMMENT ON COLUMN shipping_zones.weight_slabs IS 'Per-kg rates by weight band, applied progressively; upToKg null = no upper limit. Empty = flat per_kg_charge';
+COMMENT ON COLUMN shipping_zones.volumetric_divisor IS 'cm3 per kg: volumetric weight = L x W x H / divisor; the greater of actual and volumetric weight is charged';
+COMMENT ON COLUMN shipping_zones.cross_zone_surcharge_percent IS 'Added when a supplier ships into this zone from a different zone';
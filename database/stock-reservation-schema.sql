@@ -0,0 +1,47 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - STOCK RESERVATION SCHEMA
+-- Checkout sessions hold their quantities until the order
+-- is placed, the session is cancelled or the TTL runs out
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. STOCK RESERVATIONS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    checkout_session_id UUID NOT NULL REFERENCES checkout_sessions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+
+    -- active = holding stock; consumed = turned into an order;
+    -- released = checkout cancelled or replaced; expired = TTL ran out
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'consumed', 'released', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    closed_at TIMESTAMP WITH TIME ZONE,
+
+    UNIQUE (checkout_session_id, product_id)
+);
+
+-- Reserved stock per product is summed over active rows on every checkout
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_product_active
+    ON stock_reservations(product_id, expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_user_active
+    ON stock_reservations(user_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_session ON stock_reservations(checkout_session_id);
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE stock_reservations IS 'Quantities held by checkout sessions; available stock = products.quantity - active, unexpired reservations';
+COMMENT ON COLUMN stock_reservations.expires_at IS 'Same as the checkout session''s expires_at; an active row past this no longer holds stock';
+COMMENT ON COLUMN stock_reservations.order_id IS 'Order the reservation was consumed by';
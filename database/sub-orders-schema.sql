@@ -0,0 +1,108 @@
+-- =====================================================
+-- ZEEROSTOCK B2B MARKETPLACE - SUB-ORDERS SCHEMA
+-- One sub-order per supplier under each checkout order, with
+-- its own status, shipping, tracking, invoice and payout
+-- =====================================================
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- 1. SUB-ORDERS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS sub_orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- Parent order number plus a suffix: ORD-YYYY-NNNNNN-1
+    sub_order_number VARCHAR(60) NOT NULL UNIQUE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    supplier_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    supplier_name VARCHAR(255),
+
+    status VARCHAR(50) NOT NULL DEFAULT 'pending',
+
+    -- This supplier's share of the parent order's pricing
+    items_subtotal DECIMAL(15,2) NOT NULL,
+    coupon_discount DECIMAL(15,2) DEFAULT 0,
+    gst_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    cgst_amount DECIMAL(15,2) DEFAULT 0,
+    sgst_amount DECIMAL(15,2) DEFAULT 0,
+    igst_amount DECIMAL(15,2) DEFAULT 0,
+    shipping_charges DECIMAL(15,2) DEFAULT 0,
+    total_amount DECIMAL(15,2) NOT NULL,
+
+    -- Shipping
+    delivery_eta TIMESTAMP WITH TIME ZONE,
+    shipping_partner VARCHAR(100),
+    tracking_number VARCHAR(100),
+    shipped_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+
+    -- Invoice raised by this supplier
+    invoice_number VARCHAR(60),
+
+    -- Payout to the supplier
+    payout_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    payout_status VARCHAR(50) NOT NULL DEFAULT 'pending',
+    payout_reference VARCHAR(255),
+    paid_out_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT chk_sub_order_status CHECK (status IN (
+        'pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'
+    )),
+    CONSTRAINT chk_sub_order_payout_status CHECK (payout_status IN (
+        'pending', 'eligible', 'paid', 'cancelled'
+    ))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sub_orders_order ON sub_orders(order_id);
+CREATE INDEX IF NOT EXISTS idx_sub_orders_supplier ON sub_orders(supplier_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sub_orders_payout ON sub_orders(payout_status) WHERE payout_status = 'eligible';
+
+-- =====================================================
+-- 2. LINKS FROM ITEMS, TRACKING AND INVOICES
+-- =====================================================
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS sub_order_id UUID REFERENCES sub_orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_sub_order ON order_items(sub_order_id);
+
+-- Tracking rows with a sub_order_id belong to that supplier's shipment;
+-- rows without one are the order-level timeline
+ALTER TABLE order_tracking
+    ADD COLUMN IF NOT EXISTS sub_order_id UUID REFERENCES sub_orders(id) ON DELETE CASCADE;
+
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS sub_order_id UUID REFERENCES sub_orders(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION update_sub_orders_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sub_orders_updated_at_trigger ON sub_orders;
+CREATE TRIGGER sub_orders_updated_at_trigger
+    BEFORE UPDATE ON sub_orders
+    FOR EACH ROW
+    EXECUTE FUNCTION update_sub_orders_updated_at();
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE sub_orders IS 'Per-supplier part of a multi-supplier checkout; the buyer pays once on the parent order';
+COMMENT ON COLUMN sub_orders.coupon_discount IS 'Share of the parent coupon discount, in proportion to this supplier''s items';
+COMMENT ON COLUMN sub_orders.payout_amount IS 'Amount owed to the supplier for this sub-order';
+COMMENT ON COLUMN sub_orders.payout_status IS 'pending until delivered, then eligible; paid once settled; cancelled with the sub-order';
+COMMENT ON COLUMN order_tracking.sub_order_id IS 'Supplier shipment this tracking update belongs to, if any';
+COMMENT ON COLUMN invoices.sub_order_id IS 'Sub-order this supplier invoice covers, if any';
@@ -24,6 +24,7 @@ const supplierVerificationRoutes = require('./routes/supplierVerification.routes
 const supplierRoutes = require('./routes/supplier.routes');
 const feedbackRoutes = require('./routes/feedback.routes');
 const bugRoutes = require('./routes/bug.routes');
+const auctionRoutes = require('./routes/auction.routes');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/error.middleware');
@@ -59,8 +60,8 @@ const corsOptions = {
     credentials: true,
     optionsSuccessStatus: 200,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    ExposeHeaders: ["ETag"]
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['ETag', 'Idempotent-Replayed']
 };
 app.use(cors(corsOptions));
 
@@ -72,6 +73,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
 // Logging middleware
+// Redact ?token= (used by Server-Sent Events streams) from logged URLs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, '$1[REDACTED]'));
+
 if (process.env.NODE_ENV === 'development') {
     app.use(morgan('dev'));
 } else {
@@ -107,6 +111,7 @@ app.get('/', (req, res) => {
             buyer: '/api/buyer',
             rfq: '/api/rfq',
             quotes: '/api/quotes',
+            auctions: '/api/auctions',
             health: '/health'
         },
         security: {
@@ -136,6 +141,7 @@ app.use('/api/supplier/verification', supplierVerificationRoutes);
 app.use('/api/supplier', supplierRoutes);
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/bugs', bugRoutes);
+app.use('/api/auctions', auctionRoutes);
 
 // Health check endpoint for AWS Elastic Beanstalk
 app.get('/api/health', (req, res) => {
@@ -2,6 +2,7 @@ const SupplierVerification = require('../models/SupplierVerification');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const emailService = require('../services/email.service');
+const CouponService = require('../services/coupon.service');
 const { AppError, ERROR_CODES, asyncHandler } = require('../middleware/error.middleware');
 const {
     approveVerificationSchema,
@@ -353,6 +354,7 @@ const getOrderDetails = asyncHandler(async (req, res) => {
             discountAmount: order.discount_amount,
             couponDiscount: order.coupon_discount,
             couponCode: order.coupon_code,
+            appliedCoupons: order.applied_coupons || [],
             gstAmount: order.gst_amount,
             shippingCharges: order.shipping_charges,
             platformFee: order.platform_fee,
@@ -536,6 +538,134 @@ const getVerificationDocument = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * Run a coupon operation, converting known errors to AppErrors
+ * @param {Function} operation
+ * @returns {Promise<*>}
+ */
+const runCouponOperation = async (operation) => {
+    try {
+        return await operation();
+    } catch (error) {
+        const described = CouponService.describeError(error);
+        if (described) {
+            throw new AppError(described.message, described.statusCode, described.code);
+        }
+        throw error;
+    }
+};
+
+/**
+ * @route   GET /api/admin/coupons
+ * @desc    Get all coupons, platform- and supplier-funded
+ * @access  Private (Admin only)
+ */
+const getCoupons = asyncHandler(async (req, res) => {
+    const result = await CouponService.getCoupons(req.validatedQuery);
+
+    res.json({
+        success: true,
+        data: result
+    });
+});
+
+/**
+ * @route   GET /api/admin/coupons/:id
+ * @desc    Get coupon details
+ * @access  Private (Admin only)
+ */
+const getCoupon = asyncHandler(async (req, res) => {
+    const coupon = await runCouponOperation(() => CouponService.getCoupon(req.params.id));
+
+    res.json({
+        success: true,
+        data: coupon
+    });
+});
+
+/**
+ * @route   POST /api/admin/coupons
+ * @desc    Create a coupon
+ * @access  Private (Admin only)
+ */
+const createCoupon = asyncHandler(async (req, res) => {
+    const coupon = await runCouponOperation(() =>
+        CouponService.createCoupon(req.validatedBody, { createdBy: req.userId })
+    );
+
+    res.status(201).json({
+        success: true,
+        message: 'Coupon created successfully',
+        data: coupon
+    });
+});
+
+/**
+ * @route   PUT /api/admin/coupons/:id
+ * @desc    Update a coupon
+ * @access  Private (Admin only)
+ */
+const updateCoupon = asyncHandler(async (req, res) => {
+    const coupon = await runCouponOperation(() =>
+        CouponService.updateCoupon(req.params.id, req.validatedBody)
+    );
+
+    res.json({
+        success: true,
+        message: 'Coupon updated successfully',
+        data: coupon
+    });
+});
+
+/**
+ * @route   DELETE /api/admin/coupons/:id
+ * @desc    Delete a coupon, or deactivate it if it has been redeemed
+ * @access  Private (Admin only)
+ */
+const deleteCoupon = asyncHandler(async (req, res) => {
+    const result = await runCouponOperation(() => CouponService.deleteCoupon(req.params.id));
+
+    res.json({
+        success: true,
+        message: result.deleted
+            ? 'Coupon deleted successfully'
+            : 'Coupon has been redeemed, so it was deactivated instead of deleted',
+        data: result
+    });
+});
+
+/**
+ * @route   GET /api/admin/coupons/reports/redemptions
+ * @desc    Redemption totals per coupon
+ * @access  Private (Admin only)
+ */
+const getCouponRedemptionReport = asyncHandler(async (req, res) => {
+    const { from, to, fundedBy, supplierId } = req.validatedQuery;
+
+    const report = await CouponService.getRedemptionReport({ from, to, fundedBy }, { supplierId });
+
+    res.json({
+        success: true,
+        data: report
+    });
+});
+
+/**
+ * @route   GET /api/admin/coupons/:id/redemptions
+ * @desc    A coupon's redemptions with a daily series
+ * @access  Private (Admin only)
+ */
+const getCouponRedemptions = asyncHandler(async (req, res) => {
+    const result = await runCouponOperation(() =>
+        CouponService.getCouponRedemptions(req.params.id, req.validatedQuery)
+    );
+
+    res.json({
+        success: true,
+        data: result
+    });
+});
+
 module.exports = {
     getPendingVerifications,
     getVerificationDetails,
@@ -550,5 +680,13 @@ module.exports = {
     getOrderDetails,
     updateOrderStatus,
     // Document management
-    getVerificationDocument
+    getVerificationDocument,
+    // Coupon management
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    getCouponRedemptionReport,
+    getCouponRedemptions
 };
\ No newline at end of file
@@ -0,0 +1,502 @@
+const Auction = require('../models/Auction');
+const AuctionBid = require('../models/AuctionBid');
+const AuctionDeposit = require('../models/AuctionDeposit');
+const ProductDetail = require('../models/ProductDetail');
+const AuctionService = require('../services/auction.service');
+const RealtimeService = require('../services/realtime.service');
+
+/**
+ * Auction Controllers
+ * Handles auction details, bid history and bid placement
+ */
+
+/**
+ * Build a countdown event for a live auction
+ * @param {Object} auction - Auction row
+ * @returns {Object}
+ */
+const buildCountdown = (auction) => {
+    const now = new Date();
+
+    return {
+        auctionId: auction.id,
+        endTime: auction.end_time,
+        secondsRemaining: Math.max(0, Math.floor((new Date(auction.end_time) - now) / 1000)),
+        serverTime: now.toISOString(),
+        ...(Auction.getType(auction) === 'dutch' && { currentPrice: Auction.getCurrentDutchPrice(auction, now) })
+    };
+};
+
+/**
+ * Map bid placement errors to responses
+ * @param {Error} error
+ * @param {Object} res
+ * @param {string} fallbackMessage
+ */
+const sendBidError = (error, res, fallbackMessage) => {
+    const errorCode = error.message.split(':')[0];
+    const detail = error.message.split(': ')[1];
+    const errorMessages = {
+        'INVALID_BID_AMOUNT': 'Bid amount must be greater than 0',
+        'AUCTION_NOT_FOUND': 'Auction not found',
+        'AUCTION_NOT_LIVE': 'Auction is not live',
+        'AUCTION_ENDED': 'Auction has ended',
+        'CANNOT_BID_ON_OWN_AUCTION': 'You cannot bid on your own auction',
+        'ALREADY_HIGHEST_BIDDER': 'You are already the highest bidder',
+        'BID_TOO_LOW': detail || 'Bid amount is too low',
+        'MAX_BID_TOO_LOW': detail || 'Maximum bid is too low',
+        'MAX_BID_NOT_INCREASED': detail || 'Maximum bid must be higher than your current maximum',
+        'MAX_BID_NOT_SUPPORTED': 'Maximum bids are only available on English auctions',
+        'SEALED_BID_NOT_INCREASED': detail || 'Your sealed bid must be higher than your previous bid',
+        'DUTCH_AUCTION_ACCEPT_ONLY': 'Dutch auctions are won by accepting the current price',
+        'NOT_DUTCH_AUCTION': 'Only Dutch auctions can be won by accepting the current price',
+        'NOT_ELIGIBLE': detail || 'You are not eligible to bid on this auction',
+        'DEPOSIT_NOT_REQUIRED': 'This auction does not require a deposit',
+        'DEPOSIT_EXISTS': detail || 'Deposit already paid for this auction',
+        'DEPOSIT_PAYMENT_FAILED': 'Deposit payment failed'
+    };
+
+    if (!errorMessages[errorCode]) {
+        return res.status(500).json({
+            success: false,
+            message: fallbackMessage,
+            error: error.message
+        });
+    }
+
+    const statusCode = errorCode === 'AUCTION_NOT_FOUND' ? 404 :
+        ['CANNOT_BID_ON_OWN_AUCTION', 'NOT_ELIGIBLE'].includes(errorCode) ? 403 :
+            errorCode === 'DEPOSIT_PAYMENT_FAILED' ? 402 :
+                ['BID_TOO_LOW', 'ALREADY_HIGHEST_BIDDER', 'MAX_BID_TOO_LOW', 'MAX_BID_NOT_INCREASED',
+                    'SEALED_BID_NOT_INCREASED', 'DEPOSIT_EXISTS'].includes(errorCode) ? 409 : 400;
+
+    res.status(statusCode).json({
+        success: false,
+        message: errorMessages[errorCode],
+        error: errorCode
+    });
+};
+
+/**
+ * GET /api/auctions/:id
+ * Get auction details with current bid state
+ */
+const getAuction = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user?.id || null;
+
+        let auction;
+        try {
+            auction = await Auction.findById(id);
+        } catch (error) {
+            auction = null;
+        }
+
+        if (!auction) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                auction: {
+                    ...ProductDetail.formatAuctionDetails(auction),
+                    ...(await ProductDetail.getBidderAuctionState(auction, userId)),
+                    productId: auction.product_id
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching auction:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch auction',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/auctions/:id/bids
+ * Get bid history for an auction
+ * Sealed auctions only show the requester's own bids until the auction ends
+ */
+const getBidHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { page, limit } = req.query;
+        const userId = req.user?.id || null;
+
+        let auction;
+        try {
+            auction = await Auction.findById(id);
+        } catch (error) {
+            auction = null;
+        }
+
+        if (!auction) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        const isSealed = Auction.getType(auction) === 'sealed' && auction.status !== 'ended';
+
+        if (isSealed && !userId) {
+            return res.json({
+                success: true,
+                data: {
+                    bids: [],
+                    sealed: true,
+                    pagination: { page, limit, total: 0, totalPages: 0 }
+                }
+            });
+        }
+
+        const result = await AuctionBid.getByAuction(id, {
+            page,
+            limit,
+            bidderId: isSealed ? userId : null
+        });
+
+        const bids = result.bids.map(bid => ({
+            id: bid.id,
+            bidder: AuctionBid.maskBidder(bid.bidder_id),
+            isYou: !!userId && bid.bidder_id === userId,
+            amount: parseFloat(bid.amount),
+            isAutomatic: bid.is_proxy || false,
+            createdAt: bid.created_at
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                bids,
+                sealed: isSealed,
+                pagination: result.pagination
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching bid history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch bid history',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/auctions/:id/bids
+ * Place a bid on a live auction
+ */
+const placeBid = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount } = req.body;
+
+        const bid = await AuctionService.placeBid({
+            auctionId: id,
+            bidderId: req.user.id,
+            amount,
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({
+            success: true,
+            message: bid.isHighestBidder
+                ? 'Bid placed successfully'
+                : 'Bid placed, but you were outbid by an automatic bid',
+            data: { bid }
+        });
+
+    } catch (error) {
+        console.error('Error placing bid:', error);
+        sendBidError(error, res, 'Failed to place bid');
+    }
+};
+
+/**
+ * PUT /api/auctions/:id/max-bid
+ * Set or raise a hidden maximum bid
+ */
+const setMaxBid = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { maxAmount } = req.body;
+
+        const maxBid = await AuctionService.setMaxBid({
+            auctionId: id,
+            bidderId: req.user.id,
+            maxAmount
+        });
+
+        res.json({
+            success: true,
+            message: maxBid.isHighestBidder
+                ? 'Maximum bid set. We will bid for you up to this amount.'
+                : 'Maximum bid set, but another bidder has a higher maximum',
+            data: { maxBid }
+        });
+
+    } catch (error) {
+        console.error('Error setting max bid:', error);
+        sendBidError(error, res, 'Failed to set maximum bid');
+    }
+};
+
+/**
+ * POST /api/auctions/:id/accept
+ * Accept the current price of a Dutch auction
+ */
+const acceptPrice = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const result = await AuctionService.acceptDutchPrice({
+            auctionId: id,
+            bidderId: req.user.id,
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Price accepted. You won the auction!',
+            data: { bid: result }
+        });
+
+    } catch (error) {
+        console.error('Error accepting auction price:', error);
+        sendBidError(error, res, 'Failed to accept price');
+    }
+};
+
+/**
+ * POST /api/auctions/:id/deposit
+ * Pay the earnest-money deposit required to bid
+ */
+const payDeposit = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { paymentMethod, paymentDetails } = req.body;
+
+        const deposit = await AuctionService.payDeposit({
+            auctionId: id,
+            bidderId: req.user.id,
+            paymentMethod,
+            paymentDetails
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Deposit received. You can now bid on this auction.',
+            data: { deposit }
+        });
+
+    } catch (error) {
+        console.error('Error paying auction deposit:', error);
+        sendBidError(error, res, 'Failed to pay deposit');
+    }
+};
+
+/**
+ * GET /api/auctions/my-deposits
+ * Get the logged-in user's auction deposits
+ */
+const getMyDeposits = async (req, res) => {
+    try {
+        const { page, limit, status } = req.query;
+
+        const result = await AuctionDeposit.getByBidder(req.user.id, { page, limit, status });
+
+        const deposits = result.deposits.map(deposit => ({
+            id: deposit.id,
+            auctionId: deposit.auction_id,
+            productId: deposit.auction?.product_id,
+            auctionStatus: deposit.auction?.status,
+            amount: parseFloat(deposit.amount),
+            status: deposit.status,
+            paymentMethod: deposit.payment_method,
+            settlementReason: deposit.settlement_reason,
+            settledAt: deposit.settled_at,
+            createdAt: deposit.created_at
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                deposits,
+                pagination: result.pagination
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching auction deposits:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch your deposits',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/auctions/:id/stream
+ * Server-Sent Events stream of bids, status changes and countdown for one auction
+ */
+const streamAuction = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        let auction;
+        try {
+            auction = await Auction.findById(id);
+        } catch (error) {
+            auction = null;
+        }
+
+        if (!auction) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        const send = RealtimeService.openStream(req, res, [RealtimeService.auctionChannel(id)], {
+            onMessage: (message, send) => {
+                if (message.context?.auction) {
+                    auction = message.context.auction;
+                }
+                send(message.event, message.data);
+            },
+            tick: (send) => {
+                if (auction.status === 'live') {
+                    send('countdown', buildCountdown(auction));
+                }
+            }
+        });
+
+        send('auction', {
+            ...ProductDetail.formatAuctionDetails(auction),
+            ...(await ProductDetail.getBidderAuctionState(auction, req.user.id))
+        });
+
+    } catch (error) {
+        console.error('Error opening auction stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to open auction stream',
+                error: error.message
+            });
+        }
+    }
+};
+
+/**
+ * GET /api/auctions/live/stream
+ * Server-Sent Events stream for the live auctions feed
+ */
+const streamLiveAuctions = async (req, res) => {
+    try {
+        const auctions = await Auction.getLiveAuctions(50);
+        const tracked = new Map(auctions.map(auction => [auction.id, auction]));
+
+        const send = RealtimeService.openStream(req, res, [RealtimeService.liveAuctionsChannel()], {
+            onMessage: (message, send) => {
+                const auction = message.context?.auction;
+                if (auction) {
+                    if (auction.status === 'live') {
+                        tracked.set(auction.id, auction);
+                    } else {
+                        tracked.delete(auction.id);
+                    }
+                }
+                send(message.event, message.data);
+            },
+            tick: (send) => {
+                if (tracked.size > 0) {
+                    send('countdown', { auctions: [...tracked.values()].map(buildCountdown) });
+                }
+            }
+        });
+
+        send('snapshot', {
+            auctions: auctions.map(auction => ProductDetail.formatAuctionDetails(auction))
+        });
+
+    } catch (error) {
+        console.error('Error opening live auctions stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to open live auctions stream',
+                error: error.message
+            });
+        }
+    }
+};
+
+/**
+ * GET /api/auctions/my-bids
+ * Get the logged-in user's bids across auctions
+ */
+const getMyBids = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { page, limit } = req.query;
+
+        const result = await AuctionBid.getByBidder(userId, { page, limit });
+
+        const bids = result.bids.map(bid => ({
+            id: bid.id,
+            auctionId: bid.auction_id,
+            productId: bid.auction?.product_id,
+            amount: parseFloat(bid.amount),
+            currentBid: bid.auction ? parseFloat(bid.auction.current_bid) : null,
+            auctionStatus: bid.auction?.status,
+            endTime: bid.auction?.end_time,
+            auctionType: bid.auction ? Auction.getType(bid.auction) : null,
+            isWinning: bid.auction?.type === 'sealed' && bid.auction.status !== 'ended'
+                ? null
+                : bid.auction?.highest_bidder_id === userId,
+            createdAt: bid.created_at
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                bids,
+                pagination: result.pagination
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching user bids:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch your bids',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAuction,
+    getBidHistory,
+    placeBid,
+    setMaxBid,
+    acceptPrice,
+    payDeposit,
+    getMyDeposits,
+    streamAuction,
+    streamLiveAuctions,
+    getMyBids
+};
@@ -1,6 +1,7 @@
 const Cart = require('../models/Cart');
-const Coupon = require('../models/Coupon');
 const PricingService = require('../services/pricing.service');
+const CouponService = require('../services/coupon.service');
+const StockReservationService = require('../services/stockReservation.service');
 
 /**
  * Cart Controllers
@@ -101,7 +102,7 @@ const getCart = async (req, res) => {
 
         const summary = await PricingService.calculateCartSummary(
             cartData.items,
-            cartData.coupon?.code,
+            cartData.couponCodes,
             userId,
             shippingInfo
         );
@@ -278,38 +279,56 @@ const applyCoupon = async (req, res) => {
             });
         }
 
-        // Calculate cart subtotal
-        const itemSubtotal = cartData.items.reduce((sum, item) => {
-            const price = item.price || 0;
-            const discount = (price * (item.discountPercent || 0)) / 100;
-            return sum + ((price - discount) * item.quantity);
-        }, 0);
+        const code = couponCode.toUpperCase();
 
-        // Validate coupon
-        const couponResult = await Coupon.validateAndCalculate(
-            couponCode,
-            userId,
-            itemSubtotal,
-            cartData.items
-        );
+        if (cartData.couponCodes.includes(code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This coupon is already applied',
+                error: 'COUPON_ALREADY_APPLIED'
+            });
+        }
+
+        // Coupons apply to lines at the buyer's actual prices
+        const items = await PricingService.priceCartItems(cartData.items, userId);
+
+        // Try it alongside the coupons already applied; one that can't be combined replaces them
+        let codes = [...cartData.couponCodes, code];
+        let result = await CouponService.applyCoupons(codes, { userId, items });
+        let rejection = result.rejected.find(entry => entry.code === code);
+        let replacedCoupons = [];
+
+        if (rejection?.error === 'COUPON_NOT_STACKABLE') {
+            codes = [code];
+            replacedCoupons = cartData.couponCodes;
+            result = await CouponService.applyCoupons(codes, { userId, items });
+            rejection = result.rejected.find(entry => entry.code === code);
+        }
 
-        if (!couponResult.valid) {
+        if (rejection) {
             return res.status(400).json({
                 success: false,
-                message: couponResult.message,
-                error: couponResult.error
+                message: rejection.message,
+                error: rejection.error
             });
         }
 
-        // Apply coupon to cart
-        await Cart.applyCoupon(couponCode, userId, sessionToken);
+        // Coupons that no longer apply (expired, limits reached) drop off the cart
+        await Cart.setCoupons(result.applied.map(coupon => coupon.code), userId, sessionToken);
+
+        const coupon = result.applied.find(applied => applied.code === code);
 
         res.json({
             success: true,
-            message: couponResult.message,
+            message: coupon.freeShipping
+                ? 'Coupon applied! Shipping on eligible items is free'
+                : `Coupon applied! You saved ₹${coupon.discountAmount.toLocaleString()}`,
             data: {
-                coupon: couponResult.coupon,
-                discountAmount: couponResult.discountAmount
+                coupon,
+                discountAmount: coupon.discountAmount,
+                appliedCoupons: result.applied,
+                couponDiscount: result.couponDiscount,
+                replacedCoupons
             }
         });
 
@@ -325,15 +344,16 @@ const applyCoupon = async (req, res) => {
 
 /**
  * POST /api/cart/remove-coupon
- * Remove applied coupon
+ * Remove an applied coupon, or all of them
  */
 const removeCoupon = async (req, res) => {
     try {
-        const { sessionId } = req.body;
+        const { sessionId, couponCode } = req.body;
         const userId = req.user?.id || null;
         const sessionToken = sessionId || req.cookies?.cart_session || req.headers['x-cart-session'];
 
-        await Cart.removeCoupon(userId, sessionToken);
+        // One coupon when named, otherwise all of them
+        await Cart.removeCoupon(userId, sessionToken, couponCode || null);
 
         res.json({
             success: true,
@@ -374,7 +394,7 @@ const validateCart = async (req, res) => {
         }
 
         // Validate stock
-        const validation = await PricingService.validateStock(cartData.items);
+        const validation = await PricingService.validateStock(cartData.items, userId);
 
         res.json({
             success: true,
@@ -428,6 +448,53 @@ const estimateShipping = async (req, res) => {
     }
 };
 
+/**
+ * POST /api/cart/shipping-estimate
+ * Full shipping breakdown for the current cart
+ */
+const estimateCartShipping = async (req, res) => {
+    try {
+        const userId = req.user?.id || null;
+        const sessionToken = req.body.sessionId || req.cookies?.cart_session || req.headers['x-cart-session'];
+        const { state, city, pincode } = req.body;
+
+        const cartData = await Cart.getCart(userId, sessionToken);
+
+        if (!cartData.items || cartData.items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                errorCode: 'CART_EMPTY',
+                message: 'Your cart is empty. Add items to estimate shipping.'
+            });
+        }
+
+        // Priced through the cart summary so free-shipping thresholds see coupon discounts
+        const summary = await PricingService.calculateCartSummary(
+            cartData.items,
+            cartData.couponCodes,
+            userId,
+            { state, city, pincode }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                destination: { state, city: city || null, pincode: pincode || null },
+                orderValue: summary.subtotalAfterDiscounts,
+                ...summary.shippingBreakdown
+            }
+        });
+
+    } catch (error) {
+        console.error('Error estimating cart shipping:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to estimate shipping',
+            error: error.message
+        });
+    }
+};
+
 /**
  * POST /api/cart/checkout
  * Create checkout session (NOT order creation)
@@ -457,7 +524,7 @@ const createCheckoutSession = async (req, res) => {
         }
 
         // Validate stock
-        const validation = await PricingService.validateStock(cartData.items);
+        const validation = await PricingService.validateStock(cartData.items, userId);
 
         if (!validation.valid) {
             return res.status(400).json({
@@ -465,8 +532,8 @@ const createCheckoutSession = async (req, res) => {
                 errorCode: 'STOCK_VALIDATION_FAILED',
                 message: 'Some items in your cart have stock issues',
                 data: {
-                    unavailableItems: validation.unavailableItems || [],
-                    stockIssues: validation.stockIssues || []
+                    unavailableItems: validation.items.filter(item => !item.available),
+                    stockIssues: validation.items.filter(item => item.reason === 'INSUFFICIENT_STOCK')
                 }
             });
         }
@@ -491,7 +558,7 @@ const createCheckoutSession = async (req, res) => {
 
         const summary = await PricingService.calculateCartSummary(
             cartData.items,
-            cartData.coupon?.code,
+            cartData.couponCodes,
             userId,
             shippingInfo
         );
@@ -501,12 +568,19 @@ const createCheckoutSession = async (req, res) => {
         const crypto = require('crypto');
         const sessionToken = crypto.randomBytes(32).toString('hex');
 
-        // Prepare complete cart snapshot with all necessary data
+        // Prepare complete cart snapshot with all necessary data; the order is
+        // placed at the locked prices until the session expires
+        const expiresAt = StockReservationService.getExpiry();
         const cartSnapshot = {
             items: cartData.items,
             coupon: cartData.coupon,
+            couponCodes: cartData.couponCodes,
             itemCount: cartData.items.length,
-            summary: summary
+            summary: summary,
+            priceLock: PricingService.buildPriceLock(
+                await PricingService.priceCartItems(cartData.items, userId),
+                expiresAt
+            )
         };
 
         const { data: checkoutSession, error } = await supabase
@@ -527,13 +601,37 @@ const createCheckoutSession = async (req, res) => {
                 shipping_address: shippingAddress ? JSON.stringify(shippingAddress) : null,
                 coupon_code: cartData.coupon?.code,
                 status: 'pending',
-                expires_at: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
+                expires_at: expiresAt
             })
             .select()
             .single();
 
         if (error) throw error;
 
+        // Hold the stock for the session; another buyer may have just taken it
+        const reservation = await StockReservationService.reserveForSession({
+            sessionId: checkoutSession.id,
+            userId,
+            items: cartData.items,
+            expiresAt: checkoutSession.expires_at
+        });
+
+        if (!reservation.reserved) {
+            await supabase
+                .from('checkout_sessions')
+                .update({ status: 'cancelled' })
+                .eq('id', checkoutSession.id);
+
+            return res.status(409).json({
+                success: false,
+                errorCode: 'STOCK_RESERVATION_FAILED',
+                message: 'Some items are no longer available in the quantity you need',
+                data: {
+                    stockIssues: reservation.stockIssues
+                }
+            });
+        }
+
         res.json({
             success: true,
             message: 'Checkout session created',
@@ -543,8 +641,10 @@ const createCheckoutSession = async (req, res) => {
                 cartItems: cartData.items,
                 itemCount: cartData.items.length,
                 pricingSummary: summary,
+                reservations: reservation.reservations,
+                priceLock: cartSnapshot.priceLock,
                 expiresAt: checkoutSession.expires_at,
-                expiresIn: 1800 // 30 minutes in seconds
+                expiresIn: Math.round((new Date(checkoutSession.expires_at) - Date.now()) / 1000)
             }
         });
 
@@ -558,6 +658,41 @@ const createCheckoutSession = async (req, res) => {
     }
 };
 
+/**
+ * POST /api/cart/checkout/:sessionId/cancel
+ * Cancel a checkout session and release its reserved stock
+ */
+const cancelCheckoutSession = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const result = await StockReservationService.releaseSession(req.params.sessionId, userId);
+
+        res.json({
+            success: true,
+            message: 'Checkout cancelled and reserved stock released',
+            data: result
+        });
+
+    } catch (error) {
+        const described = StockReservationService.describeError(error);
+        if (described) {
+            return res.status(described.statusCode).json({
+                success: false,
+                errorCode: described.code,
+                message: described.message
+            });
+        }
+
+        console.error('Error cancelling checkout session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel checkout session',
+            error: error.message
+        });
+    }
+};
+
 /**
  * POST /api/cart/merge
  * Merge guest cart into user cart after login
@@ -670,7 +805,9 @@ module.exports = {
     removeCoupon,
     validateCart,
     estimateShipping,
+    estimateCartShipping,
     createCheckoutSession,
+    cancelCheckoutSession,
     mergeCart,
     getCartCount
 };
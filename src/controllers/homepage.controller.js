@@ -124,11 +124,12 @@ const getLiveAuctions = asyncHandler(async (req, res) => {
     // Format response
     const formattedAuctions = auctions.map(auction => ({
         auctionId: auction.auction_id,
+        type: Auction.getType(auction),
         productId: auction.product_id,
         productName: auction.product_name,
         productSlug: auction.product_slug,
         productImage: auction.product_image,
-        currentBid: parseFloat(auction.current_bid) || parseFloat(auction.starting_bid),
+        currentBid: Auction.getDisplayPrice(auction),
         startingBid: parseFloat(auction.starting_bid),
         reservePrice: auction.reserve_price ? parseFloat(auction.reserve_price) : null,
         totalBids: auction.total_bids || 0,
@@ -470,9 +471,10 @@ const getCompleteHomepage = asyncHandler(async (req, res) => {
     if (data.liveAuctions) {
         response.data.liveAuctions = data.liveAuctions.map(auction => ({
             auctionId: auction.auction_id,
+            type: Auction.getType(auction),
             productName: auction.product_name,
             productImage: auction.product_image,
-            currentBid: parseFloat(auction.current_bid) || parseFloat(auction.starting_bid),
+            currentBid: Auction.getDisplayPrice(auction),
             totalBids: auction.total_bids || 0,
             timeRemaining: auction.time_remaining_seconds ? Math.max(0, Math.floor(auction.time_remaining_seconds)) : 0,
             supplierVerified: auction.supplier_verified || false
@@ -1,6 +1,7 @@
 const Marketplace = require('../models/Marketplace');
 const Category = require('../models/Category');
 const Industry = require('../models/Industry');
+const ContractPricingService = require('../services/contractPricing.service');
 const { asyncHandler } = require('../middleware/error.middleware');
 
 /**
@@ -28,13 +29,16 @@ const formatTimeRemaining = (seconds) => {
 /**
  * Format product for marketplace card
  * @param {Object} product
+ * @param {Object} contract - The signed-in buyer's contract price for the product (optional)
  * @returns {Object}
  */
-const formatMarketplaceProduct = (product) => {
+const formatMarketplaceProduct = (product, contract = null) => {
     // Extract supplier information from joined data
     const supplier = product.supplier || {};
     const supplierName = supplier.company_name ||
         (supplier.first_name ? `${supplier.first_name} ${supplier.last_name || ''}`.trim() : 'Zeerostock');
+    const listPrice = parseFloat(product.price_after);
+    const contractApplies = contract && contract.unitPrice < listPrice;
 
     return {
         productId: product.id,
@@ -42,8 +46,14 @@ const formatMarketplaceProduct = (product) => {
         slug: product.slug,
         image: product.image_url,
         images: product.additional_images ? JSON.parse(product.additional_images) : [],
-        price: parseFloat(product.price_after),
+        price: contractApplies ? contract.unitPrice : listPrice,
         originalPrice: product.price_before ? parseFloat(product.price_before) : null,
+        contractPrice: contractApplies ? {
+            priceListId: contract.priceListId,
+            priceListName: contract.priceListName,
+            listPrice,
+            validUntil: contract.validUntil
+        } : null,
         discountPercent: parseFloat(product.discount_percent) || 0,
         condition: product.condition,
         listingType: product.listing_type,
@@ -76,6 +86,27 @@ const formatMarketplaceProduct = (product) => {
     };
 };
 
+/**
+ * Format products for marketplace cards at the viewer's prices
+ * Signed-in buyers see their contract prices; guests see price_after.
+ * @param {Array} products
+ * @param {string} userId - Signed-in user (optional)
+ * @returns {Promise<Array>}
+ */
+const formatForViewer = async (products, userId) => {
+    const contractPrices = await ContractPricingService.getContractPrices(
+        userId,
+        products.map(product => ({
+            productId: product.id,
+            supplierId: product.supplier_id,
+            categoryId: product.category_id,
+            price: product.price_after
+        }))
+    );
+
+    return products.map(product => formatMarketplaceProduct(product, contractPrices.get(product.id)));
+};
+
 /**
  * @route   GET /api/marketplace/products
  * @desc    Get all marketplace products with filters, sorting, and pagination
@@ -87,7 +118,7 @@ const getProducts = asyncHandler(async (req, res) => {
     const result = await Marketplace.getProducts(filters);
 
     // Format products for marketplace cards
-    const formattedProducts = result.products.map(formatMarketplaceProduct);
+    const formattedProducts = await formatForViewer(result.products, req.userId);
 
     res.json({
         success: true,
@@ -203,7 +234,7 @@ const getFeaturedDeals = asyncHandler(async (req, res) => {
     const products = await Marketplace.getFeaturedDeals(limit);
 
     // Format products
-    const formattedProducts = products.map(formatMarketplaceProduct);
+    const formattedProducts = await formatForViewer(products, req.userId);
 
     res.json({
         success: true,
@@ -226,7 +257,7 @@ const getSponsored = asyncHandler(async (req, res) => {
     const products = await Marketplace.getSponsored(limit);
 
     // Format products
-    const formattedProducts = products.map(formatMarketplaceProduct);
+    const formattedProducts = await formatForViewer(products, req.userId);
 
     res.json({
         success: true,
@@ -249,7 +280,7 @@ const getTrending = asyncHandler(async (req, res) => {
     const products = await Marketplace.getTrending(limit);
 
     // Format products
-    const formattedProducts = products.map(formatMarketplaceProduct);
+    const formattedProducts = await formatForViewer(products, req.userId);
 
     res.json({
         success: true,
@@ -1,7 +1,9 @@
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
+const SubOrder = require('../models/SubOrder');
 const NotificationService = require('../services/notification.service');
 const OrderService = require('../services/order.service');
+const AuctionService = require('../services/auction.service');
 const PDFDocument = require('pdfkit');
 const xlsx = require('xlsx');
 const fs = require('fs');
@@ -67,6 +69,127 @@ const getOrderHistory = async (req, res) => {
     }
 };
 
+// Helper function to shape a tracking row
+function formatTracking(track) {
+    return {
+        status: track.status,
+        title: track.title,
+        description: track.description,
+        location: track.location,
+        isMilestone: track.is_milestone,
+        timestamp: track.created_at
+    };
+}
+
+// Helper function to shape an order row (with items and tracking) for responses and invoices
+function formatOrderDetails(order) {
+    // Tracking rows tagged with a sub-order belong to that supplier's shipment
+    const tracking = order.order_tracking || [];
+
+    return {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        status: order.status,
+        paymentStatus: order.payment_status,
+
+        // Items
+        items: order.order_items.map(item => ({
+            itemId: item.id,
+            productId: item.product_id,
+            productTitle: item.product_title,
+            productImage: item.product_image,
+            productSku: item.product_sku,
+            quantity: item.quantity,
+            unitPrice: item.unit_price,
+            discount: item.discount_amount,
+            finalPrice: item.final_price,
+            subtotal: item.subtotal,
+            hsnCode: item.hsn_code,
+            gstPercent: item.gst_percent,
+            taxableValue: item.taxable_value,
+            gstAmount: item.gst_amount,
+            cgstAmount: item.cgst_amount,
+            sgstAmount: item.sgst_amount,
+            igstAmount: item.igst_amount,
+            itemStatus: item.item_status,
+            subOrderId: item.sub_order_id,
+            supplier: {
+                id: item.supplier_id,
+                name: item.supplier_name,
+                city: item.supplier_city
+            }
+        })),
+
+        // Pricing
+        pricing: {
+            itemsSubtotal: order.items_subtotal,
+            discountAmount: order.discount_amount,
+            couponDiscount: order.coupon_discount,
+            couponCode: order.coupon_code,
+            appliedCoupons: order.applied_coupons || [],
+            gstAmount: order.gst_amount,
+            cgstAmount: order.cgst_amount,
+            sgstAmount: order.sgst_amount,
+            igstAmount: order.igst_amount,
+            shippingCharges: order.shipping_charges,
+            platformFee: order.platform_fee,
+            totalAmount: order.total_amount
+        },
+
+        // Shipping
+        shippingAddress: order.shipping_address,
+        billingAddress: order.billing_address,
+        deliveryEta: order.delivery_eta,
+        shippingPartner: order.shipping_partner,
+        trackingNumber: order.tracking_number,
+
+        // Payment
+        paymentMethod: order.payment_method,
+        paymentTransactionId: order.payment_transaction_id,
+        paymentDate: order.payment_date,
+
+        // Documents
+        invoiceUrl: order.invoice_url,
+        invoiceNumber: order.invoice_number,
+
+        // Tracking
+        tracking: tracking.filter(track => !track.sub_order_id).map(formatTracking),
+
+        // One sub-order per supplier, each shipped and invoiced separately
+        subOrders: (order.sub_orders || []).map(sub => ({
+            subOrderId: sub.id,
+            subOrderNumber: sub.sub_order_number,
+            status: sub.status,
+            supplier: {
+                id: sub.supplier_id,
+                name: sub.supplier_name
+            },
+            pricing: {
+                itemsSubtotal: sub.items_subtotal,
+                couponDiscount: sub.coupon_discount,
+                gstAmount: sub.gst_amount,
+                cgstAmount: sub.cgst_amount,
+                sgstAmount: sub.sgst_amount,
+                igstAmount: sub.igst_amount,
+                shippingCharges: sub.shipping_charges,
+                totalAmount: sub.total_amount
+            },
+            deliveryEta: sub.delivery_eta,
+            shippingPartner: sub.shipping_partner,
+            trackingNumber: sub.tracking_number,
+            shippedAt: sub.shipped_at,
+            deliveredAt: sub.delivered_at,
+            invoiceNumber: sub.invoice_number,
+            tracking: tracking.filter(track => track.sub_order_id === sub.id).map(formatTracking)
+        })),
+
+        // Timestamps
+        createdAt: order.created_at,
+        updatedAt: order.updated_at,
+        completedAt: order.completed_at
+    };
+}
+
 /**
  * GET /api/buyer/orders/:orderId
  * Get specific order details
@@ -86,76 +209,7 @@ const getOrderById = async (req, res) => {
             });
         }
 
-        // Format the response
-        const formattedOrder = {
-            orderId: order.id,
-            orderNumber: order.order_number,
-            status: order.status,
-            paymentStatus: order.payment_status,
-
-            // Items
-            items: order.order_items.map(item => ({
-                itemId: item.id,
-                productId: item.product_id,
-                productTitle: item.product_title,
-                productImage: item.product_image,
-                productSku: item.product_sku,
-                quantity: item.quantity,
-                unitPrice: item.unit_price,
-                discount: item.discount_amount,
-                finalPrice: item.final_price,
-                subtotal: item.subtotal,
-                itemStatus: item.item_status,
-                supplier: {
-                    id: item.supplier_id,
-                    name: item.supplier_name,
-                    city: item.supplier_city
-                }
-            })),
-
-            // Pricing
-            pricing: {
-                itemsSubtotal: order.items_subtotal,
-                discountAmount: order.discount_amount,
-                couponDiscount: order.coupon_discount,
-                couponCode: order.coupon_code,
-                gstAmount: order.gst_amount,
-                shippingCharges: order.shipping_charges,
-                platformFee: order.platform_fee,
-                totalAmount: order.total_amount
-            },
-
-            // Shipping
-            shippingAddress: order.shipping_address,
-            billingAddress: order.billing_address,
-            deliveryEta: order.delivery_eta,
-            shippingPartner: order.shipping_partner,
-            trackingNumber: order.tracking_number,
-
-            // Payment
-            paymentMethod: order.payment_method,
-            paymentTransactionId: order.payment_transaction_id,
-            paymentDate: order.payment_date,
-
-            // Documents
-            invoiceUrl: order.invoice_url,
-            invoiceNumber: order.invoice_number,
-
-            // Tracking
-            tracking: order.order_tracking?.map(track => ({
-                status: track.status,
-                title: track.title,
-                description: track.description,
-                location: track.location,
-                isMilestone: track.is_milestone,
-                timestamp: track.created_at
-            })) || [],
-
-            // Timestamps
-            createdAt: order.created_at,
-            updatedAt: order.updated_at,
-            completedAt: order.completed_at
-        };
+        const formattedOrder = formatOrderDetails(order);
 
         res.json({
             success: true,
@@ -193,6 +247,8 @@ const getOrderTracking = async (req, res) => {
             });
         }
 
+        const details = formatOrderDetails(order);
+
         const trackingData = {
             orderId: order.id,
             orderNumber: order.order_number,
@@ -201,14 +257,19 @@ const getOrderTracking = async (req, res) => {
             trackingNumber: order.tracking_number,
             deliveryEta: order.delivery_eta,
 
-            trackingUpdates: order.order_tracking?.map(track => ({
-                status: track.status,
-                title: track.title,
-                description: track.description,
-                location: track.location,
-                isMilestone: track.is_milestone,
-                timestamp: track.created_at
-            })) || [],
+            trackingUpdates: details.tracking,
+
+            // Each supplier's shipment has its own tracking number and updates
+            shipments: details.subOrders.map(sub => ({
+                subOrderId: sub.subOrderId,
+                subOrderNumber: sub.subOrderNumber,
+                supplier: sub.supplier,
+                status: sub.status,
+                shippingPartner: sub.shippingPartner,
+                trackingNumber: sub.trackingNumber,
+                deliveryEta: sub.deliveryEta,
+                trackingUpdates: sub.tracking
+            })),
 
             currentLocation: order.order_tracking?.length > 0
                 ? order.order_tracking[order.order_tracking.length - 1].location
@@ -261,8 +322,9 @@ const cancelOrder = async (req, res) => {
             });
         }
 
-        // Cancel the order
+        // Cancel the order and every supplier's sub-order
         const cancelledOrder = await Order.cancelOrder(orderId, userId, reason);
+        await SubOrder.cancelForOrder(cancelledOrder.id);
 
         // Add tracking update
         await Order.addTracking(orderId, {
@@ -275,6 +337,13 @@ const cancelOrder = async (req, res) => {
         // Send notification
         await NotificationService.sendOrderCancelled(userId, cancelledOrder);
 
+        // Forfeit the auction deposit if this was a winning auction order (non-critical)
+        try {
+            await AuctionService.forfeitDepositForOrder(cancelledOrder.id, reason);
+        } catch (depositError) {
+            console.error('Error forfeiting auction deposit:', depositError);
+        }
+
         res.json({
             success: true,
             message: 'Order cancelled successfully',
@@ -333,6 +402,79 @@ const getOrderStats = async (req, res) => {
     }
 };
 
+/**
+ * Buyer-facing messages for checkout and order creation errors
+ */
+const CHECKOUT_ERROR_MESSAGES = {
+    'INVALID_CHECKOUT_SESSION': 'Invalid or expired checkout session. Please try checkout again.',
+    'CHECKOUT_SESSION_EXPIRED': 'Your checkout session has expired. Please return to cart and checkout again.',
+    'CHECKOUT_SESSION_ALREADY_USED': 'This checkout session has already been used to place an order.',
+    'CHECKOUT_SESSION_CANCELLED': 'This checkout session was cancelled and its stock released. Please checkout again.',
+    'CART_IS_EMPTY': 'Your cart is empty. Cannot create order.',
+    'CART_MODIFIED_AFTER_CHECKOUT': 'Your cart has been modified. Please return to cart and checkout again.',
+    'STOCK_CHANGED_AFTER_CHECKOUT': 'Stock for one or more items has dropped since checkout. Please update quantities and checkout again.',
+    'PRICE_CHANGED_AFTER_CHECKOUT': 'Prices have changed since checkout. Please confirm to order at the prices locked at checkout.',
+    'INVALID_SHIPPING_ADDRESS': 'The selected shipping address is invalid or has been deleted.',
+    'INVALID_BILLING_ADDRESS': 'The selected billing address is invalid or has been deleted.',
+    'PRODUCT_NOT_FOUND': 'One or more products in your cart are no longer available.',
+    'PRODUCT_NOT_AVAILABLE': 'One or more products in your cart are currently unavailable.',
+    'INSUFFICIENT_STOCK': 'Insufficient stock for one or more products. Please update quantities.',
+    'PRODUCT_EXPIRED': 'One or more products in your cart have expired and are no longer available.'
+};
+
+/**
+ * Send a checkout or order creation error, with the drift report when there is one
+ */
+const sendCheckoutError = (res, error, fallbackCode, fallbackMessage) => {
+    const errorCode = error.message.split(':')[0];
+    const message = CHECKOUT_ERROR_MESSAGES[errorCode] || error.message || fallbackMessage;
+    const statusCode = ['INVALID_SHIPPING_ADDRESS', 'INVALID_BILLING_ADDRESS', 'CART_MODIFIED_AFTER_CHECKOUT'].includes(errorCode) ? 400 :
+        ['PRODUCT_NOT_FOUND', 'INVALID_CHECKOUT_SESSION'].includes(errorCode) ? 404 :
+        ['INSUFFICIENT_STOCK', 'CHECKOUT_SESSION_CANCELLED', 'STOCK_CHANGED_AFTER_CHECKOUT', 'PRICE_CHANGED_AFTER_CHECKOUT'].includes(errorCode) ? 409 :
+        ['CHECKOUT_SESSION_EXPIRED', 'CHECKOUT_SESSION_ALREADY_USED', 'CART_IS_EMPTY'].includes(errorCode) ? 400 : 500;
+
+    res.status(statusCode).json({
+        success: false,
+        errorCode: errorCode || fallbackCode,
+        message,
+        details: error.message,
+        ...(error.drift && { drift: error.drift })
+    });
+};
+
+/**
+ * GET /api/buyer/checkout/:checkoutSessionId/validate
+ * Compare the cart with the checkout session's locked prices and stock
+ * before placing the order
+ */
+const validateCheckoutSession = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const { session, priceLock, drift } = await OrderService.validateCheckoutSession(
+            req.params.checkoutSessionId,
+            userId
+        );
+
+        res.json({
+            success: true,
+            data: {
+                checkoutSessionId: session.id,
+                expiresAt: session.expires_at,
+                priceLock,
+                drift,
+                // The buyer has to confirm price changes; cart or stock changes need a new checkout
+                canPlaceOrder: !drift.cartChanged && !drift.stockChanged,
+                requiresConfirmation: drift.priceChanged
+            }
+        });
+
+    } catch (error) {
+        console.error('Error validating checkout session:', error);
+        sendCheckoutError(res, error, 'CHECKOUT_VALIDATION_FAILED', 'Failed to validate checkout session');
+    }
+};
+
 /**
  * POST /api/buyer/orders/create
  * Create a new order from checkout session
@@ -346,7 +488,8 @@ const createOrder = async (req, res) => {
             billingAddressId,
             paymentMethod,
             paymentDetails,
-            orderNotes
+            orderNotes,
+            acceptPriceDrift
         } = req.body;
 
         // Build order data, excluding undefined values
@@ -367,6 +510,9 @@ const createOrder = async (req, res) => {
         if (orderNotes) {
             orderData.orderNotes = orderNotes;
         }
+        if (acceptPriceDrift) {
+            orderData.acceptPriceDrift = true;
+        }
 
         // Create order using OrderService
         const order = await OrderService.createOrder(orderData);
@@ -379,35 +525,7 @@ const createOrder = async (req, res) => {
 
     } catch (error) {
         console.error('Error creating order:', error);
-
-        // Handle specific errors
-        const errorMessages = {
-            'INVALID_CHECKOUT_SESSION': 'Invalid or expired checkout session. Please try checkout again.',
-            'CHECKOUT_SESSION_EXPIRED': 'Your checkout session has expired. Please return to cart and checkout again.',
-            'CHECKOUT_SESSION_ALREADY_USED': 'This checkout session has already been used to place an order.',
-            'CART_IS_EMPTY': 'Your cart is empty. Cannot create order.',
-            'CART_MODIFIED_AFTER_CHECKOUT: Items changed': 'Cart items have changed since checkout. Please review your cart and checkout again.',
-            'CART_MODIFIED_AFTER_CHECKOUT: Quantities changed': 'Item quantities have changed since checkout. Please review your cart and checkout again.',
-            'CART_MODIFIED_AFTER_CHECKOUT': 'Your cart has been modified. Please return to cart and checkout again.',
-            'INVALID_SHIPPING_ADDRESS': 'The selected shipping address is invalid or has been deleted.',
-            'INVALID_BILLING_ADDRESS': 'The selected billing address is invalid or has been deleted.',
-            'PRODUCT_NOT_FOUND': 'One or more products in your cart are no longer available.',
-            'PRODUCT_NOT_AVAILABLE': 'One or more products in your cart are currently unavailable.',
-            'INSUFFICIENT_STOCK': 'Insufficient stock for one or more products. Please update quantities.',
-            'PRODUCT_EXPIRED': 'One or more products in your cart have expired and are no longer available.'
-        };
-
-        const errorCode = error.message.split(':')[0];
-        const message = errorMessages[errorCode] || error.message || 'Failed to create order';
-        const statusCode = ['INVALID_SHIPPING_ADDRESS', 'INVALID_BILLING_ADDRESS', 'CART_MODIFIED_AFTER_CHECKOUT'].includes(errorCode) ? 400 :
-            ['PRODUCT_NOT_FOUND'].includes(errorCode) ? 404 : 500;
-
-        res.status(statusCode).json({
-            success: false,
-            errorCode: errorCode || 'ORDER_CREATION_FAILED',
-            message,
-            details: error.message
-        });
+        sendCheckoutError(res, error, 'ORDER_CREATION_FAILED', 'Failed to create order');
     }
 };
 
@@ -440,20 +558,50 @@ const downloadInvoice = async (req, res) => {
             });
         }
 
+        let invoice = formatOrderDetails(order);
+
+        // A sub-order's invoice covers only that supplier's items and charges
+        if (req.query.subOrderId) {
+            const subOrder = invoice.subOrders.find(sub => sub.subOrderId === req.query.subOrderId);
+
+            if (!subOrder) {
+                return res.status(404).json({
+                    success: false,
+                    errorCode: 'SUB_ORDER_NOT_FOUND',
+                    message: 'Sub-order not found'
+                });
+            }
+
+            invoice = {
+                ...invoice,
+                orderNumber: subOrder.subOrderNumber,
+                invoiceNumber: subOrder.invoiceNumber,
+                items: invoice.items.filter(item => item.subOrderId === subOrder.subOrderId),
+                // couponDiscount is this sub-order's share; the order's coupon
+                // code isn't printed, as it may not be what gave that share
+                pricing: {
+                    ...subOrder.pricing,
+                    discountAmount: 0,
+                    couponCode: null,
+                    platformFee: 0
+                }
+            };
+        }
+
         // Create PDF document
         const doc = new PDFDocument({ margin: 50 });
 
         // Set response headers
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename=invoice-${order.orderNumber}.pdf`);
+        res.setHeader('Content-Disposition', `attachment; filename=invoice-${invoice.orderNumber}.pdf`);
 
         // Pipe PDF to response
         doc.pipe(res);
 
         // Generate invoice content
-        generateInvoiceHeader(doc, order);
-        generateInvoiceBody(doc, order);
-        generateInvoiceFooter(doc, order);
+        generateInvoiceHeader(doc, invoice);
+        generateInvoiceBody(doc, invoice);
+        generateInvoiceFooter(doc, invoice);
 
         // Finalize PDF
         doc.end();
@@ -521,19 +669,23 @@ function generateInvoiceHeader(doc, order) {
 function generateInvoiceBody(doc, order) {
     const tableTop = 260;
     const itemCodeX = 50;
-    const descriptionX = 120;
-    const quantityX = 300;
-    const priceX = 370;
-    const amountX = 450;
+    const descriptionX = 100;
+    const hsnX = 250;
+    const quantityX = 305;
+    const priceX = 345;
+    const gstX = 415;
+    const amountX = 460;
 
     // Table header
     doc
         .fontSize(10)
         .text('Item', itemCodeX, tableTop, { bold: true })
         .text('Description', descriptionX, tableTop)
+        .text('HSN/SAC', hsnX, tableTop)
         .text('Qty', quantityX, tableTop)
         .text('Price', priceX, tableTop)
-        .text('Amount', amountX, tableTop);
+        .text('GST', gstX, tableTop)
+        .text('Amount', amountX, tableTop, { width: 90, align: 'right' });
 
     // Draw line under header
     doc
@@ -545,14 +697,16 @@ function generateInvoiceBody(doc, order) {
     let yPosition = tableTop + 25;
 
     order.items.forEach((item, i) => {
-        const itemTotal = item.finalPrice * item.quantity;
+        const itemTotal = Number(item.finalPrice) * item.quantity;
 
         doc
             .fontSize(9)
-            .text(item.productSku || `#${i + 1}`, itemCodeX, yPosition, { width: 60 })
-            .text(item.productTitle, descriptionX, yPosition, { width: 170 })
-            .text(item.quantity.toString(), quantityX, yPosition, { width: 50 })
-            .text(`₹${item.finalPrice.toFixed(2)}`, priceX, yPosition, { width: 70 })
+            .text(item.productSku || `#${i + 1}`, itemCodeX, yPosition, { width: 45 })
+            .text(item.productTitle, descriptionX, yPosition, { width: 145 })
+            .text(item.hsnCode || '-', hsnX, yPosition, { width: 50 })
+            .text(item.quantity.toString(), quantityX, yPosition, { width: 35 })
+            .text(`₹${Number(item.finalPrice).toFixed(2)}`, priceX, yPosition, { width: 65 })
+            .text(`${Number(item.gstPercent ?? 0)}%`, gstX, yPosition, { width: 40 })
             .text(`₹${itemTotal.toFixed(2)}`, amountX, yPosition, { width: 90, align: 'right' });
 
         yPosition += 25;
@@ -586,16 +740,29 @@ function generateInvoiceBody(doc, order) {
 
     if (order.pricing.couponDiscount > 0) {
         doc
-            .text(`Coupon (${order.pricing.couponCode}):`, totalsX, yPosition)
+            .text(order.pricing.couponCode ? `Coupon (${order.pricing.couponCode}):` : 'Coupon discount:', totalsX, yPosition)
             .text(`-₹${order.pricing.couponDiscount.toFixed(2)}`, totalsValueX, yPosition, { align: 'right' });
         yPosition += 20;
     }
 
-    doc
-        .text('GST:', totalsX, yPosition)
-        .text(`₹${order.pricing.gstAmount.toFixed(2)}`, totalsValueX, yPosition, { align: 'right' });
+    // Tax split: CGST + SGST for intra-state supply, IGST for inter-state
+    const taxLines = [
+        ['CGST', order.pricing.cgstAmount],
+        ['SGST', order.pricing.sgstAmount],
+        ['IGST', order.pricing.igstAmount]
+    ].filter(([, amount]) => Number(amount) > 0);
 
-    yPosition += 20;
+    // Orders placed before the split was recorded only carry the GST total
+    if (taxLines.length === 0) {
+        taxLines.push(['GST', order.pricing.gstAmount]);
+    }
+
+    taxLines.forEach(([label, amount]) => {
+        doc
+            .text(`${label}:`, totalsX, yPosition)
+            .text(`₹${Number(amount || 0).toFixed(2)}`, totalsValueX, yPosition, { align: 'right' });
+        yPosition += 20;
+    });
 
     if (order.pricing.shippingCharges > 0) {
         doc
@@ -1072,6 +1239,7 @@ module.exports = {
     getOrderTracking,
     cancelOrder,
     getOrderStats,
+    validateCheckoutSession,
     createOrder,
     downloadInvoice,
     exportOrders,
@@ -301,8 +301,9 @@ const shareProduct = async (req, res) => {
 const getAuctionDetails = async (req, res) => {
   try {
     const { id } = req.params;
+    const userId = req.user?.id || null;
 
-    const auction = await ProductDetail.getAuctionDetails(id);
+    const auction = await ProductDetail.getAuctionDetails(id, userId);
 
     if (!auction) {
       return res.status(404).json({
@@ -1,10 +1,14 @@
 const { Quote, QuoteMessage, RFQ } = require('../models');
-const Order = require('../models/Order');
-const OrderItem = require('../models/OrderItem');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const { Op } = require('sequelize');
 const { supabase } = require('../config/database');
+const RealtimeService = require('../services/realtime.service');
+const QuoteComparisonService = require('../services/quoteComparison.service');
+const QuoteNegotiationService = require('../services/quoteNegotiation.service');
+const RFQLineItemService = require('../services/rfqLineItem.service');
+const RFQAwardService = require('../services/rfqAward.service');
+const xlsx = require('xlsx');
 
 /**
  * Get all quotes for the logged-in buyer
@@ -219,9 +223,12 @@ exports.getQuoteById = async (req, res) => {
             }
         );
 
+        const quoteJson = quote.toJSON();
+        quoteJson.lineItems = await RFQLineItemService.getQuoteLines(id);
+
         res.json({
             success: true,
-            data: quote
+            data: quoteJson
         });
     } catch (error) {
         console.error('Error fetching quote:', error);
@@ -234,138 +241,150 @@ exports.getQuoteById = async (req, res) => {
 };
 
 /**
- * Accept a quote
+ * Accept a quote, optionally for part of its quantity (split award)
  */
 exports.acceptQuote = async (req, res) => {
-    const { sequelize } = require('../config/database');
-    const transaction = await sequelize.transaction();
-
     try {
         const buyerId = req.user.id;
         const { id } = req.params;
-        const { createOrder = false, shippingAddressId, notes } = req.body;
+        const {
+            createOrder = false,
+            shippingAddressId,
+            billingAddressId,
+            notes,
+            quantity,
+            lineItemIds,
+            lineAllocations
+        } = req.body;
+
+        const { awards, coverage } = await RFQAwardService.awardQuotes(
+            buyerId,
+            [{ quoteId: id, quantity, lineItemIds, lineAllocations }],
+            { createOrder, shippingAddressId, billingAddressId, notes }
+        );
+        const [{ quote, allocation, order, orderError }] = awards;
 
-        // Find quote with RFQ
-        const quote = await Quote.findOne({
-            where: { id },
-            include: [
-                {
-                    model: RFQ,
-                    as: 'rfq',
-                    where: { buyerId }
-                }
-            ],
-            transaction
+        res.json({
+            success: true,
+            message: orderError
+                ? 'Quote accepted, but the order could not be created'
+                : allocation.partial ? 'Quote partially accepted' : 'Quote accepted successfully',
+            data: {
+                quote: await quote.reload({
+                    include: [
+                        { model: RFQ, as: 'rfq' }
+                    ]
+                }),
+                order,
+                orderError: orderError || null,
+                allocation: {
+                    allocatedQuantity: allocation.allocatedQuantity,
+                    awardedAmount: allocation.awardedAmount,
+                    partial: allocation.partial
+                },
+                coverage
+            }
         });
+    } catch (error) {
+        sendAwardError(error, res, 'Failed to accept quote');
+    }
+};
 
-        if (!quote) {
-            await transaction.rollback();
-            return res.status(404).json({
-                success: false,
-                message: 'Quote not found or access denied'
-            });
-        }
+/**
+ * Award an RFQ across several quotes, creating one order per awarded supplier
+ */
+exports.awardRFQ = async (req, res) => {
+    try {
+        const buyerId = req.user.id;
+        const { rfqId } = req.params;
+        const { awards, createOrder, shippingAddressId, billingAddressId, notes } = req.body;
 
-        // Check if quote is still valid
-        if (quote.status !== 'pending') {
-            await transaction.rollback();
-            return res.status(400).json({
-                success: false,
-                message: `Cannot accept quote with status: ${quote.status}`
-            });
-        }
+        const result = await RFQAwardService.awardQuotes(buyerId, awards, {
+            rfqId,
+            createOrder,
+            shippingAddressId,
+            billingAddressId,
+            notes
+        });
 
-        if (new Date(quote.validUntil) < new Date()) {
-            await transaction.rollback();
-            return res.status(400).json({
-                success: false,
-                message: 'Quote has expired'
-            });
-        }
+        const failedOrders = result.awards.filter(award => award.orderError).length;
 
-        // Update quote status (removed buyerNotes as it doesn't exist in schema)
-        await quote.update({
-            status: 'accepted',
-            acceptedAt: new Date()
-        }, { transaction });
-
-        // If createOrder is true, create an order
-        let order = null;
-        if (createOrder) {
-            // Create order (using snake_case field names for Supabase)
-            order = await Order.create({
-                user_id: buyerId,
-                order_number: `ORD-${Date.now()}`,
-                status: 'pending',
-                payment_status: 'pending',
-                items_subtotal: quote.quotePrice * quote.quantity,
-                gst_amount: (quote.quotePrice * quote.quantity) * 0.18, // 18% GST
-                shipping_charges: 0,
-                platform_fee: 0,
-                total_amount: (quote.quotePrice * quote.quantity) * 1.18,
-                shipping_address: shippingAddressId ? { address_id: shippingAddressId } : {},
-                order_notes: notes || null
-            });
+        res.json({
+            success: true,
+            message: (result.coverage.fullyCovered
+                ? 'RFQ fully awarded'
+                : `RFQ partially awarded; ${result.coverage.remaining} remaining`) +
+                (failedOrders ? `; ${failedOrders} order(s) could not be created` : ''),
+            data: {
+                rfq: result.rfq,
+                awards: result.awards.map(({ quote, allocation, order, orderError }) => ({
+                    quoteId: quote.id,
+                    quoteNumber: quote.quoteNumber,
+                    supplierId: quote.supplierId,
+                    allocatedQuantity: allocation.allocatedQuantity,
+                    awardedAmount: allocation.awardedAmount,
+                    partial: allocation.partial,
+                    order,
+                    orderError: orderError || null
+                })),
+                coverage: result.coverage
+            }
+        });
+    } catch (error) {
+        sendAwardError(error, res, 'Failed to award RFQ');
+    }
+};
 
-            // Create order item using createBulk (using snake_case field names)
-            await OrderItem.createBulk([{
-                order_id: order.id,
-                product_id: quote.productId,
-                supplier_id: quote.supplierId,
-                product_title: 'Quote Product', // You might want to fetch this from products table
-                unit_price: quote.quotePrice,
-                discount_percent: 0,
-                discount_amount: 0,
-                final_price: quote.quotePrice,
-                quantity: quote.quantity,
-                subtotal: quote.quotePrice * quote.quantity,
-                gst_percent: 18,
-                gst_amount: (quote.quotePrice * quote.quantity) * 0.18,
-                item_status: 'pending'
-            }]);
-
-            // Update RFQ status to fulfilled
-            await quote.rfq.update({ status: 'fulfilled' }, { transaction });
-        }
+/**
+ * Get how much of an RFQ has been awarded and what remains
+ */
+exports.getAwardCoverage = async (req, res) => {
+    try {
+        const buyerId = req.user.id;
+        const { rfqId } = req.params;
 
-        // Commit transaction before sending notification (notification is non-critical)
-        await transaction.commit();
-
-        // Send notification to supplier (outside transaction - non-critical operation)
-        try {
-            await Notification.create({
-                user_id: quote.supplierId,
-                type: 'quote_accepted',
-                title: 'Quote Accepted',
-                message: `Your quote ${quote.quoteNumber} has been accepted by the buyer`,
-                data: { quoteId: quote.id, orderId: order?.id }
+        const rfq = await RFQ.findOne({ where: { id: rfqId, buyerId } });
+        if (!rfq) {
+            return res.status(404).json({
+                success: false,
+                message: 'RFQ not found or access denied'
             });
-        } catch (notifError) {
-            console.error('Error sending notification:', notifError);
-            // Don't fail the request if notification fails
         }
 
         res.json({
             success: true,
-            message: 'Quote accepted successfully',
-            data: {
-                quote: await quote.reload({
-                    include: [
-                        { model: RFQ, as: 'rfq' }
-                    ]
-                }),
-                order
-            }
+            data: await RFQAwardService.getCoverage(rfq)
         });
     } catch (error) {
-        await transaction.rollback();
-        console.error('Error accepting quote:', error);
+        console.error('Error fetching award coverage:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to accept quote',
+            message: 'Failed to fetch award coverage',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Send an award error with its mapped status, or a 500 for unexpected errors
+ */
+const sendAwardError = (error, res, fallbackMessage) => {
+    const described = RFQAwardService.describeError(error);
+
+    if (!described) {
+        console.error(`${fallbackMessage}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: fallbackMessage,
             error: error.message
         });
     }
+
+    res.status(described.statusCode).json({
+        success: false,
+        message: described.message,
+        error: described.code
+    });
 };
 
 /**
@@ -409,6 +428,9 @@ exports.rejectQuote = async (req, res) => {
             rejectionReason: reason
         });
 
+        // Rejecting the quote ends any counter-offer still on the table
+        await QuoteNegotiationService.closeOpenRevision(quote.id, buyerId);
+
         // Send notification to supplier
         await Notification.create({
             user_id: quote.supplierId,
@@ -433,6 +455,96 @@ exports.rejectQuote = async (req, res) => {
     }
 };
 
+/**
+ * Map counter-offer errors to responses
+ * @param {Error} error
+ * @param {Object} res
+ * @param {string} fallbackMessage
+ */
+const sendNegotiationError = (error, res, fallbackMessage) => {
+    const described = QuoteNegotiationService.describeError(error);
+
+    if (!described) {
+        console.error(`${fallbackMessage}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: fallbackMessage,
+            error: error.message
+        });
+    }
+
+    res.status(described.statusCode).json({
+        success: false,
+        message: described.message,
+        error: described.code
+    });
+};
+
+/**
+ * Get the counter-offer history for a quote
+ */
+exports.getQuoteRevisions = async (req, res) => {
+    try {
+        const negotiation = await QuoteNegotiationService.getNegotiation(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            data: negotiation
+        });
+    } catch (error) {
+        sendNegotiationError(error, res, 'Failed to fetch quote revisions');
+    }
+};
+
+/**
+ * Send a counter-offer to the supplier
+ */
+exports.counterQuote = async (req, res) => {
+    try {
+        const negotiation = await QuoteNegotiationService.proposeCounter(
+            req.params.id,
+            req.user.id,
+            'buyer',
+            req.body
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Counter-offer sent to supplier',
+            data: negotiation
+        });
+    } catch (error) {
+        sendNegotiationError(error, res, 'Failed to send counter-offer');
+    }
+};
+
+/**
+ * Accept or decline the supplier's counter-offer
+ */
+exports.respondToRevision = async (req, res) => {
+    try {
+        const { id, revisionNumber } = req.params;
+        const { action, notes } = req.body;
+
+        const negotiation = await QuoteNegotiationService.respondToRevision(
+            id,
+            req.user.id,
+            'buyer',
+            revisionNumber,
+            action,
+            notes
+        );
+
+        res.json({
+            success: true,
+            message: action === 'accept' ? 'Counter-offer agreed' : 'Counter-offer declined',
+            data: negotiation
+        });
+    } catch (error) {
+        sendNegotiationError(error, res, 'Failed to respond to counter-offer');
+    }
+};
+
 /**
  * Send a message about a quote
  */
@@ -497,6 +609,9 @@ exports.sendMessage = async (req, res) => {
             ]
         });
 
+        // Push to anyone watching this conversation
+        RealtimeService.publish(RealtimeService.quoteChannel(id), 'message', messageWithSender.toJSON());
+
         res.json({
             success: true,
             message: 'Message sent successfully',
@@ -687,6 +802,139 @@ exports.getQuoteStats = async (req, res) => {
     }
 };
 
+/**
+ * Compare all quotes on an RFQ side by side, normalized to landed cost
+ */
+exports.compareQuotes = async (req, res) => {
+    try {
+        const buyerId = req.user.id;
+        const { rfqId } = req.params;
+        const { includeClosed, shippingAddressId } = req.query;
+
+        const comparison = await QuoteComparisonService.getComparison(rfqId, buyerId, {
+            includeClosed,
+            shippingAddressId
+        });
+
+        res.json({
+            success: true,
+            data: comparison
+        });
+    } catch (error) {
+        if (error.message === 'RFQ_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: 'RFQ not found or access denied'
+            });
+        }
+
+        console.error('Error comparing quotes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to compare quotes',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Export the quote comparison matrix for an RFQ as an Excel file
+ */
+exports.exportQuoteComparison = async (req, res) => {
+    try {
+        const buyerId = req.user.id;
+        const { rfqId } = req.params;
+        const { includeClosed, shippingAddressId } = req.query;
+
+        const comparison = await QuoteComparisonService.getComparison(rfqId, buyerId, {
+            includeClosed,
+            shippingAddressId
+        });
+
+        if (comparison.quotes.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No quotes found to export'
+            });
+        }
+
+        const workbook = xlsx.utils.book_new();
+        const worksheet = xlsx.utils.aoa_to_sheet(QuoteComparisonService.toMatrix(comparison));
+
+        // First column holds row labels, one column per quote after that
+        worksheet['!cols'] = [
+            { wch: 24 },
+            ...comparison.quotes.map(() => ({ wch: 22 }))
+        ];
+
+        xlsx.utils.book_append_sheet(workbook, worksheet, 'Quote Comparison');
+
+        const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=quote-comparison-${comparison.rfq.rfqNumber}.xlsx`);
+        res.send(buffer);
+    } catch (error) {
+        if (error.message === 'RFQ_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: 'RFQ not found or access denied'
+            });
+        }
+
+        console.error('Error exporting quote comparison:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export quote comparison',
+                error: error.message
+            });
+        }
+    }
+};
+
+/**
+ * Stream new messages for a quote (Server-Sent Events)
+ * Open to the RFQ's buyer and the quoting supplier
+ */
+exports.streamQuoteMessages = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        const quote = await Quote.findOne({
+            where: { id },
+            include: [
+                {
+                    model: RFQ,
+                    as: 'rfq',
+                    attributes: ['id', 'buyerId']
+                }
+            ]
+        });
+
+        if (!quote || (quote.rfq.buyerId !== userId && quote.supplierId !== userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quote not found or access denied'
+            });
+        }
+
+        const send = RealtimeService.openStream(req, res, [RealtimeService.quoteChannel(id)]);
+
+        send('connected', { quoteId: id });
+    } catch (error) {
+        console.error('Error opening message stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to open message stream',
+                error: error.message
+            });
+        }
+    }
+};
+
 /**
  * Mark messages as read
  */
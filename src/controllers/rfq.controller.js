@@ -3,6 +3,15 @@ const Quote = require('../models/Quote');
 const Category = require('../models/Category');
 const Industry = require('../models/Industry');
 const User = require('../models/User');
+const SupplierMatchingService = require('../services/supplierMatching.service');
+const RFQLineItemService = require('../services/rfqLineItem.service');
+const RFQAwardService = require('../services/rfqAward.service');
+const RFQReverseAuctionService = require('../services/rfqReverseAuction.service');
+const RFQVisibilityService = require('../services/rfqVisibility.service');
+const RFQService = require('../services/rfq.service');
+const RFQTemplateService = require('../services/rfqTemplate.service');
+const RealtimeService = require('../services/realtime.service');
+const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
 /**
@@ -10,96 +19,229 @@ const { Op } = require('sequelize');
  * Handles all buyer RFQ operations
  */
 
+/**
+ * Send a visibility or invitation error with its mapped status, or a 500 for unexpected errors
+ */
+const sendVisibilityError = (error, res, fallbackMessage) => {
+    const described = RFQVisibilityService.describeError(error);
+
+    if (!described) {
+        console.error(`${fallbackMessage}:`, error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                message: fallbackMessage,
+                details: error.message
+            }
+        });
+    }
+
+    res.status(described.statusCode).json({
+        success: false,
+        error: {
+            message: described.message,
+            code: described.code
+        }
+    });
+};
+
+/**
+ * Attach category, industry and line items to a newly created RFQ for the response
+ * @param {Object} rfq - RFQ instance
+ * @param {Array} lineItems - RFQLineItem instances
+ * @returns {Promise<Object>}
+ */
+const formatCreatedRFQ = async (rfq, lineItems) => {
+    // Manually fetch category and industry from Supabase
+    const [category, industry] = await Promise.all([
+        rfq.categoryId ? Category.findById(rfq.categoryId) : null,
+        rfq.industryId ? Industry.findById(rfq.industryId) : null
+    ]);
+
+    // Convert RFQ to plain object and add associations
+    const rfqData = rfq.toJSON();
+    rfqData.lineItems = lineItems.map(line => line.toJSON());
+    if (category) {
+        rfqData.category = {
+            id: category.id,
+            name: category.name
+        };
+    }
+    if (industry) {
+        rfqData.industry = {
+            id: industry.id,
+            name: industry.name
+        };
+    }
+
+    return rfqData;
+};
+
 /**
  * Create new RFQ
  * @route POST /api/buyer/rfq/create
  */
 exports.createRFQ = async (req, res) => {
     try {
-        const buyerId = req.user.id;
-        const {
-            title,
-            categoryId,
-            industryId,
-            quantity,
-            unit,
-            budgetMin,
-            budgetMax,
-            requiredByDate,
-            detailedRequirements,
-            preferredLocation,
-            durationDays,
-            attachments
-        } = req.body;
-
-        // Generate RFQ number
-        const timestamp = Date.now();
-        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-        const rfqNumber = `RFQ-${timestamp}-${random}`;
-
-        // Calculate expiry date
-        const duration = durationDays || 7;
-        const expiryDate = new Date();
-        expiryDate.setDate(expiryDate.getDate() + duration);
-
-        // Create RFQ
-        const rfq = await RFQ.create({
-            rfqNumber,
-            buyerId,
-            title,
-            categoryId,
-            industryId,
-            quantity,
-            unit,
-            budgetMin,
-            budgetMax,
-            requiredByDate,
-            detailedRequirements,
-            preferredLocation,
-            durationDays: duration,
-            attachments: attachments || [],
-            status: 'active',
-            expiresAt: expiryDate
-        });
-
-        // Manually fetch category and industry from Supabase
-        const [category, industry] = await Promise.all([
-            categoryId ? Category.findById(categoryId) : null,
-            industryId ? Industry.findById(industryId) : null
-        ]);
-
-        // Convert RFQ to plain object and add associations
-        const rfqData = rfq.toJSON();
-        if (category) {
-            rfqData.category = {
-                id: category.id,
-                name: category.name
-            };
-        }
-        if (industry) {
-            rfqData.industry = {
-                id: industry.id,
-                name: industry.name
-            };
-        }
+        const { rfq, lineItems } = await RFQService.createRFQ(req.user.id, req.body);
 
         res.status(201).json({
             success: true,
             data: {
-                rfq: rfqData
+                rfq: await formatCreatedRFQ(rfq, lineItems)
             },
             message: 'RFQ created successfully'
         });
     } catch (error) {
-        console.error('Create RFQ error:', error);
-        res.status(500).json({
+        sendVisibilityError(error, res, 'Failed to create RFQ');
+    }
+};
+
+/**
+ * Send a template error with its mapped status, or a 500 for unexpected errors
+ */
+const sendTemplateError = (error, res, fallbackMessage) => {
+    const described = RFQTemplateService.describeError(error);
+
+    if (!described) {
+        console.error(`${fallbackMessage}:`, error);
+        return res.status(500).json({
             success: false,
             error: {
-                message: 'Failed to create RFQ',
+                message: fallbackMessage,
                 details: error.message
             }
         });
     }
+
+    res.status(described.statusCode).json({
+        success: false,
+        error: {
+            message: described.message,
+            code: described.code
+        }
+    });
+};
+
+/**
+ * Save an RFQ as a template, optionally on a recurring schedule
+ * @route POST /api/rfq/:id/template
+ */
+exports.saveRFQAsTemplate = async (req, res) => {
+    try {
+        const template = await RFQTemplateService.saveFromRFQ(req.user.id, req.params.id, req.body);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                template
+            },
+            message: template.recurrenceFrequency
+                ? `Template saved; next RFQ publishes ${template.nextRunAt.toISOString().slice(0, 10)}`
+                : 'Template saved'
+        });
+    } catch (error) {
+        sendTemplateError(error, res, 'Failed to save RFQ template');
+    }
+};
+
+/**
+ * Get the buyer's RFQ templates
+ * @route GET /api/rfq/templates
+ */
+exports.getTemplates = async (req, res) => {
+    try {
+        const templates = await RFQTemplateService.listTemplates(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                templates
+            }
+        });
+    } catch (error) {
+        sendTemplateError(error, res, 'Failed to fetch RFQ templates');
+    }
+};
+
+/**
+ * Get an RFQ template
+ * @route GET /api/rfq/templates/:templateId
+ */
+exports.getTemplateById = async (req, res) => {
+    try {
+        const template = await RFQTemplateService.getTemplate(req.user.id, req.params.templateId);
+
+        res.json({
+            success: true,
+            data: {
+                template
+            }
+        });
+    } catch (error) {
+        sendTemplateError(error, res, 'Failed to fetch RFQ template');
+    }
+};
+
+/**
+ * Update an RFQ template's name, schedule or RFQ fields
+ * @route PUT /api/rfq/templates/:templateId
+ */
+exports.updateTemplate = async (req, res) => {
+    try {
+        const template = await RFQTemplateService.updateTemplate(req.user.id, req.params.templateId, req.body);
+
+        res.json({
+            success: true,
+            data: {
+                template
+            },
+            message: 'Template updated successfully'
+        });
+    } catch (error) {
+        sendTemplateError(error, res, 'Failed to update RFQ template');
+    }
+};
+
+/**
+ * Delete an RFQ template (RFQs raised from it are kept)
+ * @route DELETE /api/rfq/templates/:templateId
+ */
+exports.deleteTemplate = async (req, res) => {
+    try {
+        await RFQTemplateService.deleteTemplate(req.user.id, req.params.templateId);
+
+        res.json({
+            success: true,
+            message: 'Template deleted successfully'
+        });
+    } catch (error) {
+        sendTemplateError(error, res, 'Failed to delete RFQ template');
+    }
+};
+
+/**
+ * Create a new RFQ from a template. Body fields override the template's.
+ * @route POST /api/rfq/templates/:templateId/rfqs
+ */
+exports.createRFQFromTemplate = async (req, res) => {
+    try {
+        const { rfq, lineItems } = await RFQTemplateService.createFromTemplate(
+            req.user.id,
+            req.params.templateId,
+            req.body
+        );
+
+        res.status(201).json({
+            success: true,
+            data: {
+                rfq: await formatCreatedRFQ(rfq, lineItems)
+            },
+            message: 'RFQ created from template'
+        });
+    } catch (error) {
+        sendTemplateError(error, res, 'Failed to create RFQ from template');
+    }
 };
 
 /**
@@ -252,14 +394,20 @@ exports.getRFQById = async (req, res) => {
             }
         }
 
+        rfqJson.lineItems = (await RFQLineItemService.getLines(id)).map(line => line.toJSON());
+        rfqJson.awardCoverage = await RFQAwardService.getCoverage(rfq);
+
         // Fetch quotes separately
         const quotes = await Quote.findAll({
             where: { rfqId: id }
         });
 
-        // Enrich quotes with supplier info
+        // Enrich quotes with supplier info and per-line pricing
         const enrichedQuotes = await Promise.all(quotes.map(async (quote) => {
             const quoteJson = quote.toJSON();
+            if (rfqJson.lineItems.length > 0) {
+                quoteJson.lineItems = (await RFQLineItemService.getQuoteLines(quote.id)).map(line => line.toJSON());
+            }
             if (quoteJson.supplierId) {
                 try {
                     const supplier = await User.findById(quoteJson.supplierId);
@@ -304,6 +452,138 @@ exports.getRFQById = async (req, res) => {
     }
 };
 
+/**
+ * Get suppliers invited to quote on an RFQ and how far each got
+ * @route GET /api/rfq/:id/invitations
+ */
+exports.getRFQInvitations = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const buyerId = req.user.id;
+
+        const rfq = await RFQ.findOne({
+            where: { id, buyerId },
+            attributes: ['id']
+        });
+
+        if (!rfq) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'RFQ not found',
+                    code: 'RFQ_NOT_FOUND'
+                }
+            });
+        }
+
+        const summary = await SupplierMatchingService.getInvitationSummary(id);
+
+        res.json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('Get RFQ invitations error:', error);
+        res.status(500).json({
+            success: false,
+            error: {
+                message: 'Failed to fetch RFQ invitations',
+                details: error.message
+            }
+        });
+    }
+};
+
+/**
+ * Invite named suppliers to an RFQ.
+ * This is how an invite-only RFQ's supplier list grows after posting.
+ * @route POST /api/rfq/:id/invitations
+ */
+exports.inviteRFQSuppliers = async (req, res) => {
+    try {
+        const rfq = await RFQ.findOne({
+            where: { id: req.params.id, buyerId: req.user.id }
+        });
+
+        if (!rfq) {
+            throw new Error('RFQ_NOT_FOUND');
+        }
+
+        const invitedIds = await RFQVisibilityService.inviteSuppliers(rfq, req.body.supplierIds);
+        const summary = await SupplierMatchingService.getInvitationSummary(rfq.id);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                invitedSupplierIds: invitedIds,
+                ...summary
+            },
+            message: invitedIds.length > 0
+                ? `${invitedIds.length} supplier(s) invited`
+                : 'All of these suppliers were already invited'
+        });
+    } catch (error) {
+        sendVisibilityError(error, res, 'Failed to invite suppliers');
+    }
+};
+
+/**
+ * Get the buyer's approved vendor list
+ * @route GET /api/rfq/approved-vendors
+ */
+exports.getApprovedVendors = async (req, res) => {
+    try {
+        const vendors = await RFQVisibilityService.getApprovedVendors(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                vendors
+            }
+        });
+    } catch (error) {
+        sendVisibilityError(error, res, 'Failed to fetch approved vendors');
+    }
+};
+
+/**
+ * Add suppliers to the buyer's approved vendor list
+ * @route POST /api/rfq/approved-vendors
+ */
+exports.addApprovedVendors = async (req, res) => {
+    try {
+        const { supplierIds, notes } = req.body;
+        const vendors = await RFQVisibilityService.addApprovedVendors(req.user.id, supplierIds, notes);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                vendors
+            },
+            message: 'Approved vendor list updated'
+        });
+    } catch (error) {
+        sendVisibilityError(error, res, 'Failed to update approved vendors');
+    }
+};
+
+/**
+ * Remove a supplier from the buyer's approved vendor list
+ * @route DELETE /api/rfq/approved-vendors/:supplierId
+ */
+exports.removeApprovedVendor = async (req, res) => {
+    try {
+        await RFQVisibilityService.removeApprovedVendor(req.user.id, req.params.supplierId);
+
+        res.json({
+            success: true,
+            message: 'Supplier removed from approved vendors'
+        });
+    } catch (error) {
+        sendVisibilityError(error, res, 'Failed to remove approved vendor');
+    }
+};
+
 /**
  * Update RFQ
  * @route PUT /api/buyer/rfq/:rfqId
@@ -385,12 +665,43 @@ exports.updateRFQ = async (req, res) => {
             );
         }
 
+        // Line items can only change before any supplier has quoted against them
+        const { lineItems, ...rfqUpdates } = updateData;
+        if (lineItems && rfq.quoteCount > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Line items cannot be changed after suppliers have quoted. Close this RFQ and create a new one instead.',
+                    code: 'RFQ_HAS_QUOTES'
+                }
+            });
+        }
+
+        // Quantity and unit of a multi-line RFQ always follow its lines
+        if (rfq.lineItemCount > 0) {
+            delete rfqUpdates.quantity;
+            delete rfqUpdates.unit;
+        }
+
         // Update RFQ
-        await rfq.update(updateData);
+        const transaction = await sequelize.transaction();
+        try {
+            await rfq.update(rfqUpdates, { transaction });
 
-        // Fetch updated RFQ and enrich with category and industry
+            if (lineItems) {
+                await RFQLineItemService.setLines(rfq, lineItems, transaction);
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        // Fetch updated RFQ and enrich with category, industry and line items
         const updatedRFQ = await RFQ.findByPk(rfq.id);
         const rfqJson = updatedRFQ.toJSON();
+        rfqJson.lineItems = (await RFQLineItemService.getLines(rfq.id)).map(line => line.toJSON());
 
         // Fetch category if exists
         if (rfqJson.categoryId) {
@@ -460,6 +771,8 @@ exports.closeRFQ = async (req, res) => {
         // Update status to closed
         await rfq.update({
             status: 'closed',
+            // Closing a reverse auction early also ends bidding
+            ...(rfq.awardMode === 'reverse_auction' && !rfq.auctionClosedAt && { auctionClosedAt: new Date() })
             // Store reason in a custom field if needed
         });
 
@@ -493,6 +806,125 @@ exports.closeRFQ = async (req, res) => {
     }
 };
 
+/**
+ * Send a reverse auction error with its mapped status, or a 500 for unexpected errors
+ */
+const sendReverseAuctionError = (error, res, fallbackMessage) => {
+    const described = RFQReverseAuctionService.describeError(error);
+
+    if (!described) {
+        console.error(`${fallbackMessage}:`, error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                message: fallbackMessage,
+                details: error.message
+            }
+        });
+    }
+
+    res.status(described.statusCode).json({
+        success: false,
+        error: {
+            message: described.message,
+            code: described.code
+        }
+    });
+};
+
+/**
+ * Get the live ranking of a reverse auction RFQ
+ * @route GET /api/rfq/:id/auction
+ */
+exports.getReverseAuction = async (req, res) => {
+    try {
+        const auction = await RFQReverseAuctionService.getBuyerView(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                auction
+            }
+        });
+    } catch (error) {
+        sendReverseAuctionError(error, res, 'Failed to fetch reverse auction');
+    }
+};
+
+/**
+ * Get the final ranking report of a closed reverse auction
+ * @route GET /api/rfq/:id/auction/report
+ */
+exports.getReverseAuctionReport = async (req, res) => {
+    try {
+        const report = await RFQReverseAuctionService.getFinalReport(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                report
+            }
+        });
+    } catch (error) {
+        sendReverseAuctionError(error, res, 'Failed to fetch reverse auction report');
+    }
+};
+
+/**
+ * Stream a reverse auction over Server-Sent Events.
+ * The buyer sees the named ranking; suppliers see their own rank only.
+ * @route GET /api/rfq/:id/auction/stream
+ */
+exports.streamReverseAuction = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        const rfq = await RFQ.findByPk(id);
+        const isBuyer = rfq && req.role === 'buyer' && rfq.buyerId === userId;
+        const isSupplier = rfq && req.role === 'supplier' && await RFQVisibilityService.canAccess(rfq, userId);
+
+        if (!rfq || !RFQReverseAuctionService.isReverseAuction(rfq) || (!isBuyer && !isSupplier)) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Reverse auction not found',
+                    code: 'RFQ_NOT_FOUND'
+                }
+            });
+        }
+
+        const send = RealtimeService.openStream(req, res, [RealtimeService.rfqAuctionChannel(id)], {
+            onMessage: (message, send) => {
+                const { event, data, context } = message;
+
+                if (event === 'bid') {
+                    send(event, isSupplier ? { ...data, isMine: context.supplierId === userId } : data);
+                } else if (isSupplier && context?.ranking) {
+                    send(event, RFQReverseAuctionService.formatSupplierView(context.rfq, context.ranking, userId));
+                } else {
+                    send(event, data);
+                }
+            }
+        });
+
+        send('auction', isBuyer
+            ? await RFQReverseAuctionService.getBuyerView(id, userId)
+            : await RFQReverseAuctionService.getSupplierView(id, userId));
+    } catch (error) {
+        console.error('Error opening reverse auction stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to open reverse auction stream',
+                    details: error.message
+                }
+            });
+        }
+    }
+};
+
 /**
  * Get RFQ categories
  * @route GET /api/buyer/rfq/categories
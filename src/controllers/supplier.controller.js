@@ -1,6 +1,14 @@
-const { query: db } = require('../config/database');
+const { query: db, sequelize } = require('../config/database');
 const { AppError, ERROR_CODES, asyncHandler } = require('../middleware/error.middleware');
-const { Quote, RFQ } = require('../models');
+const { Quote, RFQ, QuoteLineItem } = require('../models');
+const SupplierMatchingService = require('../services/supplierMatching.service');
+const QuoteNegotiationService = require('../services/quoteNegotiation.service');
+const RFQLineItemService = require('../services/rfqLineItem.service');
+const RFQReverseAuctionService = require('../services/rfqReverseAuction.service');
+const RFQVisibilityService = require('../services/rfqVisibility.service');
+const OrderService = require('../services/order.service');
+const ContractPricingService = require('../services/contractPricing.service');
+const CouponService = require('../services/coupon.service');
 
 /**
  * @route   GET /api/supplier/listings
@@ -42,6 +50,8 @@ const getMyListings = asyncHandler(async (req, res) => {
             p.image_url,
             p.condition,
             p.quantity,
+            COALESCE(r.reserved_quantity, 0) as reserved_quantity,
+            GREATEST(p.quantity - COALESCE(r.reserved_quantity, 0), 0) as available_quantity,
             p.unit,
             p.city,
             p.state,
@@ -60,6 +70,15 @@ const getMyListings = asyncHandler(async (req, res) => {
             COALESCE(p.review_count, 0) as review_count
         FROM products p
         LEFT JOIN categories c ON p.category_id = c.id
+        LEFT JOIN (
+            SELECT product_id,
+                   SUM(quantity)::int as reserved_quantity,
+                   COUNT(*)::int as active_reservations,
+                   MIN(expires_at) as next_reservation_expiry
+            FROM stock_reservations
+            WHERE status = 'active' AND expires_at > NOW()
+            GROUP BY product_id
+        ) r ON r.product_id = p.id
         ${whereClause}
         ORDER BY p.${sortColumn} ${order}
         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -106,9 +125,22 @@ const getListingById = asyncHandler(async (req, res) => {
         SELECT 
             p.*,
             c.name as category_name,
-            c.slug as category_slug
+            c.slug as category_slug,
+            COALESCE(r.reserved_quantity, 0) as reserved_quantity,
+            GREATEST(p.quantity - COALESCE(r.reserved_quantity, 0), 0) as available_quantity,
+            COALESCE(r.active_reservations, 0) as active_reservations,
+            r.next_reservation_expiry
         FROM products p
         LEFT JOIN categories c ON p.category_id = c.id
+        LEFT JOIN (
+            SELECT product_id,
+                   SUM(quantity)::int as reserved_quantity,
+                   COUNT(*)::int as active_reservations,
+                   MIN(expires_at) as next_reservation_expiry
+            FROM stock_reservations
+            WHERE status = 'active' AND expires_at > NOW()
+            GROUP BY product_id
+        ) r ON r.product_id = p.id
         WHERE p.id = $1 AND p.supplier_id = $2
     `;
 
@@ -149,6 +181,9 @@ const createListing = asyncHandler(async (req, res) => {
         city,
         listingType,
         expiresAt,
+        priceTiers,
+        hsnCode,
+        gstPercent,
         // Technical Specification fields
         materialType,
         materialGrade,
@@ -158,6 +193,9 @@ const createListing = asyncHandler(async (req, res) => {
         lengthUnit,
         weightPerUnit,
         weightUnit,
+        packageLengthCm,
+        packageWidthCm,
+        packageHeightCm,
         manufacturingProcess,
         // Compliance & Certification fields
         certifications,
@@ -179,9 +217,12 @@ const createListing = asyncHandler(async (req, res) => {
             material_type, material_grade, diameter_range, wall_thickness_range,
             length_min, length_unit, weight_per_unit, weight_unit,
             manufacturing_process, certifications, other_certification,
+            hsn_code, gst_percent,
+            package_length_cm, package_width_cm, package_height_cm,
+            price_tiers,
             status, listed_at
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, NOW())
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, NOW())
         RETURNING *
     `;
 
@@ -216,6 +257,12 @@ const createListing = asyncHandler(async (req, res) => {
         manufacturingProcess || null,
         certifications ? JSON.stringify(certifications) : '[]',
         otherCertification || null,
+        hsnCode || null,
+        gstPercent ?? null, // null = category rate
+        packageLengthCm || null,
+        packageWidthCm || null,
+        packageHeightCm || null,
+        priceTiers ? JSON.stringify(priceTiers) : '[]',
         'active'
     ]);
 
@@ -271,6 +318,9 @@ const updateListing = asyncHandler(async (req, res) => {
         expiresAt: 'expires_at',
         availableQuantity: 'available_quantity',
         minOrderQuantity: 'min_order_quantity',
+        priceTiers: 'price_tiers',
+        hsnCode: 'hsn_code',
+        gstPercent: 'gst_percent',
         // Technical Specification fields
         materialType: 'material_type',
         materialGrade: 'material_grade',
@@ -280,6 +330,9 @@ const updateListing = asyncHandler(async (req, res) => {
         lengthUnit: 'length_unit',
         weightPerUnit: 'weight_per_unit',
         weightUnit: 'weight_unit',
+        packageLengthCm: 'package_length_cm',
+        packageWidthCm: 'package_width_cm',
+        packageHeightCm: 'package_height_cm',
         manufacturingProcess: 'manufacturing_process',
         // Compliance & Certification fields
         certifications: 'certifications',
@@ -292,7 +345,7 @@ const updateListing = asyncHandler(async (req, res) => {
             fields.push(`${dbField} = $${paramIndex}`);
 
             // Handle JSON fields
-            if (key === 'galleryImages' || key === 'certifications') {
+            if (key === 'galleryImages' || key === 'certifications' || key === 'priceTiers') {
                 values.push(JSON.stringify(updates[key]));
             } else {
                 values.push(updates[key]);
@@ -541,6 +594,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
         FROM rfqs
         WHERE status = 'open'
         AND (category_id IN (SELECT DISTINCT category_id FROM products WHERE supplier_id = $1) OR category_id IS NULL)
+        AND ${RFQVisibilityService.getAccessCondition('$1', 'rfqs')}
     `;
 
     const [listingsStats, ordersStats, recentActivity, performance, rfqMatches] = await Promise.all([
@@ -598,8 +652,9 @@ const getSupplierOrders = asyncHandler(async (req, res) => {
     const params = [supplierId];
     let paramIndex = 2;
 
+    // Orders split per supplier are filtered on the supplier's own sub-order status
     if (status && status !== 'all') {
-        whereClause += ` AND o.status = $${paramIndex}`;
+        whereClause += ` AND COALESCE(so.status, o.status) = $${paramIndex}`;
         params.push(status);
         paramIndex++;
     }
@@ -613,6 +668,16 @@ const getSupplierOrders = asyncHandler(async (req, res) => {
             o.total_amount,
             o.created_at,
             o.updated_at,
+            so.id as sub_order_id,
+            so.sub_order_number,
+            so.status as sub_order_status,
+            so.shipping_charges as sub_order_shipping,
+            so.total_amount as sub_order_total,
+            so.tracking_number as sub_order_tracking_number,
+            so.shipping_partner as sub_order_shipping_partner,
+            so.invoice_number as sub_order_invoice_number,
+            so.payout_amount,
+            so.payout_status,
             CONCAT(u.first_name, ' ', u.last_name) as buyer_name,
             u.company_name as buyer_company,
             u.mobile as buyer_mobile,
@@ -632,9 +697,10 @@ const getSupplierOrders = asyncHandler(async (req, res) => {
             ) as items
         FROM orders o
         JOIN order_items oi ON o.id = oi.order_id
+        LEFT JOIN sub_orders so ON oi.sub_order_id = so.id
         JOIN users u ON o.user_id = u.id
         ${whereClause}
-        GROUP BY o.id, u.first_name, u.last_name, u.company_name, u.mobile
+        GROUP BY o.id, so.id, u.first_name, u.last_name, u.company_name, u.mobile
         ORDER BY o.created_at DESC
         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `;
@@ -654,6 +720,7 @@ const getSupplierOrders = asyncHandler(async (req, res) => {
         SELECT COUNT(DISTINCT o.id) as total
         FROM orders o
         JOIN order_items oi ON o.id = oi.order_id
+        LEFT JOIN sub_orders so ON oi.sub_order_id = so.id
         ${whereClause}
     `;
     const countResult = await db(countQuery, params.slice(0, paramIndex - 1));
@@ -714,6 +781,32 @@ const updateOrderItemStatus = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @route   PUT /api/supplier/sub-orders/:subOrderId/status
+ * @desc    Move the supplier's sub-order through fulfilment
+ * @access  Private (Supplier only)
+ */
+const updateSubOrderStatus = asyncHandler(async (req, res) => {
+    const { subOrderId } = req.params;
+    const supplierId = req.userId;
+
+    try {
+        const subOrder = await OrderService.updateSubOrderStatus(supplierId, subOrderId, req.validatedBody);
+
+        res.json({
+            success: true,
+            message: 'Sub-order status updated successfully',
+            data: subOrder
+        });
+    } catch (error) {
+        const described = OrderService.describeError(error);
+        if (described) {
+            throw new AppError(described.message, described.statusCode, described.code);
+        }
+        throw error;
+    }
+});
+
 /**
  * @route   GET /api/supplier/analytics
  * @desc    Get supplier analytics and performance metrics
@@ -1035,6 +1128,12 @@ const getRFQs = asyncHandler(async (req, res) => {
         paramIndex++;
     }
 
+    // Invite-only and approved-vendor RFQs are listed only to suppliers allowed to quote on them
+    const supplierParam = `$${paramIndex}`;
+    whereClause += ` AND ${RFQVisibilityService.getAccessCondition(supplierParam)}`;
+    params.push(supplierId);
+    paramIndex++;
+
     // Get RFQs with related data
     const rfqsQuery = `
         SELECT 
@@ -1052,6 +1151,9 @@ const getRFQs = asyncHandler(async (req, res) => {
             r.status,
             r.view_count,
             r.quote_count,
+            r.line_item_count,
+            r.award_mode,
+            r.visibility,
             r.expires_at,
             r.created_at,
             c.name as category_name,
@@ -1062,18 +1164,22 @@ const getRFQs = asyncHandler(async (req, res) => {
             u.state as buyer_state,
             EXISTS(
                 SELECT 1 FROM quotes q 
-                WHERE q.rfq_id = r.id AND q.supplier_id = $${paramIndex}
-            ) as has_quoted
+                WHERE q.rfq_id = r.id AND q.supplier_id = ${supplierParam}
+            ) as has_quoted,
+            EXISTS(
+                SELECT 1 FROM rfq_invitations ri
+                WHERE ri.rfq_id = r.id AND ri.supplier_id = ${supplierParam}
+            ) as is_invited
         FROM rfqs r
         LEFT JOIN categories c ON r.category_id = c.id
         LEFT JOIN industries i ON r.industry_id = i.id
         LEFT JOIN users u ON r.buyer_id = u.id
         ${whereClause}
         ORDER BY r.created_at DESC
-        LIMIT $${paramIndex + 1} OFFSET $${paramIndex + 2}
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `;
 
-    params.push(supplierId, limit, offset);
+    params.push(limit, offset);
 
     // Get total count
     const countQuery = `
@@ -1128,6 +1234,14 @@ const getRFQById = asyncHandler(async (req, res) => {
             r.attachments,
             r.view_count,
             r.quote_count,
+            r.line_item_count,
+            r.award_mode,
+            r.visibility,
+            r.auction_start_price,
+            r.min_decrement_type,
+            r.min_decrement_value,
+            r.extension_count,
+            r.auction_closed_at,
             r.expires_at,
             r.created_at,
             c.name as category_name,
@@ -1148,17 +1262,43 @@ const getRFQById = asyncHandler(async (req, res) => {
                     'quote_number', q.quote_number,
                     'quote_price', q.quote_price,
                     'status', q.status,
-                    'created_at', q.created_at
+                    'created_at', q.created_at,
+                    'line_items', (
+                        SELECT COALESCE(json_agg(json_build_object(
+                            'id', qli.id,
+                            'rfq_line_item_id', qli.rfq_line_item_id,
+                            'unit_price', qli.unit_price,
+                            'quantity', qli.quantity,
+                            'delivery_days', qli.delivery_days,
+                            'award_status', qli.award_status
+                        )), '[]'::json)
+                        FROM quote_line_items qli
+                        WHERE qli.quote_id = q.id
+                    )
                 )
                 FROM quotes q
                 WHERE q.rfq_id = r.id AND q.supplier_id = $2
                 LIMIT 1
-            ) as my_quote
+            ) as my_quote,
+            (
+                SELECT COALESCE(json_agg(json_build_object(
+                    'id', rli.id,
+                    'line_number', rli.line_number,
+                    'item_name', rli.item_name,
+                    'specification', rli.specification,
+                    'quantity', rli.quantity,
+                    'unit', rli.unit,
+                    'target_price', rli.target_price
+                ) ORDER BY rli.line_number), '[]'::json)
+                FROM rfq_line_items rli
+                WHERE rli.rfq_id = r.id
+            ) as line_items
         FROM rfqs r
         LEFT JOIN categories c ON r.category_id = c.id
         LEFT JOIN industries i ON r.industry_id = i.id
         LEFT JOIN users u ON r.buyer_id = u.id
         WHERE r.id = $1
+        AND ${RFQVisibilityService.getAccessCondition('$2')}
     `;
 
     const result = await db(rfqQuery, [id, supplierId]);
@@ -1173,6 +1313,10 @@ const getRFQById = asyncHandler(async (req, res) => {
     // Increment view count
     await db('UPDATE rfqs SET view_count = view_count + 1 WHERE id = $1', [id]);
 
+    // Record the view against the supplier's invitation (if invited, non-critical)
+    SupplierMatchingService.markViewed(id, supplierId)
+        .catch(err => console.error('Failed to mark RFQ invitation viewed:', err));
+
     res.json({
         success: true,
         message: 'RFQ retrieved successfully',
@@ -1190,16 +1334,30 @@ const getRFQById = asyncHandler(async (req, res) => {
 const submitQuote = asyncHandler(async (req, res) => {
     const supplierId = req.userId;
     const { id: rfqId } = req.params;
-    const { quotePrice, deliveryDays, validUntil, notes } = req.body;
+    const { quotePrice, quantity, deliveryDays, validUntil, notes, gstPercent, shippingCharges, lineItems } = req.body;
 
-    // Validate required fields
-    if (!quotePrice || !deliveryDays || !validUntil) {
+    // Validate required fields (line-item quotes are priced per line instead)
+    if (!validUntil || (!lineItems && (!quotePrice || !deliveryDays))) {
         return res.status(400).json({
             success: false,
             message: 'Quote price, delivery days, and valid until date are required'
         });
     }
 
+    if (gstPercent !== undefined && (isNaN(gstPercent) || gstPercent < 0 || gstPercent > 28)) {
+        return res.status(400).json({
+            success: false,
+            message: 'GST percent must be between 0 and 28'
+        });
+    }
+
+    if (shippingCharges !== undefined && shippingCharges !== null && (isNaN(shippingCharges) || shippingCharges < 0)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Shipping charges cannot be negative'
+        });
+    }
+
     // Check if RFQ exists and is active using Sequelize
     const rfq = await RFQ.findByPk(rfqId);
 
@@ -1210,13 +1368,33 @@ const submitQuote = asyncHandler(async (req, res) => {
         });
     }
 
-    if (rfq.status !== 'active') {
+    // Private RFQs only take quotes from invited (or approved) suppliers
+    if (!(await RFQVisibilityService.canAccess(rfq, supplierId))) {
+        return res.status(403).json({
+            success: false,
+            message: 'This RFQ is open to invited suppliers only'
+        });
+    }
+
+    // The expiry job may not have caught up yet; a reverse auction checks its own (extendable) deadline
+    const pastDeadline = !RFQReverseAuctionService.isReverseAuction(rfq)
+        && rfq.expiresAt && new Date(rfq.expiresAt) <= new Date();
+
+    if (rfq.status !== 'active' || pastDeadline) {
         return res.status(400).json({
             success: false,
             message: 'This RFQ is no longer accepting quotes'
         });
     }
 
+    // Suppliers who can't fill the whole RFQ may quote part of the quantity (split awards)
+    if (quantity !== undefined && (isNaN(quantity) || quantity <= 0 || parseFloat(quantity) > parseFloat(rfq.quantity))) {
+        return res.status(400).json({
+            success: false,
+            message: `Quantity must be greater than 0 and at most ${parseFloat(rfq.quantity)} ${rfq.unit}`
+        });
+    }
+
     // Check if supplier has already submitted a quote using Sequelize
     const existingQuote = await Quote.findOne({
         where: {
@@ -1240,20 +1418,78 @@ const submitQuote = asyncHandler(async (req, res) => {
     const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
     const quoteNumber = `QT-${dateStr}-${random}`;
 
-    // Create quote using Sequelize (this will trigger hooks for RFQ count increment)
-    const quote = await Quote.create({
+    // Multi-line RFQs are quoted per line; suppliers may skip lines they can't supply
+    const rfqLines = await RFQLineItemService.getLines(rfqId);
+    let quoteLines = null;
+
+    if (rfqLines.length > 0) {
+        try {
+            quoteLines = RFQLineItemService.buildQuoteLines(rfqLines, lineItems);
+        } catch (error) {
+            const described = RFQLineItemService.describeError(error);
+            if (described) {
+                throw new AppError(described.message, described.statusCode, described.code);
+            }
+            throw error;
+        }
+
+        if (!deliveryDays && !quoteLines.deliveryDays) {
+            return res.status(400).json({
+                success: false,
+                message: 'Delivery days are required for the quote or for each line'
+            });
+        }
+    }
+
+    // A line-item quote is priced as one lot: quotePrice is the total of its lines.
+    const quoteData = {
         quoteNumber,
         rfqId,
         supplierId,
         buyerId: rfq.buyerId,
-        quotePrice,
-        quantity: rfq.quantity,
-        unit: rfq.unit,
-        deliveryDays,
+        quotePrice: quoteLines ? quoteLines.total : quotePrice,
+        quantity: quoteLines ? 1 : (quantity !== undefined ? quantity : rfq.quantity),
+        unit: quoteLines ? 'lot' : rfq.unit,
+        gstPercent: gstPercent !== undefined ? gstPercent : 18,
+        shippingCharges: shippingCharges !== undefined ? shippingCharges : null,
+        deliveryDays: deliveryDays || (quoteLines && quoteLines.deliveryDays),
         validUntil,
         notes,
         status: 'pending'
-    });
+    };
+    let quote;
+
+    if (RFQReverseAuctionService.isReverseAuction(rfq)) {
+        // In a reverse auction the quote is the supplier's opening bid
+        ({ quote } = await runReverseAuction(() => {
+            if (parseFloat(quoteData.quantity) < parseFloat(rfq.quantity)) {
+                throw new Error('PARTIAL_QUANTITY_NOT_ALLOWED');
+            }
+
+            return RFQReverseAuctionService.placeBid(rfqId, supplierId, quotePrice, (transaction, amount) =>
+                Quote.create({ ...quoteData, quotePrice: amount }, { transaction })
+            );
+        }));
+    } else {
+        // Create quote using Sequelize (this will trigger hooks for RFQ count increment)
+        const transaction = await sequelize.transaction();
+
+        try {
+            quote = await Quote.create(quoteData, { transaction });
+
+            if (quoteLines) {
+                await QuoteLineItem.bulkCreate(
+                    quoteLines.lines.map(line => ({ ...line, quoteId: quote.id })),
+                    { transaction }
+                );
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
 
     // Get buyer and supplier details for email notification
     const detailsQuery = `
@@ -1287,8 +1523,8 @@ const submitQuote = asyncHandler(async (req, res) => {
                     rfqNumber: rfq.rfqNumber,
                     supplierName: supplier_name,
                     supplierCompany: supplier_company,
-                    quotePrice: `₹${parseFloat(quotePrice).toLocaleString()}`,
-                    deliveryDays: deliveryDays,
+                    quotePrice: `₹${parseFloat(quote.quotePrice).toLocaleString()}`,
+                    deliveryDays: quote.deliveryDays,
                     validUntil: new Date(validUntil).toLocaleDateString('en-IN', {
                         year: 'numeric',
                         month: 'long',
@@ -1308,7 +1544,8 @@ const submitQuote = asyncHandler(async (req, res) => {
         success: true,
         message: 'Quote submitted successfully. The buyer has been notified.',
         data: {
-            quote
+            quote,
+            lineItems: quoteLines ? quoteLines.lines : []
         }
     });
 });
@@ -1344,6 +1581,8 @@ const getQuotes = asyncHandler(async (req, res) => {
             q.valid_until,
             q.notes,
             q.status,
+            q.negotiation_status,
+            q.revision_count,
             q.created_at,
             q.updated_at,
             r.rfq_number,
@@ -1387,6 +1626,370 @@ const getQuotes = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Run a negotiation move, converting known errors to AppErrors
+ * @param {Function} move
+ * @returns {Promise<Object>}
+ */
+const runNegotiation = async (move) => {
+    try {
+        return await move();
+    } catch (error) {
+        const described = QuoteNegotiationService.describeError(error);
+        if (described) {
+            throw new AppError(described.message, described.statusCode, described.code);
+        }
+        throw error;
+    }
+};
+
+/**
+ * @route   GET /api/supplier/quotes/:id/revisions
+ * @desc    Get counter-offer history for a quote
+ * @access  Private (Supplier only)
+ */
+const getQuoteRevisions = asyncHandler(async (req, res) => {
+    const negotiation = await runNegotiation(() =>
+        QuoteNegotiationService.getNegotiation(req.params.id, req.userId)
+    );
+
+    res.json({
+        success: true,
+        message: 'Quote revisions retrieved successfully',
+        data: negotiation
+    });
+});
+
+/**
+ * @route   POST /api/supplier/quotes/:id/counter
+ * @desc    Counter the buyer's offer with revised terms
+ * @access  Private (Supplier only)
+ */
+const counterQuote = asyncHandler(async (req, res) => {
+    const negotiation = await runNegotiation(() =>
+        QuoteNegotiationService.proposeCounter(req.params.id, req.userId, 'supplier', req.validatedBody)
+    );
+
+    res.status(201).json({
+        success: true,
+        message: 'Counter-offer sent to buyer',
+        data: negotiation
+    });
+});
+
+/**
+ * @route   PUT /api/supplier/quotes/:id/revisions/:revisionNumber/respond
+ * @desc    Accept or decline the buyer's counter-offer
+ * @access  Private (Supplier only)
+ */
+const respondToRevision = asyncHandler(async (req, res) => {
+    const { id, revisionNumber } = req.params;
+    const { action, notes } = req.validatedBody;
+
+    const negotiation = await runNegotiation(() =>
+        QuoteNegotiationService.respondToRevision(id, req.userId, 'supplier', revisionNumber, action, notes)
+    );
+
+    res.json({
+        success: true,
+        message: action === 'accept' ? 'Counter-offer accepted' : 'Counter-offer declined',
+        data: negotiation
+    });
+});
+
+/**
+ * Run a reverse auction action, converting known errors to AppErrors
+ * @param {Function} action
+ * @returns {Promise<Object>}
+ */
+const runReverseAuction = async (action) => {
+    try {
+        return await action();
+    } catch (error) {
+        const described = RFQReverseAuctionService.describeError(error);
+        if (described) {
+            throw new AppError(described.message, described.statusCode, described.code);
+        }
+        throw error;
+    }
+};
+
+/**
+ * @route   GET /api/supplier/rfqs/:id/auction
+ * @desc    Get reverse auction state: lowest bid, own rank and bid limits
+ * @access  Private (Supplier only)
+ */
+const getRFQAuction = asyncHandler(async (req, res) => {
+    const auction = await runReverseAuction(() =>
+        RFQReverseAuctionService.getSupplierView(req.params.id, req.userId)
+    );
+
+    res.json({
+        success: true,
+        message: 'Reverse auction retrieved successfully',
+        data: {
+            auction
+        }
+    });
+});
+
+/**
+ * @route   POST /api/supplier/rfqs/:id/bids
+ * @desc    Undercut with a lower unit price in a reverse auction
+ * @access  Private (Supplier only)
+ */
+const placeRFQBid = asyncHandler(async (req, res) => {
+    const { bid, auction } = await runReverseAuction(() =>
+        RFQReverseAuctionService.placeBid(req.params.id, req.userId, req.validatedBody.amount)
+    );
+
+    res.status(201).json({
+        success: true,
+        message: auction.isLowest ? 'Bid placed. You have the lowest bid.' : `Bid placed. You are ranked #${auction.myRank}.`,
+        data: {
+            bid: {
+                id: bid.id,
+                amount: parseFloat(bid.amount),
+                previousAmount: bid.previousAmount !== null ? parseFloat(bid.previousAmount) : null,
+                extended: bid.extended,
+                createdAt: bid.createdAt
+            },
+            auction
+        }
+    });
+});
+
+/**
+ * Run a price list operation, converting known errors to AppErrors
+ * @param {Function} operation
+ * @returns {Promise<*>}
+ */
+const runContractPricing = async (operation) => {
+    try {
+        return await operation();
+    } catch (error) {
+        const described = ContractPricingService.describeError(error);
+        if (described) {
+            throw new AppError(described.message, described.statusCode, described.code);
+        }
+        throw error;
+    }
+};
+
+/**
+ * @route   GET /api/supplier/price-lists
+ * @desc    Get the supplier's contract price lists
+ * @access  Private (Supplier only)
+ */
+const getPriceLists = asyncHandler(async (req, res) => {
+    const priceLists = await ContractPricingService.getPriceLists(req.userId, {
+        buyerId: req.query.buyerId
+    });
+
+    res.json({
+        success: true,
+        data: { priceLists }
+    });
+});
+
+/**
+ * @route   GET /api/supplier/price-lists/:id
+ * @desc    Get a contract price list with its items
+ * @access  Private (Supplier only)
+ */
+const getPriceList = asyncHandler(async (req, res) => {
+    const priceList = await runContractPricing(() =>
+        ContractPricingService.getPriceList(req.userId, req.params.id)
+    );
+
+    res.json({
+        success: true,
+        data: priceList
+    });
+});
+
+/**
+ * @route   POST /api/supplier/price-lists
+ * @desc    Create a contract price list for a buyer account
+ * @access  Private (Supplier only)
+ */
+const createPriceList = asyncHandler(async (req, res) => {
+    const priceList = await runContractPricing(() =>
+        ContractPricingService.createPriceList(req.userId, req.validatedBody)
+    );
+
+    res.status(201).json({
+        success: true,
+        message: 'Price list created successfully',
+        data: priceList
+    });
+});
+
+/**
+ * @route   PUT /api/supplier/price-lists/:id
+ * @desc    Update a contract price list
+ * @access  Private (Supplier only)
+ */
+const updatePriceList = asyncHandler(async (req, res) => {
+    const priceList = await runContractPricing(() =>
+        ContractPricingService.updatePriceList(req.userId, req.params.id, req.validatedBody)
+    );
+
+    res.json({
+        success: true,
+        message: 'Price list updated successfully',
+        data: priceList
+    });
+});
+
+/**
+ * @route   DELETE /api/supplier/price-lists/:id
+ * @desc    Delete a contract price list
+ * @access  Private (Supplier only)
+ */
+const deletePriceList = asyncHandler(async (req, res) => {
+    await runContractPricing(() =>
+        ContractPricingService.deletePriceList(req.userId, req.params.id)
+    );
+
+    res.json({
+        success: true,
+        message: 'Price list deleted successfully'
+    });
+});
+
+/**
+ * Run a coupon operation, converting known errors to AppErrors
+ * @param {Function} operation
+ * @returns {Promise<*>}
+ */
+const runCoupon = async (operation) => {
+    try {
+        return await operation();
+    } catch (error) {
+        const described = CouponService.describeError(error);
+        if (described) {
+            throw new AppError(described.message, described.statusCode, described.code);
+        }
+        throw error;
+    }
+};
+
+/**
+ * @route   GET /api/supplier/coupons
+ * @desc    Get coupons the supplier funds
+ * @access  Private (Supplier only)
+ */
+const getCoupons = asyncHandler(async (req, res) => {
+    const result = await CouponService.getCoupons(req.validatedQuery, { supplierId: req.userId });
+
+    res.json({
+        success: true,
+        data: result
+    });
+});
+
+/**
+ * @route   GET /api/supplier/coupons/:id
+ * @desc    Get one of the supplier's coupons
+ * @access  Private (Supplier only)
+ */
+const getCoupon = asyncHandler(async (req, res) => {
+    const coupon = await runCoupon(() =>
+        CouponService.getCoupon(req.params.id, { supplierId: req.userId })
+    );
+
+    res.json({
+        success: true,
+        data: coupon
+    });
+});
+
+/**
+ * @route   POST /api/supplier/coupons
+ * @desc    Create a supplier-funded coupon
+ * @access  Private (Supplier only)
+ */
+const createCoupon = asyncHandler(async (req, res) => {
+    const coupon = await runCoupon(() =>
+        CouponService.createCoupon(req.validatedBody, { createdBy: req.userId, supplierId: req.userId })
+    );
+
+    res.status(201).json({
+        success: true,
+        message: 'Coupon created successfully',
+        data: coupon
+    });
+});
+
+/**
+ * @route   PUT /api/supplier/coupons/:id
+ * @desc    Update one of the supplier's coupons
+ * @access  Private (Supplier only)
+ */
+const updateCoupon = asyncHandler(async (req, res) => {
+    const coupon = await runCoupon(() =>
+        CouponService.updateCoupon(req.params.id, req.validatedBody, { supplierId: req.userId })
+    );
+
+    res.json({
+        success: true,
+        message: 'Coupon updated successfully',
+        data: coupon
+    });
+});
+
+/**
+ * @route   DELETE /api/supplier/coupons/:id
+ * @desc    Delete one of the supplier's coupons
+ * @access  Private (Supplier only)
+ */
+const deleteCoupon = asyncHandler(async (req, res) => {
+    const result = await runCoupon(() =>
+        CouponService.deleteCoupon(req.params.id, { supplierId: req.userId })
+    );
+
+    res.json({
+        success: true,
+        message: result.deleted
+            ? 'Coupon deleted successfully'
+            : 'Coupon has been redeemed, so it was deactivated instead of deleted',
+        data: result
+    });
+});
+
+/**
+ * @route   GET /api/supplier/coupons/reports/redemptions
+ * @desc    Redemption totals for the supplier's coupons
+ * @access  Private (Supplier only)
+ */
+const getCouponRedemptionReport = asyncHandler(async (req, res) => {
+    const { from, to } = req.validatedQuery;
+
+    const report = await CouponService.getRedemptionReport({ from, to }, { supplierId: req.userId });
+
+    res.json({
+        success: true,
+        data: report
+    });
+});
+
+/**
+ * @route   GET /api/supplier/coupons/:id/redemptions
+ * @desc    Redemptions of one of the supplier's coupons
+ * @access  Private (Supplier only)
+ */
+const getCouponRedemptions = asyncHandler(async (req, res) => {
+    const result = await runCoupon(() =>
+        CouponService.getCouponRedemptions(req.params.id, req.validatedQuery, { supplierId: req.userId })
+    );
+
+    res.json({
+        success: true,
+        data: result
+    });
+});
+
 module.exports = {
     getProfile,
     getMyListings,
@@ -1397,11 +2000,29 @@ module.exports = {
     getDashboardStats,
     getSupplierOrders,
     updateOrderItemStatus,
+    updateSubOrderStatus,
     getAnalytics,
     getPayments,
     getInvoices,
     getRFQs,
     getRFQById,
     submitQuote,
-    getQuotes
+    getQuotes,
+    getQuoteRevisions,
+    counterQuote,
+    respondToRevision,
+    getRFQAuction,
+    placeRFQBid,
+    getPriceLists,
+    getPriceList,
+    createPriceList,
+    updatePriceList,
+    deletePriceList,
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    getCouponRedemptionReport,
+    getCouponRedemptions
 };
@@ -0,0 +1,109 @@
+const AuctionService = require('../services/auction.service');
+const RFQReverseAuctionService = require('../services/rfqReverseAuction.service');
+
+/**
+ * Auction Lifecycle Job
+ * Opens upcoming auctions at start_time and settles live auctions at end_time.
+ * Also closes bidding on RFQ reverse auctions past their deadline.
+ */
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Open, settle and retry orders for product auctions
+ * @returns {Promise<Object|null>} - {opened, closed, ordersRetried}
+ */
+const runProductAuctions = async () => {
+    try {
+        const opened = await AuctionService.openDueAuctions();
+        const closed = await AuctionService.closeDueAuctions();
+        const ordersRetried = await AuctionService.createMissingWinnerOrders();
+
+        if (opened.length || closed.length || ordersRetried) {
+            console.log(`🔨 Auction lifecycle: ${opened.length} opened, ${closed.length} closed, ${ordersRetried} orders retried`);
+        }
+
+        return { opened, closed, ordersRetried };
+    } catch (error) {
+        console.error('Auction lifecycle job failed:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Close bidding on RFQ reverse auctions past their deadline
+ * Runs even when the product auction pass fails, and the other way round
+ * @returns {Promise<Array|null>} - Closed RFQ auctions
+ */
+const runRFQAuctions = async () => {
+    try {
+        const rfqAuctionsClosed = await RFQReverseAuctionService.closeDueAuctions();
+
+        if (rfqAuctionsClosed.length) {
+            console.log(`🔨 RFQ reverse auctions closed: ${rfqAuctionsClosed.length}`);
+        }
+
+        return rfqAuctionsClosed;
+    } catch (error) {
+        console.error('RFQ reverse auction closing failed:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Run one lifecycle pass
+ * Skips if the previous pass is still in progress
+ * @returns {Promise<Object|null>} - {opened, closed, ordersRetried, rfqAuctionsClosed}; a failed pass's fields are null
+ */
+const runOnce = async () => {
+    if (running) return null;
+    running = true;
+
+    try {
+        const products = await runProductAuctions();
+        const rfqAuctionsClosed = await runRFQAuctions();
+
+        return {
+            opened: products?.opened ?? null,
+            closed: products?.closed ?? null,
+            ordersRetried: products?.ordersRetried ?? null,
+            rfqAuctionsClosed
+        };
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the scheduler
+ * Disabled with AUCTION_SCHEDULER_ENABLED=false, interval from AUCTION_SCHEDULER_INTERVAL_MS
+ */
+const start = () => {
+    if (timer || process.env.AUCTION_SCHEDULER_ENABLED === 'false') return;
+
+    const intervalMs = parseInt(process.env.AUCTION_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+
+    console.log(`⏱️  Auction lifecycle scheduler running every ${intervalMs / 1000}s`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    runOnce
+};
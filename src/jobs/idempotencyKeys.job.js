@@ -0,0 +1,67 @@
+const IdempotencyService = require('../services/idempotency.service');
+
+/**
+ * Idempotency Keys Job
+ * Deletes stored Idempotency-Key responses past their 24-hour TTL.
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one purge pass
+ * Skips if the previous pass is still in progress
+ * @returns {Promise<number|null>} - Keys deleted
+ */
+const runOnce = async () => {
+    if (running) return null;
+    running = true;
+
+    try {
+        const purged = await IdempotencyService.purgeExpired();
+
+        if (purged) {
+            console.log(`🔑 Idempotency keys purged: ${purged}`);
+        }
+
+        return purged;
+    } catch (error) {
+        console.error('Idempotency key job failed:', error.message);
+        return null;
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the scheduler
+ * Disabled with IDEMPOTENCY_SCHEDULER_ENABLED=false, interval from IDEMPOTENCY_SCHEDULER_INTERVAL_MS
+ */
+const start = () => {
+    if (timer || process.env.IDEMPOTENCY_SCHEDULER_ENABLED === 'false') return;
+
+    const intervalMs = parseInt(process.env.IDEMPOTENCY_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+
+    console.log(`⏱️  Idempotency key cleanup running every ${intervalMs / 1000}s`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    runOnce
+};
@@ -0,0 +1,91 @@
+const RFQExpiryService = require('../services/rfqExpiry.service');
+const RFQTemplateService = require('../services/rfqTemplate.service');
+
+/**
+ * RFQ Expiry Job
+ * Publishes due recurring RFQs, sends closing reminders, then expires
+ * RFQs past expires_at and quotes past valid_until.
+ */
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one step of the pass, logging its failure so the steps after it still run
+ * @param {string} label - What the step does, for the log
+ * @param {Function} step - async () => Array
+ * @returns {Promise<Array|null>} - The step's result, or null if it failed
+ */
+const runStep = async (label, step) => {
+    try {
+        return await step();
+    } catch (error) {
+        console.error(`RFQ expiry job failed ${label}:`, error.message);
+        return null;
+    }
+};
+
+const count = (result) => (result ? result.length : 0);
+
+/**
+ * Run one expiry pass
+ * Skips if the previous pass is still in progress. Each step has its own
+ * error handling, so a failing recurring template can't hold up expiry.
+ * @returns {Promise<Object|null>} - {published, reminded, rfqsExpired, quotesExpired}; a failed step's field is null
+ */
+const runOnce = async () => {
+    if (running) return null;
+    running = true;
+
+    try {
+        const published = await runStep('publishing recurring RFQs', () => RFQTemplateService.publishDueRecurring());
+        const reminded = await runStep('sending closing reminders', () => RFQExpiryService.sendClosingReminders());
+        const rfqsExpired = await runStep('expiring RFQs', () => RFQExpiryService.expireDueRFQs());
+        const quotesExpired = await runStep('expiring quotes', () => RFQExpiryService.expireDueQuotes());
+
+        if (count(published)) {
+            console.log(`📋 Recurring RFQs published: ${count(published)}`);
+        }
+
+        if (count(reminded) || count(rfqsExpired) || count(quotesExpired)) {
+            console.log(`📋 RFQ expiry: ${count(reminded)} reminded, ${count(rfqsExpired)} RFQs expired, ${count(quotesExpired)} quotes expired`);
+        }
+
+        return { published, reminded, rfqsExpired, quotesExpired };
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the scheduler
+ * Disabled with RFQ_EXPIRY_SCHEDULER_ENABLED=false, interval from RFQ_EXPIRY_SCHEDULER_INTERVAL_MS
+ */
+const start = () => {
+    if (timer || process.env.RFQ_EXPIRY_SCHEDULER_ENABLED === 'false') return;
+
+    const intervalMs = parseInt(process.env.RFQ_EXPIRY_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+
+    console.log(`⏱️  RFQ expiry scheduler running every ${intervalMs / 1000}s`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    runOnce
+};
@@ -0,0 +1,69 @@
+const StockReservationService = require('../services/stockReservation.service');
+
+/**
+ * Stock Reservation Job
+ * Marks checkout reservations and sessions past their TTL as expired.
+ * Stock is freed the moment a reservation's expires_at passes; this pass
+ * only brings the stored statuses in line.
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one expiry pass
+ * Skips if the previous pass is still in progress
+ * @returns {Promise<Object|null>} - {reservations, sessions}
+ */
+const runOnce = async () => {
+    if (running) return null;
+    running = true;
+
+    try {
+        const expired = await StockReservationService.expireDue();
+
+        if (expired.reservations || expired.sessions) {
+            console.log(`📦 Stock reservations: ${expired.reservations} expired, ${expired.sessions} checkout sessions expired`);
+        }
+
+        return expired;
+    } catch (error) {
+        console.error('Stock reservation job failed:', error.message);
+        return null;
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the scheduler
+ * Disabled with STOCK_RESERVATION_SCHEDULER_ENABLED=false, interval from STOCK_RESERVATION_SCHEDULER_INTERVAL_MS
+ */
+const start = () => {
+    if (timer || process.env.STOCK_RESERVATION_SCHEDULER_ENABLED === 'false') return;
+
+    const intervalMs = parseInt(process.env.STOCK_RESERVATION_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+
+    console.log(`⏱️  Stock reservation scheduler running every ${intervalMs / 1000}s`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    runOnce
+};
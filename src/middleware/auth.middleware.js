@@ -180,6 +180,18 @@ const authorize = (...roles) => {
     };
 };
 
+/**
+ * Verify JWT token for streaming (Server-Sent Events) endpoints
+ * EventSource cannot send headers, so the same access token may be passed as ?token=
+ */
+const verifyStreamToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+
+    return verifyToken(req, res, next);
+};
+
 /**
  * Optional authentication middleware
  * Attaches user if token is valid, but doesn't fail if not
@@ -291,6 +303,7 @@ const requireActiveRole = (...roles) => {
 
 module.exports = {
     verifyToken,
+    verifyStreamToken,
     verifyUserVerified,
     authorize,
     optionalAuth,
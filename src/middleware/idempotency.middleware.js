@@ -0,0 +1,99 @@
+const IdempotencyService = require('../services/idempotency.service');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency-Key support for requests that must not run twice
+ * (order creation and cancellation, checkout, quote acceptance, payments).
+ * Use after authentication. Without the header the request runs as usual.
+ * With it:
+ * - the first request runs and its response is stored under the key
+ * - a retry with the same key and payload gets the stored response,
+ *   marked with an Idempotent-Replayed: true header
+ * - a retry while the first is still running gets 409
+ * - the same key with a different payload or endpoint gets 422
+ * Server errors (5xx) aren't stored, so the request can be retried with the same key.
+ * A client that disconnects doesn't free the key: the request keeps running
+ * and its response is still stored for the retry.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    const userId = req.userId || req.user?.id;
+
+    if (key === undefined || !userId) {
+        return next();
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            errorCode: 'INVALID_IDEMPOTENCY_KEY',
+            message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    try {
+        const path = `${req.baseUrl}${req.path}`;
+        const { outcome, record } = await IdempotencyService.claim({
+            userId,
+            key,
+            method: req.method,
+            path,
+            hash: IdempotencyService.hashRequest({ method: req.method, path, body: req.body })
+        });
+
+        if (outcome === 'replay') {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.response_status).json(record.response_body);
+        }
+
+        if (outcome === 'mismatch') {
+            return res.status(422).json({
+                success: false,
+                errorCode: 'IDEMPOTENCY_KEY_REUSED',
+                message: 'This Idempotency-Key was already used for a different request'
+            });
+        }
+
+        if (outcome === 'in_progress') {
+            res.set('Retry-After', '1');
+            return res.status(409).json({
+                success: false,
+                errorCode: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+                message: 'A request with this Idempotency-Key is still being processed'
+            });
+        }
+
+        // Claimed: store the response once the handler sends it. A client
+        // disconnecting doesn't settle the key, since the handler is still
+        // running; if the request truly died, the stale lock is taken over.
+        let settled = false;
+        const settle = (body) => {
+            if (settled) return;
+            settled = true;
+
+            const stored = body !== undefined && res.statusCode < 500
+                ? IdempotencyService.complete(record.id, res.statusCode, body)
+                : IdempotencyService.release(record.id);
+
+            stored.catch(error => console.error('Failed to save idempotency key:', error.message));
+        };
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            settle(body);
+            return json(body);
+        };
+
+        // Responses sent without res.json can't be replayed
+        res.on('finish', () => settle(undefined));
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    idempotent
+};
@@ -1,4 +1,5 @@
 const { supabase } = require('../config/database');
+const User = require('./User');
 
 /**
  * Auction Model
@@ -62,6 +63,178 @@ class Auction {
         return data;
     }
 
+    /**
+     * Get the most recent auction for a product
+     * @param {string} productId
+     * @returns {Promise<Object|null>}
+     */
+    static async findByProductId(productId) {
+        const { data, error } = await supabase
+            .from('auctions')
+            .select('*')
+            .eq('product_id', productId)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Get auction format, defaulting legacy rows to english
+     * @param {Object} auction - Auction row
+     * @returns {string} - english | sealed | dutch
+     */
+    static getType(auction) {
+        return auction.type || 'english';
+    }
+
+    /**
+     * Get the lowest amount the next bid must match
+     * English: opening bid must meet starting_bid, later bids must beat current_bid by bid_increment
+     * Sealed: any bid from starting_bid up; Dutch: the current scheduled price
+     * @param {Object} auction - Auction row
+     * @returns {number}
+     */
+    static getMinimumNextBid(auction) {
+        const type = this.getType(auction);
+        const startingBid = parseFloat(auction.starting_bid) || 0;
+
+        if (type === 'sealed') {
+            return startingBid;
+        }
+
+        if (type === 'dutch') {
+            return this.getCurrentDutchPrice(auction);
+        }
+
+        const currentBid = parseFloat(auction.current_bid);
+        const increment = parseFloat(auction.bid_increment) || 0;
+
+        if (!currentBid) {
+            return startingBid;
+        }
+
+        return Math.round((currentBid + increment) * 100) / 100;
+    }
+
+    /**
+     * Get the current price of a Dutch auction
+     * Drops by price_drop_amount every price_drop_interval_minutes, never below floor_price
+     * @param {Object} auction - Auction row
+     * @param {Date} now
+     * @returns {number}
+     */
+    static getCurrentDutchPrice(auction, now = new Date()) {
+        const startingPrice = parseFloat(auction.starting_bid) || 0;
+        const floorPrice = parseFloat(auction.floor_price) || 0;
+        const dropAmount = parseFloat(auction.price_drop_amount) || 0;
+        const intervalMs = (parseInt(auction.price_drop_interval_minutes) || 0) * 60 * 1000;
+        const elapsed = now - new Date(auction.start_time);
+
+        if (!dropAmount || !intervalMs || elapsed <= 0) {
+            return startingPrice;
+        }
+
+        const drops = Math.floor(elapsed / intervalMs);
+        const price = Math.round((startingPrice - drops * dropAmount) * 100) / 100;
+
+        return Math.max(floorPrice, price);
+    }
+
+    /**
+     * Get when a Dutch auction's price next drops
+     * @param {Object} auction - Auction row
+     * @param {Date} now
+     * @returns {Date|null} - null once the floor is reached or the auction has ended
+     */
+    static getNextDutchPriceDrop(auction, now = new Date()) {
+        const intervalMs = (parseInt(auction.price_drop_interval_minutes) || 0) * 60 * 1000;
+        const startTime = new Date(auction.start_time);
+
+        if (!intervalMs || this.getCurrentDutchPrice(auction, now) <= (parseFloat(auction.floor_price) || 0)) {
+            return null;
+        }
+
+        const drops = now < startTime ? 0 : Math.floor((now - startTime) / intervalMs) + 1;
+        const nextDrop = new Date(startTime.getTime() + drops * intervalMs);
+
+        return nextDrop < new Date(auction.end_time) ? nextDrop : null;
+    }
+
+    /**
+     * Get the price to show in listings for any auction format
+     * Sealed auctions only show the opening price until bids are revealed at close
+     * @param {Object} auction - Auction row
+     * @returns {number}
+     */
+    static getDisplayPrice(auction) {
+        const type = this.getType(auction);
+
+        if (type === 'dutch' && auction.status !== 'ended') {
+            return this.getCurrentDutchPrice(auction);
+        }
+
+        return parseFloat(auction.current_bid) || parseFloat(auction.starting_bid);
+    }
+
+    /**
+     * Get the participation rules configured for an auction
+     * @param {Object} auction - Auction row
+     * @returns {Object} - {depositAmount, requireGst, minAccountAgeDays}
+     */
+    static getParticipationRules(auction) {
+        return {
+            depositAmount: auction.deposit_amount ? parseFloat(auction.deposit_amount) : null,
+            requireGst: !!auction.require_gst,
+            minAccountAgeDays: parseInt(auction.min_account_age_days) || 0
+        };
+    }
+
+    /**
+     * Check whether a user meets an auction's participation rules
+     * @param {Object} auction - Auction row
+     * @param {Object} user - User row (gst_number, created_at)
+     * @param {Object|null} deposit - User's auction_deposits row
+     * @returns {Object} - {eligible, requirements: [{rule, met, message}]}
+     */
+    static checkEligibility(auction, user, deposit) {
+        const rules = this.getParticipationRules(auction);
+        const requirements = [];
+
+        if (rules.depositAmount) {
+            requirements.push({
+                rule: 'deposit',
+                met: !!deposit && deposit.status === 'held',
+                message: `A deposit of ₹${rules.depositAmount} is required to bid`
+            });
+        }
+
+        if (rules.requireGst) {
+            requirements.push({
+                rule: 'gst',
+                met: User.hasVerifiedGst(user),
+                message: 'A GST number is required to bid. Add it from your profile.'
+            });
+        }
+
+        if (rules.minAccountAgeDays > 0) {
+            const ageDays = Math.floor((new Date() - new Date(user.created_at)) / (24 * 60 * 60 * 1000));
+
+            requirements.push({
+                rule: 'account_age',
+                met: ageDays >= rules.minAccountAgeDays,
+                message: `Your account must be at least ${rules.minAccountAgeDays} days old to bid`
+            });
+        }
+
+        return {
+            eligible: requirements.every(requirement => requirement.met),
+            requirements
+        };
+    }
+
     /**
      * Get auction count by status
      * @returns {Promise<Object>}
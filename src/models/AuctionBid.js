@@ -0,0 +1,109 @@
+const { supabase } = require('../config/database');
+
+/**
+ * AuctionBid Model
+ * Handles auction bid history reads
+ * Bid placement goes through AuctionService so it runs under a row lock
+ */
+class AuctionBid {
+    /**
+     * Public label for a bidder in bid history
+     * @param {string} bidderId
+     * @returns {string}
+     */
+    static maskBidder(bidderId) {
+        return `Bidder ${bidderId.replace(/-/g, '').slice(-4).toUpperCase()}`;
+    }
+
+    /**
+     * Get paginated bid history for an auction (highest first)
+     * @param {string} auctionId
+     * @param {Object} options - {page, limit, bidderId}
+     * @returns {Promise<Object>}
+     */
+    static async getByAuction(auctionId, options = {}) {
+        const { page = 1, limit = 20, bidderId = null } = options;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('auction_bids')
+            .select('id, auction_id, bidder_id, amount, is_proxy, created_at', { count: 'exact' })
+            .eq('auction_id', auctionId);
+
+        if (bidderId) {
+            query = query.eq('bidder_id', bidderId);
+        }
+
+        const { data, error, count } = await query
+            .order('amount', { ascending: false })
+            .order('created_at', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        return {
+            bids: data || [],
+            pagination: {
+                page,
+                limit,
+                total: count || 0,
+                totalPages: Math.ceil((count || 0) / limit)
+            }
+        };
+    }
+
+    /**
+     * Get a bidder's highest bid on an auction
+     * @param {string} auctionId
+     * @param {string} bidderId
+     * @returns {Promise<Object|null>}
+     */
+    static async getHighestByBidder(auctionId, bidderId) {
+        const { data, error } = await supabase
+            .from('auction_bids')
+            .select('id, amount, created_at')
+            .eq('auction_id', auctionId)
+            .eq('bidder_id', bidderId)
+            .order('amount', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Get a user's bids across auctions
+     * @param {string} bidderId
+     * @param {Object} options - {page, limit}
+     * @returns {Promise<Object>}
+     */
+    static async getByBidder(bidderId, options = {}) {
+        const { page = 1, limit = 20 } = options;
+        const offset = (page - 1) * limit;
+
+        const { data, error, count } = await supabase
+            .from('auction_bids')
+            .select(`
+                id, auction_id, amount, is_proxy, created_at,
+                auction:auctions(id, type, product_id, current_bid, highest_bidder_id, winner_id, status, end_time)
+            `, { count: 'exact' })
+            .eq('bidder_id', bidderId)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        return {
+            bids: data || [],
+            pagination: {
+                page,
+                limit,
+                total: count || 0,
+                totalPages: Math.ceil((count || 0) / limit)
+            }
+        };
+    }
+}
+
+module.exports = AuctionBid;
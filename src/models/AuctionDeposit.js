@@ -0,0 +1,68 @@
+const { supabase } = require('../config/database');
+
+/**
+ * AuctionDeposit Model
+ * Reads earnest-money deposits for auctions
+ * Status changes go through AuctionService alongside payment and settlement
+ */
+class AuctionDeposit {
+    /**
+     * Get a bidder's deposit for an auction
+     * @param {string} auctionId
+     * @param {string} bidderId
+     * @returns {Promise<Object|null>}
+     */
+    static async findByAuctionAndBidder(auctionId, bidderId) {
+        const { data, error } = await supabase
+            .from('auction_deposits')
+            .select('*')
+            .eq('auction_id', auctionId)
+            .eq('bidder_id', bidderId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Get a bidder's deposits across auctions
+     * @param {string} bidderId
+     * @param {Object} options - {page, limit, status}
+     * @returns {Promise<Object>}
+     */
+    static async getByBidder(bidderId, options = {}) {
+        const { page = 1, limit = 20, status = null } = options;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('auction_deposits')
+            .select(`
+                id, auction_id, amount, status, payment_method, settlement_reason,
+                settled_at, created_at,
+                auction:auctions(id, product_id, status, end_time)
+            `, { count: 'exact' })
+            .eq('bidder_id', bidderId);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data, error, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        return {
+            deposits: data || [],
+            pagination: {
+                page,
+                limit,
+                total: count || 0,
+                totalPages: Math.ceil((count || 0) / limit)
+            }
+        };
+    }
+}
+
+module.exports = AuctionDeposit;
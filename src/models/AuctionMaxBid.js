@@ -0,0 +1,28 @@
+const { supabase } = require('../config/database');
+
+/**
+ * AuctionMaxBid Model
+ * Reads a bidder's hidden maximum bid
+ * Max bids are only ever returned to their owner; writes go through AuctionService
+ */
+class AuctionMaxBid {
+    /**
+     * Get a bidder's max bid for an auction
+     * @param {string} auctionId
+     * @param {string} bidderId
+     * @returns {Promise<Object|null>}
+     */
+    static async findByAuctionAndBidder(auctionId, bidderId) {
+        const { data, error } = await supabase
+            .from('auction_max_bids')
+            .select('id, auction_id, max_amount, is_active, exceeded_at, created_at, updated_at')
+            .eq('auction_id', auctionId)
+            .eq('bidder_id', bidderId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+}
+
+module.exports = AuctionMaxBid;
@@ -288,21 +288,24 @@ class Cart {
             let cartId = null;
             let sessionId = null;
             let couponInfo = null;
+            let couponCodes = [];
 
             if (userId) {
                 const cart = await this.getOrCreateUserCart(userId);
                 cartId = cart.id;
-                if (cart.coupon_code) {
+                couponCodes = this.getCouponCodes(cart);
+                if (couponCodes.length > 0) {
                     couponInfo = {
-                        code: cart.coupon_code,
+                        code: couponCodes[0],
                         discount: cart.coupon_discount || 0
                     };
                 }
             } else if (sessionToken) {
                 const session = await this.getOrCreateGuestSession(sessionToken);
                 sessionId = session.id;
-                if (session.coupon_code) {
-                    couponInfo = { code: session.coupon_code };
+                couponCodes = this.getCouponCodes(session);
+                if (couponCodes.length > 0) {
+                    couponInfo = { code: couponCodes[0] };
                 }
             } else {
                 return { items: [], summary: this.getEmptySummary() };
@@ -327,7 +330,8 @@ class Cart {
             if (!items || items.length === 0) {
                 return {
                     items: [],
-                    coupon: couponInfo
+                    coupon: couponInfo,
+                    couponCodes
                 };
             }
 
@@ -339,8 +343,10 @@ class Cart {
                         .from('products')
                         .select(`
                             id, title, slug, image_url, price_after, discount_percent, 
-                            quantity, status, listing_type,
-                            category:categories(id, name)
+                            quantity, status, listing_type, hsn_code, gst_percent, city, state,
+                            weight_per_unit, weight_unit, package_length_cm, package_width_cm, package_height_cm,
+                            price_tiers,
+                            category:categories(id, name, hsn_code, gst_percent)
                         `)
                         .eq('id', item.product_id)
                         .single();
@@ -348,7 +354,7 @@ class Cart {
                     // Get supplier details
                     const { data: supplier } = await supabase
                         .from('users')
-                        .select('id, company_name, is_verified')
+                        .select('id, company_name, is_verified, state')
                         .eq('id', item.supplier_id)
                         .single();
 
@@ -427,15 +433,29 @@ class Cart {
                         price: product.price_after,
                         originalPrice: item.price_at_add,
                         discountPercent: product.discount_percent || 0,
-                        gstPercent: item.gst_percent || 18,
+                        // Volume price breaks, applied by PricingService for the cart quantity
+                        priceTiers: product.price_tiers || [],
+                        // Product rate first, then its category's, then the rate snapshotted on add
+                        gstPercent: product.gst_percent ?? product.category?.gst_percent ?? item.gst_percent ?? 18,
+                        hsnCode: product.hsn_code || product.category?.hsn_code || null,
                         listingType: item.listing_type,
                         condition: item.condition,
                         unit: item.unit,
                         category: product.category?.name || null,
+                        // For category-wide contract prices
+                        categoryId: product.category?.id || null,
                         // Add supplier info for order creation
                         supplierId: supplier?.id || null,
                         supplierName: supplier?.company_name || null,
-                        supplierCity: null, // Not available in users table, will be null
+                        // Ship-from location: the listing's, else the supplier's registered state
+                        supplierCity: product.city || null,
+                        supplierState: product.state || supplier?.state || null,
+                        // Packed weight and size of one unit, for shipping
+                        weightPerUnit: product.weight_per_unit || null,
+                        weightUnit: product.weight_unit || 'Kg',
+                        packageLengthCm: product.package_length_cm ? parseFloat(product.package_length_cm) : null,
+                        packageWidthCm: product.package_width_cm ? parseFloat(product.package_width_cm) : null,
+                        packageHeightCm: product.package_height_cm ? parseFloat(product.package_height_cm) : null,
                         seller: {
                             id: supplier?.id || null,
                             name: supplier?.company_name || 'Unknown Seller',
@@ -487,7 +507,8 @@ class Cart {
 
             return {
                 items: enrichedItems,
-                coupon: couponInfo
+                coupon: couponInfo,
+                couponCodes
             };
 
         } catch (error) {
@@ -655,6 +676,7 @@ class Cart {
                     .update({
                         coupon_id: null,
                         coupon_code: null,
+                        coupon_codes: [],
                         coupon_discount: 0
                     })
                     .eq('id', cart.id);
@@ -672,7 +694,7 @@ class Cart {
                 // Clear coupon
                 await supabase
                     .from('cart_sessions')
-                    .update({ coupon_code: null })
+                    .update({ coupon_code: null, coupon_codes: [] })
                     .eq('id', session.id);
             }
 
@@ -685,20 +707,37 @@ class Cart {
     }
 
     /**
-     * Apply coupon to cart
-     * @param {string} couponCode - Coupon code
+     * Coupon codes applied to a cart or guest session, in the order applied
+     * @param {Object} row - carts or cart_sessions row
+     * @returns {Array<string>}
+     */
+    static getCouponCodes(row) {
+        if (Array.isArray(row?.coupon_codes) && row.coupon_codes.length > 0) {
+            return row.coupon_codes;
+        }
+
+        return row?.coupon_code ? [row.coupon_code] : [];
+    }
+
+    /**
+     * Set the coupons applied to a cart
+     * coupon_code keeps the first code for older readers.
+     * @param {Array<string>} couponCodes - Coupon codes, in the order applied
      * @param {string} userId - User ID
      * @param {string} sessionToken - Session token
-     * @returns {Promise<Object>} - Coupon application result
+     * @returns {Promise<Object>} - Updated cart or session
      */
-    static async applyCoupon(couponCode, userId = null, sessionToken = null) {
+    static async setCoupons(couponCodes, userId = null, sessionToken = null) {
         try {
+            const codes = [...new Set(couponCodes.map(code => code.toUpperCase()))];
+            const update = { coupon_codes: codes, coupon_code: codes[0] || null };
+
             if (userId) {
                 const cart = await this.getOrCreateUserCart(userId);
 
                 const { data, error } = await supabase
                     .from('carts')
-                    .update({ coupon_code: couponCode.toUpperCase() })
+                    .update(codes.length > 0 ? update : { ...update, coupon_id: null, coupon_discount: 0 })
                     .eq('id', cart.id)
                     .select()
                     .single();
@@ -711,7 +750,7 @@ class Cart {
 
                 const { data, error } = await supabase
                     .from('cart_sessions')
-                    .update({ coupon_code: couponCode.toUpperCase() })
+                    .update(update)
                     .eq('id', session.id)
                     .select()
                     .single();
@@ -721,7 +760,7 @@ class Cart {
             }
 
         } catch (error) {
-            console.error('Error applying coupon:', error);
+            console.error('Error setting cart coupons:', error);
             throw error;
         }
     }
@@ -730,31 +769,24 @@ class Cart {
      * Remove coupon from cart
      * @param {string} userId - User ID
      * @param {string} sessionToken - Session token
+     * @param {string} couponCode - Coupon to remove; all coupons when omitted
      * @returns {Promise<boolean>} - Success status
      */
-    static async removeCoupon(userId = null, sessionToken = null) {
+    static async removeCoupon(userId = null, sessionToken = null, couponCode = null) {
         try {
-            if (userId) {
-                const cart = await this.getOrCreateUserCart(userId);
-
-                await supabase
-                    .from('carts')
-                    .update({
-                        coupon_id: null,
-                        coupon_code: null,
-                        coupon_discount: 0
-                    })
-                    .eq('id', cart.id);
+            let remaining = [];
 
-            } else if (sessionToken) {
-                const session = await this.getOrCreateGuestSession(sessionToken);
+            if (couponCode) {
+                const current = userId
+                    ? await this.getOrCreateUserCart(userId)
+                    : sessionToken ? await this.getOrCreateGuestSession(sessionToken) : null;
 
-                await supabase
-                    .from('cart_sessions')
-                    .update({ coupon_code: null })
-                    .eq('id', session.id);
+                remaining = this.getCouponCodes(current)
+                    .filter(code => code !== couponCode.toUpperCase());
             }
 
+            await this.setCoupons(remaining, userId, sessionToken);
+
             return true;
 
         } catch (error) {
@@ -884,6 +916,9 @@ class Cart {
             discountAmount: 0,
             couponDiscount: 0,
             gstAmount: 0,
+            cgstAmount: 0,
+            sgstAmount: 0,
+            igstAmount: 0,
             shippingCharges: 0,
             platformFee: 0,
             finalPayableAmount: 0
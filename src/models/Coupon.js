@@ -2,176 +2,214 @@ const { supabase } = require('../config/database');
 
 /**
  * Coupon Model
- * Handles coupon validation and discount calculations
+ * Handles coupon storage and usage records; CouponService applies them to carts
  */
 class Coupon {
     /**
-     * Validate and get coupon details
-     * @param {string} code - Coupon code
-     * @param {string} userId - User ID
-     * @param {number} orderValue - Total order value
-     * @param {Array} cartItems - Cart items for product/category validation
-     * @returns {Promise<Object>} - Coupon details and discount amount
+     * Get active coupons by code
+     * @param {Array<string>} codes - Coupon codes, any case
+     * @returns {Promise<Array>} - Coupons found, in the order of codes
      */
-    static async validateAndCalculate(code, userId, orderValue, cartItems = []) {
-        try {
-            // Get coupon
-            const { data: coupon, error } = await supabase
-                .from('coupons')
-                .select('*')
-                .eq('code', code.toUpperCase())
-                .eq('is_active', true)
-                .single();
+    static async findActiveByCodes(codes) {
+        const normalized = [...new Set(codes.map(code => code.toUpperCase()))];
 
-            if (error || !coupon) {
-                return {
-                    valid: false,
-                    error: 'INVALID_COUPON',
-                    message: 'Invalid or expired coupon code'
-                };
-            }
+        if (normalized.length === 0) return [];
 
-            // Check validity period
-            const now = new Date();
-            const validFrom = new Date(coupon.valid_from);
-            const validUntil = new Date(coupon.valid_until);
+        const { data, error } = await supabase
+            .from('coupons')
+            .select('*')
+            .in('code', normalized)
+            .eq('is_active', true);
 
-            if (now < validFrom) {
-                return {
-                    valid: false,
-                    error: 'COUPON_NOT_STARTED',
-                    message: 'This coupon is not yet active'
-                };
-            }
+        if (error) throw error;
 
-            if (now > validUntil) {
-                return {
-                    valid: false,
-                    error: 'COUPON_EXPIRED',
-                    message: 'This coupon has expired'
-                };
-            }
+        return normalized
+            .map(code => (data || []).find(coupon => coupon.code === code))
+            .filter(Boolean);
+    }
 
-            // Check minimum order value
-            if (orderValue < coupon.min_order_value) {
-                return {
-                    valid: false,
-                    error: 'MIN_ORDER_NOT_MET',
-                    message: `Minimum order value of ₹${coupon.min_order_value.toLocaleString()} required`,
-                    requiredAmount: coupon.min_order_value
-                };
-            }
+    /**
+     * Get coupon by ID
+     * @param {string} couponId
+     * @param {string} supplierId - Only this supplier's coupons (optional)
+     * @returns {Promise<Object|null>}
+     */
+    static async findById(couponId, supplierId = null) {
+        let query = supabase
+            .from('coupons')
+            .select('*')
+            .eq('id', couponId);
+
+        if (supplierId) {
+            query = query.eq('supplier_id', supplierId);
+        }
 
-            // Check total usage limit
-            if (coupon.total_usage_limit && coupon.current_usage_count >= coupon.total_usage_limit) {
-                return {
-                    valid: false,
-                    error: 'COUPON_USAGE_LIMIT_REACHED',
-                    message: 'This coupon has reached its usage limit'
-                };
-            }
+        const { data, error } = await query.maybeSingle();
 
-            // Check user-specific usage
-            if (userId) {
-                const { count } = await supabase
-                    .from('coupon_usage')
-                    .select('*', { count: 'exact', head: true })
-                    .eq('coupon_id', coupon.id)
-                    .eq('user_id', userId);
-
-                if (count >= coupon.max_usage_per_user) {
-                    return {
-                        valid: false,
-                        error: 'USER_USAGE_LIMIT_REACHED',
-                        message: 'You have already used this coupon maximum times'
-                    };
-                }
-            }
+        if (error) throw error;
+        return data;
+    }
 
-            // Check product/category applicability
-            if (cartItems.length > 0) {
-                const applicableProducts = coupon.applicable_products || [];
-                const applicableCategories = coupon.applicable_categories || [];
-                const excludedProducts = coupon.excluded_products || [];
-
-                // If specific products/categories are defined, validate
-                if (applicableProducts.length > 0 || applicableCategories.length > 0) {
-                    const isApplicable = cartItems.some(item => {
-                        // Check if product is excluded
-                        if (excludedProducts.includes(item.product_id)) {
-                            return false;
-                        }
-
-                        // Check if product is in applicable list
-                        if (applicableProducts.length > 0 && applicableProducts.includes(item.product_id)) {
-                            return true;
-                        }
-
-                        // Check if category is in applicable list
-                        if (applicableCategories.length > 0 && applicableCategories.includes(item.category_id)) {
-                            return true;
-                        }
-
-                        return false;
-                    });
-
-                    if (!isApplicable) {
-                        return {
-                            valid: false,
-                            error: 'COUPON_NOT_APPLICABLE',
-                            message: 'This coupon is not applicable to items in your cart'
-                        };
-                    }
-                }
-            }
+    /**
+     * Check whether a code is taken
+     * @param {string} code
+     * @param {string} excludeId - Coupon being updated (optional)
+     * @returns {Promise<boolean>}
+     */
+    static async codeExists(code, excludeId = null) {
+        let query = supabase
+            .from('coupons')
+            .select('id', { count: 'exact', head: true })
+            .eq('code', code.toUpperCase());
+
+        if (excludeId) {
+            query = query.neq('id', excludeId);
+        }
 
-            // Calculate discount
-            let discountAmount = 0;
-            if (coupon.discount_type === 'percentage') {
-                discountAmount = (orderValue * coupon.discount_value) / 100;
-                // Apply max discount cap if defined
-                if (coupon.max_discount) {
-                    discountAmount = Math.min(discountAmount, coupon.max_discount);
-                }
-            } else if (coupon.discount_type === 'flat') {
-                discountAmount = coupon.discount_value;
-            }
+        const { count, error } = await query;
 
-            // Discount cannot exceed order value
-            discountAmount = Math.min(discountAmount, orderValue);
+        if (error) throw error;
+        return count > 0;
+    }
 
-            return {
-                valid: true,
-                coupon: {
-                    id: coupon.id,
-                    code: coupon.code,
-                    description: coupon.description,
-                    discountType: coupon.discount_type,
-                    discountValue: coupon.discount_value
-                },
-                discountAmount: Math.round(discountAmount * 100) / 100,
-                message: `Coupon applied! You saved ₹${discountAmount.toLocaleString()}`
-            };
+    /**
+     * List coupons for management
+     * @param {Object} filters - {supplierId, fundedBy, status, search, page, limit}
+     * @returns {Promise<Object>} - {coupons, total, page, limit, totalPages}
+     */
+    static async list({ supplierId, fundedBy, status, search, page = 1, limit = 20 } = {}) {
+        let query = supabase
+            .from('coupons')
+            .select('*', { count: 'exact' });
 
-        } catch (error) {
-            console.error('Error validating coupon:', error);
-            return {
-                valid: false,
-                error: 'COUPON_VALIDATION_ERROR',
-                message: 'Failed to validate coupon'
-            };
+        if (supplierId) {
+            query = query.eq('supplier_id', supplierId);
+        }
+
+        if (fundedBy) {
+            query = query.eq('funded_by', fundedBy);
+        }
+
+        const now = new Date().toISOString();
+        if (status === 'active') {
+            query = query.eq('is_active', true).lte('valid_from', now).gte('valid_until', now);
+        } else if (status === 'scheduled') {
+            query = query.eq('is_active', true).gt('valid_from', now);
+        } else if (status === 'expired') {
+            query = query.lt('valid_until', now);
+        } else if (status === 'inactive') {
+            query = query.eq('is_active', false);
         }
+
+        if (search) {
+            query = query.or(`code.ilike.%${search}%,description.ilike.%${search}%`);
+        }
+
+        const offset = (page - 1) * limit;
+        const { data, error, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        return {
+            coupons: data || [],
+            total: count || 0,
+            page,
+            limit,
+            totalPages: Math.ceil((count || 0) / limit)
+        };
+    }
+
+    /**
+     * Create coupon
+     * @param {Object} couponData - coupons row
+     * @returns {Promise<Object>}
+     */
+    static async create(couponData) {
+        const { data, error } = await supabase
+            .from('coupons')
+            .insert(couponData)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Update coupon
+     * @param {string} couponId
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    static async update(couponId, updateData) {
+        const { data, error } = await supabase
+            .from('coupons')
+            .update({ ...updateData, updated_at: new Date().toISOString() })
+            .eq('id', couponId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Delete coupon
+     * @param {string} couponId
+     */
+    static async delete(couponId) {
+        const { error } = await supabase
+            .from('coupons')
+            .delete()
+            .eq('id', couponId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Count a user's redemptions of a coupon
+     * @param {string} couponId
+     * @param {string} userId
+     * @returns {Promise<number>}
+     */
+    static async countUserUsage(couponId, userId) {
+        const { count, error } = await supabase
+            .from('coupon_usage')
+            .select('*', { count: 'exact', head: true })
+            .eq('coupon_id', couponId)
+            .eq('user_id', userId);
+
+        if (error) throw error;
+        return count || 0;
+    }
+
+    /**
+     * Count a coupon's redemptions
+     * @param {string} couponId
+     * @returns {Promise<number>}
+     */
+    static async countUsage(couponId) {
+        const { count, error } = await supabase
+            .from('coupon_usage')
+            .select('*', { count: 'exact', head: true })
+            .eq('coupon_id', couponId);
+
+        if (error) throw error;
+        return count || 0;
     }
 
     /**
      * Record coupon usage
      * @param {string} couponId - Coupon ID
      * @param {string} userId - User ID
-     * @param {number} discountApplied - Discount amount applied
+     * @param {number} discountApplied - Discount amount applied, including any shipping discount
      * @param {number} orderValue - Order value
      * @param {string} orderId - Order ID (optional, added after order creation)
+     * @param {Object} details - {shippingDiscount, fundedBy, supplierId} (optional)
      */
-    static async recordUsage(couponId, userId, discountApplied, orderValue, orderId = null) {
+    static async recordUsage(couponId, userId, discountApplied, orderValue, orderId = null, details = {}) {
         try {
             // Insert usage record
             const { error: usageError } = await supabase
@@ -181,7 +219,10 @@ class Coupon {
                     user_id: userId,
                     order_id: orderId,
                     discount_applied: discountApplied,
-                    order_value: orderValue
+                    order_value: orderValue,
+                    shipping_discount: details.shippingDiscount || 0,
+                    funded_by: details.fundedBy || 'platform',
+                    supplier_id: details.supplierId || null
                 });
 
             if (usageError) throw usageError;
@@ -211,7 +252,7 @@ class Coupon {
         try {
             let query = supabase
                 .from('coupons')
-                .select('code, description, discount_type, discount_value, max_discount, min_order_value, valid_until')
+                .select('code, description, discount_type, discount_value, max_discount, min_order_value, valid_until, buy_quantity, get_quantity, spend_tiers, funded_by, supplier_id, is_stackable, first_order_only, requires_verified_gst')
                 .eq('is_active', true)
                 .eq('is_visible', true)
                 .gte('valid_until', new Date().toISOString())
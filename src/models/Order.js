@@ -155,7 +155,8 @@ class Order {
             .select(`
                 *,
                 order_items (*),
-                order_tracking (*)
+                order_tracking (*),
+                sub_orders (*)
             `);
 
         if (isUuid) {
@@ -1,4 +1,10 @@
 const { supabase } = require('../config/database');
+const Auction = require('./Auction');
+const AuctionBid = require('./AuctionBid');
+const AuctionDeposit = require('./AuctionDeposit');
+const AuctionMaxBid = require('./AuctionMaxBid');
+const User = require('./User');
+const ContractPricingService = require('../services/contractPricing.service');
 
 /**
  * ProductDetail Model
@@ -8,7 +14,7 @@ class ProductDetail {
   /**
    * Get complete product details by ID or slug
    * @param {string} identifier - Product UUID or slug
-   * @param {string} userId - Current user ID (optional, for watchlist status)
+   * @param {string} userId - Current user ID (optional, for watchlist status and contract price)
    * @returns {Promise<Object>} - Complete product details
    */
   static async getFullDetails(identifier, userId = null) {
@@ -48,7 +54,7 @@ class ProductDetail {
       // Get auction details if applicable
       let auction = null;
       if (product.listing_type === 'auction') {
-        auction = await this.getAuctionDetails(product.id);
+        auction = await this.getAuctionDetails(product.id, userId);
       }
 
       // Check if user is watching
@@ -60,8 +66,16 @@ class ProductDetail {
       // Track view
       await this.incrementViews(product.id);
 
+      // Get the buyer's contract price, if they have one with this supplier
+      const contractPrices = await ContractPricingService.getContractPrices(userId, [{
+        productId: product.id,
+        supplierId: product.supplier_id,
+        categoryId: product.category_id,
+        price: product.price_after
+      }]);
+
       // Transform product data to match frontend expectations
-      const transformedProduct = this.transformProductData(product);
+      const transformedProduct = this.transformProductData(product, contractPrices.get(product.id));
 
       return {
         product: transformedProduct,
@@ -143,7 +157,7 @@ class ProductDetail {
         (new Date() - new Date(seller.created_at)) / (365.25 * 24 * 60 * 60 * 1000)
       );
 
-      const hasGst = !!seller.gst_number;
+      const hasGst = User.hasVerifiedGst(seller);
 
       return {
         id: seller.id,
@@ -487,30 +501,18 @@ class ProductDetail {
   /**
    * Get auction details
    * @param {string} productId - Product UUID
+   * @param {string} userId - Current user ID (optional, for own bid state)
    * @returns {Promise<Object>} - Auction info
    */
-  static async getAuctionDetails(productId) {
+  static async getAuctionDetails(productId, userId = null) {
     try {
-      const { data, error } = await supabase
-        .from('products')
-        .select('auction_start_price, auction_current_bid, auction_end_time, auction_bid_count, auction_min_increment')
-        .eq('id', productId)
-        .single();
-
-      if (error) throw error;
+      const auction = await Auction.findByProductId(productId);
 
-      const endTime = new Date(data.auction_end_time);
-      const now = new Date();
-      const remaining = endTime - now;
+      if (!auction) return null;
 
       return {
-        startingBid: data.auction_start_price,
-        currentBid: data.auction_current_bid || data.auction_start_price,
-        totalBids: data.auction_bid_count || 0,
-        minIncrement: data.auction_min_increment,
-        endTime: data.auction_end_time,
-        timeRemaining: remaining > 0 ? this.formatTime(remaining) : 'Ended',
-        isLive: remaining > 0
+        ...this.formatAuctionDetails(auction),
+        ...(await this.getBidderAuctionState(auction, userId))
       };
 
     } catch (error) {
@@ -519,6 +521,141 @@ class ProductDetail {
     }
   }
 
+  /**
+   * Get the current user's own position in an auction
+   * Max bids and sealed bids are only ever returned to their owner
+   * @param {Object} auction - Auction row
+   * @param {string} userId - Current user ID (optional)
+   * @returns {Promise<Object>} - Bidder state
+   */
+  static async getBidderAuctionState(auction, userId) {
+    const type = Auction.getType(auction);
+
+    if (!userId) {
+      const anonymous = type === 'sealed'
+        ? { yourSealedBid: null }
+        : { isHighestBidder: false, ...(type === 'english' && { yourMaxBid: null }) };
+
+      return { ...anonymous, eligibility: null };
+    }
+
+    const [user, deposit] = await Promise.all([
+      User.findById(userId),
+      AuctionDeposit.findByAuctionAndBidder(auction.id, userId)
+    ]);
+
+    const participation = {
+      eligibility: user ? Auction.checkEligibility(auction, user, deposit) : null,
+      deposit: deposit ? {
+        amount: parseFloat(deposit.amount),
+        status: deposit.status,
+        settledAt: deposit.settled_at
+      } : null
+    };
+
+    if (type === 'sealed') {
+      const sealedBid = await AuctionBid.getHighestByBidder(auction.id, userId);
+
+      return {
+        yourSealedBid: sealedBid ? parseFloat(sealedBid.amount) : null,
+        ...(auction.status === 'ended' && { isHighestBidder: auction.winner_id === userId }),
+        ...participation
+      };
+    }
+
+    if (type === 'dutch') {
+      return { isHighestBidder: auction.highest_bidder_id === userId, ...participation };
+    }
+
+    const maxBid = await AuctionMaxBid.findByAuctionAndBidder(auction.id, userId);
+
+    return {
+      isHighestBidder: auction.highest_bidder_id === userId,
+      yourMaxBid: maxBid ? {
+        maxAmount: parseFloat(maxBid.max_amount),
+        isActive: maxBid.is_active,
+        exceededAt: maxBid.exceeded_at
+      } : null,
+      ...participation
+    };
+  }
+
+  /**
+   * Format auction row for the product page
+   * Fields depend on the auction type; sealed bids stay hidden until the auction ends
+   * @param {Object} auction - Auction row
+   * @returns {Object} - Auction info
+   */
+  static formatAuctionDetails(auction) {
+    const now = new Date();
+    const type = Auction.getType(auction);
+    const endTime = new Date(auction.end_time);
+    const remaining = endTime - now;
+    const startingBid = parseFloat(auction.starting_bid);
+    const reservePrice = auction.reserve_price ? parseFloat(auction.reserve_price) : null;
+    const isLive = auction.status === 'live' && new Date(auction.start_time) <= now && remaining > 0;
+    const isEnded = auction.status === 'ended';
+
+    const details = {
+      auctionId: auction.id,
+      type,
+      status: auction.status,
+      startTime: auction.start_time,
+      endTime: auction.end_time,
+      timeRemaining: remaining > 0 ? this.formatTime(remaining) : 'Ended',
+      isLive,
+      totalBidders: auction.total_bidders || 0,
+      hasReserve: reservePrice !== null,
+      participation: Auction.getParticipationRules(auction),
+      winnerId: isEnded ? auction.winner_id : null
+    };
+
+    if (type === 'sealed') {
+      return {
+        ...details,
+        startingBid,
+        minimumBid: startingBid,
+        totalBids: auction.total_bids || 0,
+        bidsRevealed: isEnded,
+        winningBid: isEnded && auction.winning_bid ? parseFloat(auction.winning_bid) : null,
+        reserveMet: isEnded ? !!auction.reserve_met : null
+      };
+    }
+
+    if (type === 'dutch') {
+      const nextPriceDrop = isLive ? Auction.getNextDutchPriceDrop(auction, now) : null;
+
+      return {
+        ...details,
+        startingPrice: startingBid,
+        currentPrice: isEnded
+          ? (auction.winning_bid ? parseFloat(auction.winning_bid) : parseFloat(auction.floor_price))
+          : Auction.getCurrentDutchPrice(auction, now),
+        floorPrice: parseFloat(auction.floor_price),
+        priceDropAmount: parseFloat(auction.price_drop_amount),
+        priceDropIntervalMinutes: auction.price_drop_interval_minutes,
+        nextPriceDropAt: nextPriceDrop ? nextPriceDrop.toISOString() : null,
+        winningBid: isEnded && auction.winning_bid ? parseFloat(auction.winning_bid) : null
+      };
+    }
+
+    const currentBid = auction.current_bid ? parseFloat(auction.current_bid) : startingBid;
+
+    return {
+      ...details,
+      startingBid,
+      currentBid,
+      totalBids: auction.total_bids || 0,
+      minIncrement: parseFloat(auction.bid_increment),
+      bidIncrement: parseFloat(auction.bid_increment),
+      minimumNextBid: Auction.getMinimumNextBid(auction),
+      reserveMet: reservePrice === null || (!!auction.current_bid && currentBid >= reservePrice),
+      originalEndTime: auction.original_end_time || auction.end_time,
+      extensionCount: auction.extension_count || 0,
+      extensionWindowMinutes: auction.extension_window_minutes || 0
+    };
+  }
+
   /**
    * Format milliseconds to readable time
    * @param {number} ms - Milliseconds
@@ -537,9 +674,10 @@ class ProductDetail {
    * Transform product data to match frontend expectations
    * Maps database field names to frontend field names for consistency
    * @param {Object} product - Raw product from database
+   * @param {Object} contract - Viewer's contract price from ContractPricingService (optional)
    * @returns {Object} - Transformed product
    */
-  static transformProductData(product) {
+  static transformProductData(product, contract = null) {
     if (!product) return null;
 
     // Parse gallery images if it's a string
@@ -555,10 +693,37 @@ class ProductDetail {
       }
     }
 
+    // Volume price breaks with the saving each gives over the list price
+    const listPrice = parseFloat(product.price_after) || 0;
+    const priceTiers = (Array.isArray(product.price_tiers) ? product.price_tiers : [])
+      .slice()
+      .sort((a, b) => a.minQuantity - b.minQuantity)
+      .map(tier => ({
+        minQuantity: tier.minQuantity,
+        maxQuantity: tier.maxQuantity ?? null,
+        unitPrice: tier.unitPrice,
+        savingsPercent: listPrice > 0
+          ? Math.max(Math.round(((listPrice - tier.unitPrice) / listPrice) * 10000) / 100, 0)
+          : 0
+      }));
+
+    // A contract price only shows when it beats the listing price
+    const contractApplies = contract && contract.unitPrice < listPrice;
+
     return {
       ...product,
       // Map database fields to frontend expected fields
-      price: product.price_after,
+      price: contractApplies ? contract.unitPrice : product.price_after,
+      priceTiers,
+      contractPrice: contractApplies ? {
+        priceListId: contract.priceListId,
+        priceListName: contract.priceListName,
+        listPrice,
+        basis: contract.basis,
+        fixedPrice: contract.fixedPrice,
+        discountPercent: contract.discountPercent,
+        validUntil: contract.validUntil
+      } : null,
       original_price: product.price_before,
       originalPrice: product.price_before,
       discountPercent: product.discount_percent,
@@ -83,6 +83,22 @@ const Quote = sequelize.define('Quote', {
         type: DataTypes.STRING(50),
         allowNull: false
     },
+    gstPercent: {
+        type: DataTypes.DECIMAL(5, 2),
+        defaultValue: 18,
+        validate: {
+            min: 0,
+            max: 28
+        },
+        field: 'gst_percent'
+    },
+    shippingCharges: {
+        type: DataTypes.DECIMAL(15, 2),
+        validate: {
+            min: 0
+        },
+        field: 'shipping_charges'
+    },
     deliveryDays: {
         type: DataTypes.INTEGER,
         validate: {
@@ -110,6 +126,39 @@ const Quote = sequelize.define('Quote', {
         type: DataTypes.ENUM('pending', 'accepted', 'rejected', 'expired', 'converted'),
         defaultValue: 'pending'
     },
+    negotiationStatus: {
+        type: DataTypes.ENUM('none', 'open', 'agreed', 'declined'),
+        defaultValue: 'none',
+        field: 'negotiation_status'
+    },
+    revisionCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'revision_count'
+    },
+    awardedAmount: {
+        type: DataTypes.DECIMAL(15, 2),
+        validate: {
+            min: 0
+        },
+        field: 'awarded_amount'
+    },
+    allocatedQuantity: {
+        type: DataTypes.DECIMAL(15, 2),
+        validate: {
+            min: 0
+        },
+        field: 'allocated_quantity'
+    },
+    bidCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'bid_count'
+    },
+    lastBidAt: {
+        type: DataTypes.DATE,
+        field: 'last_bid_at'
+    },
     acceptedAt: {
         type: DataTypes.DATE,
         field: 'accepted_at'
@@ -188,6 +237,21 @@ Quote.associate = (models) => {
         foreignKey: 'quoteId',
         as: 'messages'
     });
+
+    Quote.hasMany(models.QuoteRevision, {
+        foreignKey: 'quoteId',
+        as: 'revisions'
+    });
+
+    Quote.hasMany(models.QuoteLineItem, {
+        foreignKey: 'quoteId',
+        as: 'lineItems'
+    });
+
+    Quote.hasMany(models.RFQAuctionBid, {
+        foreignKey: 'quoteId',
+        as: 'auctionBids'
+    });
 };
 
 module.exports = Quote;
@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Quote Line Item Model
+ * Represents a supplier's price for one line of a multi-line RFQ
+ */
+const QuoteLineItem = sequelize.define('QuoteLineItem', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    quoteId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'quotes',
+            key: 'id'
+        },
+        field: 'quote_id'
+    },
+    rfqLineItemId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'rfq_line_items',
+            key: 'id'
+        },
+        field: 'rfq_line_item_id'
+    },
+    unitPrice: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        },
+        field: 'unit_price'
+    },
+    quantity: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false
+    },
+    deliveryDays: {
+        type: DataTypes.INTEGER,
+        validate: {
+            min: 1
+        },
+        field: 'delivery_days'
+    },
+    notes: {
+        type: DataTypes.TEXT
+    },
+    awardStatus: {
+        type: DataTypes.ENUM('pending', 'awarded', 'not_awarded'),
+        defaultValue: 'pending',
+        field: 'award_status'
+    },
+    allocatedQuantity: {
+        type: DataTypes.DECIMAL(15, 2),
+        validate: {
+            min: 0
+        },
+        field: 'allocated_quantity'
+    },
+    awardedAt: {
+        type: DataTypes.DATE,
+        field: 'awarded_at'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        field: 'created_at'
+    }
+}, {
+    tableName: 'quote_line_items',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['quote_id', 'rfq_line_item_id']
+        },
+        {
+            fields: ['rfq_line_item_id']
+        }
+    ]
+});
+
+// Associations
+QuoteLineItem.associate = (models) => {
+    QuoteLineItem.belongsTo(models.Quote, {
+        foreignKey: 'quoteId',
+        as: 'quote'
+    });
+
+    QuoteLineItem.belongsTo(models.RFQLineItem, {
+        foreignKey: 'rfqLineItemId',
+        as: 'rfqLineItem'
+    });
+};
+
+module.exports = QuoteLineItem;
@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Quote Revision Model
+ * Represents one counter-offer round on a quote
+ */
+const QuoteRevision = sequelize.define('QuoteRevision', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    quoteId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'quotes',
+            key: 'id'
+        },
+        field: 'quote_id'
+    },
+    revisionNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'revision_number'
+    },
+    proposedBy: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        field: 'proposed_by'
+    },
+    proposerRole: {
+        type: DataTypes.ENUM('buyer', 'supplier'),
+        allowNull: false,
+        field: 'proposer_role'
+    },
+    quotePrice: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        },
+        field: 'quote_price'
+    },
+    quantity: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false
+    },
+    deliveryDays: {
+        type: DataTypes.INTEGER,
+        validate: {
+            min: 1
+        },
+        field: 'delivery_days'
+    },
+    paymentTerms: {
+        type: DataTypes.TEXT,
+        field: 'payment_terms'
+    },
+    shippingTerms: {
+        type: DataTypes.TEXT,
+        field: 'shipping_terms'
+    },
+    notes: {
+        type: DataTypes.TEXT
+    },
+    validUntil: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        field: 'valid_until'
+    },
+    status: {
+        type: DataTypes.ENUM('open', 'agreed', 'declined', 'superseded'),
+        defaultValue: 'open'
+    },
+    respondedBy: {
+        type: DataTypes.UUID,
+        field: 'responded_by'
+    },
+    respondedAt: {
+        type: DataTypes.DATE,
+        field: 'responded_at'
+    },
+    responseNotes: {
+        type: DataTypes.TEXT,
+        field: 'response_notes'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        field: 'created_at'
+    }
+}, {
+    tableName: 'quote_revisions',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['quote_id', 'revision_number']
+        }
+    ]
+});
+
+// Associations
+QuoteRevision.associate = (models) => {
+    QuoteRevision.belongsTo(models.Quote, {
+        foreignKey: 'quoteId',
+        as: 'quote'
+    });
+};
+
+module.exports = QuoteRevision;
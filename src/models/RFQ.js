@@ -106,10 +106,96 @@ const RFQ = sequelize.define('RFQ', {
         defaultValue: 0,
         field: 'quote_count'
     },
+    invitedCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'invited_count'
+    },
+    lineItemCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'line_item_count'
+    },
+    allocatedQuantity: {
+        type: DataTypes.DECIMAL(15, 2),
+        defaultValue: 0,
+        field: 'allocated_quantity'
+    },
+    visibility: {
+        type: DataTypes.ENUM('public', 'invite_only', 'approved_vendors'),
+        allowNull: false,
+        defaultValue: 'public'
+    },
+    awardMode: {
+        type: DataTypes.ENUM('quote', 'reverse_auction'),
+        defaultValue: 'quote',
+        field: 'award_mode'
+    },
+    auctionStartPrice: {
+        type: DataTypes.DECIMAL(15, 2),
+        validate: {
+            min: 0
+        },
+        field: 'auction_start_price'
+    },
+    minDecrementType: {
+        type: DataTypes.ENUM('amount', 'percent'),
+        defaultValue: 'amount',
+        field: 'min_decrement_type'
+    },
+    minDecrementValue: {
+        type: DataTypes.DECIMAL(15, 2),
+        defaultValue: 0,
+        field: 'min_decrement_value'
+    },
+    extensionWindowMinutes: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'extension_window_minutes'
+    },
+    extensionMinutes: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'extension_minutes'
+    },
+    maxExtensions: {
+        type: DataTypes.INTEGER,
+        field: 'max_extensions'
+    },
+    extensionCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'extension_count'
+    },
+    originalExpiresAt: {
+        type: DataTypes.DATE,
+        field: 'original_expires_at'
+    },
+    auctionBidCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'auction_bid_count'
+    },
+    auctionClosedAt: {
+        type: DataTypes.DATE,
+        field: 'auction_closed_at'
+    },
     expiresAt: {
         type: DataTypes.DATE,
         field: 'expires_at'
     },
+    templateId: {
+        type: DataTypes.UUID,
+        references: {
+            model: 'rfq_templates',
+            key: 'id'
+        },
+        field: 'template_id'
+    },
+    expiryReminderSentAt: {
+        type: DataTypes.DATE,
+        field: 'expiry_reminder_sent_at'
+    },
     createdAt: {
         type: DataTypes.DATE,
         defaultValue: DataTypes.NOW,
@@ -167,6 +253,26 @@ RFQ.associate = (models) => {
         foreignKey: 'rfqId',
         as: 'quotes'
     });
+
+    RFQ.hasMany(models.RFQInvitation, {
+        foreignKey: 'rfqId',
+        as: 'invitations'
+    });
+
+    RFQ.hasMany(models.RFQLineItem, {
+        foreignKey: 'rfqId',
+        as: 'lineItems'
+    });
+
+    RFQ.hasMany(models.RFQAuctionBid, {
+        foreignKey: 'rfqId',
+        as: 'auctionBids'
+    });
+
+    RFQ.belongsTo(models.RFQTemplate, {
+        foreignKey: 'templateId',
+        as: 'template'
+    });
 };
 
 module.exports = RFQ;
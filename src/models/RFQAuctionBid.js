@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * RFQ Auction Bid Model
+ * Represents one price a supplier bid in an RFQ reverse auction
+ */
+const RFQAuctionBid = sequelize.define('RFQAuctionBid', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    rfqId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'rfqs',
+            key: 'id'
+        },
+        field: 'rfq_id'
+    },
+    quoteId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'quotes',
+            key: 'id'
+        },
+        field: 'quote_id'
+    },
+    supplierId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        field: 'supplier_id'
+    },
+    amount: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        }
+    },
+    previousAmount: {
+        type: DataTypes.DECIMAL(15, 2),
+        field: 'previous_amount'
+    },
+    rankAfter: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'rank_after'
+    },
+    extended: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        field: 'created_at'
+    }
+}, {
+    tableName: 'rfq_auction_bids',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+        {
+            fields: ['rfq_id', 'created_at']
+        },
+        {
+            fields: ['quote_id', 'created_at']
+        }
+    ]
+});
+
+// Associations
+RFQAuctionBid.associate = (models) => {
+    RFQAuctionBid.belongsTo(models.RFQ, {
+        foreignKey: 'rfqId',
+        as: 'rfq'
+    });
+
+    RFQAuctionBid.belongsTo(models.Quote, {
+        foreignKey: 'quoteId',
+        as: 'quote'
+    });
+};
+
+module.exports = RFQAuctionBid;
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * RFQ Invitation Model
+ * Represents suppliers matched or named by the buyer and invited to quote on an RFQ
+ */
+const RFQInvitation = sequelize.define('RFQInvitation', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    rfqId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'rfqs',
+            key: 'id'
+        },
+        field: 'rfq_id'
+    },
+    supplierId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        field: 'supplier_id'
+    },
+    matchScore: {
+        type: DataTypes.DECIMAL(6, 2),
+        allowNull: false,
+        defaultValue: 0,
+        field: 'match_score'
+    },
+    matchReasons: {
+        type: DataTypes.JSONB,
+        defaultValue: [],
+        field: 'match_reasons'
+    },
+    source: {
+        type: DataTypes.ENUM('matched', 'buyer', 'approved_vendor'),
+        allowNull: false,
+        defaultValue: 'matched'
+    },
+    notifiedAt: {
+        type: DataTypes.DATE,
+        field: 'notified_at'
+    },
+    emailSent: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        field: 'email_sent'
+    },
+    emailSentAt: {
+        type: DataTypes.DATE,
+        field: 'email_sent_at'
+    },
+    viewedAt: {
+        type: DataTypes.DATE,
+        field: 'viewed_at'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        field: 'created_at'
+    }
+}, {
+    tableName: 'rfq_invitations',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['rfq_id', 'supplier_id']
+        },
+        {
+            fields: ['supplier_id']
+        }
+    ]
+});
+
+// Associations
+RFQInvitation.associate = (models) => {
+    RFQInvitation.belongsTo(models.RFQ, {
+        foreignKey: 'rfqId',
+        as: 'rfq'
+    });
+};
+
+module.exports = RFQInvitation;
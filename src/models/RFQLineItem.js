@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * RFQ Line Item Model
+ * Represents one requested item on a multi-line RFQ
+ */
+const RFQLineItem = sequelize.define('RFQLineItem', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    rfqId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'rfqs',
+            key: 'id'
+        },
+        field: 'rfq_id'
+    },
+    lineNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'line_number'
+    },
+    itemName: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        field: 'item_name'
+    },
+    specification: {
+        type: DataTypes.TEXT
+    },
+    quantity: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        }
+    },
+    unit: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    targetPrice: {
+        type: DataTypes.DECIMAL(15, 2),
+        validate: {
+            min: 0
+        },
+        field: 'target_price'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        field: 'created_at'
+    }
+}, {
+    tableName: 'rfq_line_items',
+    timestamps: false,
+    underscored: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['rfq_id', 'line_number']
+        }
+    ]
+});
+
+// Associations
+RFQLineItem.associate = (models) => {
+    RFQLineItem.belongsTo(models.RFQ, {
+        foreignKey: 'rfqId',
+        as: 'rfq'
+    });
+
+    RFQLineItem.hasMany(models.QuoteLineItem, {
+        foreignKey: 'rfqLineItemId',
+        as: 'quoteLines'
+    });
+};
+
+module.exports = RFQLineItem;
@@ -0,0 +1,133 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * RFQ Template Model
+ * Represents a saved RFQ a buyer can raise again, optionally on a recurring schedule
+ */
+const RFQTemplate = sequelize.define('RFQTemplate', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    buyerId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        field: 'buyer_id'
+    },
+    sourceRfqId: {
+        type: DataTypes.UUID,
+        references: {
+            model: 'rfqs',
+            key: 'id'
+        },
+        field: 'source_rfq_id'
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: true
+        }
+    },
+    rfqData: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        field: 'rfq_data'
+    },
+    requiredByOffsetDays: {
+        type: DataTypes.INTEGER,
+        validate: {
+            min: 1
+        },
+        field: 'required_by_offset_days'
+    },
+    recurrenceFrequency: {
+        type: DataTypes.ENUM('monthly', 'quarterly'),
+        field: 'recurrence_frequency'
+    },
+    recurrenceDay: {
+        type: DataTypes.INTEGER,
+        validate: {
+            min: 1,
+            max: 31
+        },
+        field: 'recurrence_day'
+    },
+    nextRunAt: {
+        type: DataTypes.DATE,
+        field: 'next_run_at'
+    },
+    recurrenceEndsAt: {
+        type: DataTypes.DATE,
+        field: 'recurrence_ends_at'
+    },
+    lastRunAt: {
+        type: DataTypes.DATE,
+        field: 'last_run_at'
+    },
+    lastRunError: {
+        type: DataTypes.TEXT,
+        field: 'last_run_error'
+    },
+    lastRfqId: {
+        type: DataTypes.UUID,
+        references: {
+            model: 'rfqs',
+            key: 'id'
+        },
+        field: 'last_rfq_id'
+    },
+    runCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'run_count'
+    },
+    useCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'use_count'
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        field: 'is_active'
+    },
+    createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        field: 'created_at'
+    },
+    updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        field: 'updated_at'
+    }
+}, {
+    tableName: 'rfq_templates',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        {
+            fields: ['buyer_id', 'created_at']
+        },
+        {
+            fields: ['next_run_at']
+        }
+    ]
+});
+
+// Associations
+RFQTemplate.associate = (models) => {
+    RFQTemplate.hasMany(models.RFQ, {
+        foreignKey: 'templateId',
+        as: 'rfqs'
+    });
+};
+
+module.exports = RFQTemplate;
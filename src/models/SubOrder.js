@@ -0,0 +1,93 @@
+const { supabase } = require('../config/database');
+
+/**
+ * SubOrder Model
+ * Handles the per-supplier parts of a checkout order
+ */
+class SubOrder {
+    /**
+     * Create sub-orders in bulk
+     * @param {Array} subOrders
+     * @returns {Promise<Array>}
+     */
+    static async createBulk(subOrders) {
+        const { data, error } = await supabase
+            .from('sub_orders')
+            .insert(subOrders)
+            .select();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Get a supplier's sub-order
+     * @param {string} subOrderId
+     * @param {string} supplierId
+     * @returns {Promise<Object|null>}
+     */
+    static async findForSupplier(subOrderId, supplierId) {
+        const { data, error } = await supabase
+            .from('sub_orders')
+            .select('*')
+            .eq('id', subOrderId)
+            .eq('supplier_id', supplierId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Get sub-orders of an order
+     * @param {string} orderId
+     * @returns {Promise<Array>}
+     */
+    static async getByOrderId(orderId) {
+        const { data, error } = await supabase
+            .from('sub_orders')
+            .select('*')
+            .eq('order_id', orderId)
+            .order('sub_order_number', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Update sub-order
+     * @param {string} subOrderId
+     * @param {Object} updateData
+     * @returns {Promise<Object>}
+     */
+    static async update(subOrderId, updateData) {
+        const { data, error } = await supabase
+            .from('sub_orders')
+            .update(updateData)
+            .eq('id', subOrderId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Cancel every sub-order of an order that hasn't shipped
+     * @param {string} orderId
+     * @returns {Promise<Array>}
+     */
+    static async cancelForOrder(orderId) {
+        const { data, error } = await supabase
+            .from('sub_orders')
+            .update({ status: 'cancelled', payout_status: 'cancelled' })
+            .eq('order_id', orderId)
+            .in('status', ['pending', 'confirmed', 'processing'])
+            .select();
+
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+module.exports = SubOrder;
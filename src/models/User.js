@@ -204,6 +204,17 @@ const User = {
         return data;
     },
 
+    /**
+     * Whether a user counts as a verified GST business: they have added a
+     * GST number. Auction GST rules, GST coupon segments and seller badges
+     * all go by this.
+     * @param {Object} user - User row with gst_number
+     * @returns {boolean}
+     */
+    hasVerifiedGst(user) {
+        return Boolean(user && user.gst_number);
+    },
+
     /**
      * Check if user exists by provider ID (for social auth)
      */
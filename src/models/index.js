@@ -6,12 +6,24 @@
 const RFQ = require('./RFQ');
 const Quote = require('./Quote');
 const QuoteMessage = require('./QuoteMessage');
+const RFQInvitation = require('./RFQInvitation');
+const QuoteRevision = require('./QuoteRevision');
+const RFQLineItem = require('./RFQLineItem');
+const QuoteLineItem = require('./QuoteLineItem');
+const RFQAuctionBid = require('./RFQAuctionBid');
+const RFQTemplate = require('./RFQTemplate');
 
 // Initialize associations
 const models = {
     RFQ,
     Quote,
-    QuoteMessage
+    QuoteMessage,
+    RFQInvitation,
+    QuoteRevision,
+    RFQLineItem,
+    QuoteLineItem,
+    RFQAuctionBid,
+    RFQTemplate
 };
 
 // Call associate methods if they exist
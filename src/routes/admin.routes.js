@@ -13,8 +13,22 @@ const {
     getAllOrders,
     getOrderDetails,
     updateOrderStatus,
-    getVerificationDocument
+    getVerificationDocument,
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    getCouponRedemptionReport,
+    getCouponRedemptions
 } = require('../controllers/admin.controller');
+const { validate } = require('../validators/auth.validator');
+const {
+    adminCreateCouponSchema,
+    adminUpdateCouponSchema,
+    couponQuerySchema,
+    validateQuery
+} = require('../validators/coupon.validator');
 
 // Middleware to check admin role
 const requireAdmin = (req, res, next) => {
@@ -163,4 +177,60 @@ router.get('/orders/:orderId', getOrderDetails);
  */
 router.put('/orders/:orderId/status', updateOrderStatus);
 
+/**
+ * COUPON MANAGEMENT ROUTES
+ */
+
+/**
+ * @route   GET /api/admin/coupons/reports/redemptions
+ * @desc    Redemption totals per coupon from coupon_usage
+ * @access  Private (Admin only)
+ * @query   from, to, fundedBy, supplierId
+ */
+router.get('/coupons/reports/redemptions', validateQuery(couponQuerySchema), getCouponRedemptionReport);
+
+/**
+ * @route   GET /api/admin/coupons
+ * @desc    Get all coupons
+ * @access  Private (Admin only)
+ * @query   status, fundedBy, supplierId, search, page, limit
+ */
+router.get('/coupons', validateQuery(couponQuerySchema), getCoupons);
+
+/**
+ * @route   POST /api/admin/coupons
+ * @desc    Create a platform- or supplier-funded coupon
+ * @access  Private (Admin only)
+ */
+router.post('/coupons', validate(adminCreateCouponSchema), createCoupon);
+
+/**
+ * @route   GET /api/admin/coupons/:id
+ * @desc    Get coupon details
+ * @access  Private (Admin only)
+ */
+router.get('/coupons/:id', getCoupon);
+
+/**
+ * @route   PUT /api/admin/coupons/:id
+ * @desc    Update a coupon
+ * @access  Private (Admin only)
+ */
+router.put('/coupons/:id', validate(adminUpdateCouponSchema), updateCoupon);
+
+/**
+ * @route   DELETE /api/admin/coupons/:id
+ * @desc    Delete a coupon; redeemed coupons are deactivated instead
+ * @access  Private (Admin only)
+ */
+router.delete('/coupons/:id', deleteCoupon);
+
+/**
+ * @route   GET /api/admin/coupons/:id/redemptions
+ * @desc    A coupon's redemptions with a daily series
+ * @access  Private (Admin only)
+ * @query   from, to, page, limit
+ */
+router.get('/coupons/:id/redemptions', validateQuery(couponQuerySchema), getCouponRedemptions);
+
 module.exports = router;
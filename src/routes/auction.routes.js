@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const auctionController = require('../controllers/auction.controller');
+const { verifyToken, verifyStreamToken, optionalAuth } = require('../middleware/auth.middleware');
+const { requireBuyer } = require('../middleware/role.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const {
+    placeBidSchema,
+    maxBidSchema,
+    depositSchema,
+    queryDepositsSchema,
+    queryBidsSchema,
+    uuidParamSchema,
+    validateBody,
+    validateQuery,
+    validateParams
+} = require('../validators/auction.validator');
+
+// Bid rate limiter - 30 bids per minute
+const bidRateLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 30,
+    message: {
+        success: false,
+        message: 'Too many bids, please slow down'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * @route   GET /api/auctions/my-bids
+ * @desc    Get bids placed by the logged-in user
+ * @access  Private (Buyer only)
+ * @query   page, limit
+ */
+router.get(
+    '/my-bids',
+    verifyToken,
+    requireBuyer,
+    validateQuery(queryBidsSchema),
+    auctionController.getMyBids
+);
+
+/**
+ * @route   GET /api/auctions/my-deposits
+ * @desc    Get auction deposits paid by the logged-in user
+ * @access  Private (Buyer only)
+ * @query   page, limit, status
+ */
+router.get(
+    '/my-deposits',
+    verifyToken,
+    requireBuyer,
+    validateQuery(queryDepositsSchema),
+    auctionController.getMyDeposits
+);
+
+/**
+ * @route   GET /api/auctions/live/stream
+ * @desc    Server-Sent Events feed of bids, status changes and countdowns for live auctions
+ * @access  Private (token in Authorization header or ?token=)
+ */
+router.get('/live/stream', verifyStreamToken, auctionController.streamLiveAuctions);
+
+/**
+ * @route   GET /api/auctions/:id
+ * @desc    Get auction details with current bid state
+ * @access  Public
+ */
+router.get(
+    '/:id',
+    validateParams(uuidParamSchema),
+    optionalAuth,
+    auctionController.getAuction
+);
+
+/**
+ * @route   GET /api/auctions/:id/bids
+ * @desc    Get bid history for an auction
+ * @access  Public
+ * @query   page, limit
+ */
+router.get(
+    '/:id/bids',
+    validateParams(uuidParamSchema),
+    validateQuery(queryBidsSchema),
+    optionalAuth,
+    auctionController.getBidHistory
+);
+
+/**
+ * @route   GET /api/auctions/:id/stream
+ * @desc    Server-Sent Events stream of bids, status changes and countdown for one auction
+ * @access  Private (token in Authorization header or ?token=)
+ */
+router.get(
+    '/:id/stream',
+    validateParams(uuidParamSchema),
+    verifyStreamToken,
+    auctionController.streamAuction
+);
+
+/**
+ * @route   POST /api/auctions/:id/bids
+ * @desc    Place a bid on a live English or sealed-bid auction
+ * @access  Private (Buyer only)
+ */
+router.post(
+    '/:id/bids',
+    verifyToken,
+    requireBuyer,
+    bidRateLimiter,
+    validateParams(uuidParamSchema),
+    validateBody(placeBidSchema),
+    auctionController.placeBid
+);
+
+/**
+ * @route   POST /api/auctions/:id/deposit
+ * @desc    Pay the earnest-money deposit required to bid
+ * @access  Private (Buyer only)
+ * @header  Idempotency-Key (optional) - a retry with the same key returns the first payment
+ */
+router.post(
+    '/:id/deposit',
+    verifyToken,
+    requireBuyer,
+    idempotent,
+    validateParams(uuidParamSchema),
+    validateBody(depositSchema),
+    auctionController.payDeposit
+);
+
+/**
+ * @route   PUT /api/auctions/:id/max-bid
+ * @desc    Set or raise a hidden maximum bid; the system bids up to it automatically
+ * @access  Private (Buyer only)
+ */
+router.put(
+    '/:id/max-bid',
+    verifyToken,
+    requireBuyer,
+    bidRateLimiter,
+    validateParams(uuidParamSchema),
+    validateBody(maxBidSchema),
+    auctionController.setMaxBid
+);
+
+/**
+ * @route   POST /api/auctions/:id/accept
+ * @desc    Accept the current price of a Dutch auction (first acceptance wins)
+ * @access  Private (Buyer only)
+ * @header  Idempotency-Key (optional) - a retry with the same key returns the first acceptance
+ */
+router.post(
+    '/:id/accept',
+    verifyToken,
+    requireBuyer,
+    idempotent,
+    bidRateLimiter,
+    validateParams(uuidParamSchema),
+    auctionController.acceptPrice
+);
+
+module.exports = router;
@@ -12,6 +12,7 @@ const supportController = require('../controllers/support.controller');
 
 // Middleware
 const { verifyToken, verifyUserVerified } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const { validate, buyerValidation } = require('../validators/buyer.validator');
 
 // Apply authentication middleware to all buyer routes
@@ -85,13 +86,28 @@ router.get(
     orderController.getOrderById
 );
 
+/**
+ * @route   GET /api/buyer/checkout/:checkoutSessionId/validate
+ * @desc    Compare the cart with the checkout session's locked prices and stock;
+ *          returns a drift report for the buyer to confirm before ordering
+ * @access  Private (Buyer)
+ */
+router.get(
+    '/checkout/:checkoutSessionId/validate',
+    validate(buyerValidation.checkoutSessionIdParam, 'params'),
+    orderController.validateCheckoutSession
+);
+
 /**
  * @route   POST /api/buyer/orders/create
- * @desc    Create a new order from checkout session
+ * @desc    Create a new order from checkout session at its locked prices
+ *          (acceptPriceDrift confirms prices that changed since checkout)
  * @access  Private (Buyer)
+ * @header  Idempotency-Key (optional) - a retry with the same key returns the first order
  */
 router.post(
     '/orders/create',
+    idempotent,
     validate(buyerValidation.createOrder),
     orderController.createOrder
 );
@@ -111,6 +127,7 @@ router.get(
  * @route   GET /api/buyer/orders/:orderId/invoice
  * @desc    Download PDF invoice for an order
  * @access  Private (Buyer)
+ * @query   subOrderId (optional) - one supplier's invoice for their sub-order
  */
 router.get(
     '/orders/:orderId/invoice',
@@ -122,9 +139,11 @@ router.get(
  * @route   POST /api/buyer/orders/:orderId/cancel
  * @desc    Cancel an order
  * @access  Private (Buyer)
+ * @header  Idempotency-Key (optional) - a retry with the same key returns the first cancellation
  */
 router.post(
     '/orders/:orderId/cancel',
+    idempotent,
     validate(buyerValidation.orderIdParam, 'params'),
     validate(buyerValidation.cancelOrder),
     orderController.cancelOrder
@@ -6,6 +6,7 @@ const cartController = require('../controllers/cart.controller');
 
 // Middleware
 const { verifyToken, optionalAuth } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const { validate, cartValidation } = require('../validators/cart.validator');
 
 /**
@@ -84,7 +85,7 @@ router.delete(
 
 /**
  * @route   POST /api/cart/apply-coupon
- * @desc    Apply coupon code to cart
+ * @desc    Apply coupon code to cart; stackable coupons combine, others replace those applied
  * @access  Public (guest session) / Private (logged-in)
  */
 router.post(
@@ -98,6 +99,7 @@ router.post(
  * @route   POST /api/cart/remove-coupon
  * @desc    Remove applied coupon from cart
  * @access  Public (guest session) / Private (logged-in)
+ * @body    couponCode - Coupon to remove; all coupons when omitted
  */
 router.post(
     '/remove-coupon',
@@ -128,18 +130,47 @@ router.get(
     cartController.estimateShipping
 );
 
+/**
+ * @route   POST /api/cart/shipping-estimate
+ * @desc    Shipping breakdown for the current cart: per-supplier shipments,
+ *          actual/volumetric/chargeable weight and per-kg slab charges
+ * @access  Public (guest session) / Private (logged-in)
+ * @body    state (required), city, pincode
+ */
+router.post(
+    '/shipping-estimate',
+    optionalAuth,
+    validate(cartValidation.cartShippingEstimate),
+    cartController.estimateCartShipping
+);
+
 /**
  * @route   POST /api/cart/checkout
- * @desc    Create checkout session (requires authentication)
+ * @desc    Create checkout session and reserve its stock until the session expires
+ *          (requires authentication). Replaces the buyer's earlier pending checkout.
  * @access  Private
+ * @header  Idempotency-Key (optional) - a retry with the same key returns the same session
  */
 router.post(
     '/checkout',
     verifyToken,
+    idempotent,
     validate(cartValidation.createCheckout),
     cartController.createCheckoutSession
 );
 
+/**
+ * @route   POST /api/cart/checkout/:sessionId/cancel
+ * @desc    Cancel a checkout session and release its reserved stock
+ * @access  Private
+ */
+router.post(
+    '/checkout/:sessionId/cancel',
+    verifyToken,
+    validate(cartValidation.sessionIdParam, 'params'),
+    cartController.cancelCheckoutSession
+);
+
 /**
  * @route   POST /api/cart/merge
  * @desc    Merge guest cart into user cart after login
@@ -5,6 +5,9 @@ const rateLimit = require('express-rate-limit');
 // Controllers
 const marketplaceController = require('../controllers/marketplace.controller');
 
+// Middleware
+const { optionalAuth } = require('../middleware/auth.middleware');
+
 // Validators
 const { marketplaceValidation, validateQuery } = require('../validators/marketplace.validator');
 
@@ -27,7 +30,7 @@ router.use(marketplaceLimiter);
 /**
  * @route   GET /api/marketplace/products
  * @desc    Get all marketplace products with advanced filters and sorting
- * @access  Public
+ * @access  Public (signed-in buyers see their contract prices)
  * @params  Query Parameters:
  *          - page (number): Page number for pagination (default: 1)
  *          - limit (number): Number of products per page (default: 20, max: 100)
@@ -46,6 +49,7 @@ router.use(marketplaceLimiter);
  */
 router.get(
     '/products',
+    optionalAuth,
     validateQuery(marketplaceValidation.products),
     marketplaceController.getProducts
 );
@@ -88,6 +92,7 @@ router.get(
  */
 router.get(
     '/featured-deals',
+    optionalAuth,
     validateQuery(marketplaceValidation.featuredDeals),
     marketplaceController.getFeaturedDeals
 );
@@ -101,6 +106,7 @@ router.get(
  */
 router.get(
     '/sponsored',
+    optionalAuth,
     validateQuery(marketplaceValidation.sponsored),
     marketplaceController.getSponsored
 );
@@ -114,6 +120,7 @@ router.get(
  */
 router.get(
     '/trending',
+    optionalAuth,
     validateQuery(marketplaceValidation.trending),
     marketplaceController.getTrending
 );
@@ -106,6 +106,7 @@ router.post(
 router.get(
   '/:id/auction',
   productDetailValidator.validateProductId,
+  optionalAuth,
   productDetailController.getAuctionDetails
 );
 
@@ -1,13 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const quoteController = require('../controllers/quote.controller');
-const { verifyToken } = require('../middleware/auth.middleware');
+const { verifyToken, verifyStreamToken } = require('../middleware/auth.middleware');
 const { requireBuyer } = require('../middleware/role.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const {
     acceptQuoteSchema,
+    awardRFQSchema,
     rejectQuoteSchema,
+    counterOfferSchema,
+    respondRevisionSchema,
+    revisionParamSchema,
     sendMessageSchema,
     queryQuotesSchema,
+    compareQuotesSchema,
+    rfqIdParamSchema,
     uuidParamSchema,
     validateBody,
     validateQuery,
@@ -35,6 +42,65 @@ router.get(
  */
 router.get('/stats', verifyToken, requireBuyer, quoteController.getQuoteStats);
 
+/**
+ * @route   GET /api/quotes/compare/:rfqId
+ * @desc    Compare quotes on an RFQ side by side by landed cost
+ * @access  Private (Buyer only)
+ * @query   includeClosed, shippingAddressId
+ */
+router.get(
+    '/compare/:rfqId',
+    verifyToken,
+    requireBuyer,
+    validateParams(rfqIdParamSchema),
+    validateQuery(compareQuotesSchema),
+    quoteController.compareQuotes
+);
+
+/**
+ * @route   GET /api/quotes/compare/:rfqId/export
+ * @desc    Export the quote comparison matrix as XLSX
+ * @access  Private (Buyer only)
+ * @query   includeClosed, shippingAddressId
+ */
+router.get(
+    '/compare/:rfqId/export',
+    verifyToken,
+    requireBuyer,
+    validateParams(rfqIdParamSchema),
+    validateQuery(compareQuotesSchema),
+    quoteController.exportQuoteComparison
+);
+
+/**
+ * @route   GET /api/quotes/award/:rfqId
+ * @desc    Get awarded versus remaining quantity on an RFQ
+ * @access  Private (Buyer only)
+ */
+router.get(
+    '/award/:rfqId',
+    verifyToken,
+    requireBuyer,
+    validateParams(rfqIdParamSchema),
+    quoteController.getAwardCoverage
+);
+
+/**
+ * @route   POST /api/quotes/award/:rfqId
+ * @desc    Split-award an RFQ across several quotes (one order per supplier)
+ * @access  Private (Buyer only)
+ * @header  Idempotency-Key (optional) - a retry with the same key returns the first award
+ */
+router.post(
+    '/award/:rfqId',
+    verifyToken,
+    requireBuyer,
+    idempotent,
+    validateParams(rfqIdParamSchema),
+    validateBody(awardRFQSchema),
+    quoteController.awardRFQ
+);
+
 /**
  * @route   GET /api/quotes/:id
  * @desc    Get a specific quote by ID
@@ -50,13 +116,15 @@ router.get(
 
 /**
  * @route   PUT /api/quotes/:id/accept
- * @desc    Accept a quote
+ * @desc    Accept a quote, optionally for part of its quantity
  * @access  Private (Buyer only)
+ * @header  Idempotency-Key (optional) - a retry with the same key returns the first acceptance
  */
 router.put(
     '/:id/accept',
     verifyToken,
     requireBuyer,
+    idempotent,
     validateParams(uuidParamSchema),
     validateBody(acceptQuoteSchema),
     quoteController.acceptQuote
@@ -76,6 +144,47 @@ router.put(
     quoteController.rejectQuote
 );
 
+/**
+ * @route   GET /api/quotes/:id/revisions
+ * @desc    Get counter-offer history for a quote
+ * @access  Private (Buyer only)
+ */
+router.get(
+    '/:id/revisions',
+    verifyToken,
+    requireBuyer,
+    validateParams(uuidParamSchema),
+    quoteController.getQuoteRevisions
+);
+
+/**
+ * @route   POST /api/quotes/:id/counter
+ * @desc    Send a counter-offer (price, quantity or delivery terms) to the supplier
+ * @access  Private (Buyer only)
+ */
+router.post(
+    '/:id/counter',
+    verifyToken,
+    requireBuyer,
+    validateParams(uuidParamSchema),
+    validateBody(counterOfferSchema),
+    quoteController.counterQuote
+);
+
+/**
+ * @route   PUT /api/quotes/:id/revisions/:revisionNumber/respond
+ * @desc    Accept or decline the supplier's counter-offer
+ * @access  Private (Buyer only)
+ */
+router.put(
+    '/:id/revisions/:revisionNumber/respond',
+    verifyToken,
+    requireBuyer,
+    validateParams(revisionParamSchema),
+    validateBody(respondRevisionSchema),
+    quoteController.respondToRevision
+);
+
 /**
  * @route   GET /api/quotes/:id/messages
  * @desc    Get all messages for a quote
@@ -89,6 +198,18 @@ router.get(
     quoteController.getQuoteMessages
 );
 
+/**
+ * @route   GET /api/quotes/:id/messages/stream
+ * @desc    Server-Sent Events stream of new messages and counter-offer revisions for a quote
+ * @access  Private (RFQ buyer or quoting supplier; token in Authorization header or ?token=)
+ */
+router.get(
+    '/:id/messages/stream',
+    validateParams(uuidParamSchema),
+    verifyStreamToken,
+    quoteController.streamQuoteMessages
+);
+
 /**
  * @route   POST /api/quotes/:id/messages
  * @desc    Send a message about a quote
@@ -1,13 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const rfqController = require('../controllers/rfq.controller');
-const { verifyToken } = require('../middleware/auth.middleware');
+const { verifyToken, verifyStreamToken } = require('../middleware/auth.middleware');
 const { requireBuyer } = require('../middleware/role.middleware');
 const {
     createRFQSchema,
     updateRFQSchema,
     queryRFQsSchema,
     uuidParamSchema,
+    inviteSuppliersSchema,
+    approvedVendorsSchema,
+    supplierIdParamSchema,
+    saveTemplateSchema,
+    updateTemplateSchema,
+    templateRFQOverridesSchema,
+    templateIdParamSchema,
     validateBody,
     validateQuery,
     validateParams
@@ -61,6 +68,100 @@ router.get('/categories', verifyToken, requireBuyer, rfqController.getCategories
  */
 router.get('/industries', verifyToken, requireBuyer, rfqController.getIndustries);
 
+/**
+ * @route   GET /api/rfq/approved-vendors
+ * @desc    Get the buyer's approved vendor list (used by approved_vendors RFQs)
+ * @access  Private (Buyer only)
+ */
+router.get('/approved-vendors', verifyToken, requireBuyer, rfqController.getApprovedVendors);
+
+/**
+ * @route   POST /api/rfq/approved-vendors
+ * @desc    Add suppliers to the buyer's approved vendor list
+ * @access  Private (Buyer only)
+ */
+router.post(
+    '/approved-vendors',
+    verifyToken,
+    requireBuyer,
+    validateBody(approvedVendorsSchema),
+    rfqController.addApprovedVendors
+);
+
+/**
+ * @route   DELETE /api/rfq/approved-vendors/:supplierId
+ * @desc    Remove a supplier from the buyer's approved vendor list
+ * @access  Private (Buyer only)
+ */
+router.delete(
+    '/approved-vendors/:supplierId',
+    verifyToken,
+    requireBuyer,
+    validateParams(supplierIdParamSchema),
+    rfqController.removeApprovedVendor
+);
+
+/**
+ * @route   GET /api/rfq/templates
+ * @desc    Get the buyer's RFQ templates (including recurring schedules)
+ * @access  Private (Buyer only)
+ */
+router.get('/templates', verifyToken, requireBuyer, rfqController.getTemplates);
+
+/**
+ * @route   GET /api/rfq/templates/:templateId
+ * @desc    Get an RFQ template
+ * @access  Private (Buyer only)
+ */
+router.get(
+    '/templates/:templateId',
+    verifyToken,
+    requireBuyer,
+    validateParams(templateIdParamSchema),
+    rfqController.getTemplateById
+);
+
+/**
+ * @route   PUT /api/rfq/templates/:templateId
+ * @desc    Update a template's name, recurrence (monthly/quarterly) or RFQ fields
+ * @access  Private (Buyer only)
+ */
+router.put(
+    '/templates/:templateId',
+    verifyToken,
+    requireBuyer,
+    validateParams(templateIdParamSchema),
+    validateBody(updateTemplateSchema),
+    rfqController.updateTemplate
+);
+
+/**
+ * @route   DELETE /api/rfq/templates/:templateId
+ * @desc    Delete an RFQ template
+ * @access  Private (Buyer only)
+ */
+router.delete(
+    '/templates/:templateId',
+    verifyToken,
+    requireBuyer,
+    validateParams(templateIdParamSchema),
+    rfqController.deleteTemplate
+);
+
+/**
+ * @route   POST /api/rfq/templates/:templateId/rfqs
+ * @desc    Create a new RFQ from a template (body fields override the template)
+ * @access  Private (Buyer only)
+ */
+router.post(
+    '/templates/:templateId/rfqs',
+    verifyToken,
+    requireBuyer,
+    validateParams(templateIdParamSchema),
+    validateBody(templateRFQOverridesSchema),
+    rfqController.createRFQFromTemplate
+);
+
 /**
  * @route   GET /api/rfq/:id
  * @desc    Get a specific RFQ by ID
@@ -74,6 +175,85 @@ router.get(
     rfqController.getRFQById
 );
 
+/**
+ * @route   GET /api/rfq/:id/invitations
+ * @desc    Get suppliers invited to quote (auto-matched or named) and their reach (notified, viewed, quoted)
+ * @access  Private (Buyer only)
+ */
+router.get(
+    '/:id/invitations',
+    verifyToken,
+    requireBuyer,
+    validateParams(uuidParamSchema),
+    rfqController.getRFQInvitations
+);
+
+/**
+ * @route   POST /api/rfq/:id/invitations
+ * @desc    Invite named suppliers to an RFQ (grants access to invite-only RFQs)
+ * @access  Private (Buyer only)
+ */
+router.post(
+    '/:id/invitations',
+    verifyToken,
+    requireBuyer,
+    validateParams(uuidParamSchema),
+    validateBody(inviteSuppliersSchema),
+    rfqController.inviteRFQSuppliers
+);
+
+/**
+ * @route   POST /api/rfq/:id/template
+ * @desc    Save an RFQ as a template, optionally recurring monthly or quarterly
+ * @access  Private (Buyer only)
+ */
+router.post(
+    '/:id/template',
+    verifyToken,
+    requireBuyer,
+    validateParams(uuidParamSchema),
+    validateBody(saveTemplateSchema),
+    rfqController.saveRFQAsTemplate
+);
+
+/**
+ * @route   GET /api/rfq/:id/auction
+ * @desc    Get the live ranking of a reverse auction RFQ
+ * @access  Private (Buyer only)
+ */
+router.get(
+    '/:id/auction',
+    verifyToken,
+    requireBuyer,
+    validateParams(uuidParamSchema),
+    rfqController.getReverseAuction
+);
+
+/**
+ * @route   GET /api/rfq/:id/auction/report
+ * @desc    Get the final ranking report once a reverse auction has closed
+ * @access  Private (Buyer only)
+ */
+router.get(
+    '/:id/auction/report',
+    verifyToken,
+    requireBuyer,
+    validateParams(uuidParamSchema),
+    rfqController.getReverseAuctionReport
+);
+
+/**
+ * @route   GET /api/rfq/:id/auction/stream
+ * @desc    Server-Sent Events stream of bids, ranking and deadline extensions for a reverse auction
+ * @access  Private (RFQ buyer or a supplier who can see the RFQ; token in Authorization header or ?token=)
+ */
+router.get(
+    '/:id/auction/stream',
+    validateParams(uuidParamSchema),
+    verifyStreamToken,
+    rfqController.streamReverseAuction
+);
+
 /**
  * @route   PUT /api/rfq/:id
  * @desc    Update an RFQ
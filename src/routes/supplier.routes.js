@@ -7,8 +7,18 @@ const { validate } = require('../validators/auth.validator');
 const {
     createListingSchema,
     updateListingSchema,
-    updateOrderItemStatusSchema
+    updateOrderItemStatusSchema,
+    updateSubOrderStatusSchema,
+    createContractPriceListSchema,
+    updateContractPriceListSchema
 } = require('../validators/supplier.validator');
+const { counterOfferSchema, respondRevisionSchema, reverseAuctionBidSchema } = require('../validators/quote.validator');
+const {
+    createCouponSchema,
+    updateCouponSchema,
+    couponQuerySchema,
+    validateQuery
+} = require('../validators/coupon.validator');
 const { imageUploadConfig } = require('../middleware/upload.middleware');
 
 // All routes require authentication and supplier role
@@ -53,14 +63,15 @@ router.delete(
 
 /**
  * @route   GET /api/supplier/listings
- * @desc    Get all listings for the authenticated supplier
+ * @desc    Get all listings for the authenticated supplier, with stock reserved
+ *          in open checkouts and the quantity still available
  * @access  Private (Supplier)
  */
 router.get('/listings', supplierController.getMyListings);
 
 /**
  * @route   GET /api/supplier/listings/:id
- * @desc    Get a specific listing by ID
+ * @desc    Get a specific listing by ID, with reserved and available stock
  * @access  Private (Supplier)
  */
 router.get('/listings/:id', supplierController.getListingById);
@@ -94,6 +105,118 @@ router.put(
  */
 router.delete('/listings/:id', supplierController.deleteListing);
 
+// ==========================================
+// CONTRACT PRICE LISTS ROUTES
+// ==========================================
+
+/**
+ * @route   GET /api/supplier/price-lists
+ * @desc    Get contract price lists negotiated with buyer accounts
+ * @access  Private (Supplier)
+ * @query   buyerId - Only lists for this buyer
+ */
+router.get('/price-lists', supplierController.getPriceLists);
+
+/**
+ * @route   GET /api/supplier/price-lists/:id
+ * @desc    Get a contract price list with its product and category rates
+ * @access  Private (Supplier)
+ */
+router.get('/price-lists/:id', supplierController.getPriceList);
+
+/**
+ * @route   POST /api/supplier/price-lists
+ * @desc    Create a price list for a buyer account (fixed price or % off per product or category)
+ * @access  Private (Supplier)
+ */
+router.post(
+    '/price-lists',
+    validate(createContractPriceListSchema),
+    supplierController.createPriceList
+);
+
+/**
+ * @route   PUT /api/supplier/price-lists/:id
+ * @desc    Update a price list; items sent replace its items
+ * @access  Private (Supplier)
+ */
+router.put(
+    '/price-lists/:id',
+    validate(updateContractPriceListSchema),
+    supplierController.updatePriceList
+);
+
+/**
+ * @route   DELETE /api/supplier/price-lists/:id
+ * @desc    Delete a contract price list
+ * @access  Private (Supplier)
+ */
+router.delete('/price-lists/:id', supplierController.deletePriceList);
+
+// ==========================================
+// SUPPLIER COUPONS ROUTES
+// ==========================================
+
+/**
+ * @route   GET /api/supplier/coupons/reports/redemptions
+ * @desc    Redemption totals for the supplier's coupons
+ * @access  Private (Supplier)
+ * @query   from, to
+ */
+router.get(
+    '/coupons/reports/redemptions',
+    validateQuery(couponQuerySchema),
+    supplierController.getCouponRedemptionReport
+);
+
+/**
+ * @route   GET /api/supplier/coupons
+ * @desc    Get coupons the supplier funds
+ * @access  Private (Supplier)
+ * @query   status, search, page, limit
+ */
+router.get('/coupons', validateQuery(couponQuerySchema), supplierController.getCoupons);
+
+/**
+ * @route   POST /api/supplier/coupons
+ * @desc    Create a coupon funded by the supplier, limited to their own listings
+ * @access  Private (Supplier)
+ */
+router.post('/coupons', validate(createCouponSchema), supplierController.createCoupon);
+
+/**
+ * @route   GET /api/supplier/coupons/:id
+ * @desc    Get one of the supplier's coupons
+ * @access  Private (Supplier)
+ */
+router.get('/coupons/:id', supplierController.getCoupon);
+
+/**
+ * @route   PUT /api/supplier/coupons/:id
+ * @desc    Update one of the supplier's coupons
+ * @access  Private (Supplier)
+ */
+router.put('/coupons/:id', validate(updateCouponSchema), supplierController.updateCoupon);
+
+/**
+ * @route   DELETE /api/supplier/coupons/:id
+ * @desc    Delete a coupon; redeemed coupons are deactivated instead
+ * @access  Private (Supplier)
+ */
+router.delete('/coupons/:id', supplierController.deleteCoupon);
+
+/**
+ * @route   GET /api/supplier/coupons/:id/redemptions
+ * @desc    Redemptions of one of the supplier's coupons with a daily series
+ * @access  Private (Supplier)
+ * @query   from, to, page, limit
+ */
+router.get(
+    '/coupons/:id/redemptions',
+    validateQuery(couponQuerySchema),
+    supplierController.getCouponRedemptions
+);
+
 // ==========================================
 // DASHBOARD ROUTES
 // ==========================================
@@ -134,6 +257,17 @@ router.put(
     supplierController.updateOrderItemStatus
 );
 
+/**
+ * @route   PUT /api/supplier/sub-orders/:subOrderId/status
+ * @desc    Move the supplier's sub-order through fulfilment (confirm, ship, deliver, cancel)
+ * @access  Private (Supplier)
+ */
+router.put(
+    '/sub-orders/:subOrderId/status',
+    validate(updateSubOrderStatusSchema),
+    supplierController.updateSubOrderStatus
+);
+
 // ==========================================
 // PAYMENTS & INVOICES ROUTES
 // ==========================================
@@ -223,6 +357,24 @@ router.get('/rfqs/:id', supplierController.getRFQById);
  */
 router.post('/rfqs/:id/quotes', supplierController.submitQuote);
 
+/**
+ * @route   GET /api/supplier/rfqs/:id/auction
+ * @desc    Get reverse auction state (lowest bid, own anonymous rank, bid limits)
+ * @access  Private (Supplier)
+ */
+router.get('/rfqs/:id/auction', supplierController.getRFQAuction);
+
+/**
+ * @route   POST /api/supplier/rfqs/:id/bids
+ * @desc    Place a lower bid in a reverse auction
+ * @access  Private (Supplier)
+ */
+router.post(
+    '/rfqs/:id/bids',
+    validate(reverseAuctionBidSchema),
+    supplierController.placeRFQBid
+);
+
 // ==========================================
 // QUOTES ROUTES
 // ==========================================
@@ -234,4 +386,33 @@ router.post('/rfqs/:id/quotes', supplierController.submitQuote);
  */
 router.get('/quotes', supplierController.getQuotes);
 
+/**
+ * @route   GET /api/supplier/quotes/:id/revisions
+ * @desc    Get counter-offer history for a quote
+ * @access  Private (Supplier)
+ */
+router.get('/quotes/:id/revisions', supplierController.getQuoteRevisions);
+
+/**
+ * @route   POST /api/supplier/quotes/:id/counter
+ * @desc    Counter the buyer's offer with revised terms
+ * @access  Private (Supplier)
+ */
+router.post(
+    '/quotes/:id/counter',
+    validate(counterOfferSchema),
+    supplierController.counterQuote
+);
+
+/**
+ * @route   PUT /api/supplier/quotes/:id/revisions/:revisionNumber/respond
+ * @desc    Accept or decline the buyer's counter-offer
+ * @access  Private (Supplier)
+ */
+router.put(
+    '/quotes/:id/revisions/:revisionNumber/respond',
+    validate(respondRevisionSchema),
+    supplierController.respondToRevision
+);
+
 module.exports = router;
@@ -1,5 +1,9 @@
 const app = require('./app');
 const { testConnection } = require('./config/database');
+const auctionLifecycleJob = require('./jobs/auctionLifecycle.job');
+const rfqExpiryJob = require('./jobs/rfqExpiry.job');
+const stockReservationJob = require('./jobs/stockReservation.job');
+const idempotencyKeysJob = require('./jobs/idempotencyKeys.job');
 require('dotenv').config();
 
 // Start server function (only for local development)
@@ -84,6 +88,17 @@ const startServer = async () => {
             console.log('      - POST   /api/products/:id/request-quote (Auth required)');
             console.log('      - POST   /api/products/:id/share');
             console.log('      - GET    /api/products/:id/auction');
+            console.log('\n   🔨 Auctions:');
+            console.log('      - GET    /api/auctions/:id');
+            console.log('      - GET    /api/auctions/:id/bids');
+            console.log('      - GET    /api/auctions/:id/stream (SSE, Auth required)');
+            console.log('      - GET    /api/auctions/live/stream (SSE, Auth required)');
+            console.log('      - POST   /api/auctions/:id/bids (Auth required)');
+            console.log('      - PUT    /api/auctions/:id/max-bid (Auth required)');
+            console.log('      - POST   /api/auctions/:id/accept (Auth required)');
+            console.log('      - POST   /api/auctions/:id/deposit (Auth required)');
+            console.log('      - GET    /api/auctions/my-deposits (Auth required)');
+            console.log('      - GET    /api/auctions/my-bids (Auth required)');
             console.log('\n   � Cart:');
             console.log('      - POST   /api/cart/add');
             console.log('      - GET    /api/cart');
@@ -96,6 +111,7 @@ const startServer = async () => {
             console.log('      - GET    /api/cart/validate');
             console.log('      - GET    /api/cart/shipping-estimate');
             console.log('      - POST   /api/cart/checkout (Auth required)');
+            console.log('      - POST   /api/cart/checkout/:sessionId/cancel (Auth required)');
             console.log('      - POST   /api/cart/merge (Auth required)');
             console.log('\n   �💚 Health:');
             console.log('      - GET  /health');
@@ -105,6 +121,10 @@ const startServer = async () => {
         testConnection()
             .then(() => {
                 console.log('✅ Database connection successful');
+                auctionLifecycleJob.start();
+                rfqExpiryJob.start();
+                stockReservationJob.start();
+                idempotencyKeysJob.start();
             })
             .catch((err) => {
                 console.error('⚠️ Database connection failed (app still running):', err.message);
@@ -131,6 +151,10 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('👋 SIGTERM received. Shutting down gracefully...');
+    auctionLifecycleJob.stop();
+    rfqExpiryJob.stop();
+    stockReservationJob.stop();
+    idempotencyKeysJob.stop();
     // redisClient.quit();
     process.exit(0);
 });
@@ -0,0 +1,1069 @@
+const { pool } = require('../config/database');
+const Auction = require('../models/Auction');
+const AuctionBid = require('../models/AuctionBid');
+const Product = require('../models/Product');
+const ProductDetail = require('../models/ProductDetail');
+const Notification = require('../models/Notification');
+const Order = require('../models/Order');
+const NotificationService = require('./notification.service');
+const OrderService = require('./order.service');
+const RealtimeService = require('./realtime.service');
+
+// A winner-order claim still held after this long is assumed to have died
+// with its instance, and the scheduler retry may take it over
+const ORDER_CLAIM_TIMEOUT_MINUTES = 5;
+
+/**
+ * Auction Service
+ * Business logic for bid placement and the auction lifecycle
+ */
+class AuctionService {
+    /**
+     * Place a bid on a live auction
+     * English: other bidders' max bids may respond before the transaction commits
+     * Sealed: the bid is stored hidden; a bidder may only raise their own sealed bid
+     * @param {Object} bidData - {auctionId, bidderId, amount, ipAddress}
+     * @returns {Promise<Object>} - Accepted bid and updated auction state
+     */
+    static async placeBid(bidData) {
+        const { auctionId, bidderId, amount, ipAddress = null } = bidData;
+        const bidAmount = Math.round(parseFloat(amount) * 100) / 100;
+
+        if (!bidAmount || bidAmount <= 0) {
+            throw new Error('INVALID_BID_AMOUNT');
+        }
+
+        const { state, events } = await this.runBidTransaction(auctionId, bidderId, async (client, state, events) => {
+            const type = Auction.getType(state);
+
+            if (type === 'dutch') {
+                throw new Error('DUTCH_AUCTION_ACCEPT_ONLY');
+            }
+
+            if (type === 'english' && state.highest_bidder_id === bidderId) {
+                throw new Error('ALREADY_HIGHEST_BIDDER');
+            }
+
+            // Enforce starting bid and bid increment
+            const minimumBid = Auction.getMinimumNextBid(state);
+
+            if (bidAmount < minimumBid) {
+                throw new Error(`BID_TOO_LOW: Minimum bid is ₹${minimumBid}`);
+            }
+
+            if (type === 'sealed') {
+                const ownBidResult = await client.query(
+                    'SELECT MAX(amount) AS amount FROM auction_bids WHERE auction_id = $1 AND bidder_id = $2',
+                    [auctionId, bidderId]
+                );
+                const ownBid = ownBidResult.rows[0].amount;
+
+                if (ownBid !== null && bidAmount <= parseFloat(ownBid)) {
+                    throw new Error(`SEALED_BID_NOT_INCREASED: Your sealed bid must be higher than your previous bid of ₹${ownBid}`);
+                }
+            }
+
+            await this.recordBid(client, state, events, bidderId, bidAmount, {
+                ipAddress,
+                sealed: type === 'sealed'
+            });
+        });
+
+        const ownBid = events.bids.find(bid => bid.bidder_id === bidderId);
+
+        return {
+            bidId: ownBid.id,
+            auctionId: state.id,
+            amount: parseFloat(ownBid.amount),
+            createdAt: ownBid.created_at,
+            ...this.formatBidState(state, bidderId, events)
+        };
+    }
+
+    /**
+     * Accept the current price of a Dutch auction
+     * The first acceptance wins and ends the auction immediately
+     * @param {Object} acceptData - {auctionId, bidderId, ipAddress}
+     * @returns {Promise<Object>} - Winning bid and settlement
+     */
+    static async acceptDutchPrice(acceptData) {
+        const { auctionId, bidderId, ipAddress = null } = acceptData;
+
+        const { state, events, order } = await this.runBidTransaction(auctionId, bidderId, async (client, state, events) => {
+            if (Auction.getType(state) !== 'dutch') {
+                throw new Error('NOT_DUTCH_AUCTION');
+            }
+
+            const price = Auction.getCurrentDutchPrice(state);
+
+            await this.recordBid(client, state, events, bidderId, price, { ipAddress });
+
+            state.status = 'ended';
+            state.winner_id = bidderId;
+            state.winning_bid = price;
+            state.reserve_met = true;
+        });
+
+        const bid = events.bids[0];
+
+        return {
+            bidId: bid.id,
+            auctionId: state.id,
+            amount: parseFloat(bid.amount),
+            status: state.status,
+            isWinner: true,
+            orderId: order?.id || null,
+            createdAt: bid.created_at
+        };
+    }
+
+    /**
+     * Set or raise a hidden maximum bid
+     * The system bids for the user in bid_increment steps up to max_amount
+     * @param {Object} maxBidData - {auctionId, bidderId, maxAmount}
+     * @returns {Promise<Object>} - Max bid and updated auction state
+     */
+    static async setMaxBid(maxBidData) {
+        const { auctionId, bidderId, maxAmount } = maxBidData;
+        const ceiling = Math.round(parseFloat(maxAmount) * 100) / 100;
+
+        if (!ceiling || ceiling <= 0) {
+            throw new Error('INVALID_BID_AMOUNT');
+        }
+
+        const { state, events } = await this.runBidTransaction(auctionId, bidderId, async (client, state) => {
+            if (Auction.getType(state) !== 'english') {
+                throw new Error('MAX_BID_NOT_SUPPORTED');
+            }
+
+            const existing = await client.query(
+                'SELECT max_amount, is_active FROM auction_max_bids WHERE auction_id = $1 AND bidder_id = $2',
+                [auctionId, bidderId]
+            );
+            const current = existing.rows[0];
+
+            if (current && current.is_active && ceiling <= parseFloat(current.max_amount)) {
+                throw new Error(`MAX_BID_NOT_INCREASED: Maximum bid must be higher than your current maximum of ₹${current.max_amount}`);
+            }
+
+            if (state.highest_bidder_id === bidderId) {
+                if (ceiling <= parseFloat(state.current_bid)) {
+                    throw new Error(`MAX_BID_TOO_LOW: Maximum bid must be higher than the current bid of ₹${state.current_bid}`);
+                }
+            } else {
+                const minimumBid = Auction.getMinimumNextBid(state);
+
+                if (ceiling < minimumBid) {
+                    throw new Error(`MAX_BID_TOO_LOW: Minimum bid is ₹${minimumBid}`);
+                }
+            }
+
+            await client.query(
+                `INSERT INTO auction_max_bids (auction_id, bidder_id, max_amount)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (auction_id, bidder_id)
+                 DO UPDATE SET max_amount = EXCLUDED.max_amount,
+                               is_active = true,
+                               exceeded_at = NULL,
+                               updated_at = NOW()`,
+                [auctionId, bidderId, ceiling]
+            );
+        });
+
+        return {
+            auctionId: state.id,
+            maxAmount: ceiling,
+            ...this.formatBidState(state, bidderId, events)
+        };
+    }
+
+    /**
+     * Run a bid change under a lock on the auction row
+     * Concurrent bids are applied one after another, each checked against the latest price.
+     * After `apply` runs, max bids are resolved (english only) and the auction row is written once.
+     * If `apply` ends the auction (Dutch acceptance) the winner's order is created after commit.
+     * @param {string} auctionId
+     * @param {string} bidderId - User placing the bid or max bid
+     * @param {Function} apply - async (client, state, events) => void
+     * @returns {Promise<Object>} - {state, events, order}
+     */
+    static async runBidTransaction(auctionId, bidderId, apply) {
+        const client = await pool.connect();
+        const events = { bids: [], outbid: new Set(), exceeded: new Set() };
+        let state;
+        let initialLeaderId;
+
+        try {
+            await client.query('BEGIN');
+
+            // 1. Lock the auction row
+            const auctionResult = await client.query(
+                `SELECT a.*, p.supplier_id, p.title AS product_title
+                 FROM auctions a
+                 JOIN products p ON p.id = a.product_id
+                 WHERE a.id = $1
+                 FOR UPDATE OF a`,
+                [auctionId]
+            );
+
+            const auction = auctionResult.rows[0];
+
+            if (!auction) {
+                throw new Error('AUCTION_NOT_FOUND');
+            }
+
+            // 2. Validate auction state
+            const now = new Date();
+
+            if (auction.status !== 'live' || now < new Date(auction.start_time)) {
+                throw new Error('AUCTION_NOT_LIVE');
+            }
+
+            if (now >= new Date(auction.end_time)) {
+                throw new Error('AUCTION_ENDED');
+            }
+
+            if (auction.supplier_id === bidderId) {
+                throw new Error('CANNOT_BID_ON_OWN_AUCTION');
+            }
+
+            await this.assertEligible(client, auction, bidderId);
+
+            initialLeaderId = auction.highest_bidder_id;
+            state = {
+                ...auction,
+                total_bids: auction.total_bids || 0,
+                total_bidders: auction.total_bidders || 0
+            };
+
+            // 3. Apply the requested change
+            await apply(client, state, events);
+
+            const isEnglish = Auction.getType(auction) === 'english';
+
+            // 4. Let max bids respond
+            if (isEnglish) {
+                await this.resolveMaxBids(client, state, events);
+            }
+
+            // 5. Anti-sniping: late bids push the end time out
+            const extendedEndTime = isEnglish && events.bids.length > 0 ? this.getExtendedEndTime(auction, now) : null;
+
+            // 6. Update auction price, counters, end time and settlement
+            const updatedResult = await client.query(
+                `UPDATE auctions
+                 SET current_bid = $2,
+                     highest_bidder_id = $3,
+                     total_bids = $4,
+                     total_bidders = $5,
+                     original_end_time = CASE WHEN $6::timestamptz IS NULL THEN original_end_time
+                         ELSE COALESCE(original_end_time, end_time) END,
+                     end_time = COALESCE($6::timestamptz, end_time),
+                     extension_count = COALESCE(extension_count, 0) + CASE WHEN $6::timestamptz IS NULL THEN 0 ELSE 1 END,
+                     status = $7,
+                     winner_id = $8,
+                     winning_bid = $9,
+                     reserve_met = $10,
+                     settled_at = CASE WHEN $7 = 'ended' THEN NOW() ELSE settled_at END,
+                     updated_at = NOW()
+                 WHERE id = $1
+                 RETURNING *`,
+                [
+                    auctionId, state.current_bid, state.highest_bidder_id, state.total_bids, state.total_bidders,
+                    extendedEndTime, state.status, state.winner_id, state.winning_bid, state.reserve_met
+                ]
+            );
+
+            await client.query('COMMIT');
+
+            state = { ...state, ...updatedResult.rows[0] };
+            events.extended = extendedEndTime !== null;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => { });
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // 7. Push the change to live subscribers
+        this.publishBids(state, events);
+
+        // 8. Settle immediately if the change ended the auction
+        if (state.status === 'ended') {
+            const order = state.winner_id ? await this.createWinnerOrder(state) : null;
+            await this.releaseDeposits(state);
+            await this.notifySettlement(state);
+            this.publishStatus(state);
+            return { state, events, order };
+        }
+
+        // 9. Notify bidders who lost the lead (non-critical)
+        if (initialLeaderId) events.outbid.add(initialLeaderId);
+        await this.notifyLostLead(state, events);
+
+        return { state, events, order: null };
+    }
+
+    /**
+     * Enforce the auction's participation rules for a bidder
+     * @param {Object} client - Transaction client
+     * @param {Object} auction - Locked auction row
+     * @param {string} bidderId
+     */
+    static async assertEligible(client, auction, bidderId) {
+        const rules = Auction.getParticipationRules(auction);
+
+        if (!rules.depositAmount && !rules.requireGst && !rules.minAccountAgeDays) {
+            return;
+        }
+
+        const userResult = await client.query(
+            'SELECT id, gst_number, created_at FROM users WHERE id = $1',
+            [bidderId]
+        );
+        const depositResult = await client.query(
+            'SELECT status FROM auction_deposits WHERE auction_id = $1 AND bidder_id = $2',
+            [auction.id, bidderId]
+        );
+
+        const { eligible, requirements } = Auction.checkEligibility(auction, userResult.rows[0], depositResult.rows[0]);
+
+        if (!eligible) {
+            const unmet = requirements.filter(requirement => !requirement.met).map(requirement => requirement.message);
+            throw new Error(`NOT_ELIGIBLE: ${unmet.join('; ')}`);
+        }
+    }
+
+    /**
+     * Pay the earnest-money deposit for an auction
+     * @param {Object} depositData - {auctionId, bidderId, paymentMethod, paymentDetails}
+     * @returns {Promise<Object>} - Held deposit
+     */
+    static async payDeposit(depositData) {
+        const { auctionId, bidderId, paymentMethod, paymentDetails } = depositData;
+
+        const auctionResult = await pool.query(
+            `SELECT a.*, p.supplier_id
+             FROM auctions a
+             JOIN products p ON p.id = a.product_id
+             WHERE a.id = $1`,
+            [auctionId]
+        );
+        const auction = auctionResult.rows[0];
+
+        if (!auction) {
+            throw new Error('AUCTION_NOT_FOUND');
+        }
+
+        if (!['upcoming', 'live'].includes(auction.status)) {
+            throw new Error('AUCTION_ENDED');
+        }
+
+        if (auction.supplier_id === bidderId) {
+            throw new Error('CANNOT_BID_ON_OWN_AUCTION');
+        }
+
+        const { depositAmount } = Auction.getParticipationRules(auction);
+
+        if (!depositAmount) {
+            throw new Error('DEPOSIT_NOT_REQUIRED');
+        }
+
+        const existing = await pool.query(
+            'SELECT status FROM auction_deposits WHERE auction_id = $1 AND bidder_id = $2',
+            [auctionId, bidderId]
+        );
+
+        if (existing.rows[0]) {
+            throw new Error(`DEPOSIT_EXISTS: Deposit already ${existing.rows[0].status}`);
+        }
+
+        const payment = await OrderService.processPayment({
+            amount: depositAmount,
+            paymentMethod,
+            paymentDetails
+        });
+
+        if (!payment.success) {
+            throw new Error('DEPOSIT_PAYMENT_FAILED');
+        }
+
+        const depositResult = await pool.query(
+            `INSERT INTO auction_deposits (auction_id, bidder_id, amount, status, payment_method, payment_transaction_id)
+             VALUES ($1, $2, $3, 'held', $4, $5)
+             ON CONFLICT (auction_id, bidder_id) DO NOTHING
+             RETURNING *`,
+            [auctionId, bidderId, depositAmount, paymentMethod, payment.transactionId]
+        );
+
+        if (!depositResult.rows[0]) {
+            throw new Error('DEPOSIT_EXISTS: Deposit already held');
+        }
+
+        const deposit = depositResult.rows[0];
+
+        return {
+            depositId: deposit.id,
+            auctionId,
+            amount: parseFloat(deposit.amount),
+            status: deposit.status,
+            paymentMethod: deposit.payment_method,
+            transactionId: deposit.payment_transaction_id,
+            paymentMessage: payment.message,
+            createdAt: deposit.created_at
+        };
+    }
+
+    /**
+     * Release held deposits of every bidder except the winner once an auction ends
+     * @param {Object} auction - Ended auction row
+     */
+    static async releaseDeposits(auction) {
+        try {
+            const result = await pool.query(
+                `UPDATE auction_deposits
+                 SET status = 'released', settlement_reason = 'Auction ended', settled_at = NOW(), updated_at = NOW()
+                 WHERE auction_id = $1 AND status = 'held' AND bidder_id IS DISTINCT FROM $2
+                 RETURNING bidder_id, amount`,
+                [auction.id, auction.winner_id]
+            );
+
+            for (const deposit of result.rows) {
+                await Notification.sendAuctionNotification(
+                    deposit.bidder_id,
+                    auction.id,
+                    'system',
+                    'Auction deposit released',
+                    `Your deposit of ₹${deposit.amount} for ${auction.product_title} has been released.`
+                );
+            }
+        } catch (error) {
+            console.error(`Error releasing deposits for auction ${auction.id}:`, error);
+        }
+    }
+
+    /**
+     * Forfeit the winner's deposit when their auction order is cancelled
+     * @param {string} orderId
+     * @param {string} reason
+     * @returns {Promise<Object|null>} - Forfeited deposit, or null if the order had none
+     */
+    static async forfeitDepositForOrder(orderId, reason) {
+        const result = await pool.query(
+            `UPDATE auction_deposits
+             SET status = 'forfeited', settlement_reason = $2, settled_at = NOW(), updated_at = NOW()
+             WHERE order_id = $1 AND status = 'applied'
+             RETURNING *`,
+            [orderId, reason || 'Winning order cancelled']
+        );
+
+        const deposit = result.rows[0];
+
+        if (deposit) {
+            await Notification.sendAuctionNotification(
+                deposit.bidder_id,
+                deposit.auction_id,
+                'system',
+                'Auction deposit forfeited',
+                `Your deposit of ₹${deposit.amount} was forfeited because the winning order was cancelled.`
+            ).catch(error => console.error('Error sending deposit forfeited notification:', error));
+        }
+
+        return deposit || null;
+    }
+
+    /**
+     * Insert a bid and move the in-memory auction state forward
+     * Sealed bids only update counters; the leader stays hidden until close
+     * @param {Object} client - Transaction client
+     * @param {Object} state - Locked auction state
+     * @param {Object} events - Collected bid events
+     * @param {string} bidderId
+     * @param {number} amount
+     * @param {Object} options - {ipAddress, isProxy, sealed}
+     * @returns {Promise<Object>} - Inserted bid row
+     */
+    static async recordBid(client, state, events, bidderId, amount, options = {}) {
+        const { ipAddress = null, isProxy = false, sealed = false } = options;
+
+        const previousBidResult = await client.query(
+            'SELECT 1 FROM auction_bids WHERE auction_id = $1 AND bidder_id = $2 LIMIT 1',
+            [state.id, bidderId]
+        );
+        const isNewBidder = previousBidResult.rows.length === 0;
+
+        const bidResult = await client.query(
+            `INSERT INTO auction_bids (auction_id, bidder_id, amount, previous_bid, ip_address, is_proxy)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [state.id, bidderId, amount, sealed ? null : state.current_bid, ipAddress, isProxy]
+        );
+
+        state.total_bids += 1;
+        state.total_bidders += isNewBidder ? 1 : 0;
+        events.bids.push(bidResult.rows[0]);
+
+        if (sealed) {
+            return bidResult.rows[0];
+        }
+
+        if (state.highest_bidder_id && state.highest_bidder_id !== bidderId) {
+            events.outbid.add(state.highest_bidder_id);
+        }
+
+        state.current_bid = amount;
+        state.highest_bidder_id = bidderId;
+
+        return bidResult.rows[0];
+    }
+
+    /**
+     * Resolve active max bids against the current leader
+     * Each round retires one max bid, so the loop always terminates:
+     * - a challenger whose ceiling beats the leader's takes the lead one increment above it
+     * - otherwise the challenger bids its ceiling and the leader answers one increment above
+     * @param {Object} client - Transaction client
+     * @param {Object} state - Locked auction state
+     * @param {Object} events - Collected bid events
+     */
+    static async resolveMaxBids(client, state, events) {
+        const maxBidsResult = await client.query(
+            `SELECT * FROM auction_max_bids
+             WHERE auction_id = $1 AND is_active = true
+             ORDER BY max_amount DESC, updated_at ASC`,
+            [state.id]
+        );
+
+        const active = maxBidsResult.rows;
+        const increment = parseFloat(state.bid_increment) || 0;
+
+        const retire = async (maxBid) => {
+            active.splice(active.indexOf(maxBid), 1);
+            events.exceeded.add(maxBid.bidder_id);
+            await client.query(
+                'UPDATE auction_max_bids SET is_active = false, exceeded_at = NOW(), updated_at = NOW() WHERE id = $1',
+                [maxBid.id]
+            );
+        };
+
+        while (true) {
+            const minimumBid = Auction.getMinimumNextBid(state);
+            const leaderMaxBid = active.find(maxBid => maxBid.bidder_id === state.highest_bidder_id);
+            const challenger = active.find(maxBid =>
+                maxBid.bidder_id !== state.highest_bidder_id && parseFloat(maxBid.max_amount) >= minimumBid
+            );
+
+            if (!challenger) break;
+
+            const challengerMax = parseFloat(challenger.max_amount);
+            const currentBid = parseFloat(state.current_bid) || 0;
+            const leaderMax = leaderMaxBid ? Math.max(parseFloat(leaderMaxBid.max_amount), currentBid) : currentBid;
+
+            if (!leaderMaxBid || challengerMax > leaderMax) {
+                const amount = state.highest_bidder_id
+                    ? Math.max(minimumBid, Math.min(challengerMax, Math.round((leaderMax + increment) * 100) / 100))
+                    : minimumBid;
+
+                await this.recordBid(client, state, events, challenger.bidder_id,
+                    this.applyReserve(state, amount, challengerMax), { isProxy: true });
+
+                if (leaderMaxBid) await retire(leaderMaxBid);
+            } else {
+                await this.recordBid(client, state, events, challenger.bidder_id, challengerMax, { isProxy: true });
+
+                const response = Math.min(leaderMax, Math.round((challengerMax + increment) * 100) / 100);
+                await this.recordBid(client, state, events, leaderMaxBid.bidder_id,
+                    this.applyReserve(state, response, leaderMax), { isProxy: true });
+
+                await retire(challenger);
+            }
+        }
+
+        // Any remaining non-leading max bid can no longer reach the next minimum
+        for (const maxBid of [...active]) {
+            if (maxBid.bidder_id !== state.highest_bidder_id) {
+                await retire(maxBid);
+            }
+        }
+    }
+
+    /**
+     * Raise an automatic bid to the reserve price when the ceiling allows it
+     * @param {Object} state - Auction state
+     * @param {number} amount - Proposed automatic bid
+     * @param {number} ceiling - Bidder's max bid
+     * @returns {number}
+     */
+    static applyReserve(state, amount, ceiling) {
+        const reservePrice = state.reserve_price ? parseFloat(state.reserve_price) : null;
+
+        if (reservePrice !== null && amount < reservePrice && ceiling >= reservePrice) {
+            return reservePrice;
+        }
+
+        return amount;
+    }
+
+    /**
+     * Build the public auction state returned to a bidder
+     * @param {Object} state - Updated auction row
+     * @param {string} bidderId - Requesting bidder
+     * @param {Object} events - Collected bid events
+     * @returns {Object}
+     */
+    static formatBidState(state, bidderId, events) {
+        if (Auction.getType(state) === 'sealed') {
+            return {
+                sealed: true,
+                minimumBid: Auction.getMinimumNextBid(state),
+                totalBids: state.total_bids,
+                totalBidders: state.total_bidders,
+                endTime: state.end_time
+            };
+        }
+
+        const currentBid = parseFloat(state.current_bid);
+        const reservePrice = state.reserve_price ? parseFloat(state.reserve_price) : null;
+
+        return {
+            currentBid,
+            minimumNextBid: Auction.getMinimumNextBid(state),
+            totalBids: state.total_bids,
+            totalBidders: state.total_bidders,
+            reserveMet: reservePrice === null || currentBid >= reservePrice,
+            isHighestBidder: state.highest_bidder_id === bidderId,
+            outbidByMaxBid: state.highest_bidder_id !== bidderId && events.bids.some(bid => bid.is_proxy),
+            endTime: state.end_time,
+            extended: events.extended
+        };
+    }
+
+    /**
+     * Publish accepted bids to the auction and live-feed channels
+     * Sealed bids only publish counters; bidder identities are always masked
+     * @param {Object} state - Updated auction row
+     * @param {Object} events - Collected bid events
+     */
+    static publishBids(state, events) {
+        if (events.bids.length === 0) return;
+
+        const channels = [RealtimeService.auctionChannel(state.id), RealtimeService.liveAuctionsChannel()];
+        const isSealed = Auction.getType(state) === 'sealed';
+
+        for (const bid of events.bids) {
+            RealtimeService.publish(channels, 'bid', isSealed ? {
+                auctionId: state.id,
+                sealed: true,
+                createdAt: bid.created_at
+            } : {
+                auctionId: state.id,
+                bidder: AuctionBid.maskBidder(bid.bidder_id),
+                amount: parseFloat(bid.amount),
+                isAutomatic: bid.is_proxy || false,
+                createdAt: bid.created_at
+            });
+        }
+
+        RealtimeService.publish(channels, 'auction', ProductDetail.formatAuctionDetails(state), { auction: state });
+
+        if (events.extended) {
+            RealtimeService.publish(channels, 'countdown', {
+                auctionId: state.id,
+                endTime: state.end_time,
+                secondsRemaining: Math.max(0, Math.floor((new Date(state.end_time) - new Date()) / 1000)),
+                extended: true
+            }, { auction: state });
+        }
+    }
+
+    /**
+     * Publish an auction status change (opened or ended)
+     * @param {Object} auction - Auction row
+     */
+    static publishStatus(auction) {
+        RealtimeService.publish(
+            [RealtimeService.auctionChannel(auction.id), RealtimeService.liveAuctionsChannel()],
+            'status',
+            ProductDetail.formatAuctionDetails(auction),
+            { auction }
+        );
+    }
+
+    /**
+     * Notify every bidder who held the lead during this change but no longer does
+     * Bidders whose max bid was exceeded get a dedicated message
+     * @param {Object} state - Updated auction row
+     * @param {Object} events - Collected bid events
+     */
+    static async notifyLostLead(state, events) {
+        const users = new Set([...events.outbid, ...events.exceeded]);
+
+        for (const userId of users) {
+            if (userId === state.highest_bidder_id) continue;
+
+            if (events.exceeded.has(userId)) {
+                await this.notifyMaxBidExceeded(userId, state, state.product_title);
+            } else {
+                await this.notifyOutbid(userId, state, state.product_title);
+            }
+        }
+    }
+
+    /**
+     * Send outbid notification to the previous leading bidder
+     * @param {string} userId - Outbid user
+     * @param {Object} auction - Updated auction row
+     * @param {string} productTitle
+     */
+    static async notifyOutbid(userId, auction, productTitle) {
+        try {
+            await Notification.sendAuctionNotification(
+                userId,
+                auction.id,
+                'auction_outbid',
+                `You've been outbid`,
+                `You've been outbid on ${productTitle}. Current bid: ₹${auction.current_bid}. Place a higher bid now!`
+            );
+        } catch (error) {
+            console.error('Error sending outbid notification:', error);
+        }
+    }
+
+    /**
+     * Send notification that a bidder's maximum bid has been exceeded
+     * @param {string} userId - Bidder whose ceiling was passed
+     * @param {Object} auction - Updated auction row
+     * @param {string} productTitle
+     */
+    static async notifyMaxBidExceeded(userId, auction, productTitle) {
+        try {
+            await Notification.sendAuctionNotification(
+                userId,
+                auction.id,
+                'auction_outbid',
+                'Your maximum bid was exceeded',
+                `Another bidder went past your maximum bid on ${productTitle}. Current bid: ₹${auction.current_bid}. Raise your maximum to stay in.`
+            );
+        } catch (error) {
+            console.error('Error sending max bid exceeded notification:', error);
+        }
+    }
+
+    /**
+     * Get the new end time for a bid placed inside the anti-sniping window
+     * @param {Object} auction - Locked auction row
+     * @param {Date} now - Bid time
+     * @returns {Date|null} - New end time, or null when no extension applies
+     */
+    static getExtendedEndTime(auction, now) {
+        const windowMinutes = parseInt(auction.extension_window_minutes) || 0;
+        const extensionMinutes = parseInt(auction.extension_minutes) || 0;
+
+        if (windowMinutes <= 0 || extensionMinutes <= 0) {
+            return null;
+        }
+
+        if (auction.max_extensions !== null && auction.max_extensions !== undefined &&
+            (auction.extension_count || 0) >= auction.max_extensions) {
+            return null;
+        }
+
+        const endTime = new Date(auction.end_time);
+
+        if (endTime - now > windowMinutes * 60 * 1000) {
+            return null;
+        }
+
+        const newEndTime = new Date(now.getTime() + extensionMinutes * 60 * 1000);
+
+        return newEndTime > endTime ? newEndTime : null;
+    }
+
+    /**
+     * Move upcoming auctions whose start time has passed to live
+     * @returns {Promise<Array<string>>} - IDs of opened auctions
+     */
+    static async openDueAuctions() {
+        const result = await pool.query(
+            `UPDATE auctions
+             SET status = 'live', updated_at = NOW()
+             WHERE status = 'upcoming' AND start_time <= NOW()
+             RETURNING *`
+        );
+
+        result.rows.forEach(auction => this.publishStatus(auction));
+
+        return result.rows.map(row => row.id);
+    }
+
+    /**
+     * Close all live auctions whose end time has passed
+     * @param {number} limit - Max auctions to settle per run
+     * @returns {Promise<Array<Object>>} - Settlement results
+     */
+    static async closeDueAuctions(limit = 50) {
+        const due = await pool.query(
+            `SELECT id FROM auctions
+             WHERE status = 'live' AND end_time <= NOW()
+             ORDER BY end_time ASC
+             LIMIT $1`,
+            [limit]
+        );
+
+        const settled = [];
+
+        for (const row of due.rows) {
+            try {
+                const result = await this.settleAuction(row.id);
+                if (result) settled.push(result);
+            } catch (error) {
+                console.error(`Error settling auction ${row.id}:`, error);
+            }
+        }
+
+        return settled;
+    }
+
+    /**
+     * End an auction, pick the winner against the reserve price
+     * and create a pending order for the winner
+     * @param {string} auctionId
+     * @returns {Promise<Object|null>} - Settlement result, or null if not due
+     */
+    static async settleAuction(auctionId) {
+        const client = await pool.connect();
+        let auction;
+
+        try {
+            await client.query('BEGIN');
+
+            // 1. Lock the auction; skip if another worker is settling it
+            const auctionResult = await client.query(
+                `SELECT a.*, p.supplier_id, p.title AS product_title
+                 FROM auctions a
+                 JOIN products p ON p.id = a.product_id
+                 WHERE a.id = $1 AND a.status = 'live' AND a.end_time <= NOW()
+                 FOR UPDATE OF a SKIP LOCKED`,
+                [auctionId]
+            );
+
+            auction = auctionResult.rows[0];
+
+            if (!auction) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            // 2. Sealed bids are revealed at close: highest amount wins, earliest on a tie
+            if (Auction.getType(auction) === 'sealed') {
+                const topBidResult = await client.query(
+                    `SELECT bidder_id, amount FROM auction_bids
+                     WHERE auction_id = $1
+                     ORDER BY amount DESC, created_at ASC
+                     LIMIT 1`,
+                    [auctionId]
+                );
+                const topBid = topBidResult.rows[0];
+
+                auction.current_bid = topBid ? topBid.amount : null;
+                auction.highest_bidder_id = topBid ? topBid.bidder_id : null;
+            }
+
+            // 3. Determine winner against reserve price
+            const currentBid = auction.current_bid ? parseFloat(auction.current_bid) : null;
+            const reservePrice = auction.reserve_price ? parseFloat(auction.reserve_price) : null;
+            const hasBids = !!auction.highest_bidder_id && currentBid !== null;
+            const reserveMet = hasBids && (reservePrice === null || currentBid >= reservePrice);
+            const winnerId = reserveMet ? auction.highest_bidder_id : null;
+
+            // 4. Close the auction
+            const updatedResult = await client.query(
+                `UPDATE auctions
+                 SET status = 'ended',
+                     current_bid = $5,
+                     highest_bidder_id = $6,
+                     winner_id = $2,
+                     winning_bid = $3,
+                     reserve_met = $4,
+                     settled_at = NOW(),
+                     updated_at = NOW()
+                 WHERE id = $1
+                 RETURNING *`,
+                [auctionId, winnerId, winnerId ? currentBid : null, reserveMet, auction.current_bid, auction.highest_bidder_id]
+            );
+
+            await client.query('COMMIT');
+
+            auction = { ...auction, ...updatedResult.rows[0] };
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => { });
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // 5. Create pending order for the winner
+        let order = null;
+        if (auction.winner_id) {
+            order = await this.createWinnerOrder(auction);
+        }
+
+        // 6. Release deposits of everyone but the winner
+        await this.releaseDeposits(auction);
+
+        // 7. Notify participants (non-critical)
+        await this.notifySettlement(auction);
+        this.publishStatus(auction);
+
+        return {
+            auctionId: auction.id,
+            winnerId: auction.winner_id,
+            winningBid: auction.winning_bid ? parseFloat(auction.winning_bid) : null,
+            reserveMet: auction.reserve_met,
+            orderId: order?.id || null
+        };
+    }
+
+    /**
+     * Retry order creation for ended auctions that have a winner but no order
+     * @param {number} limit
+     * @returns {Promise<number>} - Orders created
+     */
+    static async createMissingWinnerOrders(limit = 20) {
+        const result = await pool.query(
+            `SELECT a.*, p.supplier_id, p.title AS product_title
+             FROM auctions a
+             JOIN products p ON p.id = a.product_id
+             WHERE a.status = 'ended' AND a.winner_id IS NOT NULL AND a.order_id IS NULL
+               AND (a.order_claimed_at IS NULL OR a.order_claimed_at < NOW() - ($2 || ' minutes')::interval)
+             ORDER BY a.settled_at ASC NULLS FIRST
+             LIMIT $1`,
+            [limit, String(ORDER_CLAIM_TIMEOUT_MINUTES)]
+        );
+
+        let created = 0;
+
+        for (const auction of result.rows) {
+            const order = await this.createWinnerOrder(auction);
+            if (order) created++;
+        }
+
+        return created;
+    }
+
+    /**
+     * Create the winner's pending order and link it to the auction
+     * The auction is claimed first, so settlement, Dutch acceptance and the
+     * scheduler retry never create two orders for it. An order left unlinked
+     * by an earlier attempt is linked instead of creating another.
+     * Failures are logged and retried by createMissingWinnerOrders
+     * @param {Object} auction - Ended auction row with product_title and supplier_id
+     * @returns {Promise<Object|null>} - Winner's order, or null if another settler holds the claim
+     */
+    static async createWinnerOrder(auction) {
+        const claimed = await pool.query(
+            `UPDATE auctions
+             SET order_claimed_at = NOW()
+             WHERE id = $1 AND order_id IS NULL
+               AND (order_claimed_at IS NULL OR order_claimed_at < NOW() - ($2 || ' minutes')::interval)
+             RETURNING id`,
+            [auction.id, String(ORDER_CLAIM_TIMEOUT_MINUTES)]
+        ).catch(error => {
+            console.error(`Error claiming order creation for auction ${auction.id}:`, error);
+            return { rows: [] };
+        });
+
+        if (claimed.rows.length === 0) return null;
+
+        try {
+            const existing = await pool.query(
+                'SELECT id FROM orders WHERE auction_id = $1',
+                [auction.id]
+            );
+
+            let order;
+            if (existing.rows.length > 0) {
+                order = await Order.findById(existing.rows[0].id);
+            } else {
+                const product = await Product.findById(auction.product_id);
+
+                order = await OrderService.createAuctionOrder({
+                    auction,
+                    product,
+                    winnerId: auction.winner_id,
+                    amount: parseFloat(auction.winning_bid)
+                });
+            }
+
+            await pool.query(
+                'UPDATE auctions SET order_id = $2, order_claimed_at = NULL, updated_at = NOW() WHERE id = $1',
+                [auction.id, order.id]
+            );
+
+            // Winner's deposit stays with the platform against the order
+            await pool.query(
+                `UPDATE auction_deposits
+                 SET status = 'applied', order_id = $3, settlement_reason = 'Applied to winning order',
+                     settled_at = NOW(), updated_at = NOW()
+                 WHERE auction_id = $1 AND bidder_id = $2 AND status = 'held'`,
+                [auction.id, auction.winner_id, order.id]
+            );
+
+            return order;
+        } catch (error) {
+            console.error(`Error creating order for auction ${auction.id}:`, error);
+
+            // Let the retry pick the auction up without waiting out the claim
+            await pool.query(
+                'UPDATE auctions SET order_claimed_at = NULL WHERE id = $1 AND order_id IS NULL',
+                [auction.id]
+            ).catch(() => { });
+
+            return null;
+        }
+    }
+
+    /**
+     * Notify winner, losing bidders and supplier that an auction has ended
+     * @param {Object} auction - Ended auction row with product_title and supplier_id
+     */
+    static async notifySettlement(auction) {
+        try {
+            const productTitle = auction.product_title;
+            const bidders = await pool.query(
+                'SELECT DISTINCT bidder_id FROM auction_bids WHERE auction_id = $1',
+                [auction.id]
+            );
+
+            if (auction.winner_id) {
+                await NotificationService.sendAuctionWon(auction.winner_id, {
+                    id: auction.id,
+                    productTitle,
+                    winningBid: auction.winning_bid
+                });
+            }
+
+            for (const { bidder_id: bidderId } of bidders.rows) {
+                if (bidderId === auction.winner_id) continue;
+
+                const message = bidderId === auction.highest_bidder_id
+                    ? `The auction for ${productTitle} ended without meeting the reserve price.`
+                    : `The auction for ${productTitle} has ended. Another bidder won at ₹${auction.current_bid}.`;
+
+                await Notification.sendAuctionNotification(bidderId, auction.id, 'auction_lost', 'Auction ended', message);
+            }
+
+            if (auction.supplier_id) {
+                const message = auction.winner_id
+                    ? `Your auction for ${productTitle} ended with a winning bid of ₹${auction.winning_bid}. A pending order has been created.`
+                    : `Your auction for ${productTitle} ended without a winner${auction.current_bid ? ' (reserve price not met)' : ''}.`;
+
+                await Notification.sendAuctionNotification(auction.supplier_id, auction.id, 'system', 'Auction ended', message);
+            }
+        } catch (error) {
+            console.error('Error sending auction settlement notifications:', error);
+        }
+    }
+}
+
+module.exports = AuctionService;
@@ -0,0 +1,450 @@
+const { pool, query: db } = require('../config/database');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Contract Pricing Service
+ * Price lists a supplier negotiates with a named buyer account. Each
+ * list holds a fixed price or a percentage off per product or category,
+ * and applies only between its valid_from and valid_until dates.
+ * For a product, a product entry wins over its category's entry; when
+ * several current lists cover it, the buyer gets the lowest price.
+ */
+class ContractPricingService {
+    /**
+     * Map a contract pricing error to an HTTP response shape
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const detail = error.message.split(': ')[1];
+        const errors = {
+            'PRICE_LIST_NOT_FOUND': [404, 'Price list not found'],
+            'BUYER_NOT_FOUND': [404, 'No active buyer account matches that buyer'],
+            'INVALID_VALIDITY': [400, 'validUntil must be after validFrom'],
+            'INVALID_PRICE_LIST_PRODUCTS': [400, detail ? `Not one of your listings: ${detail}` : 'One or more products are not your listings'],
+            'INVALID_PRICE_LIST_CATEGORIES': [400, detail ? `Category not found: ${detail}` : 'One or more categories do not exist']
+        };
+
+        if (!errors[code]) return null;
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
+    /**
+     * Where a price list is in its lifecycle
+     * @param {Object} row - contract_price_lists row
+     * @param {Date} now
+     * @returns {string} - inactive | scheduled | expired | active
+     */
+    static getStatus(row, now = new Date()) {
+        if (!row.is_active) return 'inactive';
+        if (new Date(row.valid_from) > now) return 'scheduled';
+        if (row.valid_until && new Date(row.valid_until) <= now) return 'expired';
+        return 'active';
+    }
+
+    /**
+     * Format a price list row for responses
+     * @param {Object} row - contract_price_lists row joined with the buyer
+     * @param {Array|null} items - contract_price_list_items rows, when loaded
+     * @returns {Object}
+     */
+    static formatPriceList(row, items = null) {
+        return {
+            id: row.id,
+            name: row.name,
+            notes: row.notes,
+            buyer: {
+                id: row.buyer_id,
+                name: row.buyer_company_name ||
+                    [row.buyer_first_name, row.buyer_last_name].filter(Boolean).join(' ') || null,
+                email: row.buyer_email || null
+            },
+            validFrom: row.valid_from,
+            validUntil: row.valid_until,
+            isActive: row.is_active,
+            status: this.getStatus(row),
+            itemCount: items ? items.length : parseInt(row.item_count) || 0,
+            ...(items && {
+                items: items.map(item => ({
+                    id: item.id,
+                    productId: item.product_id,
+                    productTitle: item.product_title || null,
+                    listPrice: item.price_after !== null && item.price_after !== undefined
+                        ? parseFloat(item.price_after)
+                        : null,
+                    categoryId: item.category_id,
+                    categoryName: item.category_name || null,
+                    fixedPrice: item.fixed_price !== null ? parseFloat(item.fixed_price) : null,
+                    discountPercent: item.discount_percent !== null ? parseFloat(item.discount_percent) : null
+                }))
+            }),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Find the buyer account a price list is for
+     * @param {string} supplierId - Excluded, so a supplier can't price for themselves
+     * @param {Object} buyer - {buyerId} or {buyerEmail}
+     * @returns {Promise<string>} - Buyer user ID
+     */
+    static async findBuyer(supplierId, { buyerId, buyerEmail }) {
+        const result = await db(
+            `SELECT id FROM users
+             WHERE ${buyerId ? 'id = $1' : 'LOWER(email) = LOWER($1)'}
+             AND is_active = true
+             AND id <> $2`,
+            [buyerId || buyerEmail, supplierId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('BUYER_NOT_FOUND');
+        }
+
+        return result.rows[0].id;
+    }
+
+    /**
+     * Check that every product is the supplier's own listing and every category exists
+     * @param {Object} client - pg client or pool
+     * @param {string} supplierId
+     * @param {Array} items - [{productId} | {categoryId}]
+     */
+    static async assertItemTargets(client, supplierId, items) {
+        const productIds = [...new Set(items.filter(item => item.productId).map(item => item.productId))];
+        const categoryIds = [...new Set(items.filter(item => item.categoryId).map(item => item.categoryId))];
+
+        if (productIds.length > 0) {
+            const result = await client.query(
+                'SELECT id FROM products WHERE id = ANY($1::uuid[]) AND supplier_id = $2',
+                [productIds, supplierId]
+            );
+            const found = result.rows.map(row => row.id);
+            const missing = productIds.filter(id => !found.includes(id));
+            if (missing.length > 0) {
+                throw new Error(`INVALID_PRICE_LIST_PRODUCTS: ${missing.join(', ')}`);
+            }
+        }
+
+        if (categoryIds.length > 0) {
+            const result = await client.query(
+                'SELECT id FROM categories WHERE id = ANY($1::uuid[])',
+                [categoryIds]
+            );
+            const found = result.rows.map(row => row.id);
+            const missing = categoryIds.filter(id => !found.includes(id));
+            if (missing.length > 0) {
+                throw new Error(`INVALID_PRICE_LIST_CATEGORIES: ${missing.join(', ')}`);
+            }
+        }
+    }
+
+    /**
+     * Replace a price list's items
+     * @param {Object} client - pg client inside a transaction
+     * @param {string} priceListId
+     * @param {Array} items - [{productId|categoryId, fixedPrice|discountPercent}]
+     */
+    static async replaceItems(client, priceListId, items) {
+        await client.query('DELETE FROM contract_price_list_items WHERE price_list_id = $1', [priceListId]);
+
+        for (const item of items) {
+            await client.query(
+                `INSERT INTO contract_price_list_items
+                    (price_list_id, product_id, category_id, fixed_price, discount_percent)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [
+                    priceListId,
+                    item.productId || null,
+                    item.categoryId || null,
+                    item.fixedPrice ?? null,
+                    item.discountPercent ?? null
+                ]
+            );
+        }
+    }
+
+    /**
+     * Get a supplier's price lists
+     * @param {string} supplierId
+     * @param {Object} filters - {buyerId}
+     * @returns {Promise<Array>}
+     */
+    static async getPriceLists(supplierId, { buyerId } = {}) {
+        const params = [supplierId];
+        if (buyerId) params.push(buyerId);
+
+        const result = await db(
+            `SELECT
+                cpl.*,
+                u.first_name AS buyer_first_name,
+                u.last_name AS buyer_last_name,
+                u.company_name AS buyer_company_name,
+                u.email AS buyer_email,
+                (SELECT COUNT(*) FROM contract_price_list_items cpli WHERE cpli.price_list_id = cpl.id) AS item_count
+            FROM contract_price_lists cpl
+            JOIN users u ON u.id = cpl.buyer_id
+            WHERE cpl.supplier_id = $1
+            ${buyerId ? 'AND cpl.buyer_id = $2' : ''}
+            ORDER BY cpl.created_at DESC`,
+            params
+        );
+
+        return result.rows.map(row => this.formatPriceList(row));
+    }
+
+    /**
+     * Get one of a supplier's price lists with its items
+     * @param {string} supplierId
+     * @param {string} priceListId
+     * @returns {Promise<Object>}
+     */
+    static async getPriceList(supplierId, priceListId) {
+        const result = await db(
+            `SELECT
+                cpl.*,
+                u.first_name AS buyer_first_name,
+                u.last_name AS buyer_last_name,
+                u.company_name AS buyer_company_name,
+                u.email AS buyer_email
+            FROM contract_price_lists cpl
+            JOIN users u ON u.id = cpl.buyer_id
+            WHERE cpl.id = $1 AND cpl.supplier_id = $2`,
+            [priceListId, supplierId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('PRICE_LIST_NOT_FOUND');
+        }
+
+        const items = await db(
+            `SELECT cpli.*, p.title AS product_title, p.price_after, c.name AS category_name
+             FROM contract_price_list_items cpli
+             LEFT JOIN products p ON p.id = cpli.product_id
+             LEFT JOIN categories c ON c.id = cpli.category_id
+             WHERE cpli.price_list_id = $1
+             ORDER BY cpli.created_at ASC`,
+            [priceListId]
+        );
+
+        return this.formatPriceList(result.rows[0], items.rows);
+    }
+
+    /**
+     * Create a price list for a buyer account
+     * @param {string} supplierId
+     * @param {Object} data - {buyerId|buyerEmail, name, notes, validFrom, validUntil, isActive, items}
+     * @returns {Promise<Object>}
+     */
+    static async createPriceList(supplierId, data) {
+        const buyerId = await this.findBuyer(supplierId, data);
+        const client = await pool.connect();
+        let priceListId;
+
+        try {
+            await client.query('BEGIN');
+
+            await this.assertItemTargets(client, supplierId, data.items);
+
+            const result = await client.query(
+                `INSERT INTO contract_price_lists
+                    (supplier_id, buyer_id, name, notes, valid_from, valid_until, is_active)
+                 VALUES ($1, $2, $3, $4, COALESCE($5, NOW()), $6, $7)
+                 RETURNING id`,
+                [
+                    supplierId,
+                    buyerId,
+                    data.name,
+                    data.notes || null,
+                    data.validFrom || null,
+                    data.validUntil || null,
+                    data.isActive !== false
+                ]
+            );
+            priceListId = result.rows[0].id;
+
+            await this.replaceItems(client, priceListId, data.items);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return this.getPriceList(supplierId, priceListId);
+    }
+
+    /**
+     * Update a price list. Items, when given, replace the list's items.
+     * @param {string} supplierId
+     * @param {string} priceListId
+     * @param {Object} data - {name, notes, validFrom, validUntil, isActive, items}
+     * @returns {Promise<Object>}
+     */
+    static async updatePriceList(supplierId, priceListId, data) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const existing = await client.query(
+                'SELECT * FROM contract_price_lists WHERE id = $1 AND supplier_id = $2 FOR UPDATE',
+                [priceListId, supplierId]
+            );
+
+            if (existing.rows.length === 0) {
+                throw new Error('PRICE_LIST_NOT_FOUND');
+            }
+
+            const current = existing.rows[0];
+            const validFrom = data.validFrom !== undefined ? data.validFrom : current.valid_from;
+            const validUntil = data.validUntil !== undefined ? data.validUntil : current.valid_until;
+
+            if (validUntil && new Date(validUntil) <= new Date(validFrom)) {
+                throw new Error('INVALID_VALIDITY');
+            }
+
+            await client.query(
+                `UPDATE contract_price_lists
+                 SET name = $3, notes = $4, valid_from = $5, valid_until = $6, is_active = $7
+                 WHERE id = $1 AND supplier_id = $2`,
+                [
+                    priceListId,
+                    supplierId,
+                    data.name ?? current.name,
+                    data.notes !== undefined ? data.notes : current.notes,
+                    validFrom,
+                    validUntil,
+                    data.isActive ?? current.is_active
+                ]
+            );
+
+            if (data.items) {
+                await this.assertItemTargets(client, supplierId, data.items);
+                await this.replaceItems(client, priceListId, data.items);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return this.getPriceList(supplierId, priceListId);
+    }
+
+    /**
+     * Delete a price list. Orders already priced from it keep their prices.
+     * @param {string} supplierId
+     * @param {string} priceListId
+     */
+    static async deletePriceList(supplierId, priceListId) {
+        const result = await db(
+            'DELETE FROM contract_price_lists WHERE id = $1 AND supplier_id = $2 RETURNING id',
+            [priceListId, supplierId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('PRICE_LIST_NOT_FOUND');
+        }
+    }
+
+    /**
+     * Unit price a contract entry gives on a listing price
+     * @param {Object} rule - {fixedPrice, discountPercent}
+     * @param {number} listPrice - products.price_after
+     * @returns {number}
+     */
+    static resolvePrice(rule, listPrice) {
+        if (rule.fixedPrice !== null) return rule.fixedPrice;
+        return round2(listPrice * (1 - rule.discountPercent / 100));
+    }
+
+    /**
+     * Get a buyer's contract prices for a set of products
+     * @param {string} buyerId
+     * @param {Array} products - [{productId, supplierId, categoryId, price}], price = price_after
+     * @returns {Promise<Map>} - productId => {priceListId, priceListName, validUntil, basis, fixedPrice, discountPercent, unitPrice}
+     */
+    static async getContractPrices(buyerId, products) {
+        const prices = new Map();
+        const priced = (products || []).filter(product => product.productId && product.supplierId);
+
+        if (!buyerId || priced.length === 0) return prices;
+
+        const result = await db(
+            `SELECT
+                cpl.id AS price_list_id,
+                cpl.name,
+                cpl.supplier_id,
+                cpl.valid_until,
+                cpli.product_id,
+                cpli.category_id,
+                cpli.fixed_price,
+                cpli.discount_percent
+            FROM contract_price_lists cpl
+            JOIN contract_price_list_items cpli ON cpli.price_list_id = cpl.id
+            WHERE cpl.buyer_id = $1
+            AND cpl.supplier_id = ANY($2::uuid[])
+            AND cpl.is_active = true
+            AND cpl.valid_from <= NOW()
+            AND (cpl.valid_until IS NULL OR cpl.valid_until > NOW())
+            AND (cpli.product_id = ANY($3::uuid[]) OR cpli.category_id = ANY($4::uuid[]))`,
+            [
+                buyerId,
+                [...new Set(priced.map(product => product.supplierId))],
+                [...new Set(priced.map(product => product.productId))],
+                [...new Set(priced.filter(product => product.categoryId).map(product => product.categoryId))]
+            ]
+        );
+
+        if (result.rows.length === 0) return prices;
+
+        for (const product of priced) {
+            const rules = result.rows.filter(row => row.supplier_id === product.supplierId);
+            const productRules = rules.filter(row => row.product_id === product.productId);
+            const candidates = productRules.length > 0
+                ? productRules
+                : rules.filter(row => row.category_id && row.category_id === product.categoryId);
+
+            let best = null;
+
+            for (const row of candidates) {
+                const rule = {
+                    fixedPrice: row.fixed_price !== null ? parseFloat(row.fixed_price) : null,
+                    discountPercent: row.discount_percent !== null ? parseFloat(row.discount_percent) : null
+                };
+                const unitPrice = this.resolvePrice(rule, parseFloat(product.price) || 0);
+
+                if (!best || unitPrice < best.unitPrice) {
+                    best = {
+                        priceListId: row.price_list_id,
+                        priceListName: row.name,
+                        validUntil: row.valid_until,
+                        basis: row.product_id ? 'product' : 'category',
+                        ...rule,
+                        unitPrice
+                    };
+                }
+            }
+
+            if (best) prices.set(product.productId, best);
+        }
+
+        return prices;
+    }
+}
+
+module.exports = ContractPricingService;
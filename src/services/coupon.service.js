@@ -0,0 +1,903 @@
+const { query: db } = require('../config/database');
+const Coupon = require('../models/Coupon');
+const User = require('../models/User');
+
+// Most coupons one cart can combine
+const MAX_STACKED_COUPONS = 3;
+
+// Request fields and the coupons columns they map to
+const COUPON_COLUMNS = {
+    code: 'code',
+    description: 'description',
+    discountType: 'discount_type',
+    discountValue: 'discount_value',
+    maxDiscount: 'max_discount',
+    minOrderValue: 'min_order_value',
+    maxUsagePerUser: 'max_usage_per_user',
+    totalUsageLimit: 'total_usage_limit',
+    applicableCategories: 'applicable_categories',
+    applicableProducts: 'applicable_products',
+    excludedProducts: 'excluded_products',
+    userRoleRestriction: 'user_role_restriction',
+    firstOrderOnly: 'first_order_only',
+    requiresVerifiedGst: 'requires_verified_gst',
+    buyQuantity: 'buy_quantity',
+    getQuantity: 'get_quantity',
+    spendTiers: 'spend_tiers',
+    isStackable: 'is_stackable',
+    fundedBy: 'funded_by',
+    supplierId: 'supplier_id',
+    validFrom: 'valid_from',
+    validUntil: 'valid_until',
+    isActive: 'is_active',
+    isVisible: 'is_visible'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Coupon Service
+ * Applies one or more coupons to a cart and manages coupons for admins
+ * and suppliers. Supported types:
+ * - percentage / flat: off the eligible items
+ * - buy_x_get_y: discounted units for every buy_quantity bought of a product
+ * - tiered: the highest spend tier the eligible items reach
+ * - free_shipping: waives shipping (a supplier's coupon, only their shipment)
+ * Supplier-funded coupons only cover that supplier's items. Coupons are
+ * applied in the order they were added, each on what earlier coupons left.
+ */
+class CouponService {
+    /**
+     * Map a coupon management error to an HTTP response shape
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const detail = error.message.split(': ')[1];
+        const errors = {
+            'COUPON_NOT_FOUND': [404, 'Coupon not found'],
+            'COUPON_CODE_TAKEN': [409, 'A coupon with this code already exists'],
+            'INVALID_VALIDITY': [400, 'validUntil must be after validFrom'],
+            'INVALID_COUPON_PRODUCTS': [400, detail ? `Not one of your listings: ${detail}` : 'One or more products are not your listings'],
+            'INVALID_COUPON_CONFIG': [400, detail || 'The coupon is missing settings for its type']
+        };
+
+        if (!errors[code]) return null;
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
+    /**
+     * Format a coupon row for responses
+     * @param {Object} row - coupons row
+     * @returns {Object}
+     */
+    static formatCoupon(row) {
+        const toNumber = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+        return {
+            id: row.id,
+            code: row.code,
+            description: row.description,
+            discountType: row.discount_type,
+            discountValue: toNumber(row.discount_value),
+            maxDiscount: toNumber(row.max_discount),
+            minOrderValue: toNumber(row.min_order_value) || 0,
+            buyQuantity: row.buy_quantity || null,
+            getQuantity: row.get_quantity || null,
+            spendTiers: row.spend_tiers || [],
+            fundedBy: row.funded_by || 'platform',
+            supplierId: row.supplier_id || null,
+            isStackable: row.is_stackable || false,
+            targeting: {
+                userRole: row.user_role_restriction || null,
+                firstOrderOnly: row.first_order_only || false,
+                requiresVerifiedGst: row.requires_verified_gst || false
+            },
+            applicableProducts: row.applicable_products || [],
+            applicableCategories: row.applicable_categories || [],
+            excludedProducts: row.excluded_products || [],
+            maxUsagePerUser: row.max_usage_per_user,
+            totalUsageLimit: row.total_usage_limit,
+            usageCount: row.current_usage_count || 0,
+            validFrom: row.valid_from,
+            validUntil: row.valid_until,
+            isActive: row.is_active,
+            isVisible: row.is_visible,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // ==========================================
+    // APPLYING COUPONS
+    // ==========================================
+
+    /**
+     * Load what segment targeting checks about a buyer
+     * @param {string} userId
+     * @returns {Promise<Object>} - {roles, gstVerified, hasOrders}
+     */
+    static async getBuyerProfile(userId) {
+        const result = await db(
+            `SELECT
+                u.role,
+                u.gst_number,
+                ARRAY(SELECT ur.role FROM user_roles ur WHERE ur.user_id = u.id) AS roles,
+                EXISTS (
+                    SELECT 1 FROM orders o WHERE o.user_id = u.id AND o.status <> 'cancelled'
+                ) AS has_orders
+            FROM users u
+            WHERE u.id = $1`,
+            [userId]
+        );
+
+        const row = result.rows[0];
+        if (!row) return { roles: [], gstVerified: false, hasOrders: false };
+
+        return {
+            roles: [...new Set([row.role, ...(row.roles || [])].filter(Boolean))],
+            gstVerified: User.hasVerifiedGst(row),
+            hasOrders: row.has_orders
+        };
+    }
+
+    /**
+     * Whether a coupon covers a cart item
+     * @param {Object} coupon - coupons row
+     * @param {Object} item - Cart item {productId, categoryId, supplierId}
+     * @returns {boolean}
+     */
+    static isItemEligible(coupon, item) {
+        if (coupon.supplier_id && item.supplierId !== coupon.supplier_id) return false;
+
+        const applicableProducts = coupon.applicable_products || [];
+        const applicableCategories = coupon.applicable_categories || [];
+        const excludedProducts = coupon.excluded_products || [];
+
+        if (excludedProducts.includes(item.productId)) return false;
+
+        if (applicableProducts.length === 0 && applicableCategories.length === 0) return true;
+
+        return applicableProducts.includes(item.productId) ||
+            (Boolean(item.categoryId) && applicableCategories.includes(item.categoryId));
+    }
+
+    /**
+     * Check a coupon's dates, usage limits and targeting for a buyer
+     * @param {Object} coupon - coupons row
+     * @param {Object} context - {userId, profile, userUsageCount}
+     * @returns {Object|null} - {error, message} when the buyer can't use it
+     */
+    static checkEligibility(coupon, { userId, profile, userUsageCount }) {
+        const now = new Date();
+
+        if (now < new Date(coupon.valid_from)) {
+            return { error: 'COUPON_NOT_STARTED', message: 'This coupon is not yet active' };
+        }
+
+        if (now > new Date(coupon.valid_until)) {
+            return { error: 'COUPON_EXPIRED', message: 'This coupon has expired' };
+        }
+
+        if (coupon.total_usage_limit && coupon.current_usage_count >= coupon.total_usage_limit) {
+            return { error: 'COUPON_USAGE_LIMIT_REACHED', message: 'This coupon has reached its usage limit' };
+        }
+
+        const targeted = coupon.user_role_restriction || coupon.first_order_only || coupon.requires_verified_gst;
+
+        if (targeted && !userId) {
+            return { error: 'LOGIN_REQUIRED', message: 'Sign in to use this coupon' };
+        }
+
+        if (coupon.user_role_restriction && !profile.roles.includes(coupon.user_role_restriction)) {
+            return {
+                error: 'SEGMENT_NOT_ELIGIBLE',
+                message: `This coupon is only for ${coupon.user_role_restriction} accounts`
+            };
+        }
+
+        if (coupon.requires_verified_gst && !profile.gstVerified) {
+            return {
+                error: 'SEGMENT_NOT_ELIGIBLE',
+                message: 'This coupon is only for verified businesses with a GST number'
+            };
+        }
+
+        if (coupon.first_order_only && profile.hasOrders) {
+            return { error: 'FIRST_ORDER_ONLY', message: 'This coupon is only valid on your first order' };
+        }
+
+        if (userId && userUsageCount >= coupon.max_usage_per_user) {
+            return { error: 'USER_USAGE_LIMIT_REACHED', message: 'You have already used this coupon maximum times' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the spend tier an amount reaches
+     * @param {Array} tiers - [{minSpend, discountType, discountValue, maxDiscount}]
+     * @param {number} amount
+     * @returns {Object|null}
+     */
+    static getSpendTier(tiers, amount) {
+        return (tiers || [])
+            .filter(tier => amount >= tier.minSpend)
+            .sort((a, b) => b.minSpend - a.minSpend)[0] || null;
+    }
+
+    /**
+     * Work out a coupon's discount on its eligible lines
+     * @param {Object} coupon - coupons row
+     * @param {Array} lines - [{index, value, unitPrice, quantity}]; value is what earlier coupons left
+     * @returns {Object} - {discountAmount, allocations: [{index, amount}], freeShipping, tier}
+     */
+    static calculateDiscount(coupon, lines) {
+        const eligibleValue = lines.reduce((sum, line) => sum + line.value, 0);
+        const discountValue = parseFloat(coupon.discount_value) || 0;
+        const cap = (amount, maxDiscount) => (maxDiscount ? Math.min(amount, parseFloat(maxDiscount)) : amount);
+
+        // Spread a cart-level discount over the lines by value
+        const spread = (amount) => {
+            const total = Math.min(round2(amount), eligibleValue);
+            let left = total;
+
+            const allocations = lines.map((line, position) => {
+                const share = position === lines.length - 1
+                    ? left
+                    : round2((total * line.value) / eligibleValue);
+                left = round2(left - share);
+                return { index: line.index, amount: share };
+            });
+
+            return { discountAmount: total, allocations, freeShipping: false, tier: null };
+        };
+
+        switch (coupon.discount_type) {
+            case 'percentage':
+                return spread(cap((eligibleValue * discountValue) / 100, coupon.max_discount));
+
+            case 'flat':
+                return spread(discountValue);
+
+            case 'tiered': {
+                const tier = this.getSpendTier(coupon.spend_tiers, eligibleValue);
+                if (!tier) return { discountAmount: 0, allocations: [], freeShipping: false, tier: null };
+
+                const amount = tier.discountType === 'flat'
+                    ? tier.discountValue
+                    : cap((eligibleValue * tier.discountValue) / 100, tier.maxDiscount);
+
+                return { ...spread(amount), tier };
+            }
+
+            case 'buy_x_get_y': {
+                // Discounted units are priced per product, so each line carries its own discount
+                const groupSize = coupon.buy_quantity + coupon.get_quantity;
+                const percentOff = discountValue || 100;
+                const allocations = lines
+                    .map(line => {
+                        const discountedUnits = Math.floor(line.quantity / groupSize) * coupon.get_quantity;
+                        const amount = round2(Math.min(
+                            (discountedUnits * line.unitPrice * percentOff) / 100,
+                            line.value
+                        ));
+                        return { index: line.index, amount };
+                    })
+                    .filter(allocation => allocation.amount > 0);
+
+                const raw = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+                const total = round2(Math.min(cap(raw, coupon.max_discount), eligibleValue));
+
+                // Scale down evenly when max_discount caps the total
+                return {
+                    discountAmount: total,
+                    allocations: raw > total
+                        ? allocations.map(allocation => ({ ...allocation, amount: round2((allocation.amount * total) / raw) }))
+                        : allocations,
+                    freeShipping: false,
+                    tier: null
+                };
+            }
+
+            case 'free_shipping':
+                return { discountAmount: 0, allocations: [], freeShipping: true, tier: null };
+
+            default:
+                return { discountAmount: 0, allocations: [], freeShipping: false, tier: null };
+        }
+    }
+
+    /**
+     * Why a coupon that passed its checks gave nothing
+     * @param {Object} coupon - coupons row
+     * @param {number} eligibleValue
+     * @returns {Object} - {error, message}
+     */
+    static describeNoDiscount(coupon, eligibleValue) {
+        if (coupon.discount_type === 'buy_x_get_y') {
+            return {
+                error: 'BUY_QUANTITY_NOT_MET',
+                message: `Buy ${coupon.buy_quantity} of a product to get ${coupon.get_quantity} at a discount`
+            };
+        }
+
+        if (coupon.discount_type === 'tiered') {
+            const lowest = (coupon.spend_tiers || []).slice().sort((a, b) => a.minSpend - b.minSpend)[0];
+            return {
+                error: 'MIN_ORDER_NOT_MET',
+                message: lowest
+                    ? `Spend ₹${(lowest.minSpend - eligibleValue).toLocaleString()} more on eligible items to unlock this coupon`
+                    : 'This coupon has no spend tiers',
+                requiredAmount: lowest?.minSpend
+            };
+        }
+
+        return { error: 'COUPON_NOT_APPLICABLE', message: 'This coupon gives no discount on items in your cart' };
+    }
+
+    /**
+     * Apply coupons to priced cart items
+     * Coupons are taken in order. A coupon that isn't stackable is only
+     * accepted alone, and at most MAX_STACKED_COUPONS are combined.
+     * @param {Array<string>} codes - Coupon codes in the order they were applied
+     * @param {Object} context - {userId, items}; items as priced by PricingService
+     * @returns {Promise<Object>} - {applied, rejected, couponDiscount, lineDiscounts, platformLineDiscounts}
+     */
+    static async applyCoupons(codes, { userId = null, items = [] } = {}) {
+        const lineDiscounts = items.map(() => 0);
+        const platformLineDiscounts = items.map(() => 0);
+        const result = { applied: [], rejected: [], couponDiscount: 0, lineDiscounts, platformLineDiscounts };
+        const requested = (codes || []).filter(Boolean);
+
+        if (requested.length === 0 || items.length === 0) return result;
+
+        const coupons = await Coupon.findActiveByCodes(requested);
+
+        for (const code of requested) {
+            if (!coupons.some(coupon => coupon.code === code.toUpperCase())) {
+                result.rejected.push({ code, error: 'INVALID_COUPON', message: 'Invalid or expired coupon code' });
+            }
+        }
+
+        const needsProfile = coupons.some(coupon =>
+            coupon.user_role_restriction || coupon.first_order_only || coupon.requires_verified_gst
+        );
+        const profile = userId && needsProfile
+            ? await this.getBuyerProfile(userId)
+            : { roles: [], gstVerified: false, hasOrders: false };
+
+        // What each line is still worth after earlier coupons
+        const remaining = items.map(item => {
+            const lineTotal = (item.price || item.originalPrice || 0) * item.quantity;
+            return round2(lineTotal - (lineTotal * (item.discountPercent || 0)) / 100);
+        });
+
+        for (const coupon of coupons) {
+            const reject = (reason) => result.rejected.push({ code: coupon.code, ...reason });
+
+            if (result.applied.length >= MAX_STACKED_COUPONS) {
+                reject({ error: 'COUPON_LIMIT_REACHED', message: `At most ${MAX_STACKED_COUPONS} coupons can be combined` });
+                continue;
+            }
+
+            if (result.applied.length > 0 &&
+                (!coupon.is_stackable || result.applied.some(applied => !applied.isStackable))) {
+                reject({ error: 'COUPON_NOT_STACKABLE', message: 'This coupon cannot be combined with the other coupons applied' });
+                continue;
+            }
+
+            const userUsageCount = userId ? await Coupon.countUserUsage(coupon.id, userId) : 0;
+            const ineligible = this.checkEligibility(coupon, { userId, profile, userUsageCount });
+            if (ineligible) {
+                reject(ineligible);
+                continue;
+            }
+
+            const lines = items
+                .map((item, index) => ({
+                    index,
+                    value: remaining[index],
+                    unitPrice: item.quantity > 0 ? remaining[index] / item.quantity : 0,
+                    quantity: item.quantity
+                }))
+                .filter(line => line.value > 0 && this.isItemEligible(coupon, items[line.index]));
+
+            if (lines.length === 0) {
+                reject({ error: 'COUPON_NOT_APPLICABLE', message: 'This coupon is not applicable to items in your cart' });
+                continue;
+            }
+
+            const eligibleValue = round2(lines.reduce((sum, line) => sum + line.value, 0));
+            const minOrderValue = parseFloat(coupon.min_order_value) || 0;
+
+            if (eligibleValue < minOrderValue) {
+                reject({
+                    error: 'MIN_ORDER_NOT_MET',
+                    message: `Minimum order value of ₹${minOrderValue.toLocaleString()} required`,
+                    requiredAmount: minOrderValue
+                });
+                continue;
+            }
+
+            const discount = this.calculateDiscount(coupon, lines);
+
+            if (discount.discountAmount <= 0 && !discount.freeShipping) {
+                reject(this.describeNoDiscount(coupon, eligibleValue));
+                continue;
+            }
+
+            for (const allocation of discount.allocations) {
+                remaining[allocation.index] = round2(remaining[allocation.index] - allocation.amount);
+                lineDiscounts[allocation.index] = round2(lineDiscounts[allocation.index] + allocation.amount);
+                if (coupon.funded_by !== 'supplier') {
+                    platformLineDiscounts[allocation.index] = round2(platformLineDiscounts[allocation.index] + allocation.amount);
+                }
+            }
+
+            result.couponDiscount = round2(result.couponDiscount + discount.discountAmount);
+            result.applied.push({
+                id: coupon.id,
+                code: coupon.code,
+                description: coupon.description,
+                discountType: coupon.discount_type,
+                discountValue: parseFloat(coupon.discount_value) || 0,
+                fundedBy: coupon.funded_by || 'platform',
+                supplierId: coupon.supplier_id || null,
+                isStackable: coupon.is_stackable || false,
+                appliedTier: discount.tier,
+                freeShipping: discount.freeShipping,
+                maxDiscount: coupon.max_discount ? parseFloat(coupon.max_discount) : null,
+                discountAmount: discount.discountAmount,
+                shippingDiscount: 0
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Waive shipping for free-shipping coupons
+     * A platform coupon waives every shipment, a supplier's coupon only
+     * theirs; max_discount caps the amount waived. Updates the coupons'
+     * shippingDiscount in place.
+     * @param {Object} shipping - PricingService.calculateShippingBreakdown result
+     * @param {Array} appliedCoupons - applyCoupons().applied
+     * @returns {Object} - {shipping, shippingDiscount}; shipping charges are net of the waiver
+     */
+    static applyFreeShipping(shipping, appliedCoupons) {
+        const waivers = appliedCoupons.filter(coupon => coupon.freeShipping);
+
+        if (waivers.length === 0 || shipping.totalCharge <= 0) {
+            return { shipping, shippingDiscount: 0 };
+        }
+
+        // Without per-supplier shipments only a platform coupon can waive the flat charge
+        if (shipping.shipments.length === 0) {
+            const waiver = waivers.find(coupon => coupon.fundedBy !== 'supplier');
+            if (!waiver) return { shipping, shippingDiscount: 0 };
+
+            const amount = round2(Math.min(shipping.totalCharge, waiver.maxDiscount ?? Infinity));
+            waiver.shippingDiscount = amount;
+
+            return {
+                shipping: { ...shipping, totalCharge: round2(shipping.totalCharge - amount), shippingDiscount: amount },
+                shippingDiscount: amount
+            };
+        }
+
+        const shipments = shipping.shipments.map(shipment => ({
+            ...shipment,
+            grossCharge: shipment.charge,
+            shippingDiscount: 0,
+            platformShippingDiscount: 0
+        }));
+
+        for (const waiver of waivers) {
+            let budget = waiver.maxDiscount ?? Infinity;
+
+            for (const shipment of shipments) {
+                if (waiver.supplierId && shipment.supplierId !== waiver.supplierId) continue;
+
+                const amount = round2(Math.min(shipment.charge, budget));
+                if (amount <= 0) continue;
+
+                shipment.charge = round2(shipment.charge - amount);
+                shipment.shippingDiscount = round2(shipment.shippingDiscount + amount);
+                if (waiver.fundedBy !== 'supplier') {
+                    shipment.platformShippingDiscount = round2(shipment.platformShippingDiscount + amount);
+                }
+                waiver.shippingDiscount = round2(waiver.shippingDiscount + amount);
+                budget -= amount;
+            }
+        }
+
+        const shippingDiscount = round2(shipments.reduce((sum, shipment) => sum + shipment.shippingDiscount, 0));
+
+        return {
+            shipping: {
+                ...shipping,
+                shipments,
+                totalCharge: round2(shipments.reduce((sum, shipment) => sum + shipment.charge, 0)),
+                shippingDiscount
+            },
+            shippingDiscount
+        };
+    }
+
+    // ==========================================
+    // MANAGEMENT
+    // ==========================================
+
+    /**
+     * Map request fields to coupons columns
+     * @param {Object} data - Validated request body
+     * @returns {Object}
+     */
+    static toColumns(data) {
+        const row = {};
+
+        for (const [field, column] of Object.entries(COUPON_COLUMNS)) {
+            if (data[field] !== undefined) {
+                row[column] = data[field];
+            }
+        }
+
+        if (row.code) row.code = row.code.toUpperCase();
+
+        return row;
+    }
+
+    /**
+     * Check the settings a coupon's type needs are present
+     * @param {Object} row - Merged coupons row
+     */
+    static assertTypeConfig(row) {
+        if (row.discount_type === 'buy_x_get_y' && (!row.buy_quantity || !row.get_quantity)) {
+            throw new Error('INVALID_COUPON_CONFIG: Buy-X-get-Y coupons need buyQuantity and getQuantity');
+        }
+
+        if (row.discount_type === 'tiered' && (!Array.isArray(row.spend_tiers) || row.spend_tiers.length === 0)) {
+            throw new Error('INVALID_COUPON_CONFIG: Tiered coupons need at least one spend tier');
+        }
+
+        if (['percentage', 'flat'].includes(row.discount_type) && !(parseFloat(row.discount_value) > 0)) {
+            throw new Error('INVALID_COUPON_CONFIG: Percentage and flat coupons need a discountValue');
+        }
+
+        if (row.valid_until && row.valid_from && new Date(row.valid_until) <= new Date(row.valid_from)) {
+            throw new Error('INVALID_VALIDITY');
+        }
+    }
+
+    /**
+     * Check that a supplier's coupon only names their own listings
+     * @param {string} supplierId
+     * @param {Object} row - coupons columns
+     */
+    static async assertSupplierProducts(supplierId, row) {
+        const productIds = [...new Set([
+            ...(row.applicable_products || []),
+            ...(row.excluded_products || [])
+        ])];
+
+        if (productIds.length === 0) return;
+
+        const result = await db(
+            'SELECT id FROM products WHERE id = ANY($1::uuid[]) AND supplier_id = $2',
+            [productIds, supplierId]
+        );
+        const found = result.rows.map(row => row.id);
+        const missing = productIds.filter(id => !found.includes(id));
+
+        if (missing.length > 0) {
+            throw new Error(`INVALID_COUPON_PRODUCTS: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * List coupons
+     * @param {Object} filters - {fundedBy, status, search, page, limit}
+     * @param {Object} scope - {supplierId} limits to a supplier's own coupons
+     * @returns {Promise<Object>}
+     */
+    static async getCoupons(filters = {}, { supplierId = null } = {}) {
+        const result = await Coupon.list({ ...filters, supplierId: supplierId || filters.supplierId });
+
+        return {
+            ...result,
+            coupons: result.coupons.map(row => this.formatCoupon(row))
+        };
+    }
+
+    /**
+     * Get one coupon
+     * @param {string} couponId
+     * @param {Object} scope - {supplierId}
+     * @returns {Promise<Object>}
+     */
+    static async getCoupon(couponId, { supplierId = null } = {}) {
+        const coupon = await Coupon.findById(couponId, supplierId);
+
+        if (!coupon) {
+            throw new Error('COUPON_NOT_FOUND');
+        }
+
+        return this.formatCoupon(coupon);
+    }
+
+    /**
+     * Create a coupon
+     * Suppliers always create coupons they fund themselves.
+     * @param {Object} data - Validated request body
+     * @param {Object} scope - {createdBy, supplierId}
+     * @returns {Promise<Object>}
+     */
+    static async createCoupon(data, { createdBy, supplierId = null }) {
+        const row = this.toColumns(data);
+
+        if (supplierId) {
+            row.funded_by = 'supplier';
+            row.supplier_id = supplierId;
+        } else if (row.funded_by !== 'supplier') {
+            row.funded_by = 'platform';
+            row.supplier_id = null;
+        }
+
+        this.assertTypeConfig(row);
+
+        if (await Coupon.codeExists(row.code)) {
+            throw new Error('COUPON_CODE_TAKEN');
+        }
+
+        if (row.supplier_id) {
+            await this.assertSupplierProducts(row.supplier_id, row);
+        }
+
+        const coupon = await Coupon.create({ ...row, created_by: createdBy });
+        return this.formatCoupon(coupon);
+    }
+
+    /**
+     * Update a coupon
+     * A supplier can't move their coupon to platform funding.
+     * @param {string} couponId
+     * @param {Object} data - Validated request body
+     * @param {Object} scope - {supplierId}
+     * @returns {Promise<Object>}
+     */
+    static async updateCoupon(couponId, data, { supplierId = null } = {}) {
+        const existing = await Coupon.findById(couponId, supplierId);
+
+        if (!existing) {
+            throw new Error('COUPON_NOT_FOUND');
+        }
+
+        const changes = this.toColumns(data);
+
+        if (supplierId) {
+            delete changes.funded_by;
+            delete changes.supplier_id;
+        } else if (changes.funded_by === 'platform') {
+            changes.supplier_id = null;
+        }
+
+        const merged = { ...existing, ...changes };
+        this.assertTypeConfig(merged);
+
+        if (changes.code && changes.code !== existing.code && await Coupon.codeExists(changes.code, couponId)) {
+            throw new Error('COUPON_CODE_TAKEN');
+        }
+
+        if (merged.supplier_id) {
+            await this.assertSupplierProducts(merged.supplier_id, merged);
+        }
+
+        const coupon = await Coupon.update(couponId, changes);
+        return this.formatCoupon(coupon);
+    }
+
+    /**
+     * Delete a coupon, or deactivate it once it has been redeemed so
+     * redemption history keeps pointing at it
+     * @param {string} couponId
+     * @param {Object} scope - {supplierId}
+     * @returns {Promise<Object>} - {deleted, deactivated}
+     */
+    static async deleteCoupon(couponId, { supplierId = null } = {}) {
+        const existing = await Coupon.findById(couponId, supplierId);
+
+        if (!existing) {
+            throw new Error('COUPON_NOT_FOUND');
+        }
+
+        if (await Coupon.countUsage(couponId) > 0) {
+            await Coupon.update(couponId, { is_active: false });
+            return { deleted: false, deactivated: true };
+        }
+
+        await Coupon.delete(couponId);
+        return { deleted: true, deactivated: false };
+    }
+
+    // ==========================================
+    // REDEMPTION REPORTING
+    // ==========================================
+
+    /**
+     * Redemption totals per coupon from coupon_usage
+     * @param {Object} filters - {from, to, fundedBy}
+     * @param {Object} scope - {supplierId}
+     * @returns {Promise<Object>} - {coupons, totals}
+     */
+    static async getRedemptionReport({ from, to, fundedBy } = {}, { supplierId = null } = {}) {
+        const params = [from || null, to || null];
+        const conditions = [];
+
+        if (supplierId) {
+            params.push(supplierId);
+            conditions.push(`c.supplier_id = $${params.length}`);
+        }
+
+        if (fundedBy) {
+            params.push(fundedBy);
+            conditions.push(`c.funded_by = $${params.length}`);
+        }
+
+        const result = await db(
+            `SELECT
+                c.id,
+                c.code,
+                c.description,
+                c.discount_type,
+                c.funded_by,
+                c.supplier_id,
+                c.is_active,
+                c.total_usage_limit,
+                COUNT(cu.id) AS redemptions,
+                COUNT(DISTINCT cu.user_id) AS unique_buyers,
+                COALESCE(SUM(cu.discount_applied), 0) AS total_discount,
+                COALESCE(SUM(cu.shipping_discount), 0) AS shipping_discount,
+                COALESCE(SUM(cu.order_value), 0) AS order_value,
+                MAX(cu.used_at) AS last_redeemed_at
+            FROM coupons c
+            LEFT JOIN coupon_usage cu ON cu.coupon_id = c.id
+                AND ($1::timestamptz IS NULL OR cu.used_at >= $1)
+                AND ($2::timestamptz IS NULL OR cu.used_at < $2)
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            GROUP BY c.id
+            ORDER BY total_discount DESC, c.created_at DESC`,
+            params
+        );
+
+        const coupons = result.rows.map(row => {
+            const redemptions = parseInt(row.redemptions);
+            const totalDiscount = parseFloat(row.total_discount);
+            const orderValue = parseFloat(row.order_value);
+
+            return {
+                couponId: row.id,
+                code: row.code,
+                description: row.description,
+                discountType: row.discount_type,
+                fundedBy: row.funded_by,
+                supplierId: row.supplier_id,
+                isActive: row.is_active,
+                redemptions,
+                totalUsageLimit: row.total_usage_limit,
+                uniqueBuyers: parseInt(row.unique_buyers),
+                totalDiscount,
+                shippingDiscount: parseFloat(row.shipping_discount),
+                orderValue,
+                averageDiscount: redemptions > 0 ? round2(totalDiscount / redemptions) : 0,
+                discountRate: orderValue > 0 ? round2((totalDiscount / orderValue) * 100) : 0,
+                lastRedeemedAt: row.last_redeemed_at
+            };
+        });
+
+        const sum = (field) => round2(coupons.reduce((total, coupon) => total + coupon[field], 0));
+
+        return {
+            period: { from: from || null, to: to || null },
+            coupons,
+            totals: {
+                redemptions: coupons.reduce((total, coupon) => total + coupon.redemptions, 0),
+                totalDiscount: sum('totalDiscount'),
+                shippingDiscount: sum('shippingDiscount'),
+                orderValue: sum('orderValue'),
+                platformFunded: round2(coupons
+                    .filter(coupon => coupon.fundedBy !== 'supplier')
+                    .reduce((total, coupon) => total + coupon.totalDiscount, 0)),
+                supplierFunded: round2(coupons
+                    .filter(coupon => coupon.fundedBy === 'supplier')
+                    .reduce((total, coupon) => total + coupon.totalDiscount, 0))
+            }
+        };
+    }
+
+    /**
+     * A coupon's individual redemptions with a daily series
+     * @param {string} couponId
+     * @param {Object} filters - {from, to, page, limit}
+     * @param {Object} scope - {supplierId}
+     * @returns {Promise<Object>} - {coupon, redemptions, daily, pagination}
+     */
+    static async getCouponRedemptions(couponId, { from, to, page = 1, limit = 20 } = {}, { supplierId = null } = {}) {
+        const coupon = await this.getCoupon(couponId, { supplierId });
+        const params = [couponId, from || null, to || null];
+        const range = `cu.coupon_id = $1
+            AND ($2::timestamptz IS NULL OR cu.used_at >= $2)
+            AND ($3::timestamptz IS NULL OR cu.used_at < $3)`;
+
+        const [rows, count, daily] = await Promise.all([
+            db(
+                `SELECT
+                    cu.id,
+                    cu.order_id,
+                    o.order_number,
+                    cu.user_id,
+                    COALESCE(u.company_name, TRIM(CONCAT(u.first_name, ' ', u.last_name))) AS buyer_name,
+                    cu.discount_applied,
+                    cu.shipping_discount,
+                    cu.order_value,
+                    cu.used_at
+                FROM coupon_usage cu
+                LEFT JOIN orders o ON o.id = cu.order_id
+                LEFT JOIN users u ON u.id = cu.user_id
+                WHERE ${range}
+                ORDER BY cu.used_at DESC
+                LIMIT $4 OFFSET $5`,
+                [...params, limit, (page - 1) * limit]
+            ),
+            db(`SELECT COUNT(*) AS total FROM coupon_usage cu WHERE ${range}`, params),
+            db(
+                `SELECT
+                    DATE(cu.used_at) AS day,
+                    COUNT(*) AS redemptions,
+                    SUM(cu.discount_applied) AS total_discount,
+                    SUM(cu.order_value) AS order_value
+                FROM coupon_usage cu
+                WHERE ${range}
+                GROUP BY DATE(cu.used_at)
+                ORDER BY day ASC`,
+                params
+            )
+        ]);
+
+        const total = parseInt(count.rows[0].total);
+
+        return {
+            coupon,
+            redemptions: rows.rows.map(row => ({
+                id: row.id,
+                orderId: row.order_id,
+                orderNumber: row.order_number,
+                buyer: { id: row.user_id, name: row.buyer_name || null },
+                discountApplied: parseFloat(row.discount_applied),
+                shippingDiscount: parseFloat(row.shipping_discount || 0),
+                orderValue: parseFloat(row.order_value),
+                redeemedAt: row.used_at
+            })),
+            daily: daily.rows.map(row => ({
+                date: row.day,
+                redemptions: parseInt(row.redemptions),
+                totalDiscount: parseFloat(row.total_discount),
+                orderValue: parseFloat(row.order_value)
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+module.exports = CouponService;
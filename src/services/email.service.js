@@ -431,6 +431,84 @@ const emailService = {
     }
   },
 
+  /**
+   * Send RFQ invitation email to a matched supplier
+   */
+  async sendRFQInvitation(email, { supplierName, rfq, reasons = [] }) {
+    const rfqUrl = `${process.env.FRONTEND_URL}/supplier/rfqs/${rfq.id}`;
+    const budget = rfq.budgetMax
+      ? `₹${parseFloat(rfq.budgetMin || 0).toLocaleString('en-IN')} - ₹${parseFloat(rfq.budgetMax).toLocaleString('en-IN')}`
+      : 'Not specified';
+    const closesOn = rfq.expiresAt
+      ? new Date(rfq.expiresAt).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' })
+      : 'Not specified';
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject: `New RFQ matching your business: ${rfq.title}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #007bff; color: white; padding: 20px; text-align: center; }
+            .content { padding: 30px; background-color: #f9f9f9; }
+            .rfq-box { background: white; padding: 20px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #007bff; }
+            .cta-button { display: inline-block; background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You're Invited to Quote</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${supplierName},</h2>
+              <p>A buyer on Zeerostock has posted a requirement that matches your business.</p>
+
+              <div class="rfq-box">
+                <h3 style="margin-top: 0;">${rfq.title}</h3>
+                <p><strong>RFQ Number:</strong> ${rfq.rfqNumber}</p>
+                <p><strong>Quantity:</strong> ${rfq.quantity} ${rfq.unit}</p>
+                <p><strong>Budget:</strong> ${budget}</p>
+                <p><strong>Delivery Location:</strong> ${rfq.preferredLocation || 'Not specified'}</p>
+                <p style="margin-bottom: 0;"><strong>Closes On:</strong> ${closesOn}</p>
+              </div>
+
+              ${reasons.length > 0 ? `
+              <p><strong>Why you were matched:</strong></p>
+              <ul>
+                ${reasons.map(reason => `<li>${reason}</li>`).join('')}
+              </ul>
+              ` : ''}
+
+              <div style="text-align: center;">
+                <a href="${rfqUrl}" class="cta-button">View RFQ &amp; Submit Quote</a>
+              </div>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} Zeerostock. All rights reserved.</p>
+              <p>Need help? Contact us at support@zeerostock.com</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error('Email send error:', error);
+      return false;
+    }
+  },
+
   /**
    * Send admin credentials email
    */
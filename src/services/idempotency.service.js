@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { query: db } = require('../config/database');
+
+// How long a key and its stored response are kept
+const KEY_TTL_HOURS = 24;
+
+// A request still "processing" after this long is assumed to have died with
+// its instance, and a retry may take the key over. Far longer than any order,
+// checkout or payment handler runs, so a slow first attempt is never run twice;
+// until then a retry gets 409.
+const LOCK_TIMEOUT_SECONDS = 15 * 60;
+
+/**
+ * JSON with object keys sorted, so equal payloads hash the same
+ * @param {*} value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+
+    return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Idempotency Service
+ * Stores the response to a request made with an Idempotency-Key so a retry
+ * with the same key gets that response instead of running again. Keys are
+ * per user and live in Postgres, so every instance sees the same claims.
+ */
+class IdempotencyService {
+    /**
+     * Fingerprint of a request
+     * @param {Object} request - {method, path, body}
+     * @returns {string} - SHA-256 hex
+     */
+    static hashRequest({ method, path, body }) {
+        return crypto
+            .createHash('sha256')
+            .update(`${method.toUpperCase()} ${path}\n${stableStringify(body || {})}`)
+            .digest('hex');
+    }
+
+    /**
+     * Claim a key for a request
+     * Outcomes:
+     * - claimed: the caller runs the request, then calls complete or release
+     * - replay: the key already holds a response for this same request
+     * - in_progress: the first request with the key hasn't finished
+     * - mismatch: the key was used for a different request
+     * @param {Object} params - {userId, key, method, path, hash}
+     * @returns {Promise<Object>} - {outcome, record}
+     */
+    static async claim({ userId, key, method, path, hash }) {
+        await db(
+            'DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2 AND expires_at <= NOW()',
+            [userId, key]
+        );
+
+        const inserted = await db(
+            `INSERT INTO idempotency_keys
+                (user_id, idempotency_key, request_method, request_path, request_hash, expires_at)
+             VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' hours')::interval)
+             ON CONFLICT (user_id, idempotency_key) DO NOTHING
+             RETURNING *`,
+            [userId, key, method.toUpperCase(), path, hash, String(KEY_TTL_HOURS)]
+        );
+
+        if (inserted.rows.length > 0) {
+            return { outcome: 'claimed', record: inserted.rows[0] };
+        }
+
+        const existing = await db(
+            'SELECT * FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+            [userId, key]
+        );
+        const record = existing.rows[0];
+
+        // Completed or expired and deleted between the insert and this read
+        if (!record) {
+            return this.claim({ userId, key, method, path, hash });
+        }
+
+        if (record.request_hash !== hash) {
+            return { outcome: 'mismatch', record };
+        }
+
+        if (record.status === 'completed') {
+            return { outcome: 'replay', record };
+        }
+
+        const takenOver = await db(
+            `UPDATE idempotency_keys
+             SET locked_at = NOW()
+             WHERE id = $1 AND status = 'processing'
+               AND locked_at < NOW() - ($2 || ' seconds')::interval
+             RETURNING *`,
+            [record.id, String(LOCK_TIMEOUT_SECONDS)]
+        );
+
+        if (takenOver.rows.length > 0) {
+            return { outcome: 'claimed', record: takenOver.rows[0] };
+        }
+
+        return { outcome: 'in_progress', record };
+    }
+
+    /**
+     * Store the response for a claimed key
+     * @param {string} id - idempotency_keys row ID
+     * @param {number} statusCode
+     * @param {*} body - JSON response body
+     */
+    static async complete(id, statusCode, body) {
+        await db(
+            `UPDATE idempotency_keys
+             SET status = 'completed', response_status = $2, response_body = $3, completed_at = NOW()
+             WHERE id = $1`,
+            [id, statusCode, JSON.stringify(body)]
+        );
+    }
+
+    /**
+     * Give a claimed key back unused, so the request can be retried with it
+     * @param {string} id - idempotency_keys row ID
+     */
+    static async release(id) {
+        await db(
+            "DELETE FROM idempotency_keys WHERE id = $1 AND status = 'processing'",
+            [id]
+        );
+    }
+
+    /**
+     * Delete keys past their TTL
+     * @param {number} limit - Max keys per pass
+     * @returns {Promise<number>} - Keys deleted
+     */
+    static async purgeExpired(limit = 1000) {
+        const result = await db(
+            `DELETE FROM idempotency_keys
+             WHERE id IN (
+                 SELECT id FROM idempotency_keys
+                 WHERE expires_at <= NOW()
+                 LIMIT $1
+             )
+             RETURNING id`,
+            [limit]
+        );
+
+        return result.rows.length;
+    }
+}
+
+module.exports = IdempotencyService;
@@ -211,6 +211,104 @@ class NotificationService {
         });
     }
 
+    /**
+     * Send RFQ invitation notification to matched or invited suppliers
+     * @param {Array} supplierIds
+     * @param {Object} rfq
+     */
+    static async sendRFQInvitations(supplierIds, rfq) {
+        return await this.sendBulk(supplierIds, {
+            type: 'rfq_invitation',
+            title: rfq.visibility && rfq.visibility !== 'public'
+                ? 'You are invited to a private RFQ'
+                : `New RFQ matches your business`,
+            message: `You've been invited to quote on "${rfq.title}" (${rfq.quantity} ${rfq.unit}).`,
+            resource_type: 'rfq',
+            resource_id: rfq.id,
+            action_url: `/supplier/rfqs/${rfq.id}`,
+            priority: 'high'
+        });
+    }
+
+    /**
+     * Remind a buyer that their RFQ closes soon
+     * @param {string} buyerId
+     * @param {Object} rfq
+     * @param {number} pendingQuotes - Quotes waiting for a decision
+     * @param {string} closesIn - e.g. "tomorrow", "in 5 hours"
+     */
+    static async sendRFQClosingReminder(buyerId, rfq, pendingQuotes, closesIn) {
+        return await Notification.create({
+            user_id: buyerId,
+            type: 'rfq_closing_soon',
+            title: `RFQ closes ${closesIn}`,
+            message: pendingQuotes > 0
+                ? `${pendingQuotes} quote(s) waiting on "${rfq.title}". The RFQ closes ${closesIn}.`
+                : `"${rfq.title}" has no quotes yet and closes ${closesIn}.`,
+            resource_type: 'rfq',
+            resource_id: rfq.id,
+            action_url: `/buyer/rfq/${rfq.id}`,
+            priority: 'normal'
+        });
+    }
+
+    /**
+     * Remind invited suppliers who haven't quoted that an RFQ closes soon
+     * @param {Array} supplierIds
+     * @param {Object} rfq
+     * @param {string} closesIn
+     */
+    static async sendRFQQuoteReminders(supplierIds, rfq, closesIn) {
+        return await this.sendBulk(supplierIds, {
+            type: 'rfq_closing_soon',
+            title: `RFQ closes ${closesIn}`,
+            message: `You were invited to quote on "${rfq.title}" and haven't quoted yet. It closes ${closesIn}.`,
+            resource_type: 'rfq',
+            resource_id: rfq.id,
+            action_url: `/supplier/rfqs/${rfq.id}`,
+            priority: 'high'
+        });
+    }
+
+    /**
+     * Tell a buyer their RFQ has expired
+     * @param {string} buyerId
+     * @param {Object} rfq
+     * @param {number} pendingQuotes - Quotes still open for award
+     */
+    static async sendRFQExpired(buyerId, rfq, pendingQuotes) {
+        return await Notification.create({
+            user_id: buyerId,
+            type: 'rfq_expired',
+            title: 'RFQ expired',
+            message: pendingQuotes > 0
+                ? `"${rfq.title}" is no longer accepting quotes. ${pendingQuotes} quote(s) can still be awarded until they lapse.`
+                : `"${rfq.title}" expired without any quotes.`,
+            resource_type: 'rfq',
+            resource_id: rfq.id,
+            action_url: `/buyer/rfq/${rfq.id}`,
+            priority: 'normal'
+        });
+    }
+
+    /**
+     * Tell a supplier their quote lapsed without being accepted
+     * @param {string} supplierId
+     * @param {Object} quote
+     */
+    static async sendQuoteExpired(supplierId, quote) {
+        return await Notification.create({
+            user_id: supplierId,
+            type: 'quote_expired',
+            title: `Quote Expired - ${quote.quoteNumber}`,
+            message: `Your quote ${quote.quoteNumber} passed its validity date without being accepted.`,
+            resource_type: 'quote',
+            resource_id: quote.id,
+            action_url: '/supplier/quotes',
+            priority: 'low'
+        });
+    }
+
     /**
      * Send review response notification
      * @param {string} userId
@@ -1,18 +1,48 @@
 const { supabase } = require('../config/database');
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
+const SubOrder = require('../models/SubOrder');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const UserAddress = require('../models/UserAddress');
+const Coupon = require('../models/Coupon');
+const StockReservationService = require('./stockReservation.service');
 const NotificationService = require('./notification.service');
 const PricingService = require('./pricing.service');
 const { v4: uuidv4 } = require('uuid');
 
+// Sub-order statuses in fulfilment order; a sub-order only moves forward
+const SUB_ORDER_FLOW = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
+
 /**
  * Order Service
  * Business logic for order creation and management
  */
 class OrderService {
+    /**
+     * Map a sub-order fulfilment error to an HTTP response shape
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const detail = error.message.split(': ')[1];
+        const errors = {
+            'SUB_ORDER_NOT_FOUND': [404, 'Sub-order not found'],
+            'INVALID_STATUS_TRANSITION': [400, detail ? `Cannot move sub-order from ${detail}` : 'Invalid status change']
+        };
+
+        if (!errors[code]) {
+            return null;
+        }
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
     /**
      * Generate unique order number
      * Format: ORD-YYYY-NNNNNN
@@ -61,9 +91,11 @@ class OrderService {
 
     /**
      * Validate checkout session and get cart items
+     * The cart is compared with the session's price lock; the differences
+     * come back as a structured drift report for the caller to act on.
      * @param {string} sessionId - Checkout session ID
      * @param {string} userId - User ID
-     * @returns {Promise<Object>} - Session data with cart items and pricing
+     * @returns {Promise<Object>} - {session, cartItems at locked prices, pricing, drift}
      */
     static async validateCheckoutSession(sessionId, userId) {
         // Get checkout session
@@ -88,6 +120,11 @@ class OrderService {
             throw new Error('CHECKOUT_SESSION_ALREADY_USED');
         }
 
+        // Cancelled by the buyer or replaced by a later checkout; its stock is released
+        if (session.status === 'cancelled') {
+            throw new Error('CHECKOUT_SESSION_CANCELLED');
+        }
+
         // Get cart items
         const cartData = await Cart.getCart(userId);
 
@@ -95,36 +132,105 @@ class OrderService {
             throw new Error('CART_IS_EMPTY');
         }
 
-        // Validate cart items against session data
-        const sessionData = session.cart_snapshot;
-        if (!sessionData || !sessionData.itemCount || sessionData.itemCount !== cartData.items.length) {
-            throw new Error('CART_MODIFIED_AFTER_CHECKOUT');
-        }
+        // Sessions created before price locks were stored lock the prices their items carried
+        const sessionData = session.cart_snapshot || {};
+        const priceLock = sessionData.priceLock ||
+            PricingService.buildPriceLock(sessionData.items || [], session.expires_at);
 
-        // Validate each item's quantity and price hasn't changed
-        for (const currentItem of cartData.items) {
-            const sessionItem = sessionData.items.find(item => item.productId === currentItem.productId);
-            if (!sessionItem) {
-                throw new Error('CART_MODIFIED_AFTER_CHECKOUT: Items changed');
-            }
-            if (sessionItem.quantity !== currentItem.quantity) {
-                throw new Error('CART_MODIFIED_AFTER_CHECKOUT: Quantities changed');
-            }
-        }
+        const currentItems = await PricingService.priceCartItems(cartData.items, userId);
+        const drift = {
+            ...PricingService.diffPriceLock(priceLock, currentItems),
+            stock: await this.getStockDrift(currentItems, sessionId)
+        };
+        drift.stockChanged = drift.stock.length > 0;
+        drift.hasDrift = drift.cartChanged || drift.priceChanged || drift.stockChanged;
 
         return {
             session,
-            cartItems: cartData.items,
-            pricing: sessionData.summary
+            cartItems: PricingService.applyPriceLock(currentItems, priceLock),
+            pricing: sessionData.summary,
+            priceLock,
+            drift
         };
     }
 
+    /**
+     * Lines the stock can no longer cover
+     * The session's own reservations count as available to it.
+     * @param {Array} cartItems - Cart items
+     * @param {string} checkoutSessionId
+     * @returns {Promise<Array>} - [{productId, title, reason, requestedQuantity, availableQuantity}]
+     */
+    static async getStockDrift(cartItems, checkoutSessionId) {
+        const productIds = cartItems.map(item => item.productId);
+
+        const { data: products, error } = await supabase
+            .from('products')
+            .select('id, quantity, status')
+            .in('id', productIds);
+
+        if (error) throw error;
+
+        const reserved = await StockReservationService.getReservedQuantities(
+            productIds,
+            { excludeSessionId: checkoutSessionId }
+        );
+
+        const issues = [];
+        for (const item of cartItems) {
+            const product = (products || []).find(row => row.id === item.productId);
+
+            if (!product || product.status !== 'active') {
+                issues.push({
+                    productId: item.productId,
+                    title: item.title,
+                    reason: 'PRODUCT_NOT_AVAILABLE',
+                    requestedQuantity: item.quantity,
+                    availableQuantity: 0
+                });
+                continue;
+            }
+
+            const available = Math.max(product.quantity - (reserved.get(item.productId) || 0), 0);
+            if (available < item.quantity) {
+                issues.push({
+                    productId: item.productId,
+                    title: item.title,
+                    reason: 'INSUFFICIENT_STOCK',
+                    requestedQuantity: item.quantity,
+                    availableQuantity: available
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Error carrying a checkout drift report for the response
+     * @param {string} code
+     * @param {Object} drift - From validateCheckoutSession
+     * @returns {Error}
+     */
+    static driftError(code, drift) {
+        const error = new Error(code);
+        error.drift = drift;
+        return error;
+    }
+
     /**
      * Validate product availability and stock
+     * Stock held by other checkout sessions isn't available to this one.
      * @param {Array} cartItems - Cart items to validate
+     * @param {string} checkoutSessionId - Session whose own reservations count as available
      * @returns {Promise<void>}
      */
-    static async validateProductsAvailability(cartItems) {
+    static async validateProductsAvailability(cartItems, checkoutSessionId = null) {
+        const reserved = await StockReservationService.getReservedQuantities(
+            cartItems.map(item => item.productId),
+            { excludeSessionId: checkoutSessionId }
+        );
+
         for (const item of cartItems) {
             const product = await Product.findById(item.productId);
 
@@ -136,8 +242,9 @@ class OrderService {
                 throw new Error(`PRODUCT_NOT_AVAILABLE: ${item.title}`);
             }
 
-            if (product.quantity < item.quantity) {
-                throw new Error(`INSUFFICIENT_STOCK: ${item.title} (Available: ${product.quantity}, Requested: ${item.quantity})`);
+            const available = product.quantity - (reserved.get(item.productId) || 0);
+            if (available < item.quantity) {
+                throw new Error(`INSUFFICIENT_STOCK: ${item.title} (Available: ${Math.max(available, 0)}, Requested: ${item.quantity})`);
             }
 
             // Check if product has expired (for time-sensitive listings)
@@ -192,6 +299,83 @@ class OrderService {
         return eta;
     }
 
+    /**
+     * Format address row for storage on the order (JSONB)
+     * @param {Object} address - user_addresses row
+     * @returns {Object}
+     */
+    static formatAddress(address) {
+        return {
+            name: address.full_name,
+            phone: address.phone,
+            addressLine1: address.address_line1,
+            addressLine2: address.address_line2,
+            city: address.city,
+            state: address.state,
+            pincode: address.pincode,
+            landmark: address.landmark,
+            addressType: address.address_type
+        };
+    }
+
+    /**
+     * Build the 5 order tracking entries for a new order
+     * @param {string} orderId - Order ID
+     * @param {boolean} paymentSecured - Whether payment step is already completed
+     * @returns {Array<Object>}
+     */
+    static buildTrackingSteps(orderId, paymentSecured = true) {
+        const now = new Date().toISOString();
+
+        return [
+            {
+                id: uuidv4(),
+                order_id: orderId,
+                status: 'completed',
+                title: 'Order Placed',
+                description: 'Your order has been successfully placed and is being processed.',
+                is_milestone: true,
+                created_at: now
+            },
+            {
+                id: uuidv4(),
+                order_id: orderId,
+                status: paymentSecured ? 'completed' : 'pending',
+                title: 'Payment Secure',
+                description: paymentSecured ? 'Payment secured successfully' : 'Awaiting payment',
+                is_milestone: true,
+                created_at: now
+            },
+            {
+                id: uuidv4(),
+                order_id: orderId,
+                status: 'pending',
+                title: 'Processing',
+                description: 'Supplier is processing your items',
+                is_milestone: false,
+                created_at: now
+            },
+            {
+                id: uuidv4(),
+                order_id: orderId,
+                status: 'pending',
+                title: 'Shipped',
+                description: 'Items shipped from suppliers',
+                is_milestone: false,
+                created_at: now
+            },
+            {
+                id: uuidv4(),
+                order_id: orderId,
+                status: 'pending',
+                title: 'Delivered',
+                description: 'Package at your door',
+                is_milestone: false,
+                created_at: now
+            }
+        ];
+    }
+
     /**
      * Create order from checkout session
      * @param {Object} orderData - Order creation data
@@ -205,20 +389,33 @@ class OrderService {
             billingAddressId,
             paymentMethod,
             paymentDetails,
-            orderNotes
+            orderNotes,
+            acceptPriceDrift = false
         } = orderData;
 
         let createdOrder = null;
 
         try {
-            // 1. Validate checkout session and get cart data
-            const { session, cartItems, pricing } = await this.validateCheckoutSession(
+            // 1. Validate checkout session and get cart data, priced as locked at checkout
+            const { session, cartItems, pricing, drift } = await this.validateCheckoutSession(
                 checkoutSessionId,
                 userId
             );
 
+            // 1.1 A changed cart or short stock means checking out again; a price that
+            // moved since checkout is only charged at the locked price once the buyer agrees
+            if (drift.cartChanged) {
+                throw this.driftError('CART_MODIFIED_AFTER_CHECKOUT', drift);
+            }
+            if (drift.stockChanged) {
+                throw this.driftError('STOCK_CHANGED_AFTER_CHECKOUT', drift);
+            }
+            if (drift.priceChanged && !acceptPriceDrift) {
+                throw this.driftError('PRICE_CHANGED_AFTER_CHECKOUT', drift);
+            }
+
             // 2. Validate product availability
-            await this.validateProductsAvailability(cartItems);
+            await this.validateProductsAvailability(cartItems, checkoutSessionId);
 
             // 3. Validate addresses
             const addresses = await this.validateAddresses(
@@ -236,6 +433,22 @@ class OrderService {
             // 5. Calculate delivery ETA
             const deliveryEta = this.calculateDeliveryEta(addresses.shipping);
 
+            // 5.1 Split each line's GST by the state it actually ships to
+            const taxLines = cartItems.map(item => {
+                const tax = pricing.itemsBreakdown?.find(line => line.productId === item.productId) || {};
+                const supplyType = PricingService.getSupplyType(item.supplierState, addresses.shipping.state);
+
+                return {
+                    subtotal: tax.subtotal ?? item.price * item.quantity,
+                    hsnCode: tax.hsnCode || null,
+                    taxableValue: tax.taxableValue ?? null,
+                    gstPercent: tax.gstPercent ?? 18,
+                    platformCouponDiscount: tax.platformCouponDiscount || 0,
+                    ...PricingService.splitGST(tax.gstAmount || 0, supplyType)
+                };
+            });
+            const sumTax = (field) => Math.round(taxLines.reduce((sum, line) => sum + line[field], 0) * 100) / 100;
+
             // 6. Prepare order data
             const orderCreateData = {
                 id: uuidv4(),
@@ -250,37 +463,26 @@ class OrderService {
                 discount_amount: pricing.discountAmount,
                 coupon_discount: pricing.couponDiscount,
                 coupon_code: pricing.couponDetails?.code || null,
+                applied_coupons: (pricing.appliedCoupons || []).map(coupon => ({
+                    couponId: coupon.id,
+                    code: coupon.code,
+                    discountType: coupon.discountType,
+                    fundedBy: coupon.fundedBy,
+                    supplierId: coupon.supplierId,
+                    discountAmount: coupon.discountAmount,
+                    shippingDiscount: coupon.shippingDiscount || 0
+                })),
                 gst_amount: pricing.gstAmount,
-                cgst_amount: pricing.cgstAmount || null,
-                sgst_amount: pricing.sgstAmount || null,
-                igst_amount: pricing.igstAmount || null,
+                cgst_amount: sumTax('cgstAmount'),
+                sgst_amount: sumTax('sgstAmount'),
+                igst_amount: sumTax('igstAmount'),
                 shipping_charges: pricing.shippingCharges,
                 platform_fee: pricing.platformFee,
                 total_amount: pricing.finalPayableAmount,
 
                 // Addresses (store as JSONB)
-                shipping_address: {
-                    name: addresses.shipping.full_name,
-                    phone: addresses.shipping.phone,
-                    addressLine1: addresses.shipping.address_line1,
-                    addressLine2: addresses.shipping.address_line2,
-                    city: addresses.shipping.city,
-                    state: addresses.shipping.state,
-                    pincode: addresses.shipping.pincode,
-                    landmark: addresses.shipping.landmark,
-                    addressType: addresses.shipping.address_type
-                },
-                billing_address: {
-                    name: addresses.billing.full_name,
-                    phone: addresses.billing.phone,
-                    addressLine1: addresses.billing.address_line1,
-                    addressLine2: addresses.billing.address_line2,
-                    city: addresses.billing.city,
-                    state: addresses.billing.state,
-                    pincode: addresses.billing.pincode,
-                    landmark: addresses.billing.landmark,
-                    addressType: addresses.billing.address_type
-                },
+                shipping_address: this.formatAddress(addresses.shipping),
+                billing_address: this.formatAddress(addresses.billing),
 
                 // Delivery
                 delivery_eta: deliveryEta,
@@ -299,95 +501,104 @@ class OrderService {
             // 7. Create order
             createdOrder = await Order.create(orderCreateData);
 
-            // 8. Create order items
-            const orderItems = cartItems.map(item => ({
-                id: uuidv4(),
-                order_id: createdOrder.id,
-                product_id: item.productId,
-                product_title: item.title,
-                product_sku: item.sku || null,
-                product_image: item.image || null,
-                product_category: item.category || null,
-                unit_price: item.originalPrice || item.price,
-                discount_percent: item.discountPercent || 0,
-                discount_amount: ((item.originalPrice || item.price) * (item.discountPercent || 0) / 100) * item.quantity,
-                final_price: item.price,
-                quantity: item.quantity,
-                subtotal: item.price * item.quantity,
-                gst_percent: 18,
-                gst_amount: (item.price * item.quantity * 18) / 118, // GST included
-                item_status: 'pending',
-                supplier_id: item.supplierId || null,
-                supplier_name: item.supplierName || null,
-                supplier_city: item.supplierCity || null,
-                created_at: new Date().toISOString()
-            }));
+            // 7.1 Split into one sub-order per supplier
+            const subOrders = await SubOrder.createBulk(
+                this.buildSubOrders(createdOrder, cartItems, taxLines, pricing)
+            );
+            const subOrderFor = (item) => subOrders.find(sub => sub.supplier_id === (item.supplierId || null));
 
-            await OrderItem.createBulk(orderItems);
+            // 8. Create order items
+            const orderItems = cartItems.map((item, index) => {
+                const tax = taxLines[index];
 
-            // 9. Create all order tracking entries (5 steps)
-            const trackingSteps = [
-                {
+                return {
                     id: uuidv4(),
                     order_id: createdOrder.id,
-                    status: 'completed',
-                    title: 'Order Placed',
-                    description: 'Your order has been successfully placed and is being processed.',
-                    is_milestone: true,
+                    product_id: item.productId,
+                    product_title: item.title,
+                    product_sku: item.sku || null,
+                    product_image: item.image || null,
+                    product_category: item.category || null,
+                    unit_price: item.originalPrice || item.price,
+                    discount_percent: item.discountPercent || 0,
+                    discount_amount: ((item.originalPrice || item.price) * (item.discountPercent || 0) / 100) * item.quantity,
+                    final_price: item.price,
+                    quantity: item.quantity,
+                    subtotal: item.price * item.quantity,
+                    price_tier: item.appliedTier,
+                    contract_price_list_id: item.contractPrice?.priceListId || null,
+                    hsn_code: tax.hsnCode,
+                    taxable_value: tax.taxableValue,
+                    gst_percent: tax.gstPercent,
+                    gst_amount: tax.gstAmount,
+                    cgst_amount: tax.cgstAmount,
+                    sgst_amount: tax.sgstAmount,
+                    igst_amount: tax.igstAmount,
+                    item_status: 'pending',
+                    sub_order_id: subOrderFor(item).id,
+                    supplier_id: item.supplierId || null,
+                    supplier_name: item.supplierName || null,
+                    supplier_city: item.supplierCity || null,
+                    supplier_state: item.supplierState || null,
                     created_at: new Date().toISOString()
-                },
-                {
+                };
+            });
+
+            await OrderItem.createBulk(orderItems);
+
+            // 9. Create all order tracking entries (5 steps), plus one per supplier shipment
+            const trackingSteps = [
+                ...this.buildTrackingSteps(createdOrder.id),
+                ...subOrders.map(sub => ({
                     id: uuidv4(),
                     order_id: createdOrder.id,
+                    sub_order_id: sub.id,
                     status: 'completed',
-                    title: 'Payment Secure',
-                    description: 'Payment secured successfully',
-                    is_milestone: true,
-                    created_at: new Date().toISOString()
-                },
-                {
-                    id: uuidv4(),
-                    order_id: createdOrder.id,
-                    status: 'pending',
-                    title: 'Processing',
-                    description: 'Supplier is processing your items',
-                    is_milestone: false,
-                    created_at: new Date().toISOString()
-                },
-                {
-                    id: uuidv4(),
-                    order_id: createdOrder.id,
-                    status: 'pending',
-                    title: 'Shipped',
-                    description: 'Items shipped from suppliers',
+                    title: 'Order Received',
+                    description: `${sub.supplier_name || 'The supplier'} has received sub-order ${sub.sub_order_number}`,
                     is_milestone: false,
                     created_at: new Date().toISOString()
-                },
-                {
-                    id: uuidv4(),
-                    order_id: createdOrder.id,
-                    status: 'pending',
-                    title: 'Delivered',
-                    description: 'Package at your door',
-                    is_milestone: false,
-                    created_at: new Date().toISOString()
-                }
+                }))
             ];
 
             await supabase
                 .from('order_tracking')
                 .insert(trackingSteps);
 
+            // 9.1 Each supplier invoices their own sub-order
+            for (const sub of subOrders) {
+                if (!sub.supplier_id) continue;
+
+                const invoice = await this.createInvoice(createdOrder, sub.supplier_id, { subOrder: sub });
+                await SubOrder.update(sub.id, { invoice_number: invoice.invoice_number });
+            }
+
             // 10. Mark checkout session as used
             await supabase
                 .from('checkout_sessions')
-                .update({ is_used: true })
+                .update({ is_used: true, status: 'completed', completed_at: new Date().toISOString() })
                 .eq('id', checkoutSessionId);
 
+            // 10.1 Record each coupon's redemption against the order
+            for (const coupon of pricing.appliedCoupons || []) {
+                await Coupon.recordUsage(
+                    coupon.id,
+                    userId,
+                    Math.round((coupon.discountAmount + (coupon.shippingDiscount || 0)) * 100) / 100,
+                    pricing.itemSubtotal,
+                    createdOrder.id,
+                    {
+                        shippingDiscount: coupon.shippingDiscount || 0,
+                        fundedBy: coupon.fundedBy,
+                        supplierId: coupon.supplierId
+                    }
+                );
+            }
+
             // 11. Clear user's cart
             await Cart.clearCart(userId);
 
-            // 12. Update product inventory (reserve stock)
+            // 12. Update product inventory (deduct stock)
             for (const item of cartItems) {
                 // Get current product to calculate new quantity
                 const product = await Product.findById(item.productId);
@@ -402,6 +613,9 @@ class OrderService {
                     .eq('id', item.productId);
             }
 
+            // 12.1 The stock is deducted, so the session's reservations no longer hold it
+            await StockReservationService.consumeSession(checkoutSessionId, createdOrder.id);
+
             // 13. Send order confirmation notification
             await NotificationService.sendOrderConfirmation(userId, createdOrder);
 
@@ -414,6 +628,14 @@ class OrderService {
                 paymentStatus: createdOrder.payment_status,
                 totalAmount: createdOrder.total_amount,
                 itemCount: orderItems.length,
+                subOrders: subOrders.map(sub => ({
+                    subOrderId: sub.id,
+                    subOrderNumber: sub.sub_order_number,
+                    supplierId: sub.supplier_id,
+                    supplierName: sub.supplier_name,
+                    totalAmount: sub.total_amount,
+                    trackingNumber: sub.tracking_number
+                })),
                 deliveryEta: createdOrder.delivery_eta,
                 createdAt: createdOrder.created_at
             };
@@ -425,12 +647,470 @@ class OrderService {
                     status: 'failed',
                     admin_notes: `Order creation failed: ${error.message}`
                 }).catch(err => console.error('Rollback failed:', err));
+                await SubOrder.cancelForOrder(createdOrder.id)
+                    .catch(err => console.error('Sub-order rollback failed:', err));
             }
 
             throw error;
         }
     }
 
+    /**
+     * Build one sub-order row per supplier in a checkout
+     * A supplier's coupon share is the gap between its lines' subtotal and
+     * taxable value. Shipping is that supplier's shipment charge; when the cart
+     * was priced at a flat rate (no zone), the flat charge is shared by value.
+     * Discounts the platform funded (coupons and free shipping) are added back
+     * to the supplier's payout.
+     * @param {Object} order - Parent orders row
+     * @param {Array} cartItems - Cart items
+     * @param {Array} taxLines - Per-item {subtotal, taxableValue, gstAmount, cgstAmount, ...}, same order as cartItems
+     * @param {Object} pricing - Checkout session pricing summary
+     * @returns {Array<Object>} - sub_orders rows
+     */
+    static buildSubOrders(order, cartItems, taxLines, pricing) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const groups = new Map();
+
+        cartItems.forEach((item, index) => {
+            const key = item.supplierId || null;
+
+            if (!groups.has(key)) {
+                groups.set(key, { supplierId: key, supplierName: item.supplierName || null, lines: [] });
+            }
+
+            groups.get(key).lines.push(taxLines[index]);
+        });
+
+        const shipments = pricing.shippingBreakdown?.shipments || [];
+        const shippingTotal = parseFloat(pricing.shippingCharges || 0);
+        const itemsTotal = taxLines.reduce((sum, line) => sum + line.subtotal, 0);
+        let flatShippingLeft = shippingTotal;
+
+        return [...groups.values()].map((group, index, all) => {
+            const sum = (field) => round(group.lines.reduce((total, line) => total + (line[field] || 0), 0));
+            const itemsSubtotal = sum('subtotal');
+            const taxableValue = group.lines.every(line => line.taxableValue !== null)
+                ? sum('taxableValue')
+                : itemsSubtotal;
+
+            let shippingCharges;
+            let platformShippingDiscount;
+            if (shipments.length > 0) {
+                const shipment = shipments.find(entry => (entry.supplierId || null) === group.supplierId);
+                shippingCharges = shipment ? shipment.charge : 0;
+                platformShippingDiscount = shipment?.platformShippingDiscount || 0;
+            } else {
+                if (index === all.length - 1) {
+                    shippingCharges = round(flatShippingLeft);
+                } else {
+                    shippingCharges = itemsTotal > 0 ? round((shippingTotal * itemsSubtotal) / itemsTotal) : 0;
+                    flatShippingLeft -= shippingCharges;
+                }
+                platformShippingDiscount = itemsTotal > 0
+                    ? round((parseFloat(pricing.shippingDiscount || 0) * itemsSubtotal) / itemsTotal)
+                    : 0;
+            }
+
+            const totalAmount = round(taxableValue + sum('gstAmount') + shippingCharges);
+            const platformFundedDiscount = round(sum('platformCouponDiscount') + platformShippingDiscount);
+
+            return {
+                id: uuidv4(),
+                sub_order_number: `${order.order_number}-${index + 1}`,
+                order_id: order.id,
+                supplier_id: group.supplierId,
+                supplier_name: group.supplierName,
+                status: 'pending',
+                items_subtotal: itemsSubtotal,
+                coupon_discount: round(itemsSubtotal - taxableValue),
+                gst_amount: sum('gstAmount'),
+                cgst_amount: sum('cgstAmount'),
+                sgst_amount: sum('sgstAmount'),
+                igst_amount: sum('igstAmount'),
+                shipping_charges: shippingCharges,
+                total_amount: totalAmount,
+                delivery_eta: order.delivery_eta,
+                tracking_number: this.generateTrackingNumber(),
+                platform_funded_discount: platformFundedDiscount,
+                payout_amount: round(totalAmount + platformFundedDiscount),
+                payout_status: 'pending',
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            };
+        });
+    }
+
+    /**
+     * Move a supplier's sub-order through fulfilment
+     * Items follow the sub-order's status, a tracking update is added to its
+     * shipment, and the parent order's status is recalculated.
+     * @param {string} supplierId
+     * @param {string} subOrderId
+     * @param {Object} update - {status, shippingPartner, trackingNumber, note}
+     * @returns {Promise<Object>} - Updated sub-order
+     */
+    static async updateSubOrderStatus(supplierId, subOrderId, { status, shippingPartner, trackingNumber, note }) {
+        const subOrder = await SubOrder.findForSupplier(subOrderId, supplierId);
+
+        if (!subOrder) {
+            throw new Error('SUB_ORDER_NOT_FOUND');
+        }
+
+        const from = SUB_ORDER_FLOW.indexOf(subOrder.status);
+        const allowed = status === 'cancelled'
+            ? from !== -1 && from < SUB_ORDER_FLOW.indexOf('shipped')
+            : from !== -1 && SUB_ORDER_FLOW.indexOf(status) > from;
+
+        if (!allowed) {
+            throw new Error(`INVALID_STATUS_TRANSITION: ${subOrder.status} -> ${status}`);
+        }
+
+        const now = new Date().toISOString();
+        const changes = { status };
+
+        if (status === 'shipped') {
+            changes.shipped_at = now;
+            changes.shipping_partner = shippingPartner || subOrder.shipping_partner;
+            changes.tracking_number = trackingNumber || subOrder.tracking_number;
+        }
+        if (status === 'delivered') {
+            changes.delivered_at = now;
+            changes.payout_status = 'eligible';
+        }
+        if (status === 'cancelled') {
+            changes.payout_status = 'cancelled';
+        }
+
+        const updated = await SubOrder.update(subOrder.id, changes);
+
+        await supabase
+            .from('order_items')
+            .update({ item_status: status })
+            .eq('sub_order_id', subOrder.id);
+
+        const titles = {
+            confirmed: 'Confirmed by Supplier',
+            processing: 'Processing',
+            shipped: 'Shipped',
+            delivered: 'Delivered',
+            cancelled: 'Cancelled by Supplier'
+        };
+
+        await Order.addTracking(subOrder.order_id, {
+            sub_order_id: subOrder.id,
+            status: status === 'cancelled' ? 'cancelled' : 'completed',
+            title: titles[status],
+            description: note || (status === 'shipped'
+                ? `Sub-order ${updated.sub_order_number} shipped${updated.shipping_partner ? ` via ${updated.shipping_partner}` : ''}. Tracking: ${updated.tracking_number}`
+                : `Sub-order ${updated.sub_order_number} is ${status}`),
+            is_milestone: ['shipped', 'delivered', 'cancelled'].includes(status)
+        });
+
+        const order = await this.syncOrderStatus(subOrder.order_id);
+
+        // Tell the buyer about this supplier's shipment (non-critical)
+        try {
+            const shipment = {
+                id: order.id,
+                order_number: updated.sub_order_number,
+                total_amount: updated.total_amount,
+                shipping_partner: updated.shipping_partner || 'our logistics partner',
+                tracking_number: updated.tracking_number
+            };
+
+            if (status === 'shipped') await NotificationService.sendOrderShipped(order.user_id, shipment);
+            if (status === 'delivered') await NotificationService.sendOrderDelivered(order.user_id, shipment);
+        } catch (notifError) {
+            console.error('Error sending sub-order notification:', notifError);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Roll sub-order statuses up to the parent order
+     * The order sits at its least advanced active sub-order; it is cancelled
+     * only when every sub-order is.
+     * @param {string} orderId
+     * @returns {Promise<Object>} - Updated order
+     */
+    static async syncOrderStatus(orderId) {
+        const subOrders = await SubOrder.getByOrderId(orderId);
+        const active = subOrders.filter(sub => sub.status !== 'cancelled');
+
+        const status = active.length === 0
+            ? 'cancelled'
+            : SUB_ORDER_FLOW[Math.min(...active.map(sub => SUB_ORDER_FLOW.indexOf(sub.status)))];
+
+        const changes = { status, updated_at: new Date().toISOString() };
+        if (status === 'delivered') {
+            changes.completed_at = new Date().toISOString();
+        }
+
+        return Order.update(orderId, changes);
+    }
+
+    /**
+     * Create pending order for an auction winner
+     * Uses the winner's default shipping address when one exists;
+     * payment is collected afterwards against the pending order
+     * @param {Object} auctionData - {auction, product, winnerId, amount}
+     * @returns {Promise<Object>} - Created order
+     */
+    static async createAuctionOrder(auctionData) {
+        const { auction, product, winnerId, amount } = auctionData;
+
+        const shippingAddress = await UserAddress.getDefaultAddress(winnerId, 'shipping');
+        const billingAddress = await UserAddress.getDefaultAddress(winnerId, 'billing') || shippingAddress;
+
+        const itemSubtotal = Math.round(amount * 100) / 100;
+        const taxProfile = await PricingService.getProductTaxProfile(product.id);
+        const tax = PricingService.calculateTaxBreakdown(
+            [{ price: itemSubtotal, quantity: 1, ...taxProfile }],
+            itemSubtotal,
+            shippingAddress?.state
+        );
+        const gstAmount = tax.gstAmount;
+
+        const orderNumber = await this.generateOrderNumber();
+        const trackingNumber = this.generateTrackingNumber();
+
+        const createdOrder = await Order.create({
+            id: uuidv4(),
+            order_number: orderNumber,
+            tracking_number: trackingNumber,
+            user_id: winnerId,
+            auction_id: auction.id,
+            status: 'pending',
+            payment_status: 'pending',
+
+            items_subtotal: itemSubtotal,
+            discount_amount: 0,
+            coupon_discount: 0,
+            gst_amount: gstAmount,
+            cgst_amount: tax.cgstAmount,
+            sgst_amount: tax.sgstAmount,
+            igst_amount: tax.igstAmount,
+            shipping_charges: 0,
+            platform_fee: 0,
+            total_amount: Math.round((itemSubtotal + gstAmount) * 100) / 100,
+
+            shipping_address: shippingAddress ? this.formatAddress(shippingAddress) : {},
+            billing_address: billingAddress ? this.formatAddress(billingAddress) : null,
+            delivery_eta: shippingAddress ? this.calculateDeliveryEta(shippingAddress) : null,
+
+            order_notes: `Auction ${auction.id} won at ₹${itemSubtotal}`,
+
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+
+        await OrderItem.createBulk([{
+            id: uuidv4(),
+            order_id: createdOrder.id,
+            product_id: product.id,
+            product_title: product.title,
+            product_image: product.image_url || null,
+            unit_price: itemSubtotal,
+            discount_percent: 0,
+            discount_amount: 0,
+            final_price: itemSubtotal,
+            quantity: 1,
+            subtotal: itemSubtotal,
+            hsn_code: tax.lines[0].hsnCode,
+            taxable_value: tax.lines[0].taxableValue,
+            gst_percent: tax.lines[0].gstPercent,
+            gst_amount: gstAmount,
+            cgst_amount: tax.cgstAmount,
+            sgst_amount: tax.sgstAmount,
+            igst_amount: tax.igstAmount,
+            item_status: 'pending',
+            supplier_id: product.supplier_id || null,
+            supplier_state: taxProfile.supplierState,
+            created_at: new Date().toISOString()
+        }]);
+
+        await supabase
+            .from('order_tracking')
+            .insert(this.buildTrackingSteps(createdOrder.id, false));
+
+        return createdOrder;
+    }
+
+    /**
+     * Create a pending order for an accepted RFQ quote.
+     * Prices are the supplier's quoted (GST-exclusive) unit prices; GST is
+     * charged at the quote's rate and shipping at the quote's charge.
+     * Payment is collected afterwards against the pending order.
+     * @param {Object} quoteOrderData - {buyerId, quote, lines, addresses, orderNotes}
+     *   lines: [{title, unitPrice, quantity}]; addresses: result of validateAddresses
+     * @returns {Promise<Object>} - Created order
+     */
+    static async createQuoteOrder(quoteOrderData) {
+        const { buyerId, quote, lines, addresses, orderNotes } = quoteOrderData;
+
+        const gstPercent = quote.gstPercent !== null && quote.gstPercent !== undefined
+            ? parseFloat(quote.gstPercent)
+            : 18;
+        // HSN comes from the quoted product when there is one; the supplier's state sets the GST split
+        const hsnCode = quote.productId
+            ? (await PricingService.getProductTaxProfile(quote.productId)).hsnCode
+            : null;
+        const supplierState = await PricingService.getSupplierState(quote.supplierId);
+        const pricedItems = lines.map(line => ({
+            ...line,
+            price: line.unitPrice,
+            gstPercent,
+            hsnCode,
+            supplierState,
+            subtotal: Math.round(line.unitPrice * line.quantity * 100) / 100
+        }));
+
+        const itemSubtotal = Math.round(pricedItems.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
+        const tax = PricingService.calculateTaxBreakdown(pricedItems, itemSubtotal, addresses.shipping.state);
+        const gstAmount = tax.gstAmount;
+        const shippingCharges = quote.shippingCharges ? parseFloat(quote.shippingCharges) : 0;
+        const platformFee = PricingService.calculatePlatformFee(itemSubtotal);
+
+        // Suppliers quote their own lead time; fall back to the location-based estimate
+        let deliveryEta = this.calculateDeliveryEta(addresses.shipping);
+        if (quote.deliveryDays) {
+            deliveryEta = new Date();
+            deliveryEta.setDate(deliveryEta.getDate() + quote.deliveryDays);
+        }
+
+        let createdOrder = null;
+
+        try {
+            const orderNumber = await this.generateOrderNumber();
+
+            createdOrder = await Order.create({
+                id: uuidv4(),
+                order_number: orderNumber,
+                tracking_number: this.generateTrackingNumber(),
+                user_id: buyerId,
+                status: 'pending',
+                payment_status: 'pending',
+
+                items_subtotal: itemSubtotal,
+                discount_amount: 0,
+                coupon_discount: 0,
+                gst_amount: gstAmount,
+                cgst_amount: tax.cgstAmount,
+                sgst_amount: tax.sgstAmount,
+                igst_amount: tax.igstAmount,
+                shipping_charges: shippingCharges,
+                platform_fee: platformFee,
+                total_amount: Math.round((itemSubtotal + gstAmount + shippingCharges + platformFee) * 100) / 100,
+
+                shipping_address: this.formatAddress(addresses.shipping),
+                billing_address: this.formatAddress(addresses.billing),
+                delivery_eta: deliveryEta,
+
+                order_notes: orderNotes || `Quote ${quote.quoteNumber} accepted`,
+
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+
+            await OrderItem.createBulk(pricedItems.map((item, index) => ({
+                id: uuidv4(),
+                order_id: createdOrder.id,
+                product_id: quote.productId || null,
+                product_title: item.title,
+                unit_price: item.unitPrice,
+                discount_percent: 0,
+                discount_amount: 0,
+                final_price: item.unitPrice,
+                quantity: item.quantity,
+                subtotal: item.subtotal,
+                hsn_code: hsnCode,
+                taxable_value: tax.lines[index].taxableValue,
+                gst_percent: gstPercent,
+                gst_amount: tax.lines[index].gstAmount,
+                cgst_amount: tax.lines[index].cgstAmount,
+                sgst_amount: tax.lines[index].sgstAmount,
+                igst_amount: tax.lines[index].igstAmount,
+                item_status: 'pending',
+                supplier_id: quote.supplierId,
+                supplier_state: supplierState,
+                created_at: new Date().toISOString()
+            })));
+
+            await supabase
+                .from('order_tracking')
+                .insert(this.buildTrackingSteps(createdOrder.id, false));
+
+            const invoice = await this.createInvoice(createdOrder, quote.supplierId, {
+                notes: `Quote ${quote.quoteNumber}`,
+                metadata: { quoteId: quote.id, rfqId: quote.rfqId, gstPercent }
+            });
+            createdOrder = await Order.update(createdOrder.id, { invoice_number: invoice.invoice_number });
+
+            await NotificationService.sendOrderConfirmation(buyerId, createdOrder);
+
+            return createdOrder;
+        } catch (error) {
+            // Rollback: If order was created but something failed, mark as failed
+            if (createdOrder) {
+                await Order.update(createdOrder.id, {
+                    status: 'failed',
+                    admin_notes: `Order creation failed: ${error.message}`
+                }).catch(err => console.error('Rollback failed:', err));
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Raise the supplier's invoice for an order
+     * Invoice number mirrors the order number: ORD-YYYY-NNNNNN -> INV-YYYY-NNNNNN
+     * (or the sub-order number, ORD-YYYY-NNNNNN-1 -> INV-YYYY-NNNNNN-1)
+     * @param {Object} order - orders row
+     * @param {string} supplierId
+     * @param {Object} options - {notes, metadata, subOrder}
+     * @returns {Promise<Object>} - Created invoice
+     */
+    static async createInvoice(order, supplierId, { notes = null, metadata = {}, subOrder = null } = {}) {
+        // A sub-order invoice covers only that supplier's share of the order
+        const billed = subOrder || order;
+        const number = subOrder ? subOrder.sub_order_number : order.order_number;
+        const amount = parseFloat(billed.items_subtotal) - parseFloat(billed.coupon_discount || 0) +
+            parseFloat(billed.shipping_charges || 0);
+        const taxAmount = parseFloat(billed.gst_amount || 0);
+
+        const { data, error } = await supabase
+            .from('invoices')
+            .insert([{
+                invoice_number: number.replace(/^ORD-/, 'INV-'),
+                order_id: order.id,
+                sub_order_id: subOrder ? subOrder.id : null,
+                supplier_id: supplierId,
+                buyer_id: order.user_id,
+                amount: Math.round(amount * 100) / 100,
+                tax_amount: taxAmount,
+                total_amount: parseFloat(billed.total_amount),
+                status: 'pending',
+                issue_date: new Date().toISOString().slice(0, 10),
+                notes,
+                metadata: {
+                    orderNumber: order.order_number,
+                    subOrderNumber: subOrder ? subOrder.sub_order_number : undefined,
+                    cgstAmount: parseFloat(billed.cgst_amount || 0),
+                    sgstAmount: parseFloat(billed.sgst_amount || 0),
+                    igstAmount: parseFloat(billed.igst_amount || 0),
+                    ...metadata
+                }
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
     /**
      * Process payment (placeholder for payment gateway integration)
      * @param {Object} paymentData - Payment details
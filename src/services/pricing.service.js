@@ -1,5 +1,23 @@
 const { supabase } = require('../config/database');
-const Coupon = require('../models/Coupon');
+const CouponService = require('./coupon.service');
+const ContractPricingService = require('./contractPricing.service');
+const StockReservationService = require('./stockReservation.service');
+
+// GST rate for items with no product or category rate
+const DEFAULT_GST_PERCENT = 18;
+
+// Flat charge when the destination has no shipping zone
+const DEFAULT_SHIPPING_CHARGE = 500;
+
+// Listing weight units (products.weight_unit) in kg
+const WEIGHT_UNIT_KG = {
+    Kg: 1,
+    g: 0.001,
+    ton: 1000,
+    lbs: 0.453592
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
 
 /**
  * Pricing Service
@@ -9,17 +27,20 @@ class PricingService {
     /**
      * Calculate complete cart summary with all charges
      * @param {Array} cartItems - Cart items array
-     * @param {string} couponCode - Applied coupon code
+     * @param {string|Array<string>} couponCodes - Applied coupon code(s), in the order applied
      * @param {string} userId - User ID
      * @param {Object} shippingInfo - Shipping details {city, pincode, state}
      * @returns {Promise<Object>} - Complete pricing summary
      */
-    static async calculateCartSummary(cartItems, couponCode = null, userId = null, shippingInfo = null) {
+    static async calculateCartSummary(cartItems, couponCodes = null, userId = null, shippingInfo = null) {
         try {
             if (!cartItems || cartItems.length === 0) {
                 return this.getEmptySummary();
             }
 
+            // Price each line at the buyer's contract rate or the volume tier its quantity reaches
+            cartItems = await this.priceCartItems(cartItems, userId);
+
             // Calculate item subtotal (after item-level discounts)
             let itemSubtotal = 0;
             let totalDiscount = 0;
@@ -42,41 +63,58 @@ class PricingService {
                     title: item.title,
                     quantity: item.quantity,
                     unitPrice: price,
+                    listPrice: item.listPrice ?? price,
+                    appliedTier: item.appliedTier || null,
+                    nextTier: item.nextTier || null,
+                    contractPrice: item.contractPrice || null,
                     discount: itemDiscount,
                     subtotal: itemSubtotalAfterDiscount
                 });
             }
 
-            // Calculate coupon discount
-            let couponDiscount = 0;
-            let couponDetails = null;
-
-            if (couponCode && itemSubtotal > 0) {
-                const couponResult = await Coupon.validateAndCalculate(
-                    couponCode,
-                    userId,
-                    itemSubtotal,
-                    cartItems
-                );
-
-                if (couponResult.valid) {
-                    couponDiscount = couponResult.discountAmount;
-                    couponDetails = couponResult.coupon;
-                }
-            }
+            // Apply coupons in the order they were added, each to the lines it covers
+            const coupons = itemSubtotal > 0
+                ? await CouponService.applyCoupons(
+                    [].concat(couponCodes || []),
+                    { userId, items: cartItems }
+                )
+                : { applied: [], rejected: [], couponDiscount: 0, lineDiscounts: [], platformLineDiscounts: [] };
+            const couponDiscount = coupons.couponDiscount;
+            const firstCoupon = coupons.applied[0];
+            const couponDetails = firstCoupon ? {
+                id: firstCoupon.id,
+                code: firstCoupon.code,
+                description: firstCoupon.description,
+                discountType: firstCoupon.discountType,
+                discountValue: firstCoupon.discountValue
+            } : null;
 
             // Calculate subtotal after coupon
             const subtotalAfterCoupon = Math.max(0, itemSubtotal - couponDiscount);
 
-            // Calculate GST (on subtotal after all discounts)
-            const gstAmount = this.calculateGST(cartItems, subtotalAfterCoupon);
-
-            // Calculate shipping charges
-            const shippingCharges = await this.calculateShipping(
+            // Calculate GST per line (on subtotal after all discounts), split by place of supply
+            const tax = this.calculateTaxBreakdown(
                 cartItems,
                 subtotalAfterCoupon,
-                shippingInfo
+                shippingInfo?.state,
+                coupons.applied.length > 0 ? coupons.lineDiscounts : null
+            );
+            const gstAmount = tax.gstAmount;
+
+            itemsBreakdown = itemsBreakdown.map((line, index) => ({
+                ...line,
+                couponDiscount: coupons.lineDiscounts[index] || 0,
+                platformCouponDiscount: coupons.platformLineDiscounts[index] || 0,
+                ...tax.lines[index]
+            }));
+
+            // Calculate shipping charges (per supplier shipment, by chargeable weight),
+            // less any free-shipping coupon
+            const { shipping, shippingDiscount } = CouponService.applyFreeShipping(
+                await this.calculateShippingBreakdown(cartItems, subtotalAfterCoupon, shippingInfo),
+                coupons.applied
             );
+            const shippingCharges = shipping.totalCharge;
 
             // Calculate platform fee (if applicable)
             const platformFee = this.calculatePlatformFee(subtotalAfterCoupon);
@@ -91,13 +129,20 @@ class PricingService {
                 discountAmount: Math.round(totalDiscount * 100) / 100,
                 couponDiscount: Math.round(couponDiscount * 100) / 100,
                 couponDetails,
+                appliedCoupons: coupons.applied,
+                rejectedCoupons: coupons.rejected,
                 subtotalAfterDiscounts: Math.round(subtotalAfterCoupon * 100) / 100,
                 gstAmount: Math.round(gstAmount * 100) / 100,
+                cgstAmount: tax.cgstAmount,
+                sgstAmount: tax.sgstAmount,
+                igstAmount: tax.igstAmount,
                 shippingCharges: Math.round(shippingCharges * 100) / 100,
+                shippingDiscount,
                 platformFee: Math.round(platformFee * 100) / 100,
                 finalPayableAmount,
                 itemsBreakdown,
-                totalSavings: Math.round((totalDiscount + couponDiscount) * 100) / 100
+                shippingBreakdown: shipping,
+                totalSavings: Math.round((totalDiscount + couponDiscount + shippingDiscount) * 100) / 100
             };
 
         } catch (error) {
@@ -106,86 +151,594 @@ class PricingService {
         }
     }
 
+    /**
+     * Find the price tier a quantity falls in
+     * @param {Array} tiers - [{minQuantity, maxQuantity, unitPrice}]
+     * @param {number} quantity
+     * @returns {Object|null}
+     */
+    static getPriceTier(tiers, quantity) {
+        if (!Array.isArray(tiers)) return null;
+
+        return tiers.find(tier =>
+            quantity >= tier.minQuantity &&
+            (tier.maxQuantity === null || tier.maxQuantity === undefined || quantity <= tier.maxQuantity)
+        ) || null;
+    }
+
+    /**
+     * Price cart items for a buyer: contract rates first, then volume tiers
+     * @param {Array} cartItems
+     * @param {string} userId - Buyer, for contract price lists (optional)
+     * @returns {Promise<Array>}
+     */
+    static async priceCartItems(cartItems, userId = null) {
+        return this.applyPriceTiers(await this.applyContractPrices(cartItems, userId));
+    }
+
+    /**
+     * Attach the buyer's contract price to each cart item that has one
+     * @param {Array} cartItems - Cart items with productId, supplierId, categoryId and price
+     * @param {string} userId
+     * @returns {Promise<Array>} - Items with contractPrice, or unchanged for guests
+     */
+    static async applyContractPrices(cartItems, userId) {
+        if (!userId) return cartItems;
+
+        const contractPrices = await ContractPricingService.getContractPrices(
+            userId,
+            cartItems.map(item => ({
+                productId: item.productId,
+                supplierId: item.supplierId,
+                categoryId: item.categoryId,
+                price: item.listPrice ?? item.price ?? item.originalPrice
+            }))
+        );
+
+        return cartItems.map(item => ({
+            ...item,
+            contractPrice: contractPrices.get(item.productId) || null
+        }));
+    }
+
+    /**
+     * Re-price cart items at their volume tier
+     * A tier's unit price is the net price for that quantity, so the listing's
+     * own discount isn't applied on top of it. A contract price is net too;
+     * the line takes whichever of the listing, tier and contract price is
+     * lowest. Each item also gets the next cheaper tier, so the cart can show
+     * how many more units unlock it.
+     * @param {Array} cartItems - Cart items with priceTiers and contractPrice
+     * @returns {Array} - Items with price, listPrice, appliedTier, contractPrice and nextTier
+     */
+    static applyPriceTiers(cartItems) {
+        return cartItems.map(item => {
+            const listPrice = item.listPrice ?? (item.price || item.originalPrice || 0);
+            const tiers = Array.isArray(item.priceTiers) ? item.priceTiers : [];
+            const tier = this.getPriceTier(tiers, item.quantity);
+            const netPrice = tier
+                ? tier.unitPrice
+                : listPrice * (1 - (item.discountPercent || 0) / 100);
+            const contract = item.contractPrice && item.contractPrice.unitPrice < netPrice
+                ? item.contractPrice
+                : null;
+            const currentPrice = contract ? contract.unitPrice : (tier ? tier.unitPrice : listPrice);
+            // Compare against what the line actually pays per unit, after the listing discount
+            const currentNetPrice = contract ? contract.unitPrice : netPrice;
+            const next = tiers.find(candidate =>
+                candidate.minQuantity > item.quantity && candidate.unitPrice < currentNetPrice
+            );
+
+            return {
+                ...item,
+                listPrice,
+                price: currentPrice,
+                discountPercent: tier || contract ? 0 : item.discountPercent,
+                appliedTier: contract ? null : tier,
+                contractPrice: contract,
+                nextTier: next ? {
+                    ...next,
+                    quantityNeeded: next.minQuantity - item.quantity
+                } : null
+            };
+        });
+    }
+
+    /**
+     * Net unit price of a priced cart item, after any listing discount
+     * @param {Object} item - Item from priceCartItems
+     * @returns {number}
+     */
+    static getNetUnitPrice(item) {
+        const price = item.price || item.originalPrice || 0;
+        return Math.round(price * (1 - (item.discountPercent || 0) / 100) * 100) / 100;
+    }
+
+    /**
+     * Freeze the prices a checkout session was quoted
+     * Stored in the session's cart snapshot; the order is placed at these
+     * prices for as long as the session lives.
+     * @param {Array} pricedItems - Items from priceCartItems
+     * @param {Date|string} lockedUntil - Session expiry
+     * @returns {Object} - {lockedAt, lockedUntil, items}
+     */
+    static buildPriceLock(pricedItems, lockedUntil) {
+        return {
+            lockedAt: new Date().toISOString(),
+            lockedUntil,
+            items: pricedItems.map(item => ({
+                productId: item.productId,
+                title: item.title,
+                quantity: item.quantity,
+                price: item.price,
+                listPrice: item.listPrice ?? item.price,
+                discountPercent: item.discountPercent || 0,
+                netUnitPrice: this.getNetUnitPrice(item),
+                appliedTier: item.appliedTier || null,
+                contractPrice: item.contractPrice || null
+            }))
+        };
+    }
+
+    /**
+     * Put a price lock's prices back on the current cart items
+     * @param {Array} cartItems - Current cart items
+     * @param {Object} priceLock - From buildPriceLock
+     * @returns {Array} - Items priced as they were at checkout
+     */
+    static applyPriceLock(cartItems, priceLock) {
+        return cartItems.map(item => {
+            const locked = priceLock.items.find(line => line.productId === item.productId);
+            if (!locked) return item;
+
+            return {
+                ...item,
+                price: locked.price,
+                listPrice: locked.listPrice,
+                discountPercent: locked.discountPercent,
+                appliedTier: locked.appliedTier,
+                contractPrice: locked.contractPrice,
+                nextTier: null
+            };
+        });
+    }
+
+    /**
+     * Compare a price lock with the cart as it is now
+     * Each changed line lists what changed: "added" and "removed" lines,
+     * "quantity", and "price" when the net unit price moved.
+     * @param {Object} priceLock - From buildPriceLock
+     * @param {Array} currentItems - Current cart items from priceCartItems
+     * @returns {Object} - {cartChanged, priceChanged, items, totals}
+     */
+    static diffPriceLock(priceLock, currentItems) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const lineOf = (quantity, unitPrice) => ({ quantity, unitPrice, subtotal: round(quantity * unitPrice) });
+        const items = [];
+        let lockedSubtotal = 0;
+        let currentSubtotal = 0;
+
+        for (const locked of priceLock.items) {
+            const current = currentItems.find(item => item.productId === locked.productId);
+            lockedSubtotal += locked.netUnitPrice * locked.quantity;
+
+            if (!current) {
+                items.push({
+                    productId: locked.productId,
+                    title: locked.title,
+                    changes: ['removed'],
+                    locked: lineOf(locked.quantity, locked.netUnitPrice),
+                    current: null
+                });
+                continue;
+            }
+
+            const currentUnitPrice = this.getNetUnitPrice(current);
+            currentSubtotal += currentUnitPrice * current.quantity;
+
+            const changes = [];
+            if (current.quantity !== locked.quantity) changes.push('quantity');
+            if (currentUnitPrice !== locked.netUnitPrice) changes.push('price');
+
+            if (changes.length > 0) {
+                items.push({
+                    productId: locked.productId,
+                    title: locked.title,
+                    changes,
+                    locked: lineOf(locked.quantity, locked.netUnitPrice),
+                    current: lineOf(current.quantity, currentUnitPrice),
+                    ...(changes.includes('price') && {
+                        unitPriceDifference: round(currentUnitPrice - locked.netUnitPrice)
+                    })
+                });
+            }
+        }
+
+        for (const current of currentItems) {
+            if (priceLock.items.some(locked => locked.productId === current.productId)) continue;
+
+            const currentUnitPrice = this.getNetUnitPrice(current);
+            currentSubtotal += currentUnitPrice * current.quantity;
+
+            items.push({
+                productId: current.productId,
+                title: current.title,
+                changes: ['added'],
+                locked: null,
+                current: lineOf(current.quantity, currentUnitPrice)
+            });
+        }
+
+        return {
+            cartChanged: items.some(item => item.changes.some(change => change !== 'price')),
+            priceChanged: items.some(item => item.changes.includes('price')),
+            items,
+            totals: {
+                lockedSubtotal: round(lockedSubtotal),
+                currentSubtotal: round(currentSubtotal),
+                difference: round(currentSubtotal - lockedSubtotal)
+            }
+        };
+    }
+
     /**
      * Calculate GST amount
-     * GST is calculated on the subtotal after all discounts
+     * GST is calculated per line on the subtotal after all discounts
      * @param {Array} cartItems - Cart items
      * @param {number} subtotalAfterDiscounts - Subtotal after discounts
+     * @param {string} shippingState - Buyer's shipping state (optional)
      * @returns {number} - GST amount
      */
-    static calculateGST(cartItems, subtotalAfterDiscounts) {
-        // For simplicity, applying weighted average GST
-        // In real scenario, GST should be calculated per item and summed
+    static calculateGST(cartItems, subtotalAfterDiscounts, shippingState = null) {
+        return this.calculateTaxBreakdown(cartItems, subtotalAfterDiscounts, shippingState).gstAmount;
+    }
+
+    /**
+     * Whether a supply is inter-state (IGST) or intra-state (CGST + SGST)
+     * An unknown state on either side is treated as inter-state until the
+     * shipping address is known; the total GST is the same either way.
+     * @param {string} supplierState - State the goods ship from
+     * @param {string} shippingState - Buyer's shipping state
+     * @returns {string} - 'intra_state' | 'inter_state'
+     */
+    static getSupplyType(supplierState, shippingState) {
+        const normalize = (state) => (state || '').trim().toLowerCase();
+
+        if (!normalize(supplierState) || !normalize(shippingState)) {
+            return 'inter_state';
+        }
+
+        return normalize(supplierState) === normalize(shippingState) ? 'intra_state' : 'inter_state';
+    }
+
+    /**
+     * Split a GST amount into its components
+     * Intra-state GST is shared equally between CGST and SGST; inter-state is all IGST.
+     * @param {number} gstAmount - Total GST on the line
+     * @param {string} supplyType - 'intra_state' | 'inter_state'
+     * @returns {Object} - {gstAmount, cgstAmount, sgstAmount, igstAmount}
+     */
+    static splitGST(gstAmount, supplyType) {
+        if (supplyType === 'intra_state') {
+            const cgstAmount = round2(gstAmount / 2);
+            return { gstAmount, cgstAmount, sgstAmount: round2(gstAmount - cgstAmount), igstAmount: 0 };
+        }
+
+        return { gstAmount, cgstAmount: 0, sgstAmount: 0, igstAmount: gstAmount };
+    }
+
+    /**
+     * Calculate GST for each line at its own rate
+     * Without lineDiscounts, coupon discounts are spread across lines in
+     * proportion to their value, so each line's taxable value is its share
+     * of subtotalAfterDiscounts. Coupons that only cover some lines pass
+     * the discount each line actually got.
+     * @param {Array} items - Cart items or priced lines {price, quantity, discountPercent, gstPercent, hsnCode, supplierState}
+     * @param {number} subtotalAfterDiscounts - Subtotal after item and coupon discounts
+     * @param {string} shippingState - Buyer's shipping state
+     * @param {Array<number>} lineDiscounts - Coupon discount per line, aligned with items (optional)
+     * @returns {Object} - {lines, gstAmount, cgstAmount, sgstAmount, igstAmount}
+     */
+    static calculateTaxBreakdown(items, subtotalAfterDiscounts, shippingState = null, lineDiscounts = null) {
+        const totals = { gstAmount: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0 };
 
-        if (!cartItems || cartItems.length === 0) {
-            return 0;
+        if (!items || items.length === 0) {
+            return { lines: [], ...totals };
         }
 
-        // Calculate weighted average GST percentage
-        let totalWeight = 0;
-        let weightedGst = 0;
+        const lineValues = items.map(item => {
+            const lineTotal = (item.price || item.originalPrice || 0) * item.quantity;
+            return lineTotal - (lineTotal * (item.discountPercent || 0)) / 100;
+        });
+        const itemsTotal = lineValues.reduce((sum, value) => sum + value, 0);
+        const ratio = itemsTotal > 0 ? subtotalAfterDiscounts / itemsTotal : 0;
+
+        const lines = items.map((item, index) => {
+            const gstPercent = item.gstPercent !== null && item.gstPercent !== undefined
+                ? parseFloat(item.gstPercent)
+                : DEFAULT_GST_PERCENT;
+            const supplyType = this.getSupplyType(item.supplierState, shippingState);
+            const taxableValue = lineDiscounts
+                ? round2(Math.max(lineValues[index] - (lineDiscounts[index] || 0), 0))
+                : round2(lineValues[index] * ratio);
+            const split = this.splitGST(round2((taxableValue * gstPercent) / 100), supplyType);
+
+            totals.gstAmount += split.gstAmount;
+            totals.cgstAmount += split.cgstAmount;
+            totals.sgstAmount += split.sgstAmount;
+            totals.igstAmount += split.igstAmount;
 
-        for (const item of cartItems) {
-            const itemPrice = (item.price || item.originalPrice || 0) * item.quantity;
-            const gstPercent = item.gstPercent || 18; // Default 18% GST
+            return {
+                hsnCode: item.hsnCode || null,
+                gstPercent,
+                supplyType,
+                taxableValue,
+                ...split
+            };
+        });
 
-            totalWeight += itemPrice;
-            weightedGst += (itemPrice * gstPercent);
+        return {
+            lines,
+            gstAmount: round2(totals.gstAmount),
+            cgstAmount: round2(totals.cgstAmount),
+            sgstAmount: round2(totals.sgstAmount),
+            igstAmount: round2(totals.igstAmount)
+        };
+    }
+
+    /**
+     * Get a product's HSN code, GST rate and ship-from state
+     * Product values win over its category's; the supplier's state is used
+     * when the listing has no location state.
+     * @param {string} productId - Product ID
+     * @returns {Promise<Object>} - {hsnCode, gstPercent, supplierState}
+     */
+    static async getProductTaxProfile(productId) {
+        const { data: product } = await supabase
+            .from('products')
+            .select(`
+                hsn_code, gst_percent, state, supplier_id,
+                category:categories(hsn_code, gst_percent)
+            `)
+            .eq('id', productId)
+            .single();
+
+        if (!product) {
+            return { hsnCode: null, gstPercent: DEFAULT_GST_PERCENT, supplierState: null };
         }
 
-        const avgGstPercent = totalWeight > 0 ? weightedGst / totalWeight : 18;
+        return {
+            hsnCode: product.hsn_code || product.category?.hsn_code || null,
+            gstPercent: product.gst_percent ?? product.category?.gst_percent ?? DEFAULT_GST_PERCENT,
+            supplierState: product.state || await this.getSupplierState(product.supplier_id)
+        };
+    }
 
-        // Apply GST on subtotal after discounts
-        const gstAmount = (subtotalAfterDiscounts * avgGstPercent) / 100;
+    /**
+     * Get the state a supplier is registered in
+     * @param {string} supplierId - Supplier user ID
+     * @returns {Promise<string|null>}
+     */
+    static async getSupplierState(supplierId) {
+        if (!supplierId) return null;
 
-        return gstAmount;
+        const { data: supplier } = await supabase
+            .from('users')
+            .select('state')
+            .eq('id', supplierId)
+            .single();
+
+        return supplier?.state || null;
     }
 
     /**
-     * Calculate shipping charges based on location and order value
+     * Calculate shipping charges based on location, weight and order value
      * @param {Array} cartItems - Cart items
      * @param {number} subtotal - Order subtotal
      * @param {Object} shippingInfo - Shipping information
      * @returns {Promise<number>} - Shipping charges
      */
     static async calculateShipping(cartItems, subtotal, shippingInfo = null) {
+        const breakdown = await this.calculateShippingBreakdown(cartItems, subtotal, shippingInfo);
+        return breakdown.totalCharge;
+    }
+
+    /**
+     * Get the active shipping zone covering a state
+     * @param {string} state - State name
+     * @returns {Promise<Object|null>} - shipping_zones row
+     */
+    static async getShippingZone(state) {
+        if (!state) return null;
+
+        const { data: zone, error } = await supabase
+            .from('shipping_zones')
+            .select('*')
+            .eq('is_active', true)
+            .contains('states', [state])
+            .single();
+
+        return error ? null : zone;
+    }
+
+    /**
+     * Weight of one unit in kg, from the listing's weight_per_unit/weight_unit
+     * @param {Object} item - Cart item {weightPerUnit, weightUnit}
+     * @returns {number} - 0 when the listing has no weight
+     */
+    static getUnitWeightKg(item) {
+        const weight = parseFloat(item.weightPerUnit);
+        if (!weight || weight < 0) return 0;
+
+        return weight * (WEIGHT_UNIT_KG[item.weightUnit] || 1);
+    }
+
+    /**
+     * Volumetric weight of one unit in kg
+     * @param {Object} item - Cart item {packageLengthCm, packageWidthCm, packageHeightCm}
+     * @param {number} divisor - cm3 per kg for the zone
+     * @returns {number} - 0 when the listing has no package dimensions
+     */
+    static getUnitVolumetricWeightKg(item, divisor) {
+        const { packageLengthCm, packageWidthCm, packageHeightCm } = item;
+        if (!packageLengthCm || !packageWidthCm || !packageHeightCm) return 0;
+
+        return (packageLengthCm * packageWidthCm * packageHeightCm) / divisor;
+    }
+
+    /**
+     * Per-kg charge for a chargeable weight
+     * Slabs are progressive: each band's rate applies to the kg that fall in it.
+     * Zones without slabs charge their flat per_kg_charge.
+     * @param {Object} zone - shipping_zones row
+     * @param {number} weightKg - Chargeable weight
+     * @returns {number}
+     */
+    static calculateWeightCharge(zone, weightKg) {
+        const slabs = Array.isArray(zone.weight_slabs) ? zone.weight_slabs : [];
+
+        if (slabs.length === 0) {
+            return weightKg * parseFloat(zone.per_kg_charge || 0);
+        }
+
+        let charge = 0;
+        let charged = 0;
+
+        for (const slab of slabs) {
+            const upTo = slab.upToKg === null || slab.upToKg === undefined ? Infinity : slab.upToKg;
+            const inSlab = Math.min(weightKg, upTo) - charged;
+
+            if (inSlab <= 0) continue;
+
+            charge += inSlab * parseFloat(slab.perKgCharge || 0);
+            charged += inSlab;
+
+            if (charged >= weightKg) break;
+        }
+
+        return charge;
+    }
+
+    /**
+     * Calculate shipping for each supplier's shipment
+     * Every supplier ships separately from their own origin: a shipment pays the
+     * destination zone's base charge, per-kg slabs on the greater of actual and
+     * volumetric weight, and a surcharge when it crosses zones. Orders over the
+     * zone's free-shipping threshold ship free.
+     * @param {Array} cartItems - Cart items
+     * @param {number} subtotal - Order subtotal after discounts
+     * @param {Object} shippingInfo - Shipping details {city, pincode, state}
+     * @returns {Promise<Object>} - {available, zone, totalCharge, isFreeShipping, freeShippingThreshold, shipments, estimatedDelivery}
+     */
+    static async calculateShippingBreakdown(cartItems, subtotal, shippingInfo = null) {
+        const unavailable = {
+            available: false,
+            zone: null,
+            totalCharge: DEFAULT_SHIPPING_CHARGE,
+            isFreeShipping: false,
+            freeShippingThreshold: null,
+            shipments: [],
+            estimatedDelivery: null
+        };
+
         try {
-            // If no shipping info provided, return default estimate
-            if (!shippingInfo || !shippingInfo.state) {
-                return 500; // Default shipping charge
+            // Without a destination zone there is nothing to price against; use the default
+            const zone = await this.getShippingZone(shippingInfo?.state);
+            if (!zone || !cartItems || cartItems.length === 0) {
+                return unavailable;
             }
 
-            // Get shipping zone for the state
-            const { data: zone, error } = await supabase
-                .from('shipping_zones')
-                .select('*')
-                .eq('is_active', true)
-                .contains('states', [shippingInfo.state])
-                .single();
-
-            if (error || !zone) {
-                // If zone not found, use default
-                return 500;
-            }
+            const divisor = zone.volumetric_divisor || 5000;
+            const isFreeShipping = Boolean(zone.free_shipping_threshold) &&
+                subtotal >= parseFloat(zone.free_shipping_threshold);
+
+            // Group items into one shipment per supplier
+            const groups = new Map();
+            for (const item of cartItems) {
+                const key = item.supplierId || 'unknown';
+
+                if (!groups.has(key)) {
+                    groups.set(key, {
+                        supplierId: item.supplierId || null,
+                        supplierName: item.supplierName || null,
+                        origin: { city: item.supplierCity || null, state: item.supplierState || null },
+                        items: []
+                    });
+                }
 
-            // Check if eligible for free shipping
-            if (zone.free_shipping_threshold && subtotal >= zone.free_shipping_threshold) {
-                return 0;
+                groups.get(key).items.push(item);
             }
 
-            // Calculate weight-based shipping (if applicable)
-            // For now, using base charge
-            let shippingCharge = zone.base_charge;
+            const originZones = new Map();
+            const shipments = [];
+
+            for (const group of groups.values()) {
+                const items = group.items.map(item => {
+                    const actualWeightKg = this.getUnitWeightKg(item) * item.quantity;
+                    const volumetricWeightKg = this.getUnitVolumetricWeightKg(item, divisor) * item.quantity;
+
+                    return {
+                        productId: item.productId,
+                        title: item.title,
+                        quantity: item.quantity,
+                        actualWeightKg: round2(actualWeightKg),
+                        volumetricWeightKg: round2(volumetricWeightKg),
+                        chargeableWeightKg: round2(Math.max(actualWeightKg, volumetricWeightKg))
+                    };
+                });
+
+                const actualWeightKg = items.reduce((sum, item) => sum + item.actualWeightKg, 0);
+                const volumetricWeightKg = items.reduce((sum, item) => sum + item.volumetricWeightKg, 0);
+                const chargeableWeightKg = Math.max(actualWeightKg, volumetricWeightKg);
 
-            // Apply per-kg charge if items have weight
-            // This would require weight data in products
-            // For now, keeping it simple with base charge
+                // Look up each origin zone once
+                const originState = group.origin.state;
+                if (originState && !originZones.has(originState)) {
+                    originZones.set(originState, await this.getShippingZone(originState));
+                }
+                const originZone = originState ? originZones.get(originState) : null;
+                const crossZone = Boolean(originZone) && originZone.id !== zone.id;
+
+                const baseCharge = parseFloat(zone.base_charge || 0);
+                const weightCharge = this.calculateWeightCharge(zone, chargeableWeightKg);
+                const crossZoneSurcharge = crossZone
+                    ? ((baseCharge + weightCharge) * parseFloat(zone.cross_zone_surcharge_percent || 0)) / 100
+                    : 0;
+                const charge = isFreeShipping ? 0 : round2(baseCharge + weightCharge + crossZoneSurcharge);
+
+                shipments.push({
+                    supplierId: group.supplierId,
+                    supplierName: group.supplierName,
+                    origin: group.origin,
+                    originZone: originZone?.zone_name || null,
+                    items,
+                    actualWeightKg: round2(actualWeightKg),
+                    volumetricWeightKg: round2(volumetricWeightKg),
+                    chargeableWeightKg: round2(chargeableWeightKg),
+                    baseCharge: round2(baseCharge),
+                    weightCharge: round2(weightCharge),
+                    crossZoneSurcharge: round2(crossZoneSurcharge),
+                    charge
+                });
+            }
 
-            return shippingCharge;
+            return {
+                available: true,
+                zone: zone.zone_name,
+                totalCharge: round2(shipments.reduce((sum, shipment) => sum + shipment.charge, 0)),
+                isFreeShipping,
+                freeShippingThreshold: zone.free_shipping_threshold,
+                shipments,
+                estimatedDelivery: {
+                    minDays: zone.estimated_days_min,
+                    maxDays: zone.estimated_days_max,
+                    message: `Delivery in ${zone.estimated_days_min}-${zone.estimated_days_max} business days`
+                }
+            };
 
         } catch (error) {
             console.error('Error calculating shipping:', error);
-            return 500; // Fallback to default
+            return unavailable; // Fallback to default
         }
     }
 
@@ -214,14 +767,9 @@ class PricingService {
     static async estimateShipping(state, city = null, pincode = null, orderValue = 0) {
         try {
             // Get shipping zone
-            const { data: zone, error } = await supabase
-                .from('shipping_zones')
-                .select('*')
-                .eq('is_active', true)
-                .contains('states', [state])
-                .single();
-
-            if (error || !zone) {
+            const zone = await this.getShippingZone(state);
+
+            if (!zone) {
                 return {
                     available: false,
                     message: 'Shipping not available for this location',
@@ -259,14 +807,21 @@ class PricingService {
 
     /**
      * Validate stock availability for all cart items
+     * Units held in other buyers' checkouts don't count as available.
      * @param {Array} cartItems - Cart items
+     * @param {string} userId - Buyer whose own reservations still count as available
      * @returns {Promise<Object>} - Validation result
      */
-    static async validateStock(cartItems) {
+    static async validateStock(cartItems, userId = null) {
         try {
             const validationResults = [];
             let allAvailable = true;
 
+            const reserved = await StockReservationService.getReservedQuantities(
+                cartItems.map(item => item.productId),
+                { excludeUserId: userId }
+            );
+
             for (const item of cartItems) {
                 // Get current product details
                 const { data: product, error } = await supabase
@@ -301,15 +856,19 @@ class PricingService {
                 }
 
                 // Check stock
-                if (product.quantity < item.quantity) {
+                const reservedQuantity = reserved.get(item.productId) || 0;
+                const availableQuantity = Math.max(product.quantity - reservedQuantity, 0);
+
+                if (availableQuantity < item.quantity) {
                     validationResults.push({
                         itemId: item.itemId,
                         productId: item.productId,
                         available: false,
                         reason: 'INSUFFICIENT_STOCK',
-                        message: `Only ${product.quantity} units available`,
+                        message: `Only ${availableQuantity} units available`,
                         requestedQuantity: item.quantity,
-                        availableQuantity: product.quantity
+                        availableQuantity,
+                        reservedQuantity
                     });
                     allAvailable = false;
                     continue;
@@ -326,7 +885,7 @@ class PricingService {
                     itemId: item.itemId,
                     productId: item.productId,
                     available: true,
-                    stockAvailable: product.quantity,
+                    stockAvailable: availableQuantity,
                     priceChanged,
                     priceDetails: priceChanged ? {
                         oldPrice,
@@ -363,12 +922,19 @@ class PricingService {
             discountAmount: 0,
             couponDiscount: 0,
             couponDetails: null,
+            appliedCoupons: [],
+            rejectedCoupons: [],
             subtotalAfterDiscounts: 0,
             gstAmount: 0,
+            cgstAmount: 0,
+            sgstAmount: 0,
+            igstAmount: 0,
             shippingCharges: 0,
+            shippingDiscount: 0,
             platformFee: 0,
             finalPayableAmount: 0,
             itemsBreakdown: [],
+            shippingBreakdown: null,
             totalSavings: 0
         };
     }
@@ -382,6 +948,7 @@ class PricingService {
         return {
             itemDiscounts: summary.discountAmount,
             couponDiscount: summary.couponDiscount,
+            shippingDiscount: summary.shippingDiscount || 0,
             totalSavings: summary.totalSavings,
             savingsPercent: summary.itemSubtotal > 0
                 ? ((summary.totalSavings / summary.itemSubtotal) * 100).toFixed(2)
@@ -0,0 +1,254 @@
+const { query: db } = require('../config/database');
+const { Quote, RFQ } = require('../models');
+const UserAddress = require('../models/UserAddress');
+const PricingService = require('./pricing.service');
+const { Op } = require('sequelize');
+
+/**
+ * Dimensions a quote can win on, and which direction is better
+ */
+const COMPARISON_DIMENSIONS = [
+    { key: 'landedCost', label: 'Lowest landed cost', better: 'lower' },
+    { key: 'unitPrice', label: 'Lowest unit price', better: 'lower' },
+    { key: 'gstAmount', label: 'Lowest GST', better: 'lower' },
+    { key: 'shippingCharges', label: 'Lowest shipping', better: 'lower' },
+    { key: 'deliveryDays', label: 'Fastest delivery', better: 'lower' },
+    { key: 'rating', label: 'Highest supplier rating', better: 'higher' }
+];
+
+const DEFAULT_GST_PERCENT = 18;
+
+/**
+ * Quote Comparison Service
+ * Normalizes quotes on an RFQ to total landed cost and ranks them side by side
+ */
+class QuoteComparisonService {
+    /**
+     * Round a currency amount to 2 decimals
+     * @param {number} amount
+     * @returns {number}
+     */
+    static round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Build the side-by-side comparison for an RFQ owned by the buyer
+     * @param {string} rfqId
+     * @param {string} buyerId
+     * @param {Object} options - {includeClosed, shippingAddressId}
+     * @returns {Promise<Object>}
+     */
+    static async getComparison(rfqId, buyerId, options = {}) {
+        const { includeClosed = false, shippingAddressId = null } = options;
+
+        const rfq = await RFQ.findOne({ where: { id: rfqId, buyerId } });
+        if (!rfq) {
+            throw new Error('RFQ_NOT_FOUND');
+        }
+
+        const where = { rfqId };
+        if (!includeClosed) {
+            where.status = { [Op.notIn]: ['rejected', 'expired'] };
+        }
+
+        const quotes = await Quote.findAll({
+            where,
+            order: [['createdAt', 'ASC']]
+        });
+
+        const shippingAddress = shippingAddressId
+            ? await UserAddress.findById(shippingAddressId, buyerId)
+            : await UserAddress.getDefaultAddress(buyerId, 'shipping');
+
+        const shippingInfo = shippingAddress
+            ? { city: shippingAddress.city, state: shippingAddress.state, pincode: shippingAddress.pincode }
+            : null;
+
+        const suppliers = await this.getSupplierDetails([...new Set(quotes.map(q => q.supplierId))]);
+
+        const rows = await Promise.all(
+            quotes.map(quote => this.normalizeQuote(quote, suppliers[quote.supplierId], shippingInfo))
+        );
+
+        const best = this.findBest(rows);
+        for (const row of rows) {
+            row.highlights = COMPARISON_DIMENSIONS
+                .filter(dimension => best[dimension.key].includes(row.quoteId))
+                .map(dimension => dimension.key);
+        }
+
+        rows.sort((a, b) => a.landedCost - b.landedCost);
+
+        return {
+            rfq: {
+                id: rfq.id,
+                rfqNumber: rfq.rfqNumber,
+                title: rfq.title,
+                quantity: parseFloat(rfq.quantity),
+                unit: rfq.unit,
+                budgetMin: rfq.budgetMin ? parseFloat(rfq.budgetMin) : null,
+                budgetMax: rfq.budgetMax ? parseFloat(rfq.budgetMax) : null,
+                status: rfq.status
+            },
+            shippingDestination: shippingInfo,
+            dimensions: COMPARISON_DIMENSIONS.map(({ key, label }) => ({ key, label })),
+            best,
+            quotes: rows
+        };
+    }
+
+    /**
+     * Fetch rating and verification status for the quoting suppliers
+     * @param {Array<string>} supplierIds
+     * @returns {Promise<Object>} - Map of supplierId => details
+     */
+    static async getSupplierDetails(supplierIds) {
+        if (supplierIds.length === 0) return {};
+
+        const result = await db(
+            `SELECT
+                u.id,
+                COALESCE(sp.business_name, u.company_name) AS business_name,
+                CONCAT(u.first_name, ' ', u.last_name) AS contact_name,
+                u.city,
+                u.state,
+                sp.verification_status,
+                COALESCE(NULLIF(st.average_rating, 0), sp.rating) AS rating,
+                COALESCE(st.total_reviews, 0) AS total_reviews
+            FROM users u
+            LEFT JOIN supplier_profiles sp ON sp.user_id = u.id
+            LEFT JOIN supplier_trust_scores st ON st.supplier_id = u.id
+            WHERE u.id = ANY($1)`,
+            [supplierIds]
+        );
+
+        return result.rows.reduce((map, row) => {
+            map[row.id] = {
+                id: row.id,
+                businessName: row.business_name,
+                contactName: row.contact_name,
+                location: [row.city, row.state].filter(Boolean).join(', ') || null,
+                verificationStatus: row.verification_status || 'unverified',
+                isVerified: row.verification_status === 'verified',
+                rating: row.rating !== null ? parseFloat(row.rating) : null,
+                totalReviews: parseInt(row.total_reviews) || 0
+            };
+            return map;
+        }, {});
+    }
+
+    /**
+     * Normalize a quote to landed cost: unit price x quantity + GST + shipping.
+     * Shipping not quoted by the supplier is estimated for the buyer's address.
+     * @param {Object} quote - Quote instance
+     * @param {Object} supplier - From getSupplierDetails
+     * @param {Object} shippingInfo - {city, state, pincode}
+     * @returns {Promise<Object>}
+     */
+    static async normalizeQuote(quote, supplier, shippingInfo) {
+        const unitPrice = parseFloat(quote.quotePrice);
+        const quantity = parseFloat(quote.quantity);
+        const subtotal = this.round(unitPrice * quantity);
+
+        const gstPercent = quote.gstPercent !== null && quote.gstPercent !== undefined
+            ? parseFloat(quote.gstPercent)
+            : DEFAULT_GST_PERCENT;
+        const gstAmount = this.round((subtotal * gstPercent) / 100);
+
+        const shippingQuoted = quote.shippingCharges !== null && quote.shippingCharges !== undefined;
+        const shippingCharges = shippingQuoted
+            ? parseFloat(quote.shippingCharges)
+            : parseFloat(await PricingService.calculateShipping([], subtotal, shippingInfo));
+
+        const landedCost = this.round(subtotal + gstAmount + shippingCharges);
+
+        return {
+            quoteId: quote.id,
+            quoteNumber: quote.quoteNumber,
+            status: quote.status,
+            supplier: supplier || { id: quote.supplierId, isVerified: false, rating: null },
+            unitPrice,
+            quantity,
+            unit: quote.unit,
+            subtotal,
+            gstPercent,
+            gstAmount,
+            shippingCharges: this.round(shippingCharges),
+            shippingEstimated: !shippingQuoted,
+            landedCost,
+            landedUnitCost: quantity > 0 ? this.round(landedCost / quantity) : null,
+            deliveryDays: quote.deliveryDays,
+            validUntil: quote.validUntil,
+            paymentTerms: quote.paymentTerms,
+            shippingTerms: quote.shippingTerms,
+            rating: supplier ? supplier.rating : null
+        };
+    }
+
+    /**
+     * Find the best quote(s) on each dimension; ties share the highlight
+     * @param {Array} rows - Normalized quotes
+     * @returns {Object} - Map of dimension key => quote IDs
+     */
+    static findBest(rows) {
+        const best = {};
+
+        for (const dimension of COMPARISON_DIMENSIONS) {
+            const values = rows
+                .map(row => row[dimension.key])
+                .filter(value => value !== null && value !== undefined);
+
+            if (values.length === 0) {
+                best[dimension.key] = [];
+                continue;
+            }
+
+            const target = dimension.better === 'lower' ? Math.min(...values) : Math.max(...values);
+            best[dimension.key] = rows
+                .filter(row => row[dimension.key] === target)
+                .map(row => row.quoteId);
+        }
+
+        return best;
+    }
+
+    /**
+     * Lay the comparison out as a matrix (one column per quote) for spreadsheet export
+     * @param {Object} comparison - From getComparison
+     * @returns {Array<Array>}
+     */
+    static toMatrix(comparison) {
+        const { quotes, dimensions } = comparison;
+        const column = (fn) => quotes.map(fn);
+
+        return [
+            ['RFQ', `${comparison.rfq.rfqNumber} - ${comparison.rfq.title}`],
+            ['Required Quantity', `${comparison.rfq.quantity} ${comparison.rfq.unit}`],
+            [],
+            ['', ...column(q => q.quoteNumber)],
+            ['Supplier', ...column(q => q.supplier.businessName || 'N/A')],
+            ['Verified', ...column(q => (q.supplier.isVerified ? 'Yes' : 'No'))],
+            ['Rating', ...column(q => (q.rating !== null ? q.rating : 'N/A'))],
+            ['Status', ...column(q => q.status.toUpperCase())],
+            ['Unit Price (₹)', ...column(q => q.unitPrice)],
+            ['Quantity', ...column(q => `${q.quantity} ${q.unit}`)],
+            ['Subtotal (₹)', ...column(q => q.subtotal)],
+            ['GST %', ...column(q => q.gstPercent)],
+            ['GST (₹)', ...column(q => q.gstAmount)],
+            ['Shipping (₹)', ...column(q => q.shippingCharges)],
+            ['Shipping Basis', ...column(q => (q.shippingEstimated ? 'Estimated' : 'Quoted'))],
+            ['Landed Cost (₹)', ...column(q => q.landedCost)],
+            ['Landed Cost / Unit (₹)', ...column(q => q.landedUnitCost)],
+            ['Delivery Days', ...column(q => q.deliveryDays || 'N/A')],
+            ['Valid Until', ...column(q => q.validUntil)],
+            ['Payment Terms', ...column(q => q.paymentTerms || 'N/A')],
+            ['Best Value', ...column(q => dimensions
+                .filter(dimension => q.highlights.includes(dimension.key))
+                .map(dimension => dimension.label)
+                .join(', ') || '-')]
+        ];
+    }
+}
+
+module.exports = QuoteComparisonService;
@@ -0,0 +1,470 @@
+const { sequelize } = require('../config/database');
+const { Quote, QuoteRevision, QuoteLineItem, RFQ } = require('../models');
+const Notification = require('../models/Notification');
+const RealtimeService = require('./realtime.service');
+
+/**
+ * Quote terms either party can counter on
+ */
+const NEGOTIABLE_TERMS = ['quotePrice', 'quantity', 'deliveryDays', 'paymentTerms', 'shippingTerms'];
+const NUMERIC_TERMS = ['quotePrice', 'quantity', 'deliveryDays'];
+
+/**
+ * Quote Negotiation Service
+ * Handles versioned counter-offer rounds between the RFQ buyer and the quoting supplier
+ */
+class QuoteNegotiationService {
+    /**
+     * Days a counter-offer stays open when no validUntil is proposed
+     * @returns {number}
+     */
+    static getRevisionValidityDays() {
+        return parseInt(process.env.QUOTE_REVISION_VALIDITY_DAYS) || 7;
+    }
+
+    /**
+     * Validity date for a new round
+     * @param {string} requested - Proposed validUntil (YYYY-MM-DD)
+     * @returns {string}
+     */
+    static getRoundValidUntil(requested = null) {
+        if (requested) {
+            return new Date(requested).toISOString().split('T')[0];
+        }
+
+        const validUntil = new Date();
+        validUntil.setDate(validUntil.getDate() + this.getRevisionValidityDays());
+        return validUntil.toISOString().split('T')[0];
+    }
+
+    /**
+     * Which side of the quote a user is on
+     * @param {Object} quote
+     * @param {string} userId
+     * @returns {string|null} - 'buyer', 'supplier' or null
+     */
+    static getRole(quote, userId) {
+        if (quote.buyerId === userId) return 'buyer';
+        if (quote.supplierId === userId) return 'supplier';
+        return null;
+    }
+
+    /**
+     * Get the most recent revision of a quote
+     * @param {string} quoteId
+     * @param {Object} transaction
+     * @returns {Promise<Object|null>}
+     */
+    static async getLatestRevision(quoteId, transaction = null) {
+        return QuoteRevision.findOne({
+            where: { quoteId },
+            order: [['revisionNumber', 'DESC']],
+            transaction
+        });
+    }
+
+    /**
+     * Lock a quote row for a negotiation move by one of its parties
+     * @param {string} quoteId
+     * @param {string} userId
+     * @param {string} role - 'buyer' or 'supplier'
+     * @param {Object} transaction
+     * @returns {Promise<Object>}
+     */
+    static async lockQuote(quoteId, userId, role, transaction) {
+        const quote = await Quote.findByPk(quoteId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+
+        if (!quote || this.getRole(quote, userId) !== role) {
+            throw new Error('QUOTE_NOT_FOUND');
+        }
+
+        if (quote.status !== 'pending') {
+            throw new Error(`QUOTE_NOT_NEGOTIABLE: Quote is ${quote.status}`);
+        }
+
+        return quote;
+    }
+
+    /**
+     * Whether proposed terms change anything compared to the base terms
+     * @param {Object} base - Revision or quote
+     * @param {Object} terms - Proposed terms
+     * @returns {boolean}
+     */
+    static termsDiffer(base, terms) {
+        return NEGOTIABLE_TERMS.some((key) => {
+            if (terms[key] === undefined) return false;
+
+            if (NUMERIC_TERMS.includes(key)) {
+                return parseFloat(terms[key]) !== parseFloat(base[key]);
+            }
+
+            return (terms[key] || null) !== (base[key] || null);
+        });
+    }
+
+    /**
+     * Map a negotiation error to an HTTP response shape
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const detail = error.message.split(': ')[1];
+        const errors = {
+            'QUOTE_NOT_FOUND': [404, 'Quote not found or access denied'],
+            'QUOTE_NOT_NEGOTIABLE': [400, detail ? `Cannot negotiate: ${detail}` : 'This quote can no longer be negotiated'],
+            'RFQ_NOT_ACTIVE': [400, 'This RFQ is no longer active'],
+            'AWAITING_RESPONSE': [409, 'Your last counter-offer is still awaiting a response'],
+            'NO_CHANGES': [400, 'Counter-offer must change at least one term'],
+            'REVISION_NOT_CURRENT': [409, 'This revision has been superseded; refresh to see the latest terms'],
+            'REVISION_NOT_OPEN': [409, detail ? `Revision already answered (${detail})` : 'Revision already answered'],
+            'CANNOT_RESPOND_TO_OWN_REVISION': [403, 'You cannot respond to your own counter-offer'],
+            'REVISION_EXPIRED': [400, 'This counter-offer has expired; send a new one instead'],
+            'NEGOTIATION_IN_PROGRESS': [409, 'A counter-offer is awaiting a response; the quote cannot be accepted yet'],
+            'REVISION_NOT_AGREED': [409, 'The latest revision was declined; agree on new terms before accepting'],
+            'LINE_ITEM_QUOTE_TERMS_ONLY': [400, 'Line-item quotes can only renegotiate delivery, payment and shipping terms'],
+            'REVERSE_AUCTION_LIVE': [409, 'Counter-offers open once the reverse auction closes']
+        };
+
+        if (!errors[code]) return null;
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
+    /**
+     * Get the negotiation history for a quote
+     * @param {string} quoteId
+     * @param {string} userId - Buyer or supplier on the quote
+     * @returns {Promise<Object>}
+     */
+    static async getNegotiation(quoteId, userId) {
+        const quote = await Quote.findByPk(quoteId);
+
+        if (!quote || !this.getRole(quote, userId)) {
+            throw new Error('QUOTE_NOT_FOUND');
+        }
+
+        const revisions = await QuoteRevision.findAll({
+            where: { quoteId },
+            order: [['revisionNumber', 'ASC']]
+        });
+
+        return this.formatNegotiation(quote, revisions);
+    }
+
+    /**
+     * Format negotiation state for API responses
+     * @param {Object} quote
+     * @param {Array} revisions - Ordered oldest first
+     * @returns {Object}
+     */
+    static formatNegotiation(quote, revisions) {
+        const latest = revisions[revisions.length - 1] || null;
+        const isOpen = latest && latest.status === 'open';
+
+        return {
+            quoteId: quote.id,
+            quoteNumber: quote.quoteNumber,
+            status: quote.status,
+            negotiationStatus: quote.negotiationStatus,
+            awaitingResponseFrom: isOpen ? (latest.proposerRole === 'buyer' ? 'supplier' : 'buyer') : null,
+            acceptable: quote.status === 'pending' && (!latest || latest.status === 'agreed'),
+            currentTerms: {
+                quotePrice: quote.quotePrice,
+                quantity: quote.quantity,
+                deliveryDays: quote.deliveryDays,
+                paymentTerms: quote.paymentTerms,
+                shippingTerms: quote.shippingTerms,
+                validUntil: quote.validUntil
+            },
+            latestRevision: latest ? latest.toJSON() : null,
+            revisions: revisions.map(revision => revision.toJSON())
+        };
+    }
+
+    /**
+     * Propose new terms. Countering the other party's open revision supersedes it;
+     * the first counter also records the supplier's original terms as revision 1.
+     * @param {string} quoteId
+     * @param {string} userId
+     * @param {string} role - 'buyer' or 'supplier'
+     * @param {Object} terms - {quotePrice, quantity, deliveryDays, paymentTerms, shippingTerms, validUntil, notes}
+     * @returns {Promise<Object>}
+     */
+    static async proposeCounter(quoteId, userId, role, terms) {
+        const transaction = await sequelize.transaction();
+        let quote;
+        let revision;
+
+        try {
+            quote = await this.lockQuote(quoteId, userId, role, transaction);
+
+            const rfq = await RFQ.findByPk(quote.rfqId, { transaction });
+            if (!rfq || rfq.status !== 'active') {
+                throw new Error('RFQ_NOT_ACTIVE');
+            }
+
+            if (rfq.awardMode === 'reverse_auction' && !rfq.auctionClosedAt) {
+                throw new Error('REVERSE_AUCTION_LIVE');
+            }
+
+            // Price and quantity of a line-item quote are the sum of its lines
+            if (terms.quotePrice !== undefined || terms.quantity !== undefined) {
+                const lineCount = await QuoteLineItem.count({ where: { quoteId }, transaction });
+                if (lineCount > 0) {
+                    throw new Error('LINE_ITEM_QUOTE_TERMS_ONLY');
+                }
+            }
+
+            const now = new Date();
+            let latest = await this.getLatestRevision(quoteId, transaction);
+            let base = quote;
+
+            if (latest && latest.status === 'open') {
+                if (latest.proposerRole === role) {
+                    throw new Error('AWAITING_RESPONSE');
+                }
+
+                base = latest;
+                await latest.update({
+                    status: 'superseded',
+                    respondedBy: userId,
+                    respondedAt: now
+                }, { transaction });
+            }
+
+            if (!latest) {
+                latest = await QuoteRevision.create({
+                    quoteId,
+                    revisionNumber: 1,
+                    proposedBy: quote.supplierId,
+                    proposerRole: 'supplier',
+                    quotePrice: quote.quotePrice,
+                    quantity: quote.quantity,
+                    deliveryDays: quote.deliveryDays,
+                    paymentTerms: quote.paymentTerms,
+                    shippingTerms: quote.shippingTerms,
+                    notes: quote.notes,
+                    validUntil: quote.validUntil,
+                    status: 'superseded',
+                    respondedBy: userId,
+                    respondedAt: now
+                }, { transaction });
+            }
+
+            if (!this.termsDiffer(base, terms)) {
+                throw new Error('NO_CHANGES');
+            }
+
+            const validUntil = this.getRoundValidUntil(terms.validUntil);
+            const revisionNumber = latest.revisionNumber + 1;
+
+            revision = await QuoteRevision.create({
+                quoteId,
+                revisionNumber,
+                proposedBy: userId,
+                proposerRole: role,
+                ...NEGOTIABLE_TERMS.reduce((proposed, key) => {
+                    proposed[key] = terms[key] !== undefined ? terms[key] : base[key];
+                    return proposed;
+                }, {}),
+                notes: terms.notes || null,
+                validUntil,
+                status: 'open'
+            }, { transaction });
+
+            // Each round restarts the quote's validity window
+            await quote.update({
+                validUntil,
+                negotiationStatus: 'open',
+                revisionCount: revisionNumber
+            }, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        await this.notifyRevision(quote, revision, role, 'countered');
+
+        return this.getNegotiation(quoteId, userId);
+    }
+
+    /**
+     * Accept or decline the other party's open revision.
+     * Accepting copies the revision's terms onto the quote.
+     * @param {string} quoteId
+     * @param {string} userId
+     * @param {string} role - 'buyer' or 'supplier'
+     * @param {number} revisionNumber - Revision being answered (must be the latest)
+     * @param {string} action - 'accept' or 'decline'
+     * @param {string} notes
+     * @returns {Promise<Object>}
+     */
+    static async respondToRevision(quoteId, userId, role, revisionNumber, action, notes = null) {
+        const transaction = await sequelize.transaction();
+        let quote;
+        let revision;
+
+        try {
+            quote = await this.lockQuote(quoteId, userId, role, transaction);
+            revision = await this.getLatestRevision(quoteId, transaction);
+
+            if (!revision || revision.revisionNumber !== parseInt(revisionNumber)) {
+                throw new Error('REVISION_NOT_CURRENT');
+            }
+
+            if (revision.status !== 'open') {
+                throw new Error(`REVISION_NOT_OPEN: Revision is ${revision.status}`);
+            }
+
+            if (revision.proposerRole === role) {
+                throw new Error('CANNOT_RESPOND_TO_OWN_REVISION');
+            }
+
+            const now = new Date();
+
+            if (action === 'accept') {
+                if (new Date(revision.validUntil) < new Date(now.toISOString().split('T')[0])) {
+                    throw new Error('REVISION_EXPIRED');
+                }
+
+                await revision.update({
+                    status: 'agreed',
+                    respondedBy: userId,
+                    respondedAt: now,
+                    responseNotes: notes
+                }, { transaction });
+
+                const agreedTerms = {
+                    quotePrice: revision.quotePrice,
+                    quantity: revision.quantity,
+                    deliveryDays: revision.deliveryDays,
+                    paymentTerms: revision.paymentTerms,
+                    shippingTerms: revision.shippingTerms,
+                    validUntil: revision.validUntil,
+                    negotiationStatus: 'agreed'
+                };
+
+                // Keep the list-price discount consistent with the agreed price
+                if (quote.originalPrice) {
+                    const originalPrice = parseFloat(quote.originalPrice);
+                    const agreedPrice = parseFloat(revision.quotePrice);
+
+                    if (agreedPrice > originalPrice) {
+                        agreedTerms.originalPrice = null;
+                        agreedTerms.discountPercent = null;
+                    } else {
+                        agreedTerms.discountPercent = ((originalPrice - agreedPrice) / originalPrice) * 100;
+                    }
+                }
+
+                await quote.update(agreedTerms, { transaction });
+            } else {
+                await revision.update({
+                    status: 'declined',
+                    respondedBy: userId,
+                    respondedAt: now,
+                    responseNotes: notes
+                }, { transaction });
+
+                await quote.update({ negotiationStatus: 'declined' }, { transaction });
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        await this.notifyRevision(quote, revision, role, action === 'accept' ? 'agreed' : 'declined');
+
+        return this.getNegotiation(quoteId, userId);
+    }
+
+    /**
+     * Ensure a quote can be accepted: if it has been negotiated,
+     * the latest revision must be agreed
+     * @param {Object} quote
+     * @param {Object} transaction
+     */
+    static async assertAcceptable(quote, transaction = null) {
+        const latest = await this.getLatestRevision(quote.id, transaction);
+
+        if (!latest || latest.status === 'agreed') return;
+
+        if (latest.status === 'open') {
+            throw new Error('NEGOTIATION_IN_PROGRESS');
+        }
+
+        throw new Error('REVISION_NOT_AGREED');
+    }
+
+    /**
+     * Close an open revision when the quote itself is accepted or rejected
+     * @param {string} quoteId
+     * @param {string} userId
+     * @param {Object} transaction
+     */
+    static async closeOpenRevision(quoteId, userId, transaction = null) {
+        await QuoteRevision.update({
+            status: 'declined',
+            respondedBy: userId,
+            respondedAt: new Date()
+        }, {
+            where: { quoteId, status: 'open' },
+            transaction
+        });
+    }
+
+    /**
+     * Notify the other party and push the revision to the quote stream (non-critical)
+     * @param {Object} quote
+     * @param {Object} revision
+     * @param {string} actorRole - Role that made the move
+     * @param {string} outcome - 'countered', 'agreed' or 'declined'
+     */
+    static async notifyRevision(quote, revision, actorRole, outcome) {
+        const recipientId = actorRole === 'buyer' ? quote.supplierId : quote.buyerId;
+        const actor = actorRole === 'buyer' ? 'The buyer' : 'The supplier';
+        const price = `₹${parseFloat(revision.quotePrice).toLocaleString('en-IN')}`;
+        const messages = {
+            countered: `${actor} sent a counter-offer on quote ${quote.quoteNumber}: ${price} for ${revision.quantity} ${quote.unit}.`,
+            agreed: `${actor} agreed to revision ${revision.revisionNumber} of quote ${quote.quoteNumber} at ${price}.`,
+            declined: `${actor} declined revision ${revision.revisionNumber} of quote ${quote.quoteNumber}.`
+        };
+
+        RealtimeService.publish(RealtimeService.quoteChannel(quote.id), 'revision', {
+            quoteId: quote.id,
+            outcome,
+            revision: revision.toJSON()
+        });
+
+        try {
+            await Notification.create({
+                user_id: recipientId,
+                type: 'quote_counter_offer',
+                title: outcome === 'countered' ? 'New counter-offer' : `Counter-offer ${outcome}`,
+                message: messages[outcome],
+                resource_type: 'quote',
+                resource_id: quote.id,
+                action_url: actorRole === 'buyer' ? '/supplier/quotes' : `/buyer/quotes/${quote.id}`,
+                priority: 'high',
+                data: { quoteId: quote.id, revisionNumber: revision.revisionNumber, outcome }
+            });
+        } catch (error) {
+            console.error('Error sending counter-offer notification:', error);
+        }
+    }
+}
+
+module.exports = QuoteNegotiationService;
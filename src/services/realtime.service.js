@@ -0,0 +1,119 @@
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Realtime Service
+ * In-process publish/subscribe with Server-Sent Events delivery
+ * Events reach clients connected to the same server process
+ */
+class RealtimeService {
+    /**
+     * Channel for a single auction
+     * @param {string} auctionId
+     * @returns {string}
+     */
+    static auctionChannel(auctionId) {
+        return `auction:${auctionId}`;
+    }
+
+    /**
+     * Channel for the live auctions feed (homepage)
+     * @returns {string}
+     */
+    static liveAuctionsChannel() {
+        return 'auctions:live';
+    }
+
+    /**
+     * Channel for a quote conversation
+     * @param {string} quoteId
+     * @returns {string}
+     */
+    static quoteChannel(quoteId) {
+        return `quote:${quoteId}`;
+    }
+
+    /**
+     * Channel for an RFQ reverse auction
+     * @param {string} rfqId
+     * @returns {string}
+     */
+    static rfqAuctionChannel(rfqId) {
+        return `rfq-auction:${rfqId}`;
+    }
+
+    /**
+     * Publish an event to every subscriber of the given channels
+     * @param {string|Array<string>} channels
+     * @param {string} event - SSE event name
+     * @param {Object} data - JSON payload sent to clients
+     * @param {Object} context - Server-side only data for stream handlers (never sent)
+     */
+    static publish(channels, event, data, context = null) {
+        for (const channel of [].concat(channels)) {
+            emitter.emit(channel, { event, data, context });
+        }
+    }
+
+    /**
+     * Open a Server-Sent Events stream and subscribe it to channels
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Array<string>} channels - Channels to subscribe to
+     * @param {Object} options - {onMessage(message, send), tick(send), tickIntervalMs}
+     * @returns {Function} - send(event, data)
+     */
+    static openStream(req, res, channels, options = {}) {
+        const { onMessage = null, tick = null, tickIntervalMs = 5000 } = options;
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.status(200);
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const listener = (message) => {
+            if (onMessage) {
+                onMessage(message, send);
+            } else {
+                send(message.event, message.data);
+            }
+        };
+
+        channels.forEach(channel => emitter.on(channel, listener));
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+        const ticker = tick ? setInterval(() => tick(send), tickIntervalMs) : null;
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            if (ticker) clearInterval(ticker);
+            channels.forEach(channel => emitter.off(channel, listener));
+        });
+
+        return send;
+    }
+
+    /**
+     * Get current subscriber count for a channel
+     * @param {string} channel
+     * @returns {number}
+     */
+    static getSubscriberCount(channel) {
+        return emitter.listenerCount(channel);
+    }
+}
+
+module.exports = RealtimeService;
@@ -0,0 +1,125 @@
+const { sequelize } = require('../config/database');
+const { RFQ } = require('../models');
+const RFQLineItemService = require('./rfqLineItem.service');
+const RFQVisibilityService = require('./rfqVisibility.service');
+
+/**
+ * RFQ Service
+ * Publishes new RFQs. Shared by POST /api/rfq, RFQs created from a
+ * template and the recurring RFQ scheduler.
+ */
+class RFQService {
+    /**
+     * Map an RFQ creation error to an HTTP response shape
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        return RFQVisibilityService.describeError(error);
+    }
+
+    /**
+     * Create and publish an RFQ, then invite suppliers in the background
+     * @param {string} buyerId
+     * @param {Object} data - Validated createRFQSchema body
+     * @param {Object} options - {templateId}
+     * @returns {Promise<Object>} - {rfq, lineItems}
+     */
+    static async createRFQ(buyerId, data, { templateId = null } = {}) {
+        const {
+            title,
+            categoryId,
+            industryId,
+            quantity,
+            unit,
+            budgetMin,
+            budgetMax,
+            requiredByDate,
+            detailedRequirements,
+            preferredLocation,
+            durationDays,
+            attachments,
+            lineItems,
+            awardMode,
+            reverseAuction,
+            visibility,
+            invitedSupplierIds
+        } = data;
+
+        // Resolve named invitees and approved vendors up front so a bad list rejects the RFQ
+        const invitees = await RFQVisibilityService.resolveInvitees(buyerId, visibility, invitedSupplierIds);
+
+        // Generate RFQ number
+        const timestamp = Date.now();
+        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+        const rfqNumber = `RFQ-${timestamp}-${random}`;
+
+        // Calculate expiry date (a reverse auction closes at its own deadline when given)
+        const duration = durationDays || 7;
+        const expiryDate = new Date();
+        expiryDate.setDate(expiryDate.getDate() + duration);
+
+        const isReverseAuction = awardMode === 'reverse_auction';
+        const auctionSettings = isReverseAuction ? {
+            awardMode,
+            auctionStartPrice: reverseAuction.startPrice || null,
+            minDecrementType: reverseAuction.decrementType,
+            minDecrementValue: reverseAuction.decrementValue,
+            extensionWindowMinutes: reverseAuction.extensionWindowMinutes,
+            extensionMinutes: reverseAuction.extensionMinutes,
+            maxExtensions: reverseAuction.maxExtensions
+        } : {};
+
+        // Multi-line RFQs derive quantity/unit from their lines
+        const hasLineItems = Array.isArray(lineItems) && lineItems.length > 0;
+        const summary = hasLineItems ? RFQLineItemService.summarizeLines(lineItems) : { quantity, unit };
+
+        // Create RFQ and its line items together
+        const transaction = await sequelize.transaction();
+        let rfq;
+        let createdLines = [];
+
+        try {
+            rfq = await RFQ.create({
+                rfqNumber,
+                buyerId,
+                title,
+                categoryId,
+                industryId,
+                quantity: summary.quantity,
+                unit: summary.unit,
+                budgetMin,
+                budgetMax,
+                requiredByDate,
+                detailedRequirements,
+                preferredLocation,
+                durationDays: duration,
+                attachments: attachments || [],
+                status: 'active',
+                visibility,
+                templateId,
+                expiresAt: isReverseAuction && reverseAuction.endsAt ? reverseAuction.endsAt : expiryDate,
+                ...auctionSettings
+            }, { transaction });
+
+            if (hasLineItems) {
+                createdLines = await RFQLineItemService.setLines(rfq, lineItems, transaction);
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        // Invite suppliers in the background so RFQ creation isn't held up by email delivery.
+        // Only public RFQs are auto-matched; restricted ones reach their invitees alone.
+        RFQVisibilityService.distribute(rfq, invitees).catch((err) => {
+            console.error('RFQ supplier invitation error:', err);
+        });
+
+        return { rfq, lineItems: createdLines };
+    }
+}
+
+module.exports = RFQService;
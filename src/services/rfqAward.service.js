@@ -0,0 +1,327 @@
+const { sequelize } = require('../config/database');
+const { Quote, RFQ } = require('../models');
+const Notification = require('../models/Notification');
+const OrderService = require('./order.service');
+const RFQLineItemService = require('./rfqLineItem.service');
+const QuoteNegotiationService = require('./quoteNegotiation.service');
+
+/**
+ * RFQ Award Service
+ * Accepts quotes against an RFQ, splitting its quantity across suppliers.
+ * Each award is allocated against what remains uncovered; the RFQ is
+ * fulfilled once the full quantity (or every line) is covered.
+ */
+class RFQAwardService {
+    /**
+     * Map an award error to an HTTP response shape.
+     * Falls back to line item and negotiation errors raised during the award.
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const detail = error.message.split(': ')[1];
+        const errors = {
+            'QUOTE_NOT_FOUND': [404, 'Quote not found or access denied'],
+            'QUOTE_NOT_PENDING': [400, `Cannot accept quote with status: ${detail}`],
+            'QUOTE_EXPIRED': [400, 'Quote has expired'],
+            'QUOTE_RFQ_MISMATCH': [400, 'All awarded quotes must belong to this RFQ'],
+            'DUPLICATE_AWARD': [400, 'A quote can only be awarded once per request'],
+            'RFQ_FULLY_ALLOCATED': [409, 'The full RFQ quantity has already been awarded'],
+            'INVALID_AWARD_QUANTITY': [400, detail || 'Invalid award quantity'],
+            'LINE_SELECTION_NOT_SUPPORTED': [400, 'This quote has no line items to award'],
+            'LINE_AWARD_REQUIRED': [400, 'Line-item quotes are awarded per line, not by total quantity'],
+            'REVERSE_AUCTION_LIVE': [409, 'Quotes can be awarded once the reverse auction closes'],
+            'INVALID_SHIPPING_ADDRESS': [400, 'Invalid shipping address'],
+            'INVALID_BILLING_ADDRESS': [400, 'Invalid billing address']
+        };
+
+        if (!errors[code]) {
+            return RFQLineItemService.describeError(error) || QuoteNegotiationService.describeError(error);
+        }
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
+    /**
+     * Requested versus allocated quantity for an RFQ
+     * @param {Object} rfq - RFQ instance
+     * @param {Object} transaction
+     * @returns {Promise<Object>} - {requested, allocated, remaining, fullyCovered, lines}
+     */
+    static async getCoverage(rfq, transaction = null) {
+        if (rfq.lineItemCount > 0) {
+            const lines = await RFQLineItemService.getLineCoverage(rfq.id, transaction);
+            const requested = lines.reduce((sum, line) => sum + line.requested, 0);
+            const allocated = lines.reduce((sum, line) => sum + line.allocated, 0);
+
+            return {
+                requested: RFQLineItemService.round(requested),
+                allocated: RFQLineItemService.round(allocated),
+                remaining: RFQLineItemService.round(lines.reduce((sum, line) => sum + line.remaining, 0)),
+                fullyCovered: lines.length > 0 && lines.every(line => line.remaining <= 0),
+                lines
+            };
+        }
+
+        const requested = parseFloat(rfq.quantity);
+        const allocated = parseFloat(await Quote.sum('allocatedQuantity', {
+            where: { rfqId: rfq.id, status: ['accepted', 'converted'] },
+            transaction
+        })) || 0;
+        const remaining = Math.max(RFQLineItemService.round(requested - allocated), 0);
+
+        return {
+            requested,
+            allocated: RFQLineItemService.round(allocated),
+            remaining,
+            fullyCovered: remaining <= 0,
+            lines: []
+        };
+    }
+
+    /**
+     * Allocate part or all of a quote against what remains on the RFQ
+     * @param {Object} quote - Quote instance
+     * @param {Object} rfq - RFQ instance
+     * @param {Object} award - {quantity, lineItemIds, lineAllocations}
+     * @param {Object} transaction
+     * @returns {Promise<Object>} - {allocatedQuantity, awardedAmount, partial, orderLines}
+     */
+    static async allocateQuote(quote, rfq, award, transaction) {
+        const { quantity, lineItemIds, lineAllocations } = award;
+
+        if (rfq.lineItemCount > 0) {
+            if (quantity !== undefined) {
+                throw new Error('LINE_AWARD_REQUIRED');
+            }
+
+            const allocations = lineAllocations
+                || (lineItemIds && lineItemIds.map(id => ({ quoteLineItemId: id })))
+                || null;
+            const result = await RFQLineItemService.awardQuoteLines(quote, allocations, transaction);
+
+            return {
+                allocatedQuantity: result.allocatedQuantity,
+                awardedAmount: result.awardedAmount,
+                partial: result.partial,
+                orderLines: result.awardedLines.map(({ quoteLine, quantity: lineQuantity }) => ({
+                    title: quoteLine.rfqLineItem.itemName,
+                    unitPrice: parseFloat(quoteLine.unitPrice),
+                    quantity: lineQuantity
+                }))
+            };
+        }
+
+        if (lineItemIds || lineAllocations) {
+            throw new Error('LINE_SELECTION_NOT_SUPPORTED');
+        }
+
+        const { remaining } = await this.getCoverage(rfq, transaction);
+        if (remaining <= 0) {
+            throw new Error('RFQ_FULLY_ALLOCATED');
+        }
+
+        const quoted = parseFloat(quote.quantity);
+        const allocatedQuantity = quantity !== undefined ? parseFloat(quantity) : Math.min(quoted, remaining);
+
+        if (allocatedQuantity > quoted) {
+            throw new Error(`INVALID_AWARD_QUANTITY: Quote ${quote.quoteNumber} offers up to ${quoted} ${quote.unit}`);
+        }
+
+        if (allocatedQuantity > remaining) {
+            throw new Error(`INVALID_AWARD_QUANTITY: Only ${remaining} ${rfq.unit} remain to be awarded`);
+        }
+
+        const unitPrice = parseFloat(quote.quotePrice);
+
+        return {
+            allocatedQuantity,
+            awardedAmount: RFQLineItemService.round(unitPrice * allocatedQuantity),
+            partial: allocatedQuantity < quoted,
+            orderLines: [{
+                title: rfq.title,
+                unitPrice,
+                quantity: allocatedQuantity
+            }]
+        };
+    }
+
+    /**
+     * Create the orders for committed awards through the order pipeline
+     * (sequential order number, quoted GST, tracking, invoice, confirmation).
+     * Orders are written outside the award transaction, so this only runs once
+     * the acceptances are committed; a failed award never leaves an order behind.
+     * An order that fails doesn't undo its award or the other orders: it is
+     * reported on its award as orderError so the buyer can retry it.
+     * @param {Array} results - [{quote, allocation, order}] from awardQuotes
+     * @param {Object} options - {buyerId, addresses, notes}
+     */
+    static async createAwardOrders(results, { buyerId, addresses, notes }) {
+        for (const result of results) {
+            try {
+                result.order = await OrderService.createQuoteOrder({
+                    buyerId,
+                    quote: result.quote,
+                    lines: result.allocation.orderLines,
+                    addresses,
+                    orderNotes: notes
+                });
+            } catch (error) {
+                console.error(`Order creation failed for quote ${result.quote.quoteNumber}:`, error);
+                result.orderError = {
+                    code: 'ORDER_CREATION_FAILED',
+                    message: error.message
+                };
+            }
+        }
+    }
+
+    /**
+     * Award one or more quotes on the same RFQ. Each quote is allocated in the
+     * order given; with createOrder, one order is created per awarded supplier
+     * once the awards are committed.
+     * @param {string} buyerId
+     * @param {Array} awards - [{quoteId, quantity, lineItemIds, lineAllocations}]
+     * @param {Object} options - {rfqId, createOrder, shippingAddressId, billingAddressId, notes}
+     * @returns {Promise<Object>} - {rfq, awards: [{quote, allocation, order, orderError}], coverage}
+     */
+    static async awardQuotes(buyerId, awards, {
+        rfqId = null,
+        createOrder = false,
+        shippingAddressId,
+        billingAddressId,
+        notes
+    } = {}) {
+        const quoteIds = awards.map(award => award.quoteId);
+        if (new Set(quoteIds).size !== quoteIds.length) {
+            throw new Error('DUPLICATE_AWARD');
+        }
+
+        // Check addresses before anything is accepted
+        const addresses = createOrder
+            ? await OrderService.validateAddresses(buyerId, shippingAddressId, billingAddressId)
+            : null;
+
+        const transaction = await sequelize.transaction();
+        const results = [];
+        let rfq;
+        let coverage;
+
+        try {
+            const quotes = await Quote.findAll({
+                where: { id: quoteIds, buyerId },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+
+            if (quotes.length !== quoteIds.length) {
+                throw new Error('QUOTE_NOT_FOUND');
+            }
+
+            const targetRfqId = rfqId || quotes[0].rfqId;
+            if (quotes.some(quote => quote.rfqId !== targetRfqId)) {
+                throw new Error('QUOTE_RFQ_MISMATCH');
+            }
+
+            // Lock the RFQ so concurrent awards can't over-allocate it
+            rfq = await RFQ.findOne({
+                where: { id: targetRfqId, buyerId },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+
+            if (!rfq) {
+                throw new Error('QUOTE_NOT_FOUND');
+            }
+
+            // Reverse auction prices keep moving until bidding closes
+            if (rfq.awardMode === 'reverse_auction' && !rfq.auctionClosedAt) {
+                throw new Error('REVERSE_AUCTION_LIVE');
+            }
+
+            const quotesById = new Map(quotes.map(quote => [quote.id, quote]));
+
+            for (const award of awards) {
+                const quote = quotesById.get(award.quoteId);
+
+                if (quote.status !== 'pending') {
+                    throw new Error(`QUOTE_NOT_PENDING: ${quote.status}`);
+                }
+
+                // A negotiated quote is only acceptable on its latest agreed revision
+                await QuoteNegotiationService.assertAcceptable(quote, transaction);
+
+                if (new Date(quote.validUntil) < new Date()) {
+                    throw new Error('QUOTE_EXPIRED');
+                }
+
+                const allocation = await this.allocateQuote(quote, rfq, award, transaction);
+
+                await quote.update({
+                    status: 'accepted',
+                    acceptedAt: new Date(),
+                    allocatedQuantity: allocation.allocatedQuantity,
+                    awardedAmount: allocation.awardedAmount
+                }, { transaction });
+
+                results.push({ quote, allocation, order: null });
+            }
+
+            coverage = await this.getCoverage(rfq, transaction);
+            await rfq.update({
+                allocatedQuantity: coverage.allocated,
+                ...(coverage.fullyCovered && { status: 'fulfilled' })
+            }, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        if (createOrder) {
+            await this.createAwardOrders(results, { buyerId, addresses, notes });
+        }
+
+        for (const { quote, allocation, order } of results) {
+            await this.notifyAward(quote, allocation, order);
+        }
+
+        return { rfq, awards: results, coverage };
+    }
+
+    /**
+     * Tell a supplier their quote was accepted (non-critical)
+     * @param {Object} quote
+     * @param {Object} allocation
+     * @param {Object|null} order
+     */
+    static async notifyAward(quote, allocation, order) {
+        try {
+            await Notification.create({
+                user_id: quote.supplierId,
+                type: 'quote_accepted',
+                title: allocation.partial ? 'Quote Partially Accepted' : 'Quote Accepted',
+                message: allocation.partial
+                    ? `Your quote ${quote.quoteNumber} has been accepted for part of the quantity (₹${allocation.awardedAmount.toLocaleString()})`
+                    : `Your quote ${quote.quoteNumber} has been accepted by the buyer`,
+                data: {
+                    quoteId: quote.id,
+                    orderId: order?.id,
+                    allocatedQuantity: allocation.allocatedQuantity,
+                    awardedAmount: allocation.awardedAmount
+                }
+            });
+        } catch (notifError) {
+            console.error('Error sending notification:', notifError);
+            // Don't fail the award if notification fails
+        }
+    }
+}
+
+module.exports = RFQAwardService;
@@ -0,0 +1,217 @@
+const { Op } = require('sequelize');
+const { query: db } = require('../config/database');
+const { Quote, RFQ } = require('../models');
+const NotificationService = require('./notification.service');
+
+/**
+ * RFQ Expiry Service
+ * Expires RFQs past their deadline and quotes past their validity, and
+ * reminds buyers and invited suppliers shortly before an RFQ closes.
+ * Reverse auction RFQs are closed by the auction lifecycle instead.
+ */
+class RFQExpiryService {
+    /**
+     * How long before an RFQ closes its reminder goes out
+     * @returns {number} - Hours
+     */
+    static getReminderLeadHours() {
+        return parseInt(process.env.RFQ_REMINDER_HOURS) || 24;
+    }
+
+    /**
+     * Describe time left until a deadline for notification copy
+     * @param {Date} expiresAt
+     * @param {Date} now
+     * @returns {string} - e.g. "tomorrow", "in 5 hours"
+     */
+    static describeTimeLeft(expiresAt, now = new Date()) {
+        const hours = Math.round((new Date(expiresAt) - now) / (60 * 60 * 1000));
+        const tomorrow = new Date(now);
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        if (hours < 1) return 'within the hour';
+        if (hours >= 12 && new Date(expiresAt).toDateString() === tomorrow.toDateString()) return 'tomorrow';
+        if (hours < 48) return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+
+        return `in ${Math.round(hours / 24)} days`;
+    }
+
+    /**
+     * Send closing reminders for active RFQs entering the reminder window
+     * @param {number} limit - Max RFQs per pass
+     * @returns {Promise<Array>} - [{rfqId, pendingQuotes, suppliersReminded}]
+     */
+    static async sendClosingReminders(limit = 50) {
+        const now = new Date();
+        const windowEnd = new Date(now.getTime() + this.getReminderLeadHours() * 60 * 60 * 1000);
+
+        const due = await RFQ.findAll({
+            where: {
+                status: 'active',
+                expiryReminderSentAt: null,
+                expiresAt: { [Op.gt]: now, [Op.lte]: windowEnd }
+            },
+            order: [['expiresAt', 'ASC']],
+            limit
+        });
+
+        const reminded = [];
+
+        for (const rfq of due) {
+            try {
+                const result = await this.remindRFQ(rfq, now);
+                if (result) reminded.push(result);
+            } catch (error) {
+                console.error(`Error sending closing reminder for RFQ ${rfq.id}:`, error);
+            }
+        }
+
+        return reminded;
+    }
+
+    /**
+     * Remind the buyer (quotes waiting) and invited suppliers who haven't quoted.
+     * If a notification fails, the reminder is left unsent for the next pass.
+     * @param {Object} rfq - RFQ instance
+     * @param {Date} now
+     * @returns {Promise<Object|null>} - Reminder result, or null if already reminded
+     */
+    static async remindRFQ(rfq, now = new Date()) {
+        // Claim the reminder first so overlapping passes can't send it twice
+        const [claimed] = await RFQ.update(
+            { expiryReminderSentAt: now },
+            { where: { id: rfq.id, expiryReminderSentAt: null } }
+        );
+        if (claimed === 0) return null;
+
+        try {
+            const closesIn = this.describeTimeLeft(rfq.expiresAt, now);
+            const pendingQuotes = await Quote.count({ where: { rfqId: rfq.id, status: 'pending' } });
+
+            const notQuoted = await db(
+                `SELECT ri.supplier_id
+                 FROM rfq_invitations ri
+                 WHERE ri.rfq_id = $1
+                 AND NOT EXISTS (
+                     SELECT 1 FROM quotes q
+                     WHERE q.rfq_id = ri.rfq_id AND q.supplier_id = ri.supplier_id
+                 )`,
+                [rfq.id]
+            );
+            const supplierIds = notQuoted.rows.map(row => row.supplier_id);
+
+            await NotificationService.sendRFQClosingReminder(rfq.buyerId, rfq, pendingQuotes, closesIn);
+
+            if (supplierIds.length > 0) {
+                await NotificationService.sendRFQQuoteReminders(supplierIds, rfq, closesIn);
+            }
+
+            return {
+                rfqId: rfq.id,
+                pendingQuotes,
+                suppliersReminded: supplierIds.length
+            };
+        } catch (error) {
+            // Give the claim back so the next pass retries the reminder
+            await RFQ.update(
+                { expiryReminderSentAt: null },
+                { where: { id: rfq.id, expiryReminderSentAt: now } }
+            ).catch(releaseError => console.error(`Error releasing closing reminder for RFQ ${rfq.id}:`, releaseError));
+
+            throw error;
+        }
+    }
+
+    /**
+     * Expire active RFQs past their deadline. Pending quotes stay open so the
+     * buyer can still award them until each quote's own validity lapses.
+     * @param {number} limit - Max RFQs per pass
+     * @returns {Promise<Array>} - [{rfqId, pendingQuotes}]
+     */
+    static async expireDueRFQs(limit = 50) {
+        const due = await RFQ.findAll({
+            where: {
+                status: 'active',
+                awardMode: 'quote',
+                expiresAt: { [Op.lte]: new Date() }
+            },
+            order: [['expiresAt', 'ASC']],
+            limit
+        });
+
+        const expired = [];
+
+        for (const rfq of due) {
+            try {
+                const [updated] = await RFQ.update(
+                    { status: 'expired' },
+                    { where: { id: rfq.id, status: 'active' } }
+                );
+                if (updated === 0) continue;
+
+                const pendingQuotes = await Quote.count({ where: { rfqId: rfq.id, status: 'pending' } });
+                expired.push({ rfqId: rfq.id, pendingQuotes });
+
+                await NotificationService.sendRFQExpired(rfq.buyerId, rfq, pendingQuotes);
+            } catch (error) {
+                console.error(`Error expiring RFQ ${rfq.id}:`, error);
+            }
+        }
+
+        return expired;
+    }
+
+    /**
+     * Expire pending quotes whose valid-until date has passed.
+     * Quotes standing as bids in a live reverse auction are left alone.
+     * @param {number} limit - Max quotes per pass
+     * @returns {Promise<Array>} - Expired quote IDs
+     */
+    static async expireDueQuotes(limit = 200) {
+        const today = new Date().toISOString().slice(0, 10);
+
+        const due = await Quote.findAll({
+            attributes: ['id', 'quoteNumber', 'supplierId'],
+            where: {
+                status: 'pending',
+                validUntil: { [Op.lt]: today }
+            },
+            include: [{
+                model: RFQ,
+                as: 'rfq',
+                attributes: [],
+                where: {
+                    [Op.or]: [
+                        { awardMode: 'quote' },
+                        { auctionClosedAt: { [Op.ne]: null } }
+                    ]
+                }
+            }],
+            order: [['validUntil', 'ASC']],
+            limit
+        });
+
+        if (due.length === 0) return [];
+
+        const [, expiredRows] = await Quote.update(
+            { status: 'expired' },
+            {
+                where: { id: due.map(quote => quote.id), status: 'pending' },
+                returning: ['id']
+            }
+        );
+        const expiredIds = expiredRows.map(row => row.id);
+
+        for (const quote of due.filter(q => expiredIds.includes(q.id))) {
+            try {
+                await NotificationService.sendQuoteExpired(quote.supplierId, quote);
+            } catch (error) {
+                console.error(`Error sending quote expiry notification for ${quote.id}:`, error);
+            }
+        }
+
+        return expiredIds;
+    }
+}
+
+module.exports = RFQExpiryService;
@@ -0,0 +1,316 @@
+const { RFQLineItem, QuoteLineItem } = require('../models');
+const { Op, fn, col } = require('sequelize');
+
+/**
+ * RFQ Line Item Service
+ * Handles multi-line RFQs: line creation, per-line quoting and partial/split awards
+ */
+class RFQLineItemService {
+    /**
+     * Round a currency amount to 2 decimals
+     * @param {number} amount
+     * @returns {number}
+     */
+    static round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Map a line item error to an HTTP response shape
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const detail = error.message.split(': ')[1];
+        const errors = {
+            'LINE_ITEMS_REQUIRED': [400, 'Quote at least one line item'],
+            'UNKNOWN_LINE_ITEM': [400, 'Line item does not belong to this RFQ or quote'],
+            'DUPLICATE_LINE_ITEM': [400, detail ? `${detail} is quoted more than once` : 'A line item is quoted more than once'],
+            'INVALID_LINE_PRICE': [400, detail ? `${detail} needs a valid unit price` : 'Each line needs a valid unit price'],
+            'INVALID_LINE_QUANTITY': [400, detail || 'Line quantity exceeds the requested quantity'],
+            'LINE_OVER_ALLOCATED': [409, detail || 'Line quantity has already been awarded']
+        };
+
+        if (!errors[code]) return null;
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
+    /**
+     * Derive the RFQ-level quantity and unit from its lines.
+     * Mixed units roll up to 'other'.
+     * @param {Array} lineItems - [{quantity, unit}]
+     * @returns {Object} - {quantity, unit}
+     */
+    static summarizeLines(lineItems) {
+        const units = [...new Set(lineItems.map(line => line.unit))];
+
+        return {
+            quantity: lineItems.reduce((sum, line) => sum + parseFloat(line.quantity), 0),
+            unit: units.length === 1 ? units[0] : 'other'
+        };
+    }
+
+    /**
+     * Replace an RFQ's line items
+     * @param {Object} rfq - RFQ instance
+     * @param {Array} lineItems - [{itemName, specification, quantity, unit, targetPrice}]
+     * @param {Object} transaction
+     * @returns {Promise<Array>}
+     */
+    static async setLines(rfq, lineItems, transaction = null) {
+        await RFQLineItem.destroy({ where: { rfqId: rfq.id }, transaction });
+
+        const created = await RFQLineItem.bulkCreate(
+            lineItems.map((line, index) => ({
+                rfqId: rfq.id,
+                lineNumber: index + 1,
+                itemName: line.itemName,
+                specification: line.specification || null,
+                quantity: line.quantity,
+                unit: line.unit,
+                targetPrice: line.targetPrice !== undefined ? line.targetPrice : null
+            })),
+            { transaction }
+        );
+
+        await rfq.update({
+            ...this.summarizeLines(lineItems),
+            lineItemCount: lineItems.length
+        }, { transaction });
+
+        return created;
+    }
+
+    /**
+     * Get an RFQ's line items in order
+     * @param {string} rfqId
+     * @param {Object} transaction
+     * @returns {Promise<Array>}
+     */
+    static async getLines(rfqId, transaction = null) {
+        return RFQLineItem.findAll({
+            where: { rfqId },
+            order: [['lineNumber', 'ASC']],
+            transaction
+        });
+    }
+
+    /**
+     * Validate a supplier's per-line offer against the RFQ lines.
+     * Suppliers may quote a subset of lines and up to the requested quantity per line.
+     * @param {Array} rfqLines - RFQLineItem instances
+     * @param {Array} submitted - [{rfqLineItemId, unitPrice, quantity, deliveryDays, notes}]
+     * @returns {Object} - {lines, total, deliveryDays}
+     */
+    static buildQuoteLines(rfqLines, submitted) {
+        if (!Array.isArray(submitted) || submitted.length === 0) {
+            throw new Error('LINE_ITEMS_REQUIRED');
+        }
+
+        const rfqLinesById = new Map(rfqLines.map(line => [line.id, line]));
+        const seen = new Set();
+
+        const lines = submitted.map((line) => {
+            const rfqLine = rfqLinesById.get(line.rfqLineItemId);
+
+            if (!rfqLine) {
+                throw new Error(`UNKNOWN_LINE_ITEM: ${line.rfqLineItemId}`);
+            }
+
+            if (seen.has(line.rfqLineItemId)) {
+                throw new Error(`DUPLICATE_LINE_ITEM: Line ${rfqLine.lineNumber}`);
+            }
+            seen.add(line.rfqLineItemId);
+
+            const unitPrice = parseFloat(line.unitPrice);
+            if (isNaN(unitPrice) || unitPrice < 0) {
+                throw new Error(`INVALID_LINE_PRICE: Line ${rfqLine.lineNumber}`);
+            }
+
+            const requested = parseFloat(rfqLine.quantity);
+            const quantity = line.quantity !== undefined ? parseFloat(line.quantity) : requested;
+            if (isNaN(quantity) || quantity <= 0 || quantity > requested) {
+                throw new Error(`INVALID_LINE_QUANTITY: Line ${rfqLine.lineNumber} allows up to ${requested} ${rfqLine.unit}`);
+            }
+
+            return {
+                rfqLineItemId: rfqLine.id,
+                unitPrice,
+                quantity,
+                deliveryDays: line.deliveryDays || null,
+                notes: line.notes || null
+            };
+        });
+
+        const lineDeliveryDays = lines.map(line => line.deliveryDays).filter(Boolean);
+
+        return {
+            lines,
+            total: this.round(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)),
+            deliveryDays: lineDeliveryDays.length > 0 ? Math.max(...lineDeliveryDays) : null
+        };
+    }
+
+    /**
+     * Get a quote's line items with the RFQ line they answer
+     * @param {string} quoteId
+     * @param {Object} transaction
+     * @returns {Promise<Array>}
+     */
+    static async getQuoteLines(quoteId, transaction = null) {
+        return QuoteLineItem.findAll({
+            where: { quoteId },
+            include: [{ model: RFQLineItem, as: 'rfqLineItem' }],
+            order: [[{ model: RFQLineItem, as: 'rfqLineItem' }, 'lineNumber', 'ASC']],
+            transaction
+        });
+    }
+
+    /**
+     * Per-line coverage of an RFQ: requested versus allocated quantity.
+     * A line may be split across several suppliers.
+     * @param {string} rfqId
+     * @param {Object} transaction
+     * @returns {Promise<Array>} - [{id, lineNumber, itemName, unit, requested, allocated, remaining}]
+     */
+    static async getLineCoverage(rfqId, transaction = null) {
+        const rfqLines = await this.getLines(rfqId, transaction);
+        if (rfqLines.length === 0) return [];
+
+        const allocations = await QuoteLineItem.findAll({
+            attributes: [
+                'rfqLineItemId',
+                [fn('SUM', col('allocated_quantity')), 'allocated']
+            ],
+            where: {
+                rfqLineItemId: rfqLines.map(line => line.id),
+                awardStatus: 'awarded'
+            },
+            group: ['rfq_line_item_id'],
+            raw: true,
+            transaction
+        });
+        const allocatedById = new Map(allocations.map(row => [row.rfqLineItemId, parseFloat(row.allocated) || 0]));
+
+        return rfqLines.map((line) => {
+            const requested = parseFloat(line.quantity);
+            const allocated = allocatedById.get(line.id) || 0;
+
+            return {
+                id: line.id,
+                lineNumber: line.lineNumber,
+                itemName: line.itemName,
+                unit: line.unit,
+                requested,
+                allocated,
+                remaining: Math.max(this.round(requested - allocated), 0)
+            };
+        });
+    }
+
+    /**
+     * Award some or all lines of a quote, optionally for part of the quoted quantity.
+     * Lines not selected are marked not awarded. An RFQ line can be split across
+     * quotes until its requested quantity is covered.
+     * @param {Object} quote - Quote instance
+     * @param {Array|null} allocations - [{quoteLineItemId, quantity}]; null awards every line.
+     *   A missing quantity awards the quoted quantity, capped at what remains on the line.
+     * @param {Object} transaction
+     * @returns {Promise<Object>} - {awardedLines, allocatedQuantity, awardedAmount, partial}
+     */
+    static async awardQuoteLines(quote, allocations, transaction) {
+        const quoteLines = await this.getQuoteLines(quote.id, transaction);
+        const quoteLinesById = new Map(quoteLines.map(line => [line.id, line]));
+        const selected = allocations || quoteLines.map(line => ({ quoteLineItemId: line.id }));
+
+        if (selected.length === 0) {
+            throw new Error('LINE_ITEMS_REQUIRED');
+        }
+
+        const coverage = new Map(
+            (await this.getLineCoverage(quote.rfqId, transaction)).map(line => [line.id, line])
+        );
+
+        const seen = new Set();
+
+        const awardedLines = selected.map((allocation) => {
+            const quoteLine = quoteLinesById.get(allocation.quoteLineItemId);
+            if (!quoteLine) {
+                throw new Error(`UNKNOWN_LINE_ITEM: ${allocation.quoteLineItemId}`);
+            }
+
+            const { lineNumber, unit } = quoteLine.rfqLineItem;
+            if (seen.has(quoteLine.id)) {
+                throw new Error(`DUPLICATE_LINE_ITEM: Line ${lineNumber}`);
+            }
+            seen.add(quoteLine.id);
+
+            const quoted = parseFloat(quoteLine.quantity);
+            const { remaining } = coverage.get(quoteLine.rfqLineItemId);
+            const quantity = allocation.quantity !== undefined
+                ? parseFloat(allocation.quantity)
+                : Math.min(quoted, remaining);
+
+            if (quantity > quoted) {
+                throw new Error(`INVALID_LINE_QUANTITY: Line ${lineNumber} was quoted for ${quoted} ${unit}`);
+            }
+
+            if (remaining <= 0 || quantity > remaining) {
+                throw new Error(`LINE_OVER_ALLOCATED: Line ${lineNumber} has ${remaining} ${unit} left to award`);
+            }
+
+            return {
+                quoteLine,
+                quantity,
+                amount: this.round(parseFloat(quoteLine.unitPrice) * quantity)
+            };
+        });
+
+        const now = new Date();
+        for (const { quoteLine, quantity } of awardedLines) {
+            await quoteLine.update({
+                awardStatus: 'awarded',
+                allocatedQuantity: quantity,
+                awardedAt: now
+            }, { transaction });
+        }
+
+        await QuoteLineItem.update(
+            { awardStatus: 'not_awarded' },
+            {
+                where: {
+                    quoteId: quote.id,
+                    id: { [Op.notIn]: awardedLines.map(({ quoteLine }) => quoteLine.id) }
+                },
+                transaction
+            }
+        );
+
+        return {
+            awardedLines,
+            allocatedQuantity: this.round(awardedLines.reduce((sum, line) => sum + line.quantity, 0)),
+            awardedAmount: this.round(awardedLines.reduce((sum, line) => sum + line.amount, 0)),
+            partial: awardedLines.length < quoteLines.length
+                || awardedLines.some(({ quoteLine, quantity }) => quantity < parseFloat(quoteLine.quantity))
+        };
+    }
+
+    /**
+     * Whether every line of an RFQ has been fully allocated
+     * @param {string} rfqId
+     * @param {Object} transaction
+     * @returns {Promise<boolean>}
+     */
+    static async isFullyAwarded(rfqId, transaction = null) {
+        const coverage = await this.getLineCoverage(rfqId, transaction);
+        return coverage.length > 0 && coverage.every(line => line.remaining <= 0);
+    }
+}
+
+module.exports = RFQLineItemService;
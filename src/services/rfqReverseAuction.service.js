@@ -0,0 +1,683 @@
+const { sequelize } = require('../config/database');
+const { Quote, RFQ, RFQAuctionBid } = require('../models');
+const Notification = require('../models/Notification');
+const QuoteComparisonService = require('./quoteComparison.service');
+const RealtimeService = require('./realtime.service');
+const RFQVisibilityService = require('./rfqVisibility.service');
+const { Op } = require('sequelize');
+
+/**
+ * RFQ Reverse Auction Service
+ * Runs an RFQ as a timed reverse auction: each supplier's quote is their
+ * standing bid, the lowest unit price leads, and suppliers may undercut
+ * until the deadline (expires_at). Suppliers only ever see anonymous ranks.
+ */
+class RFQReverseAuctionService {
+    /**
+     * Round a currency amount to 2 decimals
+     * @param {number} amount
+     * @returns {number}
+     */
+    static round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Format a price for notification text
+     * @param {number} amount
+     * @returns {string}
+     */
+    static formatPrice(amount) {
+        return `₹${parseFloat(amount).toLocaleString('en-IN')}`;
+    }
+
+    /**
+     * Map a reverse auction error to an HTTP response shape
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const detail = error.message.split(': ')[1];
+        const errors = {
+            'RFQ_NOT_FOUND': [404, 'RFQ not found'],
+            'NOT_REVERSE_AUCTION': [400, 'This RFQ is not a reverse auction'],
+            'AUCTION_NOT_LIVE': [400, 'Bidding has closed for this reverse auction'],
+            'AUCTION_NOT_CLOSED': [409, 'The final ranking is available once bidding closes'],
+            'INVALID_BID_AMOUNT': [400, 'Bid amount must be greater than 0'],
+            'NO_OPENING_BID': [400, 'Submit a quote to enter the auction before bidding'],
+            'QUOTE_NOT_ACTIVE': [400, 'Your quote is no longer active in this auction'],
+            'BID_ABOVE_START_PRICE': [400, `Bids must not exceed the opening price of ${detail}`],
+            'BID_NOT_LOWER': [400, detail || 'Your bid must be lower than your current bid'],
+            'BID_DECREMENT_TOO_SMALL': [400, detail || 'Your bid does not undercut the lowest bid by the minimum decrement'],
+            'PARTIAL_QUANTITY_NOT_ALLOWED': [400, 'Reverse auction quotes must cover the full RFQ quantity']
+        };
+
+        if (!errors[code]) return null;
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
+    /**
+     * Whether an RFQ runs as a reverse auction
+     * @param {Object} rfq
+     * @returns {boolean}
+     */
+    static isReverseAuction(rfq) {
+        return rfq.awardMode === 'reverse_auction';
+    }
+
+    /**
+     * Whether a reverse auction is still taking bids
+     * @param {Object} rfq
+     * @param {Date} now
+     * @returns {boolean}
+     */
+    static isLive(rfq, now = new Date()) {
+        return this.isReverseAuction(rfq) &&
+            rfq.status === 'active' &&
+            !rfq.auctionClosedAt &&
+            now < new Date(rfq.expiresAt);
+    }
+
+    /**
+     * Minimum step a bid must undercut the given price by
+     * @param {Object} rfq
+     * @param {number} price
+     * @returns {number}
+     */
+    static getMinimumDecrement(rfq, price) {
+        const value = parseFloat(rfq.minDecrementValue) || 0;
+
+        return rfq.minDecrementType === 'percent'
+            ? this.round(price * value / 100)
+            : value;
+    }
+
+    /**
+     * Get the new deadline for a bid placed inside the extension window
+     * @param {Object} rfq - Locked RFQ
+     * @param {Date} now - Bid time
+     * @returns {Date|null} - New deadline, or null when no extension applies
+     */
+    static getExtendedExpiry(rfq, now) {
+        const windowMinutes = parseInt(rfq.extensionWindowMinutes) || 0;
+        const extensionMinutes = parseInt(rfq.extensionMinutes) || 0;
+
+        if (windowMinutes <= 0 || extensionMinutes <= 0) {
+            return null;
+        }
+
+        if (rfq.maxExtensions !== null && rfq.maxExtensions !== undefined &&
+            (rfq.extensionCount || 0) >= rfq.maxExtensions) {
+            return null;
+        }
+
+        const expiresAt = new Date(rfq.expiresAt);
+
+        if (expiresAt - now > windowMinutes * 60 * 1000) {
+            return null;
+        }
+
+        const newExpiresAt = new Date(now.getTime() + extensionMinutes * 60 * 1000);
+
+        return newExpiresAt > expiresAt ? newExpiresAt : null;
+    }
+
+    /**
+     * Rank the standing bids on an RFQ: lowest price first, earlier bid wins ties
+     * @param {string} rfqId
+     * @param {Object} transaction
+     * @returns {Promise<Array>} - [{rank, quoteId, quoteNumber, supplierId, price, ...}]
+     */
+    static async getRanking(rfqId, transaction = null) {
+        const quotes = await Quote.findAll({
+            where: { rfqId, status: ['pending', 'accepted'] },
+            order: [['quotePrice', 'ASC'], ['lastBidAt', 'ASC'], ['createdAt', 'ASC']],
+            transaction
+        });
+
+        return quotes.map((quote, index) => ({
+            rank: index + 1,
+            quoteId: quote.id,
+            quoteNumber: quote.quoteNumber,
+            supplierId: quote.supplierId,
+            status: quote.status,
+            price: parseFloat(quote.quotePrice),
+            bidCount: quote.bidCount || 0,
+            lastBidAt: quote.lastBidAt,
+            deliveryDays: quote.deliveryDays
+        }));
+    }
+
+    /**
+     * Highest bids a supplier may place next
+     * @param {Object} rfq
+     * @param {Array} ranking
+     * @param {string} supplierId
+     * @returns {Object} - {maxNextBid, maxBidToLead}
+     */
+    static getBidLimits(rfq, ranking, supplierId) {
+        const own = ranking.find(entry => entry.supplierId === supplierId);
+        const leader = ranking[0];
+        const startPrice = rfq.auctionStartPrice ? parseFloat(rfq.auctionStartPrice) : null;
+
+        return {
+            maxNextBid: own
+                ? this.round(own.price - this.getMinimumDecrement(rfq, own.price))
+                : startPrice,
+            maxBidToLead: leader && leader.supplierId !== supplierId
+                ? this.round(leader.price - this.getMinimumDecrement(rfq, leader.price))
+                : null
+        };
+    }
+
+    /**
+     * Enforce the opening price and minimum decrement rules.
+     * A bid must undercut the supplier's own bid by the decrement; a bid that
+     * goes below the lowest bid must undercut it by the decrement as well.
+     * @param {Object} rfq
+     * @param {Array} ranking
+     * @param {string} supplierId
+     * @param {number} amount
+     */
+    static validateBid(rfq, ranking, supplierId, amount) {
+        const startPrice = rfq.auctionStartPrice ? parseFloat(rfq.auctionStartPrice) : null;
+        if (startPrice !== null && amount > startPrice) {
+            throw new Error(`BID_ABOVE_START_PRICE: ${this.formatPrice(startPrice)}`);
+        }
+
+        const own = ranking.find(entry => entry.supplierId === supplierId);
+        const leader = ranking[0];
+        const { maxNextBid, maxBidToLead } = this.getBidLimits(rfq, ranking, supplierId);
+
+        if (own && (amount >= own.price || amount > maxNextBid)) {
+            throw new Error(maxNextBid < own.price
+                ? `BID_NOT_LOWER: Your next bid must be ${this.formatPrice(maxNextBid)} or lower`
+                : `BID_NOT_LOWER: Your next bid must be below ${this.formatPrice(own.price)}`);
+        }
+
+        if (leader && leader.supplierId !== supplierId && amount < leader.price && amount > maxBidToLead) {
+            throw new Error(`BID_DECREMENT_TOO_SMALL: To take the lead, bid ${this.formatPrice(maxBidToLead)} or lower`);
+        }
+    }
+
+    /**
+     * Place a bid in a live reverse auction. The RFQ row is locked so bids are
+     * ranked and extended one at a time.
+     * @param {string} rfqId
+     * @param {string} supplierId
+     * @param {number} amount - Unit price
+     * @param {Function|null} createQuote - async (transaction, amount) => Quote, for the opening bid
+     * @returns {Promise<Object>} - {bid, quote, auction}
+     */
+    static async placeBid(rfqId, supplierId, amount, createQuote = null) {
+        const bidAmount = this.round(parseFloat(amount));
+        if (!bidAmount || bidAmount <= 0) {
+            throw new Error('INVALID_BID_AMOUNT');
+        }
+
+        const transaction = await sequelize.transaction();
+        let rfq;
+        let quote;
+        let bid;
+        let ranking;
+        let previousLeader;
+
+        try {
+            rfq = await RFQ.findByPk(rfqId, { lock: transaction.LOCK.UPDATE, transaction });
+
+            if (!rfq) {
+                throw new Error('RFQ_NOT_FOUND');
+            }
+
+            if (!this.isReverseAuction(rfq)) {
+                throw new Error('NOT_REVERSE_AUCTION');
+            }
+
+            const now = new Date();
+            if (!this.isLive(rfq, now)) {
+                throw new Error('AUCTION_NOT_LIVE');
+            }
+
+            quote = await Quote.findOne({ where: { rfqId, supplierId }, transaction });
+
+            if (!quote && !createQuote) {
+                throw new Error('NO_OPENING_BID');
+            }
+
+            if (quote && quote.status !== 'pending') {
+                throw new Error('QUOTE_NOT_ACTIVE');
+            }
+
+            const rankingBefore = await this.getRanking(rfqId, transaction);
+            previousLeader = rankingBefore[0] || null;
+
+            this.validateBid(rfq, rankingBefore, supplierId, bidAmount);
+
+            const previousAmount = quote ? parseFloat(quote.quotePrice) : null;
+
+            if (quote) {
+                await quote.update({
+                    quotePrice: bidAmount,
+                    bidCount: (quote.bidCount || 0) + 1,
+                    lastBidAt: now
+                }, { transaction });
+            } else {
+                quote = await createQuote(transaction, bidAmount);
+                await quote.update({ bidCount: 1, lastBidAt: now }, { transaction });
+            }
+
+            // Anti-sniping: late bids push the deadline out
+            const extendedUntil = this.getExtendedExpiry(rfq, now);
+
+            await rfq.update({
+                auctionBidCount: (rfq.auctionBidCount || 0) + 1,
+                ...(extendedUntil && {
+                    originalExpiresAt: rfq.originalExpiresAt || rfq.expiresAt,
+                    expiresAt: extendedUntil,
+                    extensionCount: (rfq.extensionCount || 0) + 1
+                })
+            }, { transaction });
+
+            ranking = await this.getRanking(rfqId, transaction);
+
+            bid = await RFQAuctionBid.create({
+                rfqId,
+                quoteId: quote.id,
+                supplierId,
+                amount: bidAmount,
+                previousAmount,
+                rankAfter: ranking.find(entry => entry.supplierId === supplierId).rank,
+                extended: extendedUntil !== null
+            }, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        this.publishBid(rfq, ranking, bid);
+
+        // Tell the supplier who just lost the lead (non-critical)
+        if (previousLeader && previousLeader.supplierId !== supplierId && ranking[0].supplierId === supplierId) {
+            await this.notifyUndercut(previousLeader.supplierId, rfq, ranking);
+        }
+
+        return {
+            bid,
+            quote,
+            auction: this.formatSupplierView(rfq, ranking, supplierId)
+        };
+    }
+
+    /**
+     * Auction state every participant may see
+     * @param {Object} rfq
+     * @param {Array} ranking
+     * @returns {Object}
+     */
+    static formatPublicState(rfq, ranking) {
+        const now = new Date();
+
+        return {
+            rfqId: rfq.id,
+            status: this.isLive(rfq, now) ? 'live' : 'closed',
+            lowestPrice: ranking.length > 0 ? ranking[0].price : null,
+            startPrice: rfq.auctionStartPrice ? parseFloat(rfq.auctionStartPrice) : null,
+            minimumDecrement: {
+                type: rfq.minDecrementType,
+                value: parseFloat(rfq.minDecrementValue) || 0
+            },
+            totalBidders: ranking.length,
+            totalBids: rfq.auctionBidCount || 0,
+            endsAt: rfq.expiresAt,
+            originalEndsAt: rfq.originalExpiresAt || rfq.expiresAt,
+            extensionCount: rfq.extensionCount || 0,
+            secondsRemaining: Math.max(0, Math.floor((new Date(rfq.expiresAt) - now) / 1000))
+        };
+    }
+
+    /**
+     * Auction state for one supplier: their own rank and price, competitors anonymous
+     * @param {Object} rfq
+     * @param {Array} ranking
+     * @param {string} supplierId
+     * @returns {Object}
+     */
+    static formatSupplierView(rfq, ranking, supplierId) {
+        const own = ranking.find(entry => entry.supplierId === supplierId);
+
+        return {
+            ...this.formatPublicState(rfq, ranking),
+            hasBid: Boolean(own),
+            myRank: own ? own.rank : null,
+            myPrice: own ? own.price : null,
+            isLowest: Boolean(own) && own.rank === 1,
+            ...this.getBidLimits(rfq, ranking, supplierId)
+        };
+    }
+
+    /**
+     * Get the auction as a supplier sees it
+     * @param {string} rfqId
+     * @param {string} supplierId
+     * @returns {Promise<Object>}
+     */
+    static async getSupplierView(rfqId, supplierId) {
+        const rfq = await RFQ.findByPk(rfqId);
+
+        // Private auctions are hidden from suppliers who weren't invited
+        if (!rfq || !(await RFQVisibilityService.canAccess(rfq, supplierId))) {
+            throw new Error('RFQ_NOT_FOUND');
+        }
+
+        if (!this.isReverseAuction(rfq)) {
+            throw new Error('NOT_REVERSE_AUCTION');
+        }
+
+        const ranking = await this.getRanking(rfqId);
+
+        return this.formatSupplierView(rfq, ranking, supplierId);
+    }
+
+    /**
+     * Get the live ranking as the buyer sees it (suppliers named)
+     * @param {string} rfqId
+     * @param {string} buyerId
+     * @returns {Promise<Object>}
+     */
+    static async getBuyerView(rfqId, buyerId) {
+        const rfq = await RFQ.findOne({ where: { id: rfqId, buyerId } });
+
+        if (!rfq) {
+            throw new Error('RFQ_NOT_FOUND');
+        }
+
+        if (!this.isReverseAuction(rfq)) {
+            throw new Error('NOT_REVERSE_AUCTION');
+        }
+
+        const ranking = await this.getRanking(rfqId);
+        const suppliers = await QuoteComparisonService.getSupplierDetails(ranking.map(entry => entry.supplierId));
+
+        return {
+            ...this.formatPublicState(rfq, ranking),
+            ranking: ranking.map(entry => ({
+                ...entry,
+                supplier: suppliers[entry.supplierId] || null
+            }))
+        };
+    }
+
+    /**
+     * Build the final ranking report once bidding has closed
+     * @param {string} rfqId
+     * @param {string} buyerId
+     * @returns {Promise<Object>}
+     */
+    static async getFinalReport(rfqId, buyerId) {
+        const rfq = await RFQ.findOne({ where: { id: rfqId, buyerId } });
+
+        if (!rfq) {
+            throw new Error('RFQ_NOT_FOUND');
+        }
+
+        if (!this.isReverseAuction(rfq)) {
+            throw new Error('NOT_REVERSE_AUCTION');
+        }
+
+        if (!rfq.auctionClosedAt) {
+            throw new Error('AUCTION_NOT_CLOSED');
+        }
+
+        const [ranking, bids] = await Promise.all([
+            this.getRanking(rfqId),
+            RFQAuctionBid.findAll({ where: { rfqId }, order: [['createdAt', 'ASC']] })
+        ]);
+        const suppliers = await QuoteComparisonService.getSupplierDetails(ranking.map(entry => entry.supplierId));
+        const quantity = parseFloat(rfq.quantity);
+
+        const openingBids = bids.reduce((map, bid) => {
+            if (!(bid.quoteId in map)) map[bid.quoteId] = parseFloat(bid.amount);
+            return map;
+        }, {});
+
+        const savings = (from, to) => (from && to !== null ? {
+            amount: this.round(from - to),
+            percent: this.round((from - to) / from * 100)
+        } : null);
+
+        const lowestPrice = ranking.length > 0 ? ranking[0].price : null;
+        const openingPrices = Object.values(openingBids);
+        const lowestOpeningPrice = openingPrices.length > 0 ? Math.min(...openingPrices) : null;
+        const startPrice = rfq.auctionStartPrice ? parseFloat(rfq.auctionStartPrice) : null;
+
+        return {
+            rfq: {
+                id: rfq.id,
+                rfqNumber: rfq.rfqNumber,
+                title: rfq.title,
+                quantity,
+                unit: rfq.unit,
+                startPrice,
+                minimumDecrement: {
+                    type: rfq.minDecrementType,
+                    value: parseFloat(rfq.minDecrementValue) || 0
+                },
+                originalEndsAt: rfq.originalExpiresAt || rfq.expiresAt,
+                endsAt: rfq.expiresAt,
+                closedAt: rfq.auctionClosedAt,
+                extensionCount: rfq.extensionCount || 0
+            },
+            summary: {
+                totalBidders: ranking.length,
+                totalBids: bids.length,
+                lowestPrice,
+                lowestTotal: lowestPrice !== null ? this.round(lowestPrice * quantity) : null,
+                lowestOpeningPrice,
+                savingsVsOpening: savings(lowestOpeningPrice, lowestPrice),
+                savingsVsStartPrice: savings(startPrice, lowestPrice)
+            },
+            ranking: ranking.map((entry) => {
+                const openingBid = openingBids[entry.quoteId] ?? entry.price;
+
+                return {
+                    rank: entry.rank,
+                    supplier: suppliers[entry.supplierId] || { id: entry.supplierId },
+                    quoteId: entry.quoteId,
+                    quoteNumber: entry.quoteNumber,
+                    status: entry.status,
+                    openingBid,
+                    finalBid: entry.price,
+                    reduction: savings(openingBid, entry.price),
+                    bidCount: entry.bidCount,
+                    lastBidAt: entry.lastBidAt,
+                    deliveryDays: entry.deliveryDays,
+                    totalValue: this.round(entry.price * quantity)
+                };
+            }),
+            timeline: bids.map(bid => ({
+                supplierId: bid.supplierId,
+                amount: parseFloat(bid.amount),
+                previousAmount: bid.previousAmount !== null ? parseFloat(bid.previousAmount) : null,
+                rankAfter: bid.rankAfter,
+                extended: bid.extended,
+                createdAt: bid.createdAt
+            }))
+        };
+    }
+
+    /**
+     * Close every live reverse auction whose deadline has passed
+     * @param {number} limit - Max auctions to close per run
+     * @returns {Promise<Array<Object>>} - Close results
+     */
+    static async closeDueAuctions(limit = 50) {
+        const due = await RFQ.findAll({
+            attributes: ['id'],
+            where: {
+                awardMode: 'reverse_auction',
+                status: 'active',
+                auctionClosedAt: null,
+                expiresAt: { [Op.lte]: new Date() }
+            },
+            order: [['expiresAt', 'ASC']],
+            limit
+        });
+
+        const closed = [];
+
+        for (const { id } of due) {
+            try {
+                const result = await this.closeAuction(id);
+                if (result) closed.push(result);
+            } catch (error) {
+                console.error(`Error closing reverse auction ${id}:`, error);
+            }
+        }
+
+        return closed;
+    }
+
+    /**
+     * Close bidding on a reverse auction. Quotes stay pending so the buyer
+     * can award from the final ranking.
+     * @param {string} rfqId
+     * @returns {Promise<Object|null>} - Close result, or null if not due
+     */
+    static async closeAuction(rfqId) {
+        const transaction = await sequelize.transaction();
+        let rfq;
+        let ranking;
+
+        try {
+            rfq = await RFQ.findByPk(rfqId, { lock: transaction.LOCK.UPDATE, transaction });
+
+            // A late bid may have extended the deadline since this auction was picked up
+            if (!rfq || rfq.auctionClosedAt || rfq.status !== 'active' || new Date(rfq.expiresAt) > new Date()) {
+                await transaction.commit();
+                return null;
+            }
+
+            await rfq.update({
+                status: 'closed',
+                auctionClosedAt: new Date()
+            }, { transaction });
+
+            ranking = await this.getRanking(rfqId, transaction);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        RealtimeService.publish(
+            RealtimeService.rfqAuctionChannel(rfq.id),
+            'status',
+            this.formatPublicState(rfq, ranking),
+            { rfq, ranking }
+        );
+
+        await this.notifyClosed(rfq, ranking);
+
+        return {
+            rfqId: rfq.id,
+            totalBidders: ranking.length,
+            lowestPrice: ranking.length > 0 ? ranking[0].price : null
+        };
+    }
+
+    /**
+     * Publish a bid and the updated auction state. Bidders are never
+     * identified; streams use the context to add each supplier's own rank.
+     * @param {Object} rfq
+     * @param {Array} ranking
+     * @param {Object} bid
+     */
+    static publishBid(rfq, ranking, bid) {
+        const channel = RealtimeService.rfqAuctionChannel(rfq.id);
+
+        RealtimeService.publish(channel, 'bid', {
+            rfqId: rfq.id,
+            amount: parseFloat(bid.amount),
+            rank: bid.rankAfter,
+            extended: bid.extended,
+            createdAt: bid.createdAt
+        }, { rfq, ranking, supplierId: bid.supplierId });
+
+        RealtimeService.publish(channel, 'auction', this.formatPublicState(rfq, ranking), { rfq, ranking });
+    }
+
+    /**
+     * Tell a supplier they have been undercut
+     * @param {string} supplierId
+     * @param {Object} rfq
+     * @param {Array} ranking
+     */
+    static async notifyUndercut(supplierId, rfq, ranking) {
+        const { maxBidToLead } = this.getBidLimits(rfq, ranking, supplierId);
+
+        try {
+            await Notification.create({
+                user_id: supplierId,
+                type: 'rfq_auction_undercut',
+                title: `You've been undercut`,
+                message: `Another supplier undercut you on ${rfq.title}. Lowest bid: ${this.formatPrice(ranking[0].price)}. Bid ${this.formatPrice(maxBidToLead)} or lower to retake the lead.`,
+                resource_type: 'rfq',
+                resource_id: rfq.id,
+                action_url: `/supplier/rfqs/${rfq.id}`,
+                priority: 'high',
+                data: { rfqId: rfq.id, lowestPrice: ranking[0].price }
+            });
+        } catch (error) {
+            console.error('Error sending undercut notification:', error);
+        }
+    }
+
+    /**
+     * Tell the buyer bidding has closed and each supplier where they finished
+     * @param {Object} rfq
+     * @param {Array} ranking
+     */
+    static async notifyClosed(rfq, ranking) {
+        const lowest = ranking.length > 0 ? `Lowest bid: ${this.formatPrice(ranking[0].price)} from ${ranking.length} supplier(s).` : 'No bids were placed.';
+
+        try {
+            await Notification.createBulk([
+                {
+                    user_id: rfq.buyerId,
+                    type: 'rfq_auction_closed',
+                    title: 'Reverse auction closed',
+                    message: `Bidding on ${rfq.title} has closed. ${lowest}`,
+                    resource_type: 'rfq',
+                    resource_id: rfq.id,
+                    action_url: `/buyer/rfq/${rfq.id}`,
+                    priority: 'high',
+                    data: { rfqId: rfq.id, totalBidders: ranking.length }
+                },
+                ...ranking.map(entry => ({
+                    user_id: entry.supplierId,
+                    type: 'rfq_auction_closed',
+                    title: 'Reverse auction closed',
+                    message: `Bidding on ${rfq.title} has closed. You finished #${entry.rank} of ${ranking.length} at ${this.formatPrice(entry.price)}.`,
+                    resource_type: 'rfq',
+                    resource_id: rfq.id,
+                    action_url: `/supplier/rfqs/${rfq.id}`,
+                    priority: 'normal',
+                    data: { rfqId: rfq.id, rank: entry.rank }
+                }))
+            ]);
+        } catch (error) {
+            console.error('Error sending reverse auction closed notifications:', error);
+        }
+    }
+}
+
+module.exports = RFQReverseAuctionService;
@@ -0,0 +1,421 @@
+const { Op } = require('sequelize');
+const { query: db } = require('../config/database');
+const { RFQ, RFQTemplate } = require('../models');
+const RFQService = require('./rfq.service');
+const RFQLineItemService = require('./rfqLineItem.service');
+const NotificationService = require('./notification.service');
+const { createRFQSchema } = require('../validators/rfq.validator');
+
+/**
+ * Months between runs for each recurrence frequency
+ */
+const RECURRENCE_MONTHS = {
+    monthly: 1,
+    quarterly: 3
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * RFQ Template Service
+ * Saves RFQs as reusable templates, raises new RFQs from them and
+ * publishes recurring (monthly/quarterly) RFQs on schedule.
+ * Each RFQ raised from a template gets a fresh requiredByDate and
+ * a copy of the template's attachments.
+ */
+class RFQTemplateService {
+    /**
+     * Map a template error to an HTTP response shape.
+     * Falls back to RFQ creation errors (invitees, approved vendors).
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const detail = error.message.split(': ')[1];
+        const errors = {
+            'TEMPLATE_NOT_FOUND': [404, 'Template not found'],
+            'RFQ_NOT_FOUND': [404, 'RFQ not found'],
+            'INVALID_TEMPLATE_RFQ': [400, detail || 'The template does not make a valid RFQ']
+        };
+
+        if (!errors[code]) {
+            return RFQService.describeError(error);
+        }
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
+    /**
+     * Next publish time after a run.
+     * Runs stay on the schedule's day of the month; in a shorter month they
+     * fall on its last day, and the month after goes back to the anchor day.
+     * @param {Date} from
+     * @param {string} frequency - monthly | quarterly
+     * @param {number} anchorDay - Day of the month the schedule runs on (defaults to from's)
+     * @returns {Date}
+     */
+    static getNextRunAt(from, frequency, anchorDay = new Date(from).getDate()) {
+        const next = new Date(from);
+
+        // Move from the 1st so setMonth can't roll over into the month after
+        next.setDate(1);
+        next.setMonth(next.getMonth() + RECURRENCE_MONTHS[frequency]);
+
+        const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+        next.setDate(Math.min(anchorDay, lastDay));
+
+        return next;
+    }
+
+    /**
+     * First run of a template's schedule after now.
+     * Slots missed while the template was paused or the scheduler was down
+     * are skipped, so a late schedule publishes once instead of once per
+     * missed period.
+     * @param {Object} template - {nextRunAt, recurrenceFrequency, recurrenceDay, recurrenceEndsAt}
+     * @param {Date} now
+     * @returns {Date|null} - null once the schedule has ended
+     */
+    static getNextRunAfter(template, now = new Date()) {
+        const anchorDay = template.recurrenceDay || new Date(template.nextRunAt).getDate();
+        let next = new Date(template.nextRunAt);
+
+        do {
+            next = this.getNextRunAt(next, template.recurrenceFrequency, anchorDay);
+        } while (next <= now);
+
+        if (template.recurrenceEndsAt && next > new Date(template.recurrenceEndsAt)) {
+            return null;
+        }
+
+        return next;
+    }
+
+    /**
+     * Recurrence columns for a schedule, or cleared columns to stop recurring
+     * @param {Object|null} recurrence - {frequency, startAt, endsAt}
+     * @returns {Object}
+     */
+    static buildSchedule(recurrence) {
+        if (!recurrence) {
+            return { recurrenceFrequency: null, recurrenceDay: null, nextRunAt: null, recurrenceEndsAt: null };
+        }
+
+        const nextRunAt = recurrence.startAt
+            ? new Date(recurrence.startAt)
+            : this.getNextRunAt(new Date(), recurrence.frequency);
+
+        return {
+            recurrenceFrequency: recurrence.frequency,
+            recurrenceDay: nextRunAt.getDate(),
+            nextRunAt,
+            recurrenceEndsAt: recurrence.endsAt || null
+        };
+    }
+
+    /**
+     * Copy an RFQ into the request shape POST /api/rfq accepts.
+     * Dates are left out: each new RFQ gets its own requiredByDate and deadline.
+     * @param {Object} rfq - RFQ instance
+     * @returns {Promise<Object>}
+     */
+    static async buildTemplateData(rfq) {
+        const [lines, invited] = await Promise.all([
+            RFQLineItemService.getLines(rfq.id),
+            db(
+                `SELECT supplier_id FROM rfq_invitations
+                 WHERE rfq_id = $1 AND source = 'buyer'
+                 ORDER BY created_at ASC`,
+                [rfq.id]
+            )
+        ]);
+
+        const data = {
+            title: rfq.title,
+            categoryId: rfq.categoryId,
+            industryId: rfq.industryId,
+            budgetMin: rfq.budgetMin !== null ? parseFloat(rfq.budgetMin) : null,
+            budgetMax: rfq.budgetMax !== null ? parseFloat(rfq.budgetMax) : null,
+            detailedRequirements: rfq.detailedRequirements || '',
+            preferredLocation: rfq.preferredLocation || '',
+            durationDays: rfq.durationDays,
+            attachments: rfq.attachments || [],
+            awardMode: rfq.awardMode,
+            visibility: rfq.visibility
+        };
+
+        if (lines.length > 0) {
+            data.lineItems = lines.map(line => ({
+                itemName: line.itemName,
+                specification: line.specification || '',
+                quantity: parseFloat(line.quantity),
+                unit: line.unit,
+                targetPrice: line.targetPrice !== null ? parseFloat(line.targetPrice) : null
+            }));
+        } else {
+            data.quantity = parseFloat(rfq.quantity);
+            data.unit = rfq.unit;
+        }
+
+        if (rfq.awardMode === 'reverse_auction') {
+            data.reverseAuction = {
+                startPrice: rfq.auctionStartPrice !== null ? parseFloat(rfq.auctionStartPrice) : null,
+                decrementType: rfq.minDecrementType,
+                decrementValue: parseFloat(rfq.minDecrementValue),
+                extensionWindowMinutes: rfq.extensionWindowMinutes,
+                extensionMinutes: rfq.extensionMinutes,
+                maxExtensions: rfq.maxExtensions
+            };
+        }
+
+        if (invited.rows.length > 0) {
+            data.invitedSupplierIds = invited.rows.map(row => row.supplier_id);
+        }
+
+        return data;
+    }
+
+    /**
+     * Save one of the buyer's RFQs as a template
+     * @param {string} buyerId
+     * @param {string} rfqId
+     * @param {Object} options - {name, requiredByOffsetDays, recurrence}
+     * @returns {Promise<Object>} - RFQTemplate instance
+     */
+    static async saveFromRFQ(buyerId, rfqId, { name, requiredByOffsetDays, recurrence = null }) {
+        const rfq = await RFQ.findOne({ where: { id: rfqId, buyerId } });
+
+        if (!rfq) {
+            throw new Error('RFQ_NOT_FOUND');
+        }
+
+        // Keep the same lead time the source RFQ gave suppliers
+        const offset = requiredByOffsetDays || (rfq.requiredByDate
+            ? Math.max(Math.ceil((new Date(rfq.requiredByDate) - new Date(rfq.createdAt)) / DAY_MS), 1)
+            : null);
+
+        return RFQTemplate.create({
+            buyerId,
+            sourceRfqId: rfq.id,
+            name,
+            rfqData: await this.buildTemplateData(rfq),
+            requiredByOffsetDays: offset,
+            ...this.buildSchedule(recurrence)
+        });
+    }
+
+    /**
+     * Get a buyer's templates, most recent first
+     * @param {string} buyerId
+     * @returns {Promise<Array>}
+     */
+    static async listTemplates(buyerId) {
+        return RFQTemplate.findAll({
+            where: { buyerId },
+            order: [['createdAt', 'DESC']]
+        });
+    }
+
+    /**
+     * Get one of the buyer's templates
+     * @param {string} buyerId
+     * @param {string} templateId
+     * @returns {Promise<Object>}
+     */
+    static async getTemplate(buyerId, templateId) {
+        const template = await RFQTemplate.findOne({ where: { id: templateId, buyerId } });
+
+        if (!template) {
+            throw new Error('TEMPLATE_NOT_FOUND');
+        }
+
+        return template;
+    }
+
+    /**
+     * Update a template's name, schedule or RFQ fields
+     * @param {string} buyerId
+     * @param {string} templateId
+     * @param {Object} updates - {name, requiredByOffsetDays, recurrence, isActive, rfq}
+     * @returns {Promise<Object>}
+     */
+    static async updateTemplate(buyerId, templateId, updates) {
+        const template = await this.getTemplate(buyerId, templateId);
+        const { name, requiredByOffsetDays, recurrence, isActive, rfq } = updates;
+        const changes = {};
+
+        if (name !== undefined) changes.name = name;
+        if (requiredByOffsetDays !== undefined) changes.requiredByOffsetDays = requiredByOffsetDays;
+        if (isActive !== undefined) changes.isActive = isActive;
+        if (recurrence !== undefined) {
+            Object.assign(changes, this.buildSchedule(recurrence));
+        } else if (isActive && !template.isActive && template.nextRunAt && new Date(template.nextRunAt) <= new Date()) {
+            // Resume from the next slot rather than publishing the runs missed while paused
+            changes.nextRunAt = this.getNextRunAfter(template);
+        }
+
+        if (rfq) {
+            const rfqData = { ...template.rfqData, ...rfq };
+            // Edited fields must still make a valid RFQ
+            this.buildRFQData({ ...template.toJSON(), rfqData });
+            changes.rfqData = rfqData;
+        }
+
+        return template.update(changes);
+    }
+
+    /**
+     * Delete a template. RFQs raised from it are kept.
+     * @param {string} buyerId
+     * @param {string} templateId
+     */
+    static async deleteTemplate(buyerId, templateId) {
+        const template = await this.getTemplate(buyerId, templateId);
+        await template.destroy();
+    }
+
+    /**
+     * Build a validated createRFQ body from a template and any overrides.
+     * requiredByDate is set afresh from the template's offset unless overridden.
+     * @param {Object} template - RFQTemplate instance or plain object
+     * @param {Object} overrides - RFQ fields that replace the template's
+     * @returns {Object}
+     */
+    static buildRFQData(template, overrides = {}) {
+        const data = { ...template.rfqData };
+
+        if (template.requiredByOffsetDays) {
+            data.requiredByDate = new Date(Date.now() + template.requiredByOffsetDays * DAY_MS)
+                .toISOString()
+                .slice(0, 10);
+        }
+
+        // Line items and a flat quantity are alternatives; an override of one replaces the other
+        if (overrides.lineItems) {
+            delete data.quantity;
+            delete data.unit;
+        } else if (overrides.quantity !== undefined || overrides.unit !== undefined) {
+            delete data.lineItems;
+        }
+
+        const { error, value } = createRFQSchema.validate({ ...data, ...overrides }, {
+            abortEarly: true,
+            stripUnknown: true
+        });
+
+        if (error) {
+            throw new Error(`INVALID_TEMPLATE_RFQ: ${error.details[0].message}`);
+        }
+
+        // Attachments are copied so later edits to the template don't touch this RFQ
+        value.attachments = (value.attachments || []).map(attachment => ({ ...attachment }));
+
+        return value;
+    }
+
+    /**
+     * Raise a new RFQ from a template on demand
+     * @param {string} buyerId
+     * @param {string} templateId
+     * @param {Object} overrides
+     * @returns {Promise<Object>} - {rfq, lineItems}
+     */
+    static async createFromTemplate(buyerId, templateId, overrides = {}) {
+        const template = await this.getTemplate(buyerId, templateId);
+        const result = await RFQService.createRFQ(buyerId, this.buildRFQData(template, overrides), {
+            templateId: template.id
+        });
+
+        await template.update({
+            useCount: template.useCount + 1,
+            lastRfqId: result.rfq.id
+        });
+
+        return result;
+    }
+
+    /**
+     * Publish RFQs for recurring templates that are due.
+     * The schedule advances even if publishing fails, so a broken template
+     * doesn't retry every pass; the error is kept on the template instead.
+     * A schedule that fell behind publishes once and moves to its first slot
+     * after now.
+     * @param {number} limit - Max templates per pass
+     * @returns {Promise<Array>} - [{templateId, rfqId}]
+     */
+    static async publishDueRecurring(limit = 20) {
+        const now = new Date();
+
+        const due = await RFQTemplate.findAll({
+            where: {
+                isActive: true,
+                recurrenceFrequency: { [Op.ne]: null },
+                nextRunAt: { [Op.lte]: now }
+            },
+            order: [['nextRunAt', 'ASC']],
+            limit
+        });
+
+        const published = [];
+
+        for (const template of due) {
+            // Claim this run so overlapping passes can't publish it twice
+            const [claimed] = await RFQTemplate.update(
+                {
+                    nextRunAt: this.getNextRunAfter(template, now),
+                    lastRunAt: now
+                },
+                { where: { id: template.id, nextRunAt: template.nextRunAt } }
+            );
+            if (claimed === 0) continue;
+
+            try {
+                const { rfq } = await RFQService.createRFQ(template.buyerId, this.buildRFQData(template), {
+                    templateId: template.id
+                });
+
+                await template.update({
+                    runCount: template.runCount + 1,
+                    lastRfqId: rfq.id,
+                    lastRunError: null
+                });
+
+                published.push({ templateId: template.id, rfqId: rfq.id });
+                await this.notifyPublished(template, rfq);
+            } catch (error) {
+                console.error(`Error publishing recurring RFQ from template ${template.id}:`, error);
+
+                // Recording the error mustn't stop the rest of the batch
+                const described = this.describeError(error);
+                await template.update({ lastRunError: described ? described.message : error.message })
+                    .catch(updateError => console.error(`Error saving run error on template ${template.id}:`, updateError));
+            }
+        }
+
+        return published;
+    }
+
+    /**
+     * Tell the buyer a recurring RFQ went out (non-critical)
+     * @param {Object} template
+     * @param {Object} rfq
+     */
+    static async notifyPublished(template, rfq) {
+        try {
+            await NotificationService.sendSystemNotification(
+                template.buyerId,
+                'Recurring RFQ published',
+                `"${rfq.title}" (${rfq.rfqNumber}) was published from your template "${template.name}".`
+            );
+        } catch (notifError) {
+            console.error('Error sending recurring RFQ notification:', notifError);
+        }
+    }
+}
+
+module.exports = RFQTemplateService;
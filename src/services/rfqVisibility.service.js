@@ -0,0 +1,303 @@
+const { query: db } = require('../config/database');
+const SupplierMatchingService = require('./supplierMatching.service');
+
+const INVITE_REASONS = {
+    buyer: 'Invited directly by the buyer',
+    approved_vendor: "On the buyer's approved vendor list"
+};
+
+/**
+ * RFQ Visibility Service
+ * Controls which suppliers can see and quote on an RFQ:
+ * - public: every supplier
+ * - invite_only: suppliers the buyer named
+ * - approved_vendors: suppliers on the buyer's approved vendor list
+ * A supplier who was invited or has already quoted keeps access either way.
+ */
+class RFQVisibilityService {
+    /**
+     * Map a visibility error to an HTTP response shape
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const detail = error.message.split(': ')[1];
+        const errors = {
+            'RFQ_NOT_FOUND': [404, 'RFQ not found'],
+            'RFQ_NOT_ACTIVE': [400, 'Suppliers can only be invited to an active RFQ'],
+            'RFQ_NOT_VISIBLE': [403, 'This RFQ is open to invited suppliers only'],
+            'INVITED_SUPPLIERS_REQUIRED': [400, 'Name at least one supplier to invite to an invite-only RFQ'],
+            'NO_APPROVED_VENDORS': [400, 'Add suppliers to your approved vendor list before posting an approved-vendors RFQ'],
+            'INVALID_SUPPLIERS': [400, detail ? `Not an active supplier: ${detail}` : 'One or more suppliers are not active suppliers'],
+            'APPROVED_VENDOR_NOT_FOUND': [404, 'Supplier is not on your approved vendor list']
+        };
+
+        if (!errors[code]) return null;
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
+    /**
+     * SQL condition limiting an RFQ query to the RFQs a supplier may see
+     * @param {string} supplierParam - Placeholder holding the supplier ID, e.g. '$3'
+     * @param {string} alias - Alias of the rfqs table in the query
+     * @returns {string}
+     */
+    static getAccessCondition(supplierParam, alias = 'r') {
+        return `(
+            ${alias}.visibility = 'public'
+            OR EXISTS (
+                SELECT 1 FROM rfq_invitations vri
+                WHERE vri.rfq_id = ${alias}.id AND vri.supplier_id = ${supplierParam}
+            )
+            OR (
+                ${alias}.visibility = 'approved_vendors' AND EXISTS (
+                    SELECT 1 FROM buyer_approved_vendors bav
+                    WHERE bav.buyer_id = ${alias}.buyer_id AND bav.supplier_id = ${supplierParam}
+                )
+            )
+            OR EXISTS (
+                SELECT 1 FROM quotes vq
+                WHERE vq.rfq_id = ${alias}.id AND vq.supplier_id = ${supplierParam}
+            )
+        )`;
+    }
+
+    /**
+     * Whether a supplier may see and quote on an RFQ
+     * @param {Object} rfq - RFQ instance (needs id and visibility)
+     * @param {string} supplierId
+     * @returns {Promise<boolean>}
+     */
+    static async canAccess(rfq, supplierId) {
+        if (rfq.visibility === 'public') return true;
+
+        const result = await db(
+            `SELECT ${this.getAccessCondition('$2')} AS allowed FROM rfqs r WHERE r.id = $1`,
+            [rfq.id, supplierId]
+        );
+
+        return result.rows.length > 0 && result.rows[0].allowed;
+    }
+
+    /**
+     * Throw RFQ_NOT_VISIBLE unless the supplier may quote on the RFQ
+     * @param {Object} rfq
+     * @param {string} supplierId
+     */
+    static async assertAccess(rfq, supplierId) {
+        if (!(await this.canAccess(rfq, supplierId))) {
+            throw new Error('RFQ_NOT_VISIBLE');
+        }
+    }
+
+    /**
+     * Load active suppliers by ID with the contact details used for invitations
+     * @param {Array<string>} supplierIds
+     * @param {string} buyerId - Excluded, so a buyer can't invite themselves
+     * @returns {Promise<Array>} - [{supplierId, firstName, businessName, email}]
+     */
+    static async findSuppliers(supplierIds, buyerId) {
+        const uniqueIds = [...new Set(supplierIds)];
+
+        const result = await db(
+            `SELECT
+                u.id AS supplier_id,
+                u.first_name,
+                COALESCE(sp.business_name, u.company_name) AS business_name,
+                COALESCE(sp.business_email, u.business_email) AS email
+            FROM users u
+            JOIN user_roles ur ON ur.user_id = u.id AND ur.role = 'supplier' AND ur.is_active = true
+            LEFT JOIN supplier_profiles sp ON sp.user_id = u.id
+            WHERE u.id = ANY($1::uuid[])
+            AND u.is_active = true
+            AND u.id <> $2`,
+            [uniqueIds, buyerId]
+        );
+
+        const found = result.rows.map(row => row.supplier_id);
+        const missing = uniqueIds.filter(id => !found.includes(id));
+        if (missing.length > 0) {
+            throw new Error(`INVALID_SUPPLIERS: ${missing.join(', ')}`);
+        }
+
+        return result.rows.map(row => ({
+            supplierId: row.supplier_id,
+            firstName: row.first_name,
+            businessName: row.business_name,
+            email: row.email
+        }));
+    }
+
+    /**
+     * Work out who to invite directly when an RFQ is posted.
+     * Run before the RFQ is created so a bad supplier list rejects the request.
+     * @param {string} buyerId
+     * @param {string} visibility
+     * @param {Array<string>} invitedSupplierIds - Suppliers the buyer named
+     * @returns {Promise<Array>} - Invitees for SupplierMatchingService.inviteNamedSuppliers
+     */
+    static async resolveInvitees(buyerId, visibility, invitedSupplierIds = []) {
+        const named = invitedSupplierIds.length > 0
+            ? await this.findSuppliers(invitedSupplierIds, buyerId)
+            : [];
+
+        if (visibility === 'invite_only' && named.length === 0) {
+            throw new Error('INVITED_SUPPLIERS_REQUIRED');
+        }
+
+        const invitees = named.map(supplier => ({
+            ...supplier,
+            source: 'buyer',
+            reasons: [INVITE_REASONS.buyer]
+        }));
+
+        if (visibility === 'approved_vendors') {
+            const approved = await this.getApprovedVendors(buyerId, { activeOnly: true });
+            if (approved.length === 0) {
+                throw new Error('NO_APPROVED_VENDORS');
+            }
+
+            const namedIds = new Set(named.map(supplier => supplier.supplierId));
+            approved
+                .filter(vendor => !namedIds.has(vendor.supplierId))
+                .forEach(vendor => invitees.push({
+                    supplierId: vendor.supplierId,
+                    firstName: vendor.firstName,
+                    businessName: vendor.businessName,
+                    email: vendor.email,
+                    source: 'approved_vendor',
+                    reasons: [INVITE_REASONS.approved_vendor]
+                }));
+        }
+
+        return invitees;
+    }
+
+    /**
+     * Invite suppliers to a newly posted RFQ. Public RFQs are also
+     * auto-matched; restricted RFQs only reach the resolved invitees.
+     * @param {Object} rfq
+     * @param {Array} invitees - Result of resolveInvitees
+     * @returns {Promise<Array>} - Invited supplier IDs
+     */
+    static async distribute(rfq, invitees) {
+        const invitedIds = await SupplierMatchingService.inviteNamedSuppliers(rfq, invitees);
+
+        if (rfq.visibility === 'public') {
+            invitedIds.push(...await SupplierMatchingService.inviteSuppliers(rfq));
+        }
+
+        return invitedIds;
+    }
+
+    /**
+     * Invite more named suppliers to an existing RFQ
+     * @param {Object} rfq - RFQ instance owned by the buyer
+     * @param {Array<string>} supplierIds
+     * @returns {Promise<Array>} - Newly invited supplier IDs (already-invited suppliers are skipped)
+     */
+    static async inviteSuppliers(rfq, supplierIds) {
+        if (rfq.status !== 'active') {
+            throw new Error('RFQ_NOT_ACTIVE');
+        }
+
+        const suppliers = await this.findSuppliers(supplierIds, rfq.buyerId);
+
+        return SupplierMatchingService.inviteNamedSuppliers(rfq, suppliers.map(supplier => ({
+            ...supplier,
+            source: 'buyer',
+            reasons: [INVITE_REASONS.buyer]
+        })));
+    }
+
+    /**
+     * Get a buyer's approved vendor list
+     * @param {string} buyerId
+     * @param {Object} options - {activeOnly}: skip suppliers who are no longer active
+     * @returns {Promise<Array>}
+     */
+    static async getApprovedVendors(buyerId, { activeOnly = false } = {}) {
+        const result = await db(
+            `SELECT
+                bav.supplier_id,
+                bav.notes,
+                bav.created_at,
+                u.first_name,
+                COALESCE(sp.business_name, u.company_name) AS business_name,
+                COALESCE(sp.business_email, u.business_email) AS email,
+                u.city,
+                u.state,
+                sp.rating,
+                sp.verification_status,
+                u.is_active
+            FROM buyer_approved_vendors bav
+            JOIN users u ON u.id = bav.supplier_id
+            LEFT JOIN supplier_profiles sp ON sp.user_id = bav.supplier_id
+            WHERE bav.buyer_id = $1
+            ${activeOnly ? 'AND u.is_active = true' : ''}
+            ORDER BY bav.created_at DESC`,
+            [buyerId]
+        );
+
+        return result.rows.map(row => ({
+            supplierId: row.supplier_id,
+            firstName: row.first_name,
+            businessName: row.business_name,
+            email: row.email,
+            location: [row.city, row.state].filter(Boolean).join(', ') || null,
+            rating: row.rating ? parseFloat(row.rating) : null,
+            verificationStatus: row.verification_status || null,
+            isActive: row.is_active,
+            notes: row.notes,
+            approvedAt: row.created_at
+        }));
+    }
+
+    /**
+     * Add suppliers to a buyer's approved vendor list.
+     * Suppliers already on the list keep their entry; notes are updated when given.
+     * @param {string} buyerId
+     * @param {Array<string>} supplierIds
+     * @param {string} notes
+     * @returns {Promise<Array>} - The updated approved vendor list
+     */
+    static async addApprovedVendors(buyerId, supplierIds, notes = null) {
+        const suppliers = await this.findSuppliers(supplierIds, buyerId);
+
+        await db(
+            `INSERT INTO buyer_approved_vendors (buyer_id, supplier_id, notes)
+             SELECT $1, supplier_id, $3
+             FROM UNNEST($2::uuid[]) AS supplier_id
+             ON CONFLICT (buyer_id, supplier_id)
+             DO UPDATE SET notes = COALESCE(EXCLUDED.notes, buyer_approved_vendors.notes)`,
+            [buyerId, suppliers.map(supplier => supplier.supplierId), notes]
+        );
+
+        return this.getApprovedVendors(buyerId);
+    }
+
+    /**
+     * Remove a supplier from a buyer's approved vendor list.
+     * Invitations already sent for approved-vendor RFQs are kept.
+     * @param {string} buyerId
+     * @param {string} supplierId
+     */
+    static async removeApprovedVendor(buyerId, supplierId) {
+        const result = await db(
+            'DELETE FROM buyer_approved_vendors WHERE buyer_id = $1 AND supplier_id = $2 RETURNING id',
+            [buyerId, supplierId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('APPROVED_VENDOR_NOT_FOUND');
+        }
+    }
+}
+
+module.exports = RFQVisibilityService;
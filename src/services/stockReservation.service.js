@@ -0,0 +1,296 @@
+const { pool, query: db } = require('../config/database');
+
+/**
+ * How long a checkout session holds its stock. The session expires at the same time.
+ */
+const RESERVATION_TTL_MINUTES = parseInt(process.env.CHECKOUT_RESERVATION_TTL_MINUTES) || 30;
+
+/**
+ * Stock Reservation Service
+ * A checkout session reserves its cart quantities so two buyers can't
+ * both check out the last units. Stock available to a new checkout is
+ * products.quantity minus active, unexpired reservations. A reservation
+ * is consumed when its order is placed, released when the buyer cancels
+ * or starts another checkout, and expired once its TTL passes.
+ */
+class StockReservationService {
+    /**
+     * Map a reservation error to an HTTP response shape
+     * @param {Error} error
+     * @returns {Object|null} - {statusCode, message, code}, or null for unexpected errors
+     */
+    static describeError(error) {
+        const code = error.message.split(':')[0];
+        const errors = {
+            'CHECKOUT_SESSION_NOT_FOUND': [404, 'Checkout session not found'],
+            'CHECKOUT_SESSION_ALREADY_USED': [400, 'This checkout session has already been used to place an order']
+        };
+
+        if (!errors[code]) return null;
+
+        return {
+            statusCode: errors[code][0],
+            message: errors[code][1],
+            code
+        };
+    }
+
+    /**
+     * When a reservation made now runs out
+     * @param {Date} now
+     * @returns {Date}
+     */
+    static getExpiry(now = new Date()) {
+        return new Date(now.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000);
+    }
+
+    /**
+     * Quantities held by active reservations
+     * @param {Array<string>} productIds
+     * @param {Object} options - {excludeSessionId, excludeUserId} leave out the caller's own holds
+     * @param {Object} client - Transaction client, when inside one
+     * @returns {Promise<Map>} - productId → reserved quantity
+     */
+    static async getReservedQuantities(productIds, { excludeSessionId = null, excludeUserId = null } = {}, client = null) {
+        const reserved = new Map();
+
+        if (!productIds || productIds.length === 0) return reserved;
+
+        const result = await (client ? client.query.bind(client) : db)(
+            `SELECT product_id, SUM(quantity)::int AS reserved
+             FROM stock_reservations
+             WHERE product_id = ANY($1::uuid[])
+               AND status = 'active'
+               AND expires_at > NOW()
+               AND ($2::uuid IS NULL OR checkout_session_id <> $2)
+               AND ($3::uuid IS NULL OR user_id <> $3)
+             GROUP BY product_id`,
+            [productIds, excludeSessionId, excludeUserId]
+        );
+
+        for (const row of result.rows) {
+            reserved.set(row.product_id, row.reserved);
+        }
+
+        return reserved;
+    }
+
+    /**
+     * Reserve a checkout session's quantities
+     * The products are locked so concurrent checkouts are checked one after
+     * another. The buyer's reservations from earlier checkouts are released
+     * first and those sessions cancelled, so a buyer never competes with
+     * their own abandoned checkout.
+     * @param {Object} params - {sessionId, userId, items: cart items, expiresAt}
+     * @returns {Promise<Object>} - {reserved, reservations, stockIssues}
+     */
+    static async reserveForSession({ sessionId, userId, items, expiresAt }) {
+        const requested = new Map();
+        for (const item of items) {
+            const line = requested.get(item.productId) || { productId: item.productId, title: item.title, quantity: 0 };
+            line.quantity += item.quantity;
+            requested.set(item.productId, line);
+        }
+        const productIds = [...requested.keys()];
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const products = await client.query(
+                `SELECT id, title, quantity, status
+                 FROM products
+                 WHERE id = ANY($1::uuid[])
+                 ORDER BY id
+                 FOR UPDATE`,
+                [productIds]
+            );
+
+            const released = await client.query(
+                `UPDATE stock_reservations
+                 SET status = 'released', closed_at = NOW()
+                 WHERE user_id = $1 AND status = 'active' AND checkout_session_id <> $2
+                 RETURNING checkout_session_id`,
+                [userId, sessionId]
+            );
+
+            const replacedSessionIds = [...new Set(released.rows.map(row => row.checkout_session_id))];
+            if (replacedSessionIds.length > 0) {
+                await client.query(
+                    `UPDATE checkout_sessions
+                     SET status = 'cancelled'
+                     WHERE id = ANY($1::uuid[]) AND status = 'pending' AND is_used = false`,
+                    [replacedSessionIds]
+                );
+            }
+
+            const reserved = await this.getReservedQuantities(productIds, { excludeSessionId: sessionId }, client);
+
+            const stockIssues = [];
+            for (const line of requested.values()) {
+                const product = products.rows.find(row => row.id === line.productId);
+
+                if (!product || product.status !== 'active') {
+                    stockIssues.push({
+                        productId: line.productId,
+                        title: line.title,
+                        reason: product ? 'PRODUCT_INACTIVE' : 'PRODUCT_NOT_FOUND',
+                        message: product ? 'Product is no longer active' : 'Product no longer available'
+                    });
+                    continue;
+                }
+
+                const reservedQuantity = reserved.get(line.productId) || 0;
+                const available = Math.max(product.quantity - reservedQuantity, 0);
+
+                if (available < line.quantity) {
+                    stockIssues.push({
+                        productId: line.productId,
+                        title: line.title,
+                        reason: 'INSUFFICIENT_STOCK',
+                        message: reservedQuantity > 0
+                            ? `Only ${available} units available; ${reservedQuantity} are held in other checkouts`
+                            : `Only ${available} units available`,
+                        requestedQuantity: line.quantity,
+                        availableQuantity: available,
+                        reservedQuantity
+                    });
+                }
+            }
+
+            if (stockIssues.length > 0) {
+                await client.query('ROLLBACK');
+                return { reserved: false, reservations: [], stockIssues };
+            }
+
+            const reservations = [];
+            for (const line of requested.values()) {
+                const result = await client.query(
+                    `INSERT INTO stock_reservations
+                        (checkout_session_id, user_id, product_id, quantity, expires_at)
+                     VALUES ($1, $2, $3, $4, $5)
+                     ON CONFLICT (checkout_session_id, product_id)
+                     DO UPDATE SET quantity = EXCLUDED.quantity, expires_at = EXCLUDED.expires_at, status = 'active'
+                     RETURNING product_id, quantity, expires_at`,
+                    [sessionId, userId, line.productId, line.quantity, expiresAt]
+                );
+                reservations.push({
+                    productId: result.rows[0].product_id,
+                    quantity: result.rows[0].quantity,
+                    expiresAt: result.rows[0].expires_at
+                });
+            }
+
+            await client.query('COMMIT');
+
+            return { reserved: true, reservations, stockIssues: [] };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Cancel a checkout session and release its stock
+     * @param {string} sessionId
+     * @param {string} userId - Must own the session
+     * @returns {Promise<Object>} - {sessionId, releasedItems}
+     */
+    static async releaseSession(sessionId, userId) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const session = await client.query(
+                'SELECT id, is_used FROM checkout_sessions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+                [sessionId, userId]
+            );
+
+            if (session.rows.length === 0) {
+                throw new Error('CHECKOUT_SESSION_NOT_FOUND');
+            }
+
+            if (session.rows[0].is_used) {
+                throw new Error('CHECKOUT_SESSION_ALREADY_USED');
+            }
+
+            const released = await client.query(
+                `UPDATE stock_reservations
+                 SET status = 'released', closed_at = NOW()
+                 WHERE checkout_session_id = $1 AND status = 'active'`,
+                [sessionId]
+            );
+
+            await client.query(
+                "UPDATE checkout_sessions SET status = 'cancelled' WHERE id = $1",
+                [sessionId]
+            );
+
+            await client.query('COMMIT');
+
+            return { sessionId, releasedItems: released.rowCount };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Mark a session's reservations as turned into an order
+     * Called once the order has deducted the stock itself.
+     * @param {string} sessionId
+     * @param {string} orderId
+     * @returns {Promise<number>} - Reservations consumed
+     */
+    static async consumeSession(sessionId, orderId) {
+        const result = await db(
+            `UPDATE stock_reservations
+             SET status = 'consumed', order_id = $2, closed_at = NOW()
+             WHERE checkout_session_id = $1 AND status = 'active'
+             RETURNING id`,
+            [sessionId, orderId]
+        );
+
+        return result.rows.length;
+    }
+
+    /**
+     * Expire reservations and checkout sessions past their TTL
+     * Expired rows already stop holding stock; this keeps their status honest.
+     * @param {number} limit - Max reservations per pass
+     * @returns {Promise<Object>} - {reservations, sessions}
+     */
+    static async expireDue(limit = 500) {
+        const reservations = await db(
+            `UPDATE stock_reservations
+             SET status = 'expired', closed_at = NOW()
+             WHERE id IN (
+                 SELECT id FROM stock_reservations
+                 WHERE status = 'active' AND expires_at <= NOW()
+                 LIMIT $1
+             )
+             RETURNING id`,
+            [limit]
+        );
+
+        const sessions = await db(
+            `UPDATE checkout_sessions
+             SET status = 'expired'
+             WHERE status = 'pending' AND is_used = false AND expires_at <= NOW()
+             RETURNING id`
+        );
+
+        return {
+            reservations: reservations.rows.length,
+            sessions: sessions.rows.length
+        };
+    }
+}
+
+module.exports = StockReservationService;
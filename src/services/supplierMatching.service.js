@@ -0,0 +1,407 @@
+const { query: db } = require('../config/database');
+const { RFQInvitation } = require('../models');
+const NotificationService = require('./notification.service');
+const emailService = require('./email.service');
+
+/**
+ * Points awarded per matching signal when ranking suppliers for an RFQ
+ */
+const MATCH_WEIGHTS = {
+    categoryListings: 40,
+    profileCategory: 25,
+    industry: 20,
+    location: 15,
+    listingHistory: 15,
+    salesHistory: 10
+};
+
+/**
+ * Supplier Matching Service
+ * Ranks verified suppliers against new RFQs and invites the best matches to quote
+ */
+class SupplierMatchingService {
+    /**
+     * Maximum number of suppliers invited per RFQ
+     * @returns {number}
+     */
+    static getInviteLimit() {
+        return parseInt(process.env.RFQ_INVITE_LIMIT) || 10;
+    }
+
+    /**
+     * Split a free-text location ("Pune, Maharashtra") into comparable parts
+     * @param {string} location
+     * @returns {Array<string>}
+     */
+    static parseLocation(location) {
+        if (!location) return [];
+
+        return location
+            .split(/[,/|]/)
+            .map(part => part.trim().toLowerCase())
+            .filter(part => part.length > 1);
+    }
+
+    /**
+     * Load verified suppliers relevant to the RFQ's category or industry,
+     * together with the raw signals used for scoring
+     * @param {Object} rfq
+     * @returns {Promise<Array>}
+     */
+    static async findCandidates(rfq) {
+        const candidatesQuery = `
+            WITH listings AS (
+                SELECT
+                    p.supplier_id,
+                    COUNT(*) FILTER (WHERE p.category_id = $1) AS category_listings,
+                    COUNT(*) FILTER (WHERE p.industry_id = $2 OR pc.industry_id = $2) AS industry_listings,
+                    COUNT(*) FILTER (WHERE p.status = 'sold') AS sold_listings,
+                    ARRAY_REMOVE(ARRAY_AGG(DISTINCT p.city), NULL) AS listing_cities,
+                    ARRAY_REMOVE(ARRAY_AGG(DISTINCT p.state), NULL) AS listing_states
+                FROM products p
+                LEFT JOIN categories pc ON pc.id = p.category_id
+                GROUP BY p.supplier_id
+            )
+            SELECT
+                u.id AS supplier_id,
+                u.first_name,
+                COALESCE(sp.business_name, u.company_name) AS business_name,
+                COALESCE(sp.business_email, u.business_email) AS email,
+                u.city,
+                u.state,
+                sp.warehouse_locations,
+                c.name AS category_name,
+                i.name AS industry_name,
+                (
+                    c.id IS NOT NULL AND (
+                        c.name = ANY(COALESCE(sp.product_categories, '{}'))
+                        OR c.slug = ANY(COALESCE(sp.product_categories, '{}'))
+                        OR c.id::text = ANY(COALESCE(sp.product_categories, '{}'))
+                    )
+                ) AS profile_category_match,
+                COALESCE(l.category_listings, 0) AS category_listings,
+                COALESCE(l.industry_listings, 0) AS industry_listings,
+                COALESCE(l.sold_listings, 0) AS sold_listings,
+                COALESCE(l.listing_cities, '{}') AS listing_cities,
+                COALESCE(l.listing_states, '{}') AS listing_states
+            FROM supplier_profiles sp
+            JOIN users u ON u.id = sp.user_id
+            LEFT JOIN listings l ON l.supplier_id = sp.user_id
+            LEFT JOIN categories c ON c.id = $1
+            LEFT JOIN industries i ON i.id = $2
+            WHERE sp.verification_status = 'verified'
+            AND u.is_active = true
+            AND sp.user_id <> $3
+            AND NOT EXISTS (
+                SELECT 1 FROM rfq_invitations ri
+                WHERE ri.rfq_id = $4 AND ri.supplier_id = sp.user_id
+            )
+            AND (
+                COALESCE(l.category_listings, 0) > 0
+                OR COALESCE(l.industry_listings, 0) > 0
+                OR c.name = ANY(COALESCE(sp.product_categories, '{}'))
+                OR c.slug = ANY(COALESCE(sp.product_categories, '{}'))
+                OR c.id::text = ANY(COALESCE(sp.product_categories, '{}'))
+            )
+        `;
+
+        const result = await db(candidatesQuery, [
+            rfq.categoryId || null,
+            rfq.industryId || null,
+            rfq.buyerId,
+            rfq.id
+        ]);
+
+        return result.rows;
+    }
+
+    /**
+     * Score a candidate supplier against an RFQ
+     * @param {Object} rfq
+     * @param {Object} candidate - Row from findCandidates
+     * @returns {Object} - {score, reasons}
+     */
+    static scoreSupplier(rfq, candidate) {
+        let score = 0;
+        const reasons = [];
+
+        const categoryListings = parseInt(candidate.category_listings) || 0;
+        const industryListings = parseInt(candidate.industry_listings) || 0;
+        const soldListings = parseInt(candidate.sold_listings) || 0;
+        const categoryName = candidate.category_name || 'this category';
+
+        if (categoryListings > 0) {
+            score += MATCH_WEIGHTS.categoryListings;
+            reasons.push(`Has listed ${categoryListings} product(s) in ${categoryName}`);
+        } else if (candidate.profile_category_match) {
+            score += MATCH_WEIGHTS.profileCategory;
+            reasons.push(`Supplies ${categoryName}`);
+        }
+
+        if (industryListings > 0) {
+            score += MATCH_WEIGHTS.industry;
+            reasons.push(`Active in ${candidate.industry_name || 'the requested industry'}`);
+        }
+
+        const wanted = this.parseLocation(rfq.preferredLocation);
+        if (wanted.length > 0) {
+            const places = [
+                candidate.city,
+                candidate.state,
+                ...(candidate.warehouse_locations || []),
+                ...(candidate.listing_cities || []),
+                ...(candidate.listing_states || [])
+            ].filter(Boolean);
+
+            const matchedPlace = places.find(place => {
+                const parts = this.parseLocation(place);
+                return parts.some(part => wanted.includes(part));
+            });
+
+            if (matchedPlace) {
+                score += MATCH_WEIGHTS.location;
+                reasons.push(`Operates in ${matchedPlace}`);
+            }
+        }
+
+        score += Math.min(MATCH_WEIGHTS.listingHistory, categoryListings * 3);
+
+        if (soldListings > 0) {
+            score += Math.min(MATCH_WEIGHTS.salesHistory, soldListings * 2);
+            reasons.push(`Completed ${soldListings} sale(s) on Zeerostock`);
+        }
+
+        return {
+            score: Math.round(score * 100) / 100,
+            reasons
+        };
+    }
+
+    /**
+     * Rank verified suppliers for an RFQ, best match first
+     * @param {Object} rfq
+     * @param {Object} options - {limit}
+     * @returns {Promise<Array>}
+     */
+    static async rankSuppliers(rfq, options = {}) {
+        const { limit = this.getInviteLimit() } = options;
+        const candidates = await this.findCandidates(rfq);
+
+        return candidates
+            .map(candidate => ({
+                supplierId: candidate.supplier_id,
+                firstName: candidate.first_name,
+                businessName: candidate.business_name,
+                email: candidate.email,
+                ...this.scoreSupplier(rfq, candidate)
+            }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Invite the top-ranked suppliers to quote on an RFQ.
+     * Suppliers already invited are skipped, so this is safe to re-run.
+     * @param {Object} rfq
+     * @returns {Promise<Array>} - Invited supplier IDs
+     */
+    static async inviteSuppliers(rfq) {
+        const matches = await this.rankSuppliers(rfq);
+        if (matches.length === 0) return [];
+
+        const inserted = await db(
+            `INSERT INTO rfq_invitations (rfq_id, supplier_id, match_score, match_reasons)
+             SELECT $1, m.supplier_id, m.score, m.reasons
+             FROM jsonb_to_recordset($2::jsonb) AS m(supplier_id UUID, score DECIMAL, reasons JSONB)
+             ON CONFLICT (rfq_id, supplier_id) DO NOTHING
+             RETURNING supplier_id`,
+            [
+                rfq.id,
+                JSON.stringify(matches.map(match => ({
+                    supplier_id: match.supplierId,
+                    score: match.score,
+                    reasons: match.reasons
+                })))
+            ]
+        );
+
+        const invitedIds = inserted.rows.map(row => row.supplier_id);
+        if (invitedIds.length === 0) return [];
+
+        await db(
+            `UPDATE rfqs
+             SET invited_count = (SELECT COUNT(*) FROM rfq_invitations WHERE rfq_id = $1)
+             WHERE id = $1`,
+            [rfq.id]
+        );
+
+        await this.notifyInvited(rfq, matches.filter(match => invitedIds.includes(match.supplierId)));
+
+        return invitedIds;
+    }
+
+    /**
+     * Invite suppliers the buyer chose directly (named invitees or approved vendors).
+     * They are not scored; each carries the source and reason it was invited for.
+     * Suppliers already invited are skipped.
+     * @param {Object} rfq
+     * @param {Array} suppliers - [{supplierId, firstName, businessName, email, source, reasons}]
+     * @returns {Promise<Array>} - Invited supplier IDs
+     */
+    static async inviteNamedSuppliers(rfq, suppliers) {
+        if (suppliers.length === 0) return [];
+
+        const inserted = await db(
+            `INSERT INTO rfq_invitations (rfq_id, supplier_id, match_reasons, source)
+             SELECT $1, s.supplier_id, s.reasons, s.source
+             FROM jsonb_to_recordset($2::jsonb) AS s(supplier_id UUID, reasons JSONB, source VARCHAR)
+             ON CONFLICT (rfq_id, supplier_id) DO NOTHING
+             RETURNING supplier_id`,
+            [
+                rfq.id,
+                JSON.stringify(suppliers.map(supplier => ({
+                    supplier_id: supplier.supplierId,
+                    reasons: supplier.reasons,
+                    source: supplier.source
+                })))
+            ]
+        );
+
+        const invitedIds = inserted.rows.map(row => row.supplier_id);
+        if (invitedIds.length === 0) return [];
+
+        await db(
+            `UPDATE rfqs
+             SET invited_count = (SELECT COUNT(*) FROM rfq_invitations WHERE rfq_id = $1)
+             WHERE id = $1`,
+            [rfq.id]
+        );
+
+        await this.notifyInvited(rfq, suppliers.filter(supplier => invitedIds.includes(supplier.supplierId)));
+
+        return invitedIds;
+    }
+
+    /**
+     * Notify and email newly invited suppliers, recording delivery on each invitation
+     * @param {Object} rfq
+     * @param {Array} invited - [{supplierId, firstName, businessName, email, reasons}]
+     */
+    static async notifyInvited(rfq, invited) {
+        const invitedIds = invited.map(supplier => supplier.supplierId);
+
+        try {
+            await NotificationService.sendRFQInvitations(invitedIds, rfq);
+            await RFQInvitation.update(
+                { notifiedAt: new Date() },
+                { where: { rfqId: rfq.id, supplierId: invitedIds } }
+            );
+        } catch (error) {
+            console.error('RFQ invitation notification error:', error);
+        }
+
+        const emailResults = await Promise.all(invited.map(async (supplier) => {
+            if (!supplier.email) return null;
+
+            const sent = await emailService.sendRFQInvitation(supplier.email, {
+                supplierName: supplier.firstName || supplier.businessName,
+                rfq,
+                reasons: supplier.reasons
+            });
+
+            return sent ? supplier.supplierId : null;
+        }));
+
+        const emailedIds = emailResults.filter(Boolean);
+        if (emailedIds.length > 0) {
+            await RFQInvitation.update(
+                { emailSent: true, emailSentAt: new Date() },
+                { where: { rfqId: rfq.id, supplierId: emailedIds } }
+            );
+        }
+    }
+
+    /**
+     * Record the first time an invited supplier opens the RFQ
+     * @param {string} rfqId
+     * @param {string} supplierId
+     */
+    static async markViewed(rfqId, supplierId) {
+        await db(
+            `UPDATE rfq_invitations
+             SET viewed_at = NOW()
+             WHERE rfq_id = $1 AND supplier_id = $2 AND viewed_at IS NULL`,
+            [rfqId, supplierId]
+        );
+    }
+
+    /**
+     * Get invitation reach for an RFQ: who was invited, and how far each got
+     * @param {string} rfqId
+     * @returns {Promise<Object>}
+     */
+    static async getInvitationSummary(rfqId) {
+        const result = await db(
+            `SELECT
+                ri.supplier_id,
+                ri.source,
+                ri.match_score,
+                ri.match_reasons,
+                ri.notified_at,
+                ri.email_sent,
+                ri.viewed_at,
+                ri.created_at,
+                COALESCE(sp.business_name, u.company_name) AS business_name,
+                u.city,
+                u.state,
+                sp.rating,
+                q.id AS quote_id,
+                q.status AS quote_status,
+                q.created_at AS quoted_at
+            FROM rfq_invitations ri
+            JOIN users u ON u.id = ri.supplier_id
+            LEFT JOIN supplier_profiles sp ON sp.user_id = ri.supplier_id
+            LEFT JOIN LATERAL (
+                SELECT id, status, created_at
+                FROM quotes
+                WHERE rfq_id = ri.rfq_id AND supplier_id = ri.supplier_id
+                ORDER BY created_at DESC
+                LIMIT 1
+            ) q ON true
+            WHERE ri.rfq_id = $1
+            ORDER BY ri.match_score DESC, ri.created_at ASC`,
+            [rfqId]
+        );
+
+        const invitations = result.rows.map(row => ({
+            supplierId: row.supplier_id,
+            source: row.source,
+            businessName: row.business_name,
+            location: [row.city, row.state].filter(Boolean).join(', ') || null,
+            rating: row.rating ? parseFloat(row.rating) : null,
+            matchScore: parseFloat(row.match_score),
+            matchReasons: row.match_reasons || [],
+            invitedAt: row.created_at,
+            notifiedAt: row.notified_at,
+            emailSent: row.email_sent,
+            viewedAt: row.viewed_at,
+            quote: row.quote_id
+                ? { id: row.quote_id, status: row.quote_status, createdAt: row.quoted_at }
+                : null
+        }));
+
+        return {
+            reach: {
+                invited: invitations.length,
+                notified: invitations.filter(inv => inv.notifiedAt).length,
+                emailed: invitations.filter(inv => inv.emailSent).length,
+                viewed: invitations.filter(inv => inv.viewedAt).length,
+                quoted: invitations.filter(inv => inv.quote).length
+            },
+            invitations
+        };
+    }
+}
+
+module.exports = SupplierMatchingService;
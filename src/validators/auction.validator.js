@@ -0,0 +1,184 @@
+const Joi = require('joi');
+
+/**
+ * Validation schema for placing a bid
+ */
+exports.placeBidSchema = Joi.object({
+    amount: Joi.number()
+        .positive()
+        .precision(2)
+        .required()
+        .messages({
+            'number.base': 'Bid amount must be a number',
+            'number.positive': 'Bid amount must be greater than 0',
+            'any.required': 'Bid amount is required'
+        })
+});
+
+/**
+ * Validation schema for setting a maximum (proxy) bid
+ */
+exports.maxBidSchema = Joi.object({
+    maxAmount: Joi.number()
+        .positive()
+        .precision(2)
+        .required()
+        .messages({
+            'number.base': 'Maximum bid must be a number',
+            'number.positive': 'Maximum bid must be greater than 0',
+            'any.required': 'Maximum bid is required'
+        })
+});
+
+/**
+ * Validation schema for paying an auction deposit
+ * Net terms are not accepted for earnest money
+ */
+exports.depositSchema = Joi.object({
+    paymentMethod: Joi.string()
+        .valid('card', 'escrow', 'wire')
+        .required()
+        .messages({
+            'any.only': 'Payment method must be card, escrow or wire',
+            'any.required': 'Payment method is required'
+        }),
+
+    paymentDetails: Joi.object({
+        transactionId: Joi.string().max(255).optional()
+    }).optional()
+});
+
+/**
+ * Validation schema for deposit list queries
+ */
+exports.queryDepositsSchema = Joi.object({
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(20),
+
+    status: Joi.string()
+        .valid('held', 'released', 'applied', 'forfeited')
+        .messages({
+            'any.only': 'Invalid status value'
+        })
+});
+
+/**
+ * Validation schema for bid history queries
+ */
+exports.queryBidsSchema = Joi.object({
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(20)
+});
+
+/**
+ * Validation schema for UUID parameters
+ */
+exports.uuidParamSchema = Joi.object({
+    id: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.guid': 'Invalid auction ID format',
+            'any.required': 'Auction ID is required'
+        })
+});
+
+/**
+ * Middleware to validate request body
+ */
+exports.validateBody = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.body, {
+            abortEarly: false,
+            stripUnknown: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors
+            });
+        }
+
+        req.body = value;
+        next();
+    };
+};
+
+/**
+ * Middleware to validate query parameters
+ */
+exports.validateQuery = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.query, {
+            abortEarly: false,
+            stripUnknown: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors
+            });
+        }
+
+        req.query = value;
+        next();
+    };
+};
+
+/**
+ * Middleware to validate URL parameters
+ */
+exports.validateParams = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.params, {
+            abortEarly: false,
+            stripUnknown: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors
+            });
+        }
+
+        req.params = value;
+        next();
+    };
+};
@@ -55,6 +55,14 @@ const buyerValidation = {
         }).optional().allow(null),
         orderNotes: Joi.string().max(500).optional().allow('', null).messages({
             'string.max': 'Order notes cannot exceed 500 characters'
+        }),
+        // Order at the prices locked at checkout even though they have changed since
+        acceptPriceDrift: Joi.boolean().optional()
+    }),
+
+    checkoutSessionIdParam: Joi.object({
+        checkoutSessionId: Joi.string().uuid().required().messages({
+            'string.guid': 'Invalid checkout session ID format'
         })
     }),
 
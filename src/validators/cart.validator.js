@@ -85,6 +85,30 @@ const shippingEstimate = Joi.object({
         })
 });
 
+// Cart shipping breakdown validation
+const cartShippingEstimate = Joi.object({
+    state: Joi.string()
+        .trim()
+        .required()
+        .messages({
+            'any.required': 'State is required for shipping estimate'
+        }),
+
+    city: Joi.string()
+        .trim()
+        .optional(),
+
+    pincode: Joi.string()
+        .pattern(/^[0-9]{6}$/)
+        .optional()
+        .messages({
+            'string.pattern.base': 'Invalid pincode format. Must be 6 digits'
+        }),
+
+    sessionId: Joi.string()
+        .optional()
+});
+
 // Checkout session validation
 const createCheckout = Joi.object({
     shippingAddress: Joi.object({
@@ -187,12 +211,25 @@ const createCheckout = Joi.object({
         .optional()
 });
 
+// Checkout session ID in the URL
+const sessionIdParam = Joi.object({
+    sessionId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.guid': 'Invalid checkout session ID format',
+            'any.required': 'Checkout session ID is required'
+        })
+});
+
 /**
  * Validation middleware factory
+ * Validates the query on GET and the body otherwise, or the named request property
  */
-const validate = (schema) => {
+const validate = (schema, property = null) => {
     return (req, res, next) => {
-        const dataToValidate = req.method === 'GET' ? req.query : req.body;
+        const source = property || (req.method === 'GET' ? 'query' : 'body');
+        const dataToValidate = req[source];
 
         const { error, value } = schema.validate(dataToValidate, {
             abortEarly: false,
@@ -213,11 +250,7 @@ const validate = (schema) => {
         }
 
         // Replace request data with validated data
-        if (req.method === 'GET') {
-            req.query = value;
-        } else {
-            req.body = value;
-        }
+        req[source] = value;
 
         next();
     };
@@ -230,6 +263,8 @@ module.exports = {
         updateCartItem,
         applyCoupon,
         shippingEstimate,
-        createCheckout
+        cartShippingEstimate,
+        createCheckout,
+        sessionIdParam
     }
 };
@@ -0,0 +1,144 @@
+const Joi = require('joi');
+
+/**
+ * One spend threshold of a tiered coupon
+ */
+const spendTierSchema = Joi.object({
+    minSpend: Joi.number().positive().required(),
+    discountType: Joi.string().valid('percentage', 'flat').required(),
+    discountValue: Joi.number().positive().required()
+        .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+    maxDiscount: Joi.number().positive().allow(null).default(null)
+});
+
+const spendTiersSchema = Joi.array().items(spendTierSchema).min(1).max(10)
+    .unique('minSpend')
+    .messages({
+        'array.unique': 'Each spend tier needs its own minSpend'
+    });
+
+/**
+ * Fields shared by create and update
+ * discountValue is the percentage off the "get" units for buy_x_get_y (default 100)
+ */
+const couponFields = {
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).min(3).max(50)
+        .messages({
+            'string.pattern.base': 'Coupon code can only contain letters, numbers, hyphens and underscores'
+        }),
+    description: Joi.string().max(500).allow(null, ''),
+    discountType: Joi.string().valid('percentage', 'flat', 'buy_x_get_y', 'tiered', 'free_shipping'),
+    discountValue: Joi.number().min(0)
+        .when('discountType', { is: Joi.valid('percentage', 'buy_x_get_y'), then: Joi.number().max(100) }),
+    maxDiscount: Joi.number().positive().allow(null),
+    minOrderValue: Joi.number().min(0),
+    maxUsagePerUser: Joi.number().integer().min(1),
+    totalUsageLimit: Joi.number().integer().min(1).allow(null),
+    buyQuantity: Joi.number().integer().min(1).allow(null),
+    getQuantity: Joi.number().integer().min(1).allow(null),
+    spendTiers: spendTiersSchema,
+    applicableProducts: Joi.array().items(Joi.string().uuid()).unique(),
+    applicableCategories: Joi.array().items(Joi.string().uuid()).unique(),
+    excludedProducts: Joi.array().items(Joi.string().uuid()).unique(),
+    // Segment targeting
+    userRoleRestriction: Joi.string().valid('buyer', 'supplier').allow(null),
+    firstOrderOnly: Joi.boolean(),
+    requiresVerifiedGst: Joi.boolean(),
+    isStackable: Joi.boolean(),
+    validFrom: Joi.date().iso(),
+    validUntil: Joi.date().iso(),
+    isActive: Joi.boolean(),
+    isVisible: Joi.boolean()
+};
+
+/**
+ * Validation schema for a supplier creating a coupon they fund
+ */
+const createCouponSchema = Joi.object({
+    ...couponFields,
+    code: couponFields.code.required(),
+    discountType: couponFields.discountType.required(),
+    discountValue: couponFields.discountValue
+        .when('discountType', { is: 'buy_x_get_y', then: Joi.number().default(100) }),
+    buyQuantity: couponFields.buyQuantity
+        .when('discountType', { is: 'buy_x_get_y', then: Joi.number().required() }),
+    getQuantity: couponFields.getQuantity
+        .when('discountType', { is: 'buy_x_get_y', then: Joi.number().required() }),
+    spendTiers: spendTiersSchema
+        .when('discountType', { is: 'tiered', then: Joi.required() }),
+    validUntil: couponFields.validUntil.required()
+        .greater(Joi.ref('validFrom', { adjust: (from) => from || new Date() }))
+        .messages({ 'date.greater': 'validUntil must be after validFrom' })
+});
+
+/**
+ * Validation schema for an admin creating a platform- or supplier-funded coupon
+ */
+const adminCreateCouponSchema = createCouponSchema.keys({
+    fundedBy: Joi.string().valid('platform', 'supplier').default('platform'),
+    supplierId: Joi.string().uuid()
+        .when('fundedBy', { is: 'supplier', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+/**
+ * Validation schema for updating a coupon
+ */
+const updateCouponSchema = Joi.object(couponFields).min(1);
+
+const adminUpdateCouponSchema = updateCouponSchema.keys({
+    fundedBy: Joi.string().valid('platform', 'supplier'),
+    supplierId: Joi.string().uuid()
+        .when('fundedBy', { is: 'supplier', then: Joi.required() })
+});
+
+/**
+ * Query for coupon lists and redemption reports
+ */
+const couponQuerySchema = Joi.object({
+    status: Joi.string().valid('active', 'scheduled', 'expired', 'inactive'),
+    fundedBy: Joi.string().valid('platform', 'supplier'),
+    supplierId: Joi.string().uuid(),
+    search: Joi.string().trim().max(100),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+/**
+ * Validate query parameters into req.validatedQuery
+ * @param {Joi.Schema} schema
+ */
+const validateQuery = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.query, {
+            abortEarly: false,
+            stripUnknown: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        req.validatedQuery = value;
+        next();
+    };
+};
+
+module.exports = {
+    createCouponSchema,
+    adminCreateCouponSchema,
+    updateCouponSchema,
+    adminUpdateCouponSchema,
+    couponQuerySchema,
+    validateQuery
+};
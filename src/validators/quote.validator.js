@@ -1,9 +1,47 @@
 const Joi = require('joi');
 
 /**
- * Validation schema for accepting a quote
+ * Award selection for one quote: a quantity for single-item RFQs,
+ * or the quote lines (optionally with quantities) for multi-line RFQs
  */
-exports.acceptQuoteSchema = Joi.object({
+const awardSelection = {
+    quantity: Joi.number()
+        .positive()
+        .precision(2)
+        .messages({
+            'number.base': 'Quantity must be a number',
+            'number.positive': 'Quantity must be greater than 0'
+        }),
+
+    lineItemIds: Joi.array()
+        .items(Joi.string().uuid())
+        .min(1)
+        .unique()
+        .messages({
+            'array.min': 'Select at least one line item to award',
+            'array.unique': 'Line items must not repeat',
+            'string.guid': 'Invalid line item ID format'
+        }),
+
+    lineAllocations: Joi.array()
+        .items(Joi.object({
+            quoteLineItemId: Joi.string().uuid().required(),
+            quantity: Joi.number().positive().precision(2)
+        }))
+        .min(1)
+        .unique('quoteLineItemId')
+        .messages({
+            'array.min': 'Select at least one line item to award',
+            'array.unique': 'Line items must not repeat',
+            'string.guid': 'Invalid line item ID format',
+            'number.positive': 'Line quantity must be greater than 0'
+        })
+};
+
+/**
+ * Order options shared by single and split awards
+ */
+const awardOrderOptions = {
     createOrder: Joi.boolean()
         .default(false)
         .messages({
@@ -22,6 +60,12 @@ exports.acceptQuoteSchema = Joi.object({
             'any.required': 'Shipping address is required when creating an order'
         }),
 
+    billingAddressId: Joi.string()
+        .uuid()
+        .messages({
+            'string.guid': 'Invalid billing address ID format'
+        }),
+
     notes: Joi.string()
         .max(1000)
         .allow('')
@@ -29,6 +73,58 @@ exports.acceptQuoteSchema = Joi.object({
         .messages({
             'string.max': 'Notes must not exceed 1000 characters'
         })
+};
+
+/**
+ * Validation schema for accepting a quote
+ */
+exports.acceptQuoteSchema = Joi.object({
+    ...awardOrderOptions,
+    ...awardSelection
+}).oxor('quantity', 'lineItemIds', 'lineAllocations');
+
+/**
+ * Validation schema for awarding an RFQ across several quotes
+ */
+exports.awardRFQSchema = Joi.object({
+    ...awardOrderOptions,
+
+    awards: Joi.array()
+        .items(Joi.object({
+            quoteId: Joi.string()
+                .uuid()
+                .required()
+                .messages({
+                    'string.guid': 'Invalid quote ID format',
+                    'any.required': 'Quote ID is required'
+                }),
+            ...awardSelection
+        }).oxor('quantity', 'lineItemIds', 'lineAllocations'))
+        .min(1)
+        .max(50)
+        .unique('quoteId')
+        .required()
+        .messages({
+            'array.min': 'Award at least one quote',
+            'array.max': 'Cannot award more than 50 quotes at once',
+            'array.unique': 'Each quote can only be awarded once',
+            'any.required': 'Awards are required'
+        })
+});
+
+/**
+ * Validation schema for a reverse auction bid
+ */
+exports.reverseAuctionBidSchema = Joi.object({
+    amount: Joi.number()
+        .positive()
+        .precision(2)
+        .required()
+        .messages({
+            'number.base': 'Bid amount must be a number',
+            'number.positive': 'Bid amount must be greater than 0',
+            'any.required': 'Bid amount is required'
+        })
 });
 
 /**
@@ -79,6 +175,105 @@ exports.sendMessageSchema = Joi.object({
         })
 });
 
+/**
+ * Validation schema for a counter-offer (buyer or supplier)
+ */
+exports.counterOfferSchema = Joi.object({
+    quotePrice: Joi.number()
+        .positive()
+        .precision(2)
+        .messages({
+            'number.base': 'Price must be a number',
+            'number.positive': 'Price must be greater than 0'
+        }),
+
+    quantity: Joi.number()
+        .positive()
+        .messages({
+            'number.base': 'Quantity must be a number',
+            'number.positive': 'Quantity must be greater than 0'
+        }),
+
+    deliveryDays: Joi.number()
+        .integer()
+        .min(1)
+        .messages({
+            'number.base': 'Delivery days must be a number',
+            'number.min': 'Delivery days must be at least 1'
+        }),
+
+    paymentTerms: Joi.string()
+        .max(1000)
+        .allow('')
+        .trim(),
+
+    shippingTerms: Joi.string()
+        .max(1000)
+        .allow('')
+        .trim(),
+
+    validUntil: Joi.date()
+        .iso()
+        .min('now')
+        .messages({
+            'date.min': 'Valid until date must be in the future'
+        }),
+
+    notes: Joi.string()
+        .max(1000)
+        .allow('')
+        .trim()
+        .messages({
+            'string.max': 'Notes must not exceed 1000 characters'
+        })
+}).or('quotePrice', 'quantity', 'deliveryDays', 'paymentTerms', 'shippingTerms')
+    .messages({
+        'object.missing': 'Counter-offer must propose at least one of price, quantity, delivery days or terms'
+    });
+
+/**
+ * Validation schema for answering a counter-offer
+ */
+exports.respondRevisionSchema = Joi.object({
+    action: Joi.string()
+        .valid('accept', 'decline')
+        .required()
+        .messages({
+            'any.only': 'Action must be accept or decline',
+            'any.required': 'Action is required'
+        }),
+
+    notes: Joi.string()
+        .max(1000)
+        .allow('')
+        .trim()
+        .messages({
+            'string.max': 'Notes must not exceed 1000 characters'
+        })
+});
+
+/**
+ * Validation schema for quote revision URL parameters
+ */
+exports.revisionParamSchema = Joi.object({
+    id: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.guid': 'Invalid ID format',
+            'any.required': 'ID is required'
+        }),
+
+    revisionNumber: Joi.number()
+        .integer()
+        .min(1)
+        .required()
+        .messages({
+            'number.base': 'Revision number must be a number',
+            'any.required': 'Revision number is required'
+        })
+});
+
 /**
  * Validation schema for quote query parameters
  */
@@ -119,6 +314,36 @@ exports.queryQuotesSchema = Joi.object({
         .default('DESC')
 });
 
+/**
+ * Validation schema for quote comparison query parameters
+ */
+exports.compareQuotesSchema = Joi.object({
+    includeClosed: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'includeClosed must be a boolean'
+        }),
+
+    shippingAddressId: Joi.string()
+        .uuid()
+        .messages({
+            'string.guid': 'Invalid shipping address ID format'
+        })
+});
+
+/**
+ * Validation schema for RFQ ID parameter
+ */
+exports.rfqIdParamSchema = Joi.object({
+    rfqId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.guid': 'Invalid RFQ ID format',
+            'any.required': 'RFQ ID is required'
+        })
+});
+
 /**
  * Validation schema for UUID parameters
  */
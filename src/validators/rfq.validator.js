@@ -1,5 +1,148 @@
 const Joi = require('joi');
 
+const RFQ_UNITS = ['pieces', 'kg', 'lbs', 'tons', 'liters', 'gallons', 'meters', 'feet', 'boxes', 'pallets', 'other'];
+
+/**
+ * Validation schema for the line items of a multi-line RFQ
+ */
+const lineItemsSchema = Joi.array()
+    .items(
+        Joi.object({
+            itemName: Joi.string()
+                .min(2)
+                .max(255)
+                .required()
+                .trim()
+                .messages({
+                    'string.empty': 'Item name is required',
+                    'any.required': 'Item name is required'
+                }),
+
+            specification: Joi.string()
+                .max(2000)
+                .allow('')
+                .trim()
+                .messages({
+                    'string.max': 'Specification must not exceed 2000 characters'
+                }),
+
+            quantity: Joi.number()
+                .positive()
+                .required()
+                .messages({
+                    'number.base': 'Line quantity must be a number',
+                    'number.positive': 'Line quantity must be greater than 0',
+                    'any.required': 'Line quantity is required'
+                }),
+
+            unit: Joi.string()
+                .valid(...RFQ_UNITS)
+                .required()
+                .messages({
+                    'any.only': 'Invalid unit type',
+                    'any.required': 'Line unit is required'
+                }),
+
+            targetPrice: Joi.number()
+                .min(0)
+                .allow(null)
+                .messages({
+                    'number.base': 'Target price must be a number',
+                    'number.min': 'Target price cannot be negative'
+                })
+        })
+    )
+    .min(1)
+    .max(100)
+    .messages({
+        'array.min': 'At least one line item is required',
+        'array.max': 'Maximum 100 line items allowed'
+    });
+
+/**
+ * Validation schema for reverse auction settings
+ */
+const reverseAuctionSchema = Joi.object({
+    endsAt: Joi.date()
+        .greater('now')
+        .messages({
+            'date.base': 'Invalid auction end time',
+            'date.greater': 'Auction end time must be in the future'
+        }),
+
+    startPrice: Joi.number()
+        .positive()
+        .allow(null)
+        .messages({
+            'number.base': 'Start price must be a number',
+            'number.positive': 'Start price must be greater than 0'
+        }),
+
+    decrementType: Joi.string()
+        .valid('amount', 'percent')
+        .default('amount')
+        .messages({
+            'any.only': 'Decrement type must be amount or percent'
+        }),
+
+    decrementValue: Joi.number()
+        .min(0)
+        .when('decrementType', {
+            is: 'percent',
+            then: Joi.number().max(50)
+        })
+        .default(0)
+        .messages({
+            'number.base': 'Minimum decrement must be a number',
+            'number.min': 'Minimum decrement cannot be negative',
+            'number.max': 'Percentage decrement must not exceed 50'
+        }),
+
+    extensionWindowMinutes: Joi.number()
+        .integer()
+        .min(0)
+        .max(120)
+        .default(5)
+        .messages({
+            'number.max': 'Extension window must not exceed 120 minutes'
+        }),
+
+    extensionMinutes: Joi.number()
+        .integer()
+        .min(0)
+        .max(120)
+        .default(5)
+        .messages({
+            'number.max': 'Extension must not exceed 120 minutes'
+        }),
+
+    maxExtensions: Joi.number()
+        .integer()
+        .min(0)
+        .allow(null)
+        .default(null)
+});
+
+/**
+ * Validation schema for a list of supplier IDs
+ */
+const supplierIdsSchema = Joi.array()
+    .items(
+        Joi.string()
+            .uuid()
+            .messages({
+                'string.guid': 'Invalid supplier ID format'
+            })
+    )
+    .min(1)
+    .max(50)
+    .unique()
+    .messages({
+        'array.min': 'At least one supplier is required',
+        'array.max': 'Maximum 50 suppliers per request',
+        'array.unique': 'A supplier is listed more than once'
+    });
+
 /**
  * Validation schema for creating an RFQ
  */
@@ -37,7 +180,11 @@ exports.createRFQSchema = Joi.object({
     quantity: Joi.number()
         .integer()
         .min(1)
-        .required()
+        .when('lineItems', {
+            is: Joi.array().min(1).required(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+        })
         .messages({
             'number.base': 'Quantity must be a number',
             'number.min': 'Quantity must be at least 1',
@@ -45,14 +192,62 @@ exports.createRFQSchema = Joi.object({
         }),
 
     unit: Joi.string()
-        .valid('pieces', 'kg', 'lbs', 'tons', 'liters', 'gallons', 'meters', 'feet', 'boxes', 'pallets', 'other')
-        .required()
+        .valid(...RFQ_UNITS)
+        .when('lineItems', {
+            is: Joi.array().min(1).required(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+        })
         .messages({
             'string.empty': 'Unit is required',
             'any.only': 'Invalid unit type',
             'any.required': 'Unit is required'
         }),
 
+    lineItems: lineItemsSchema
+        .when('awardMode', {
+            is: 'reverse_auction',
+            then: Joi.forbidden()
+        })
+        .messages({
+            'any.unknown': 'Reverse auctions are run on a single item, not line items'
+        }),
+
+    awardMode: Joi.string()
+        .valid('quote', 'reverse_auction')
+        .default('quote')
+        .messages({
+            'any.only': 'Award mode must be quote or reverse_auction'
+        }),
+
+    reverseAuction: reverseAuctionSchema
+        .when('awardMode', {
+            is: 'reverse_auction',
+            then: Joi.required(),
+            otherwise: Joi.forbidden()
+        })
+        .messages({
+            'any.required': 'Reverse auction settings are required',
+            'any.unknown': 'Reverse auction settings require awardMode reverse_auction'
+        }),
+
+    visibility: Joi.string()
+        .valid('public', 'invite_only', 'approved_vendors')
+        .default('public')
+        .messages({
+            'any.only': 'Visibility must be public, invite_only or approved_vendors'
+        }),
+
+    invitedSupplierIds: supplierIdsSchema
+        .when('visibility', {
+            is: 'invite_only',
+            then: Joi.required()
+        })
+        .default([])
+        .messages({
+            'any.required': 'Invite-only RFQs need at least one invited supplier'
+        }),
+
     budgetMin: Joi.number()
         .min(0)
         .when('budgetMax', {
@@ -102,6 +297,14 @@ exports.createRFQSchema = Joi.object({
             'number.max': 'Duration must not exceed 365 days'
         }),
 
+    requiredByDate: Joi.date()
+        .min('now')
+        .allow(null)
+        .messages({
+            'date.base': 'Invalid delivery date format',
+            'date.min': 'Delivery date cannot be in the past'
+        }),
+
     preferredDeliveryDate: Joi.date()
         .min('now')
         .allow(null)
@@ -159,11 +362,13 @@ exports.updateRFQSchema = Joi.object({
         }),
 
     unit: Joi.string()
-        .valid('pieces', 'kg', 'lbs', 'tons', 'liters', 'gallons', 'meters', 'feet', 'boxes', 'pallets', 'other')
+        .valid(...RFQ_UNITS)
         .messages({
             'any.only': 'Invalid unit type'
         }),
 
+    lineItems: lineItemsSchema,
+
     budgetMin: Joi.number()
         .min(0)
         .allow(null)
@@ -231,6 +436,148 @@ exports.updateRFQSchema = Joi.object({
     'object.min': 'At least one field must be provided for update'
 });
 
+/**
+ * Validation schema for inviting named suppliers to an RFQ
+ */
+exports.inviteSuppliersSchema = Joi.object({
+    supplierIds: supplierIdsSchema
+        .required()
+        .messages({
+            'any.required': 'Supplier IDs are required'
+        })
+});
+
+/**
+ * Validation schema for adding suppliers to the approved vendor list
+ */
+exports.approvedVendorsSchema = Joi.object({
+    supplierIds: supplierIdsSchema
+        .required()
+        .messages({
+            'any.required': 'Supplier IDs are required'
+        }),
+
+    notes: Joi.string()
+        .max(500)
+        .allow('')
+        .trim()
+        .messages({
+            'string.max': 'Notes must not exceed 500 characters'
+        })
+});
+
+/**
+ * Validation schema for a template's recurring schedule
+ */
+const recurrenceSchema = Joi.object({
+    frequency: Joi.string()
+        .valid('monthly', 'quarterly')
+        .required()
+        .messages({
+            'any.only': 'Frequency must be monthly or quarterly',
+            'any.required': 'Recurrence frequency is required'
+        }),
+
+    startAt: Joi.date()
+        .greater('now')
+        .messages({
+            'date.base': 'Invalid recurrence start date',
+            'date.greater': 'Recurrence must start in the future'
+        }),
+
+    endsAt: Joi.date()
+        .greater(Joi.ref('startAt', { adjust: value => value || new Date() }))
+        .allow(null)
+        .messages({
+            'date.base': 'Invalid recurrence end date',
+            'date.greater': 'Recurrence must end after it starts'
+        })
+});
+
+/**
+ * RFQ fields on a template, or overrides when creating an RFQ from one.
+ * Checked against createRFQSchema once merged with the template.
+ */
+const templateRFQFieldsSchema = Joi.object().unknown(true);
+
+/**
+ * Validation schema for saving an RFQ as a template
+ */
+exports.saveTemplateSchema = Joi.object({
+    name: Joi.string()
+        .min(2)
+        .max(100)
+        .required()
+        .trim()
+        .messages({
+            'string.empty': 'Template name is required',
+            'string.min': 'Template name must be at least 2 characters long',
+            'string.max': 'Template name must not exceed 100 characters',
+            'any.required': 'Template name is required'
+        }),
+
+    requiredByOffsetDays: Joi.number()
+        .integer()
+        .min(1)
+        .max(365)
+        .messages({
+            'number.min': 'Required-by offset must be at least 1 day',
+            'number.max': 'Required-by offset must not exceed 365 days'
+        }),
+
+    recurrence: recurrenceSchema.allow(null)
+});
+
+/**
+ * Validation schema for updating a template
+ */
+exports.updateTemplateSchema = Joi.object({
+    name: Joi.string()
+        .min(2)
+        .max(100)
+        .trim()
+        .messages({
+            'string.min': 'Template name must be at least 2 characters long',
+            'string.max': 'Template name must not exceed 100 characters'
+        }),
+
+    requiredByOffsetDays: Joi.number()
+        .integer()
+        .min(1)
+        .max(365)
+        .allow(null)
+        .messages({
+            'number.min': 'Required-by offset must be at least 1 day',
+            'number.max': 'Required-by offset must not exceed 365 days'
+        }),
+
+    recurrence: recurrenceSchema.allow(null),
+
+    isActive: Joi.boolean(),
+
+    rfq: templateRFQFieldsSchema
+}).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Validation schema for creating an RFQ from a template
+ */
+exports.templateRFQOverridesSchema = templateRFQFieldsSchema;
+
+/**
+ * Validation schema for template ID parameters
+ */
+exports.templateIdParamSchema = Joi.object({
+    templateId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.guid': 'Invalid template ID format',
+            'any.required': 'Template ID is required'
+        })
+});
+
 /**
  * Validation schema for RFQ query parameters
  */
@@ -290,6 +637,19 @@ exports.uuidParamSchema = Joi.object({
         })
 });
 
+/**
+ * Validation schema for supplier ID parameters
+ */
+exports.supplierIdParamSchema = Joi.object({
+    supplierId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+            'string.guid': 'Invalid supplier ID format',
+            'any.required': 'Supplier ID is required'
+        })
+});
+
 /**
  * Middleware to validate request body
  */
@@ -1,5 +1,46 @@
 const Joi = require('joi');
 
+/**
+ * HSN (goods) or SAC (services) code: 4, 6 or 8 digits
+ */
+const hsnCodeSchema = Joi.string().pattern(/^\d{4}(\d{2}){0,2}$/)
+    .messages({
+        'string.pattern.base': 'HSN/SAC code must be 4, 6 or 8 digits'
+    });
+
+/**
+ * GST rate (%) charged on the product
+ */
+const gstPercentSchema = Joi.number().valid(0, 0.25, 3, 5, 12, 18, 28)
+    .messages({
+        'any.only': 'GST rate must be one of 0, 0.25, 3, 5, 12, 18 or 28'
+    });
+
+/**
+ * Quantity price breaks: sorted by minQuantity, non-overlapping,
+ * only the last tier may be open-ended (maxQuantity null)
+ */
+const priceTiersSchema = Joi.array().items(
+    Joi.object({
+        minQuantity: Joi.number().integer().min(1).required(),
+        maxQuantity: Joi.number().integer().min(Joi.ref('minQuantity')).allow(null).default(null),
+        unitPrice: Joi.number().positive().required()
+    })
+).max(10).custom((tiers, helpers) => {
+    for (let i = 1; i < tiers.length; i++) {
+        const previous = tiers[i - 1];
+
+        if (previous.maxQuantity === null || tiers[i].minQuantity <= previous.maxQuantity) {
+            return helpers.error('custom.tierOverlap');
+        }
+    }
+
+    return tiers;
+}).messages({
+    'custom.tierOverlap': 'Price tiers must be in ascending order without overlapping quantities',
+    'array.max': 'You can define at most 10 price tiers'
+});
+
 /**
  * Validation schema for creating a listing
  */
@@ -71,6 +112,11 @@ const createListingSchema = Joi.object({
         .messages({
             'date.base': 'Invalid expiration date format'
         }),
+    // Volume pricing: unit price by quantity ordered
+    priceTiers: priceTiersSchema.optional(),
+    // Tax fields (fall back to the category's HSN code and GST rate when omitted)
+    hsnCode: hsnCodeSchema.optional().allow(null, ''),
+    gstPercent: gstPercentSchema.optional().allow(null),
     // Technical Specification fields
     materialType: Joi.string().max(100).optional().allow(null, ''),
     materialGrade: Joi.string().max(200).optional().allow(null, ''),
@@ -80,6 +126,10 @@ const createListingSchema = Joi.object({
     lengthUnit: Joi.string().valid('meters', 'mm', 'cm', 'inches', 'feet').optional().allow(null, ''),
     weightPerUnit: Joi.string().max(50).optional().allow(null, ''),
     weightUnit: Joi.string().valid('Kg', 'g', 'ton', 'lbs').optional().allow(null, ''),
+    // Packed size of one unit, for volumetric shipping weight
+    packageLengthCm: Joi.number().positive().optional().allow(null),
+    packageWidthCm: Joi.number().positive().optional().allow(null),
+    packageHeightCm: Joi.number().positive().optional().allow(null),
     manufacturingProcess: Joi.string().max(100).optional().allow(null, ''),
     // Compliance & Certification fields
     certifications: Joi.array().items(Joi.string()).optional().allow(null),
@@ -107,6 +157,9 @@ const updateListingSchema = Joi.object({
     expiresAt: Joi.date().iso().optional(),
     availableQuantity: Joi.number().integer().positive().optional(),
     minOrderQuantity: Joi.number().integer().positive().optional(),
+    priceTiers: priceTiersSchema.optional(),
+    hsnCode: hsnCodeSchema.optional().allow(null, ''),
+    gstPercent: gstPercentSchema.optional().allow(null),
     // Technical Specification fields
     materialType: Joi.string().max(100).optional().allow(null, ''),
     materialGrade: Joi.string().max(200).optional().allow(null, ''),
@@ -116,6 +169,10 @@ const updateListingSchema = Joi.object({
     lengthUnit: Joi.string().valid('meters', 'mm', 'cm', 'inches', 'feet').optional().allow(null, ''),
     weightPerUnit: Joi.string().max(50).optional().allow(null, ''),
     weightUnit: Joi.string().valid('Kg', 'g', 'ton', 'lbs').optional().allow(null, ''),
+    // Packed size of one unit, for volumetric shipping weight
+    packageLengthCm: Joi.number().positive().optional().allow(null),
+    packageWidthCm: Joi.number().positive().optional().allow(null),
+    packageHeightCm: Joi.number().positive().optional().allow(null),
     manufacturingProcess: Joi.string().max(100).optional().allow(null, ''),
     // Compliance & Certification fields
     certifications: Joi.array().items(Joi.string()).optional().allow(null),
@@ -131,8 +188,85 @@ const updateOrderItemStatusSchema = Joi.object({
         .required()
 });
 
+/**
+ * Validation schema for updating a sub-order's fulfilment status
+ */
+const updateSubOrderStatusSchema = Joi.object({
+    status: Joi.string()
+        .valid('confirmed', 'processing', 'shipped', 'delivered', 'cancelled')
+        .required(),
+    shippingPartner: Joi.string().max(100).optional(),
+    trackingNumber: Joi.string().max(100).optional(),
+    note: Joi.string().max(500).optional()
+});
+
+/**
+ * A contract rate for one product (fixed price or percentage off)
+ * or one category (percentage off only)
+ */
+const contractPriceItemSchema = Joi.object({
+    productId: Joi.string().uuid(),
+    categoryId: Joi.string().uuid(),
+    fixedPrice: Joi.number().positive(),
+    discountPercent: Joi.number().greater(0).less(100)
+})
+    .xor('productId', 'categoryId')
+    .xor('fixedPrice', 'discountPercent')
+    .oxor('categoryId', 'fixedPrice')
+    .messages({
+        'object.missing': 'Each item needs a productId or categoryId, and a fixedPrice or discountPercent',
+        'object.xor': 'Each item takes one of productId or categoryId, and one of fixedPrice or discountPercent',
+        'object.oxor': 'A category can only take a discountPercent'
+    });
+
+const contractPriceItemsSchema = Joi.array().items(contractPriceItemSchema).min(1).max(500)
+    .unique((a, b) =>
+        (a.productId && a.productId === b.productId) ||
+        (a.categoryId && a.categoryId === b.categoryId)
+    )
+    .messages({
+        'array.min': 'Add at least one product or category to the price list',
+        'array.unique': 'Each product or category can appear only once in a price list'
+    });
+
+/**
+ * Validation schema for creating a contract price list for a buyer account
+ */
+const createContractPriceListSchema = Joi.object({
+    buyerId: Joi.string().uuid(),
+    buyerEmail: Joi.string().email(),
+    name: Joi.string().trim().max(255).required(),
+    notes: Joi.string().max(2000).optional().allow(null, ''),
+    validFrom: Joi.date().iso().optional(),
+    validUntil: Joi.date().iso().greater(Joi.ref('validFrom', { adjust: (from) => from || new Date() }))
+        .optional().allow(null)
+        .messages({ 'date.greater': 'validUntil must be after validFrom' }),
+    isActive: Joi.boolean().optional(),
+    items: contractPriceItemsSchema.required()
+}).xor('buyerId', 'buyerEmail')
+    .messages({
+        'object.missing': 'Name the buyer account with buyerId or buyerEmail',
+        'object.xor': 'Name the buyer account with buyerId or buyerEmail, not both'
+    });
+
+/**
+ * Validation schema for updating a contract price list
+ * Items, when sent, replace the list's items; the buyer can't be changed
+ */
+const updateContractPriceListSchema = Joi.object({
+    name: Joi.string().trim().max(255).optional(),
+    notes: Joi.string().max(2000).optional().allow(null, ''),
+    validFrom: Joi.date().iso().optional(),
+    validUntil: Joi.date().iso().optional().allow(null),
+    isActive: Joi.boolean().optional(),
+    items: contractPriceItemsSchema.optional()
+}).min(1);
+
 module.exports = {
     createListingSchema,
     updateListingSchema,
-    updateOrderItemStatusSchema
+    updateOrderItemStatusSchema,
+    updateSubOrderStatusSchema,
+    createContractPriceListSchema,
+    updateContractPriceListSchema
 };
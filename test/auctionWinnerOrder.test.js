@@ -0,0 +1,342 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWithMocks } = require('./helpers/mockRequire');
+
+// Any method resolves to undefined
+const stub = new Proxy({}, { get: () => async () => undefined });
+
+/**
+ * One ended auction, its orders and the pool queries winner-order creation runs
+ */
+const createAuctionStore = () => {
+    const auction = {
+        id: 'auction-1',
+        product_id: 'product-1',
+        product_title: 'Steel coil',
+        supplier_id: 'supplier-1',
+        status: 'ended',
+        winner_id: 'buyer-1',
+        winning_bid: '1000.00',
+        order_id: null,
+        order_claimed_at: null
+    };
+    const orders = [];
+    const failures = { link: 0 };
+
+    const isClaimable = (minutes) => auction.order_id === null &&
+        (auction.order_claimed_at === null || auction.order_claimed_at < Date.now() - minutes * 60 * 1000);
+
+    const query = async (sql, params) => {
+        if (sql.includes('SET order_claimed_at = NOW()')) {
+            if (!isClaimable(parseInt(params[1]))) return { rows: [] };
+            auction.order_claimed_at = Date.now();
+            return { rows: [{ id: auction.id }] };
+        }
+
+        if (sql.includes('SET order_claimed_at = NULL WHERE')) {
+            if (auction.order_id === null) auction.order_claimed_at = null;
+            return { rows: [] };
+        }
+
+        if (sql.startsWith('SELECT id FROM orders WHERE auction_id')) {
+            return { rows: orders.filter(order => order.auction_id === params[0]).map(({ id }) => ({ id })) };
+        }
+
+        if (sql.startsWith('UPDATE auctions SET order_id')) {
+            if (failures.link > 0) {
+                failures.link--;
+                throw new Error('connection reset');
+            }
+            auction.order_id = params[1];
+            auction.order_claimed_at = null;
+            return { rows: [] };
+        }
+
+        if (sql.includes('FROM auctions a') && sql.includes('a.order_id IS NULL')) {
+            return { rows: auction.winner_id && isClaimable(parseInt(params[1])) ? [{ ...auction }] : [] };
+        }
+
+        if (sql.includes('UPDATE auction_deposits') || sql.includes('FROM auction_bids')) {
+            return { rows: [] };
+        }
+
+        throw new Error(`Unexpected query: ${sql}`);
+    };
+
+    // Transaction client for bid changes; FOR UPDATE holds the row until COMMIT or ROLLBACK
+    let rowLock = Promise.resolve();
+    let bidCount = 0;
+    const connect = async () => {
+        let unlock = () => { };
+
+        return {
+            async query(sql, params) {
+                if (sql === 'BEGIN') return { rows: [] };
+
+                if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+                    unlock();
+                    return { rows: [] };
+                }
+
+                if (sql.includes('FOR UPDATE OF a')) {
+                    const previous = rowLock;
+                    rowLock = new Promise(resolve => { unlock = resolve; });
+                    await previous;
+                    return { rows: [{ ...auction }] };
+                }
+
+                if (sql.startsWith('SELECT 1 FROM auction_bids')) {
+                    return { rows: [] };
+                }
+
+                if (sql.includes('INSERT INTO auction_bids')) {
+                    return {
+                        rows: [{ id: `bid-${++bidCount}`, auction_id: params[0], bidder_id: params[1], amount: params[2], created_at: new Date() }]
+                    };
+                }
+
+                if (sql.includes('SET current_bid')) {
+                    Object.assign(auction, {
+                        current_bid: params[1],
+                        highest_bidder_id: params[2],
+                        status: params[6],
+                        winner_id: params[7],
+                        winning_bid: params[8]
+                    });
+                    return { rows: [{ ...auction }] };
+                }
+
+                throw new Error(`Unexpected query: ${sql}`);
+            },
+            release() { }
+        };
+    };
+
+    return { auction, orders, failures, pool: { query, connect } };
+};
+
+describe('AuctionService.createWinnerOrder', () => {
+    let store;
+    let orderService;
+    let AuctionService;
+
+    beforeEach(() => {
+        store = createAuctionStore();
+        orderService = {
+            failures: 0,
+            gate: null,
+            entered: null,
+            async createAuctionOrder({ auction, winnerId, amount }) {
+                if (this.entered) this.entered();
+                if (this.gate) await this.gate;
+                if (this.failures > 0) {
+                    this.failures--;
+                    throw new Error('orders insert failed');
+                }
+                const order = { id: `order-${store.orders.length + 1}`, auction_id: auction.id, user_id: winnerId, amount };
+                store.orders.push(order);
+                return order;
+            }
+        };
+
+        AuctionService = loadWithMocks('services/auction.service', {
+            'config/database': { pool: store.pool, supabase: {} },
+            'models/AuctionBid': stub,
+            'models/Product': { findById: async (id) => ({ id, title: 'Steel coil' }) },
+            'models/ProductDetail': stub,
+            'models/Notification': stub,
+            'models/Order': { findById: async (id) => store.orders.find(order => order.id === id) || null },
+            'services/notification.service': stub,
+            'services/order.service': orderService,
+            'services/realtime.service': stub
+        });
+    });
+
+    it('creates one order when settlement and the scheduler retry race', async () => {
+        let open;
+        orderService.gate = new Promise(resolve => { open = resolve; });
+
+        const settling = AuctionService.createWinnerOrder({ ...store.auction });
+        const retried = AuctionService.createMissingWinnerOrders();
+        open();
+
+        const [order, retriedCount] = await Promise.all([settling, retried]);
+
+        assert.equal(store.orders.length, 1);
+        assert.equal(order.id, 'order-1');
+        assert.equal(retriedCount, 0);
+        assert.equal(store.auction.order_id, 'order-1');
+    });
+
+    it('links an order left unlinked instead of creating another', async () => {
+        store.failures.link = 1;
+
+        const first = await AuctionService.createWinnerOrder({ ...store.auction });
+        assert.equal(first, null);
+        assert.equal(store.orders.length, 1);
+        assert.equal(store.auction.order_claimed_at, null);
+
+        const retried = await AuctionService.createMissingWinnerOrders();
+
+        assert.equal(retried, 1);
+        assert.equal(store.orders.length, 1);
+        assert.equal(store.auction.order_id, 'order-1');
+    });
+
+    it('lets the retry create the order after creation fails', async () => {
+        orderService.failures = 1;
+
+        assert.equal(await AuctionService.createWinnerOrder({ ...store.auction }), null);
+        assert.equal(store.orders.length, 0);
+
+        assert.equal(await AuctionService.createMissingWinnerOrders(), 1);
+        assert.equal(store.orders.length, 1);
+        assert.equal(store.auction.order_id, 'order-1');
+    });
+
+    it('leaves an auction claimed by another settler until the claim goes stale', async () => {
+        store.auction.order_claimed_at = Date.now();
+
+        assert.equal(await AuctionService.createWinnerOrder({ ...store.auction }), null);
+        assert.equal(store.orders.length, 0);
+
+        store.auction.order_claimed_at = Date.now() - 6 * 60 * 1000;
+
+        assert.equal((await AuctionService.createWinnerOrder({ ...store.auction })).id, 'order-1');
+        assert.equal(store.orders.length, 1);
+    });
+
+    it('does nothing once the auction has its order', async () => {
+        await AuctionService.createWinnerOrder({ ...store.auction });
+
+        assert.equal(await AuctionService.createWinnerOrder({ ...store.auction }), null);
+        assert.equal(await AuctionService.createMissingWinnerOrders(), 0);
+        assert.equal(store.orders.length, 1);
+    });
+});
+
+describe('AuctionService.acceptDutchPrice', () => {
+    let store;
+    let orderService;
+    let AuctionService;
+
+    beforeEach(() => {
+        store = createAuctionStore();
+        Object.assign(store.auction, {
+            type: 'dutch',
+            status: 'live',
+            winner_id: null,
+            winning_bid: null,
+            starting_bid: '1000.00',
+            start_time: new Date(Date.now() - 60 * 1000).toISOString(),
+            end_time: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+        });
+
+        orderService = {
+            entered: null,
+            gate: null,
+            async createAuctionOrder({ auction, winnerId, amount }) {
+                if (this.entered) this.entered();
+                if (this.gate) await this.gate;
+                const order = { id: `order-${store.orders.length + 1}`, auction_id: auction.id, user_id: winnerId, amount };
+                store.orders.push(order);
+                return order;
+            }
+        };
+
+        AuctionService = loadWithMocks('services/auction.service', {
+            'config/database': { pool: store.pool, supabase: {} },
+            'models/AuctionBid': stub,
+            'models/Product': { findById: async (id) => ({ id, title: 'Steel coil' }) },
+            'models/ProductDetail': stub,
+            'models/Notification': stub,
+            'models/Order': { findById: async (id) => store.orders.find(order => order.id === id) || null },
+            'services/notification.service': stub,
+            'services/order.service': orderService,
+            'services/realtime.service': stub
+        });
+    });
+
+    it('creates one order when an acceptance races a second buyer and the scheduler retry', async () => {
+        let open;
+        const creating = new Promise(resolve => { orderService.entered = resolve; });
+        orderService.gate = new Promise(resolve => { open = resolve; });
+
+        const accepted = AuctionService.acceptDutchPrice({ auctionId: 'auction-1', bidderId: 'buyer-1' });
+        const late = AuctionService.acceptDutchPrice({ auctionId: 'auction-1', bidderId: 'buyer-2' });
+
+        // The winner's order is being created after commit; the retry must not start another
+        await creating;
+        assert.equal(await AuctionService.createMissingWinnerOrders(), 0);
+        open();
+
+        const result = await accepted;
+        await assert.rejects(late, /AUCTION_NOT_LIVE/);
+
+        assert.equal(result.isWinner, true);
+        assert.equal(result.amount, 1000);
+        assert.equal(result.orderId, 'order-1');
+        assert.equal(store.orders.length, 1);
+        assert.equal(store.orders[0].user_id, 'buyer-1');
+        assert.equal(store.auction.order_id, 'order-1');
+    });
+});
+
+/**
+ * Supabase client whose queries resolve to fixed table contents
+ * @param {Object} tables - Table name → rows (or one row, for single())
+ */
+const createSupabase = (tables) => ({
+    from: (table) => {
+        const builder = {
+            then: (resolve, reject) => Promise.resolve({ data: tables[table] ?? [], error: null }).then(resolve, reject),
+            single: async () => ({ data: tables[table] ?? null, error: null })
+        };
+        for (const method of ['select', 'eq', 'in', 'like', 'order', 'limit', 'insert']) {
+            builder[method] = () => builder;
+        }
+        return builder;
+    }
+});
+
+describe('OrderService.createAuctionOrder', () => {
+    it('charges GST at the product rate and links the order to the auction', async () => {
+        let createdOrder;
+        let createdItems;
+        let nextId = 0;
+
+        const OrderService = loadWithMocks('services/order.service', {
+            'config/database': {
+                supabase: createSupabase({
+                    products: { hsn_code: '7208', gst_percent: 5, state: 'Maharashtra', supplier_id: 'supplier-1' }
+                })
+            },
+            'models/Order': { create: async (data) => (createdOrder = data) },
+            'models/OrderItem': { createBulk: async (items) => (createdItems = items) },
+            'models/UserAddress': { getDefaultAddress: async () => ({ full_name: 'Buyer', state: 'Karnataka' }) },
+            'models/SubOrder': stub,
+            'models/Cart': stub,
+            'models/Product': stub,
+            'models/Coupon': stub,
+            'services/coupon.service': stub,
+            'services/contractPricing.service': stub,
+            'services/stockReservation.service': stub,
+            'services/notification.service': stub,
+            uuid: { v4: () => `id-${++nextId}` }
+        });
+
+        await OrderService.createAuctionOrder({
+            auction: { id: 'auction-1' },
+            product: { id: 'product-1', title: 'Steel coil', supplier_id: 'supplier-1' },
+            winnerId: 'buyer-1',
+            amount: 1000
+        });
+
+        assert.equal(createdOrder.auction_id, 'auction-1');
+        assert.equal(createdOrder.gst_amount, 50);
+        assert.equal(createdOrder.igst_amount, 50);
+        assert.equal(createdOrder.total_amount, 1050);
+        assert.equal(createdItems[0].gst_percent, 5);
+        assert.equal(createdItems[0].hsn_code, '7208');
+    });
+});
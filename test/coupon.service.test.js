@@ -0,0 +1,162 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWithMocks } = require('./helpers/mockRequire');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createCoupon = (code, overrides = {}) => ({
+    id: code.toLowerCase(),
+    code,
+    description: null,
+    discount_type: 'percentage',
+    discount_value: '10',
+    max_discount: null,
+    min_order_value: '0',
+    max_usage_per_user: 1,
+    total_usage_limit: null,
+    current_usage_count: 0,
+    valid_from: new Date(Date.now() - DAY_MS).toISOString(),
+    valid_until: new Date(Date.now() + DAY_MS).toISOString(),
+    is_stackable: true,
+    funded_by: 'platform',
+    supplier_id: null,
+    ...overrides
+});
+
+// ₹2000 from supplier-1 and ₹1000 from supplier-2
+const items = [
+    { productId: 'product-1', supplierId: 'supplier-1', price: 1000, quantity: 2 },
+    { productId: 'product-2', supplierId: 'supplier-2', price: 500, quantity: 2 }
+];
+
+describe('CouponService.applyCoupons', () => {
+    let coupons;
+    let usage;
+    let CouponService;
+
+    let buyer;
+
+    beforeEach(() => {
+        coupons = [];
+        usage = {};
+        buyer = null;
+
+        CouponService = loadWithMocks('services/coupon.service', {
+            'config/database': { query: async () => ({ rows: buyer ? [buyer] : [] }) },
+            'models/Coupon': {
+                findActiveByCodes: async (codes) => codes
+                    .map(code => coupons.find(coupon => coupon.code === code.toUpperCase()))
+                    .filter(Boolean),
+                countUserUsage: async (couponId) => usage[couponId] || 0
+            }
+        });
+    });
+
+    const apply = (codes) => CouponService.applyCoupons(codes, { userId: 'buyer-1', items });
+    const rejection = (result, code) => result.rejected.find(rejected => rejected.code === code)?.error;
+
+    it('stacks coupons in the order they were added, each on what the last left', async () => {
+        coupons.push(
+            createCoupon('SAVE10'),
+            createCoupon('FLAT200', { discount_type: 'flat', discount_value: '200' })
+        );
+
+        const result = await apply(['SAVE10', 'FLAT200']);
+
+        assert.deepEqual(result.applied.map(coupon => [coupon.code, coupon.discountAmount]), [['SAVE10', 300], ['FLAT200', 200]]);
+        assert.equal(result.couponDiscount, 500);
+        assert.deepEqual(result.lineDiscounts, [333.33, 166.67]);
+        assert.deepEqual(result.platformLineDiscounts, result.lineDiscounts);
+    });
+
+    it('accepts a coupon that is not stackable only on its own', async () => {
+        coupons.push(createCoupon('SAVE10'), createCoupon('SOLO', { is_stackable: false }));
+
+        const soloSecond = await apply(['SAVE10', 'SOLO']);
+        assert.deepEqual(soloSecond.applied.map(coupon => coupon.code), ['SAVE10']);
+        assert.equal(rejection(soloSecond, 'SOLO'), 'COUPON_NOT_STACKABLE');
+
+        const soloFirst = await apply(['SOLO', 'SAVE10']);
+        assert.deepEqual(soloFirst.applied.map(coupon => coupon.code), ['SOLO']);
+        assert.equal(rejection(soloFirst, 'SAVE10'), 'COUPON_NOT_STACKABLE');
+    });
+
+    it('combines at most three coupons', async () => {
+        coupons.push(createCoupon('ONE'), createCoupon('TWO'), createCoupon('THREE'), createCoupon('FOUR'));
+
+        const result = await apply(['ONE', 'TWO', 'THREE', 'FOUR']);
+
+        assert.equal(result.applied.length, 3);
+        assert.equal(rejection(result, 'FOUR'), 'COUPON_LIMIT_REACHED');
+    });
+
+    it('enforces per-buyer and total usage limits', async () => {
+        coupons.push(
+            createCoupon('USEDUP', { max_usage_per_user: 1 }),
+            createCoupon('SOLDOUT', { total_usage_limit: 100, current_usage_count: 100 })
+        );
+        usage.usedup = 1;
+
+        const result = await apply(['USEDUP', 'SOLDOUT']);
+
+        assert.equal(result.applied.length, 0);
+        assert.equal(result.couponDiscount, 0);
+        assert.equal(rejection(result, 'USEDUP'), 'USER_USAGE_LIMIT_REACHED');
+        assert.equal(rejection(result, 'SOLDOUT'), 'COUPON_USAGE_LIMIT_REACHED');
+    });
+
+    it('caps a percentage coupon at its max discount', async () => {
+        coupons.push(createCoupon('HALF', { discount_value: '50', max_discount: '400' }));
+
+        const result = await apply(['HALF']);
+
+        assert.equal(result.couponDiscount, 400);
+    });
+
+    it('rejects a coupon below its minimum order value', async () => {
+        coupons.push(createCoupon('BIGSPEND', { min_order_value: '5000' }));
+
+        const result = await apply(['BIGSPEND']);
+
+        assert.equal(rejection(result, 'BIGSPEND'), 'MIN_ORDER_NOT_MET');
+    });
+
+    it('never discounts more than the cart is worth, even when stacked', async () => {
+        coupons.push(
+            createCoupon('HUGE', { discount_type: 'flat', discount_value: '5000' }),
+            createCoupon('SAVE10')
+        );
+
+        const result = await apply(['HUGE', 'SAVE10']);
+
+        assert.equal(result.couponDiscount, 3000);
+        assert.deepEqual(result.lineDiscounts, [2000, 1000]);
+        assert.equal(rejection(result, 'SAVE10'), 'COUPON_NOT_APPLICABLE');
+    });
+
+    it('keeps a supplier-funded coupon to that supplier\'s items and out of the platform share', async () => {
+        coupons.push(createCoupon('SUPPLIER10', { funded_by: 'supplier', supplier_id: 'supplier-2' }));
+
+        const result = await apply(['SUPPLIER10']);
+
+        assert.equal(result.couponDiscount, 100);
+        assert.deepEqual(result.lineDiscounts, [0, 100]);
+        assert.deepEqual(result.platformLineDiscounts, [0, 0]);
+    });
+
+    it('treats a buyer with a GST number as verified, as auction GST rules do', async () => {
+        coupons.push(createCoupon('GSTONLY', { requires_verified_gst: true }));
+        buyer = { role: 'buyer', gst_number: '29ABCDE1234F1Z5', is_verified: false, roles: [], has_orders: true };
+
+        const withGst = await apply(['GSTONLY']);
+        assert.equal(withGst.couponDiscount, 300);
+
+        const Auction = loadWithMocks('models/Auction', { 'config/database': { supabase: {} } });
+        const { requirements } = Auction.checkEligibility({ require_gst: true }, buyer, null);
+        assert.equal(requirements.find(requirement => requirement.rule === 'gst').met, true);
+
+        buyer = { ...buyer, gst_number: null };
+        const withoutGst = await apply(['GSTONLY']);
+        assert.equal(rejection(withoutGst, 'GSTONLY'), 'SEGMENT_NOT_ELIGIBLE');
+    });
+});
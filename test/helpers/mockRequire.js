@@ -0,0 +1,66 @@
+const Module = require('module');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * Resolve a mock key: a path under src (e.g. 'services/order.service')
+ * or a package name (e.g. 'uuid')
+ * @param {string} key
+ * @returns {string}
+ */
+const resolveKey = (key) => {
+    try {
+        return require.resolve(path.join(SRC_DIR, key));
+    } catch {
+        return key;
+    }
+};
+
+/**
+ * Require a module under src with some of its dependencies replaced.
+ * The module is loaded fresh, so each test file gets its own copy.
+ * @param {string} modulePath - Path under src, e.g. 'services/auction.service'
+ * @param {Object} mocks - Path under src or package name → exports to use instead
+ * @returns {*} - The module's exports
+ */
+const loadWithMocks = (modulePath, mocks = {}) => {
+    const replacements = new Map(
+        Object.entries(mocks).map(([key, exports]) => [resolveKey(key), exports])
+    );
+    const target = require.resolve(path.join(SRC_DIR, modulePath));
+    const originalLoad = Module._load;
+    const reloaded = new Set([target]);
+
+    Module._load = function (request, parent, isMain) {
+        if (replacements.has(request)) {
+            return replacements.get(request);
+        }
+
+        if (request.startsWith('.') && parent) {
+            const resolved = Module._resolveFilename(request, parent, isMain);
+            if (replacements.has(resolved)) {
+                return replacements.get(resolved);
+            }
+            // Reload anything else under src once, so it sees the mocks too
+            if (!reloaded.has(resolved)) {
+                reloaded.add(resolved);
+                delete require.cache[resolved];
+            }
+        }
+
+        return originalLoad.apply(this, arguments);
+    };
+
+    delete require.cache[target];
+
+    try {
+        return require(target);
+    } finally {
+        Module._load = originalLoad;
+    }
+};
+
+module.exports = {
+    loadWithMocks
+};
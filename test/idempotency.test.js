@@ -0,0 +1,238 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { loadWithMocks } = require('./helpers/mockRequire');
+
+/**
+ * In-memory idempotency_keys table answering the service's queries
+ */
+const createKeyStore = () => {
+    const rows = [];
+    let nextId = 1;
+
+    const query = async (sql, params) => {
+        if (sql.startsWith('DELETE FROM idempotency_keys WHERE user_id')) {
+            return { rows: [] };
+        }
+
+        if (sql.includes('INSERT INTO idempotency_keys')) {
+            const [userId, key, method, path, hash] = params;
+            if (rows.some(row => row.user_id === userId && row.idempotency_key === key)) {
+                return { rows: [] };
+            }
+            const row = {
+                id: String(nextId++),
+                user_id: userId,
+                idempotency_key: key,
+                request_method: method,
+                request_path: path,
+                request_hash: hash,
+                status: 'processing',
+                locked_at: Date.now()
+            };
+            rows.push(row);
+            return { rows: [{ ...row }] };
+        }
+
+        if (sql.startsWith('SELECT * FROM idempotency_keys')) {
+            const row = rows.find(candidate => candidate.user_id === params[0] && candidate.idempotency_key === params[1]);
+            return { rows: row ? [{ ...row }] : [] };
+        }
+
+        if (sql.includes('SET locked_at = NOW()')) {
+            const row = rows.find(candidate => candidate.id === params[0]);
+            if (row && row.status === 'processing' && row.locked_at < Date.now() - parseInt(params[1]) * 1000) {
+                row.locked_at = Date.now();
+                return { rows: [{ ...row }] };
+            }
+            return { rows: [] };
+        }
+
+        if (sql.includes("SET status = 'completed'")) {
+            const row = rows.find(candidate => candidate.id === params[0]);
+            Object.assign(row, { status: 'completed', response_status: params[1], response_body: JSON.parse(params[2]) });
+            return { rows: [] };
+        }
+
+        if (sql.startsWith('DELETE FROM idempotency_keys WHERE id')) {
+            const index = rows.findIndex(row => row.id === params[0] && row.status === 'processing');
+            if (index !== -1) rows.splice(index, 1);
+            return { rows: [] };
+        }
+
+        throw new Error(`Unexpected query: ${sql}`);
+    };
+
+    return { rows, query };
+};
+
+const createRequest = (body, key = 'key-1') => ({
+    userId: 'buyer-1',
+    method: 'POST',
+    baseUrl: '/api/buyer',
+    path: '/orders/create',
+    body,
+    get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+});
+
+const createResponse = () => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.closed = false;
+    res.writableFinished = false;
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        if (!res.closed) {
+            res.writableFinished = true;
+            res.emit('finish');
+        }
+        res.emit('close');
+        return res;
+    };
+    res.abort = () => {
+        res.closed = true;
+        res.emit('close');
+    };
+    return res;
+};
+
+// Let the fire-and-forget complete/release writes land
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotent middleware', () => {
+    let store;
+    let idempotent;
+
+    beforeEach(() => {
+        store = createKeyStore();
+        const IdempotencyService = loadWithMocks('services/idempotency.service', {
+            'config/database': { query: store.query }
+        });
+        ({ idempotent } = loadWithMocks('middleware/idempotency.middleware', {
+            'services/idempotency.service': IdempotencyService
+        }));
+    });
+
+    /**
+     * Send a request through the middleware to a handler
+     * @returns {Promise<Object>} - The response
+     */
+    const send = async (body, handler, key) => {
+        const req = createRequest(body, key);
+        const res = createResponse();
+        await idempotent(req, res, () => handler(req, res));
+        await flush();
+        return res;
+    };
+
+    it('replays the first response to a retry with the same key', async () => {
+        let runs = 0;
+        const handler = (req, res) => {
+            runs++;
+            res.status(201).json({ success: true, data: { orderId: `order-${runs}` } });
+        };
+
+        const first = await send({ checkoutSessionId: 's-1' }, handler);
+        const retry = await send({ checkoutSessionId: 's-1' }, handler);
+
+        assert.equal(runs, 1);
+        assert.equal(retry.statusCode, 201);
+        assert.deepEqual(retry.body, first.body);
+        assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+    });
+
+    it('keeps the key while the handler runs after the client disconnects', async () => {
+        let runs = 0;
+        let finishOrder;
+        const handler = (req, res) => {
+            runs++;
+            finishOrder = () => res.status(201).json({ success: true, data: { orderId: 'order-1' } });
+        };
+
+        const first = await send({ checkoutSessionId: 's-1' }, handler);
+        first.abort();
+        await flush();
+
+        const whileRunning = await send({ checkoutSessionId: 's-1' }, handler);
+        assert.equal(whileRunning.statusCode, 409);
+        assert.equal(whileRunning.body.errorCode, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+        finishOrder();
+        await flush();
+
+        const afterwards = await send({ checkoutSessionId: 's-1' }, handler);
+        assert.equal(runs, 1);
+        assert.equal(afterwards.statusCode, 201);
+        assert.deepEqual(afterwards.body, { success: true, data: { orderId: 'order-1' } });
+    });
+
+    it('releases the key on a server error so the retry runs again', async () => {
+        let runs = 0;
+        const handler = (req, res) => {
+            runs++;
+            if (runs === 1) {
+                res.status(500).json({ success: false, message: 'Database unavailable' });
+            } else {
+                res.status(201).json({ success: true });
+            }
+        };
+
+        await send({ checkoutSessionId: 's-1' }, handler);
+        const retry = await send({ checkoutSessionId: 's-1' }, handler);
+
+        assert.equal(runs, 2);
+        assert.equal(retry.statusCode, 201);
+        assert.equal(retry.headers['Idempotent-Replayed'], undefined);
+    });
+
+    it('rejects a key reused with a different payload', async () => {
+        const handler = (req, res) => res.status(201).json({ success: true });
+
+        await send({ checkoutSessionId: 's-1' }, handler);
+        const reused = await send({ checkoutSessionId: 's-2' }, handler);
+
+        assert.equal(reused.statusCode, 422);
+        assert.equal(reused.body.errorCode, 'IDEMPOTENCY_KEY_REUSED');
+    });
+
+    it('doesn\'t let a retry take over a key whose request is slow but still running', async () => {
+        let runs = 0;
+        const handler = () => {
+            runs++;
+        };
+
+        await send({ checkoutSessionId: 's-1' }, handler);
+        store.rows[0].locked_at -= 5 * 60 * 1000;
+
+        const retry = await send({ checkoutSessionId: 's-1' }, handler);
+
+        assert.equal(runs, 1);
+        assert.equal(retry.statusCode, 409);
+    });
+
+    it('lets a retry take over a key whose request died', async () => {
+        let runs = 0;
+        const handler = (req, res) => {
+            runs++;
+            if (runs > 1) res.status(201).json({ success: true });
+        };
+
+        const first = await send({ checkoutSessionId: 's-1' }, handler);
+        first.abort();
+        store.rows[0].locked_at -= 16 * 60 * 1000;
+
+        const retry = await send({ checkoutSessionId: 's-1' }, handler);
+
+        assert.equal(runs, 2);
+        assert.equal(retry.statusCode, 201);
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWithMocks } = require('./helpers/mockRequire');
+
+const stub = new Proxy({}, { get: () => async () => undefined });
+
+const PricingService = loadWithMocks('services/pricing.service', {
+    'config/database': { supabase: {} },
+    'services/coupon.service': stub,
+    'services/contractPricing.service': stub,
+    'services/stockReservation.service': stub
+});
+
+const tiers = [
+    { minQuantity: 10, unitPrice: 90 },
+    { minQuantity: 50, unitPrice: 75 }
+];
+
+describe('PricingService.applyPriceTiers', () => {
+    it('offers only tiers cheaper than the discounted list price', () => {
+        const [item] = PricingService.applyPriceTiers([
+            { productId: 'product-1', listPrice: 100, discountPercent: 20, quantity: 5, priceTiers: tiers }
+        ]);
+
+        assert.equal(item.appliedTier, null);
+        assert.equal(item.price, 100);
+        assert.equal(item.discountPercent, 20);
+        assert.equal(item.nextTier.unitPrice, 75);
+        assert.equal(item.nextTier.quantityNeeded, 45);
+    });
+
+    it('offers nothing when no tier beats the contract price', () => {
+        const [item] = PricingService.applyPriceTiers([
+            { productId: 'product-1', listPrice: 100, quantity: 5, priceTiers: tiers, contractPrice: { unitPrice: 70 } }
+        ]);
+
+        assert.equal(item.price, 70);
+        assert.equal(item.nextTier, null);
+    });
+
+    it('offers the next tier past the one the quantity reaches', () => {
+        const [item] = PricingService.applyPriceTiers([
+            { productId: 'product-1', listPrice: 100, discountPercent: 20, quantity: 12, priceTiers: tiers }
+        ]);
+
+        assert.equal(item.price, 90);
+        assert.equal(item.discountPercent, 0);
+        assert.equal(item.nextTier.unitPrice, 75);
+        assert.equal(item.nextTier.quantityNeeded, 38);
+    });
+});
@@ -0,0 +1,157 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWithMocks } = require('./helpers/mockRequire');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * An RFQ for 100 kg with two pending quotes, and a log of what the award did in which order
+ */
+const createAwardStore = () => {
+    const log = [];
+    const failures = { commit: false };
+    const validUntil = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    const createQuote = (id, quantity, price) => ({
+        id,
+        rfqId: 'rfq-1',
+        buyerId: 'buyer-1',
+        supplierId: `supplier-${id}`,
+        quoteNumber: `QT-${id}`,
+        status: 'pending',
+        validUntil,
+        quantity: String(quantity),
+        quotePrice: String(price),
+        unit: 'kg',
+        allocatedQuantity: null,
+        async update(changes) {
+            Object.assign(this, changes);
+        }
+    });
+
+    const quotes = [createQuote('a', 60, 100), createQuote('b', 60, 110)];
+    const rfq = {
+        id: 'rfq-1',
+        buyerId: 'buyer-1',
+        title: 'Cold rolled steel',
+        quantity: '100',
+        unit: 'kg',
+        lineItemCount: 0,
+        awardMode: 'standard',
+        status: 'open',
+        async update(changes) {
+            Object.assign(this, changes);
+        }
+    };
+
+    const transaction = {
+        LOCK: { UPDATE: 'UPDATE' },
+        async commit() {
+            if (failures.commit) throw new Error('could not serialize access');
+            log.push('commit');
+        },
+        async rollback() {
+            log.push('rollback');
+        }
+    };
+
+    const models = {
+        Quote: {
+            findAll: async ({ where }) => quotes.filter(quote => where.id.includes(quote.id)),
+            sum: async (field, { where }) => quotes
+                .filter(quote => quote.rfqId === where.rfqId && where.status.includes(quote.status))
+                .reduce((sum, quote) => sum + (quote[field] || 0), 0)
+        },
+        RFQ: {
+            findOne: async () => rfq
+        }
+    };
+
+    return { log, failures, quotes, rfq, transaction, models };
+};
+
+describe('RFQAwardService.awardQuotes', () => {
+    let store;
+    let orderService;
+    let RFQAwardService;
+
+    beforeEach(() => {
+        store = createAwardStore();
+        orderService = {
+            failFor: null,
+            validateAddresses: async () => ({ shippingAddress: { state: 'Karnataka' } }),
+            async createQuoteOrder({ quote, lines }) {
+                store.log.push(`order ${quote.id}`);
+                if (this.failFor === quote.id) throw new Error('orders insert failed');
+                return { id: `order-${quote.id}`, quantity: lines[0].quantity };
+            }
+        };
+
+        RFQAwardService = loadWithMocks('services/rfqAward.service', {
+            'config/database': { sequelize: { transaction: async () => store.transaction } },
+            models: store.models,
+            'models/Notification': { create: async () => ({}) },
+            'services/order.service': orderService,
+            'services/rfqLineItem.service': { round: round2 },
+            'services/quoteNegotiation.service': { assertAcceptable: async () => { } }
+        });
+    });
+
+    const splitAward = () => RFQAwardService.awardQuotes(
+        'buyer-1',
+        [{ quoteId: 'a', quantity: 60 }, { quoteId: 'b', quantity: 40 }],
+        { rfqId: 'rfq-1', createOrder: true, shippingAddressId: 'address-1' }
+    );
+
+    it('creates one order per supplier only after the split award commits', async () => {
+        const { awards, coverage } = await splitAward();
+
+        assert.deepEqual(store.log, ['commit', 'order a', 'order b']);
+        assert.deepEqual(awards.map(award => award.order.id), ['order-a', 'order-b']);
+        assert.deepEqual(awards.map(award => award.allocation.allocatedQuantity), [60, 40]);
+        assert.equal(coverage.fullyCovered, true);
+        assert.equal(store.rfq.status, 'fulfilled');
+    });
+
+    it('creates no orders when a later award in the split fails', async () => {
+        store.quotes[1].status = 'rejected';
+
+        await assert.rejects(splitAward(), /QUOTE_NOT_PENDING/);
+
+        assert.deepEqual(store.log, ['rollback']);
+    });
+
+    it('creates no orders when the split would over-allocate the RFQ', async () => {
+        await assert.rejects(
+            RFQAwardService.awardQuotes(
+                'buyer-1',
+                [{ quoteId: 'a', quantity: 60 }, { quoteId: 'b', quantity: 50 }],
+                { rfqId: 'rfq-1', createOrder: true, shippingAddressId: 'address-1' }
+            ),
+            /INVALID_AWARD_QUANTITY/
+        );
+
+        assert.deepEqual(store.log, ['rollback']);
+    });
+
+    it('reports a failed order on its award and keeps the other awards and orders', async () => {
+        orderService.failFor = 'b';
+
+        const { awards } = await splitAward();
+
+        assert.deepEqual(store.log, ['commit', 'order a', 'order b']);
+        assert.equal(awards[0].order.id, 'order-a');
+        assert.equal(awards[0].orderError, undefined);
+        assert.equal(awards[1].order, null);
+        assert.equal(awards[1].orderError.code, 'ORDER_CREATION_FAILED');
+        assert.equal(store.quotes[1].status, 'accepted');
+    });
+
+    it('creates no orders when the commit fails', async () => {
+        store.failures.commit = true;
+
+        await assert.rejects(splitAward(), /could not serialize access/);
+
+        assert.equal(store.log.some(entry => entry.startsWith('order')), false);
+    });
+});
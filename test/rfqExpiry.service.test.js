@@ -0,0 +1,70 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWithMocks } = require('./helpers/mockRequire');
+
+describe('RFQExpiryService.remindRFQ', () => {
+    let rfq;
+    let notifications;
+    let failures;
+    let RFQExpiryService;
+
+    beforeEach(() => {
+        rfq = {
+            id: 'rfq-1',
+            buyerId: 'buyer-1',
+            title: 'Cold rolled steel',
+            expiresAt: new Date(Date.now() + 6 * 60 * 60 * 1000),
+            expiryReminderSentAt: null
+        };
+        notifications = [];
+        failures = { buyer: 0 };
+
+        const sameTime = (a, b) => (a === null ? b === null : b !== null && a.getTime() === b.getTime());
+
+        RFQExpiryService = loadWithMocks('services/rfqExpiry.service', {
+            sequelize: { Op: { gt: 'gt', lte: 'lte', lt: 'lt', in: 'in' } },
+            'config/database': { query: async () => ({ rows: [{ supplier_id: 'supplier-1' }] }) },
+            models: {
+                Quote: { count: async () => 2 },
+                RFQ: {
+                    update: async (changes, { where }) => {
+                        if (where.id !== rfq.id || !sameTime(rfq.expiryReminderSentAt, where.expiryReminderSentAt)) return [0];
+                        Object.assign(rfq, changes);
+                        return [1];
+                    }
+                }
+            },
+            'services/notification.service': {
+                sendRFQClosingReminder: async (buyerId) => {
+                    if (failures.buyer > 0) {
+                        failures.buyer--;
+                        throw new Error('notifications insert failed');
+                    }
+                    notifications.push(buyerId);
+                },
+                sendRFQQuoteReminders: async (supplierIds) => {
+                    notifications.push(...supplierIds);
+                }
+            }
+        });
+    });
+
+    it('reminds the buyer and suppliers once', async () => {
+        const result = await RFQExpiryService.remindRFQ(rfq);
+
+        assert.deepEqual(result, { rfqId: 'rfq-1', pendingQuotes: 2, suppliersReminded: 1 });
+        assert.equal(await RFQExpiryService.remindRFQ(rfq), null);
+        assert.deepEqual(notifications, ['buyer-1', 'supplier-1']);
+    });
+
+    it('leaves the reminder unsent when the notification fails, so the next pass retries it', async () => {
+        failures.buyer = 1;
+
+        await assert.rejects(RFQExpiryService.remindRFQ(rfq), /notifications insert failed/);
+        assert.equal(rfq.expiryReminderSentAt, null);
+
+        await RFQExpiryService.remindRFQ(rfq);
+        assert.deepEqual(notifications, ['buyer-1', 'supplier-1']);
+        assert.ok(rfq.expiryReminderSentAt instanceof Date);
+    });
+});
@@ -0,0 +1,238 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWithMocks } = require('./helpers/mockRequire');
+
+const stub = new Proxy({}, { get: () => async () => undefined });
+
+const loadService = (mocks = {}) => loadWithMocks('services/rfqTemplate.service', {
+    sequelize: { Op: { ne: 'ne', lte: 'lte' } },
+    'config/database': { query: async () => ({ rows: [] }) },
+    models: { RFQ: stub, RFQTemplate: stub },
+    'services/rfq.service': stub,
+    'services/rfqLineItem.service': stub,
+    'services/notification.service': stub,
+    'validators/rfq.validator': { createRFQSchema: { validate: (value) => ({ value: { ...value } }) } },
+    ...mocks
+});
+
+// Local calendar date, as the schedule reads it
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('RFQTemplateService.getNextRunAt', () => {
+    const RFQTemplateService = loadService();
+
+    it('falls on the last day of a shorter month and returns to the anchor day after', () => {
+        const february = RFQTemplateService.getNextRunAt(new Date(2026, 0, 31, 9), 'monthly');
+        assert.deepEqual(ymd(february), [2026, 2, 28]);
+
+        const march = RFQTemplateService.getNextRunAt(february, 'monthly', 31);
+        assert.deepEqual(ymd(march), [2026, 3, 31]);
+
+        const april = RFQTemplateService.getNextRunAt(march, 'monthly', 31);
+        assert.deepEqual(ymd(april), [2026, 4, 30]);
+    });
+
+    it('keeps a quarterly schedule on its day across February', () => {
+        const february = RFQTemplateService.getNextRunAt(new Date(2026, 10, 30, 9), 'quarterly');
+        assert.deepEqual(ymd(february), [2027, 2, 28]);
+
+        const may = RFQTemplateService.getNextRunAt(february, 'quarterly', 30);
+        assert.deepEqual(ymd(may), [2027, 5, 30]);
+    });
+
+    it('handles the 29th and 30th in leap and common years', () => {
+        assert.deepEqual(ymd(RFQTemplateService.getNextRunAt(new Date(2028, 0, 29), 'monthly')), [2028, 2, 29]);
+        assert.deepEqual(ymd(RFQTemplateService.getNextRunAt(new Date(2027, 0, 29), 'monthly')), [2027, 2, 28]);
+        assert.deepEqual(ymd(RFQTemplateService.getNextRunAt(new Date(2028, 0, 30), 'monthly')), [2028, 2, 29]);
+    });
+
+    it('rolls over the year and keeps the time of day', () => {
+        const next = RFQTemplateService.getNextRunAt(new Date(2026, 11, 31, 9, 30), 'monthly');
+
+        assert.deepEqual(ymd(next), [2027, 1, 31]);
+        assert.equal(next.getHours(), 9);
+        assert.equal(next.getMinutes(), 30);
+    });
+
+    it('anchors a new schedule on its start day', () => {
+        const schedule = RFQTemplateService.buildSchedule({ frequency: 'monthly', startAt: new Date(2026, 4, 31, 9) });
+
+        assert.equal(schedule.recurrenceDay, 31);
+        assert.deepEqual(ymd(schedule.nextRunAt), [2026, 5, 31]);
+    });
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * rfq_templates rows behind a fake RFQTemplate model, and the RFQs published from them
+ */
+const createTemplateStore = (rows) => {
+    const rfqs = [];
+    const failures = { createRFQ: 0, lastRunError: 0 };
+
+    // Sequelize-like instance: a copy of the row as read, whose update writes through
+    const toInstance = (row) => {
+        const instance = {
+            ...row,
+            async update(changes) {
+                if ('lastRunError' in changes && changes.lastRunError && failures.lastRunError > 0) {
+                    failures.lastRunError--;
+                    throw new Error('connection terminated');
+                }
+                Object.assign(row, changes);
+                Object.assign(instance, changes);
+                return instance;
+            },
+            toJSON: () => ({ ...row })
+        };
+        return instance;
+    };
+
+    const RFQTemplate = {
+        findAll: async () => rows
+            .filter(row => row.isActive && row.recurrenceFrequency && row.nextRunAt && row.nextRunAt <= new Date())
+            .map(toInstance),
+        findOne: async ({ where }) => {
+            const row = rows.find(candidate => candidate.id === where.id && candidate.buyerId === where.buyerId);
+            return row ? toInstance(row) : null;
+        },
+        update: async (changes, { where }) => {
+            const row = rows.find(candidate => candidate.id === where.id);
+            if (!row || row.nextRunAt?.getTime() !== new Date(where.nextRunAt).getTime()) return [0];
+            Object.assign(row, changes);
+            return [1];
+        }
+    };
+
+    const RFQService = {
+        describeError: () => null,
+        createRFQ: async (buyerId, data, { templateId }) => {
+            if (failures.createRFQ > 0) {
+                failures.createRFQ--;
+                throw new Error('rfqs insert failed');
+            }
+            const rfq = { id: `rfq-${rfqs.length + 1}`, rfqNumber: `RFQ-${rfqs.length + 1}`, title: data.title, templateId, data };
+            rfqs.push(rfq);
+            return { rfq };
+        }
+    };
+
+    return { rows, rfqs, failures, RFQTemplate, RFQService };
+};
+
+const createTemplateRow = (overrides = {}) => ({
+    id: 'template-1',
+    buyerId: 'buyer-1',
+    name: 'Monthly steel',
+    rfqData: { title: 'Cold rolled steel', quantity: 100, unit: 'kg', attachments: [{ url: 'https://files/spec.pdf' }] },
+    requiredByOffsetDays: 14,
+    recurrenceFrequency: 'monthly',
+    recurrenceDay: null,
+    nextRunAt: new Date(Date.now() - 60 * 1000),
+    recurrenceEndsAt: null,
+    runCount: 0,
+    useCount: 0,
+    isActive: true,
+    ...overrides
+});
+
+const loadWithStore = (store) => loadService({
+    models: { RFQ: stub, RFQTemplate: store.RFQTemplate },
+    'services/rfq.service': store.RFQService
+});
+
+describe('RFQTemplateService.publishDueRecurring', () => {
+    it('publishes a schedule that fell months behind once and moves it past now', async () => {
+        const store = createTemplateStore([createTemplateRow({ nextRunAt: new Date(Date.now() - 120 * DAY_MS) })]);
+        const RFQTemplateService = loadWithStore(store);
+
+        await RFQTemplateService.publishDueRecurring();
+        await RFQTemplateService.publishDueRecurring();
+
+        assert.equal(store.rfqs.length, 1);
+        assert.ok(store.rows[0].nextRunAt > new Date());
+        assert.ok(store.rows[0].nextRunAt < new Date(Date.now() + 32 * DAY_MS));
+    });
+
+    it('keeps publishing the batch when saving a template\'s run error fails', async () => {
+        const store = createTemplateStore([
+            createTemplateRow({ id: 'template-1', nextRunAt: new Date(Date.now() - 2 * 60 * 1000) }),
+            createTemplateRow({ id: 'template-2' })
+        ]);
+        store.failures.createRFQ = 1;
+        store.failures.lastRunError = 1;
+        const RFQTemplateService = loadWithStore(store);
+
+        const published = await RFQTemplateService.publishDueRecurring();
+
+        assert.deepEqual(published, [{ templateId: 'template-2', rfqId: 'rfq-1' }]);
+    });
+
+    it('publishes a run once when two passes overlap', async () => {
+        const store = createTemplateStore([createTemplateRow()]);
+        const RFQTemplateService = loadWithStore(store);
+
+        const [first, second] = await Promise.all([
+            RFQTemplateService.publishDueRecurring(),
+            RFQTemplateService.publishDueRecurring()
+        ]);
+
+        assert.equal(store.rfqs.length, 1);
+        assert.equal(first.length + second.length, 1);
+    });
+
+    it('ends the schedule when the next slot is past recurrenceEndsAt', async () => {
+        const store = createTemplateStore([createTemplateRow({ recurrenceEndsAt: new Date(Date.now() + DAY_MS) })]);
+        const RFQTemplateService = loadWithStore(store);
+
+        await RFQTemplateService.publishDueRecurring();
+
+        assert.equal(store.rfqs.length, 1);
+        assert.equal(store.rows[0].nextRunAt, null);
+    });
+});
+
+describe('RFQTemplateService.updateTemplate', () => {
+    it('resumes a reactivated schedule at its next slot instead of publishing missed runs', async () => {
+        const store = createTemplateStore([createTemplateRow({ isActive: false, nextRunAt: new Date(Date.now() - 90 * DAY_MS) })]);
+        const RFQTemplateService = loadWithStore(store);
+
+        await RFQTemplateService.updateTemplate('buyer-1', 'template-1', { isActive: true });
+
+        assert.equal(store.rows[0].isActive, true);
+        assert.ok(store.rows[0].nextRunAt > new Date());
+
+        await RFQTemplateService.publishDueRecurring();
+        assert.equal(store.rfqs.length, 0);
+    });
+});
+
+describe('RFQTemplateService.buildRFQData', () => {
+    const RFQTemplateService = loadService();
+
+    it('sets requiredByDate afresh from the offset on each build', () => {
+        const template = createTemplateRow({ rfqData: { ...createTemplateRow().rfqData, requiredByDate: '2020-01-01' } });
+        const expected = new Date(Date.now() + 14 * DAY_MS).toISOString().slice(0, 10);
+
+        const data = RFQTemplateService.buildRFQData(template);
+
+        assert.equal(data.requiredByDate, expected);
+        assert.equal(data.title, 'Cold rolled steel');
+    });
+
+    it('lets an override replace the fresh requiredByDate', () => {
+        const data = RFQTemplateService.buildRFQData(createTemplateRow(), { requiredByDate: '2030-06-30' });
+
+        assert.equal(data.requiredByDate, '2030-06-30');
+    });
+
+    it('copies attachments so the RFQ doesn\'t share them with the template', () => {
+        const template = createTemplateRow();
+
+        const data = RFQTemplateService.buildRFQData(template);
+        data.attachments[0].url = 'https://files/changed.pdf';
+
+        assert.equal(template.rfqData.attachments[0].url, 'https://files/spec.pdf');
+    });
+});